@@ -1,304 +1,304 @@
-const hubspot = require('@hubspot/api-client');
 require('dotenv').config();
-const axios = require('axios');
+const path = require('path');
+const { getHubspotClient } = require('./clients/hubspotClient');
+const { SYNC_OBJECT_TYPES, createSyncService, syncCounters } = require('./services/hubspotSyncService');
+const { createMigrationService } = require('./services/hubspotMigrationService');
+const { requireProvisionedProperties } = require('./services/propertyProvisioningService');
+const { outputPlan } = require('./services/syncPlan');
+const { createJobManager } = require('./services/jobManager');
+const { createWebhookQueue } = require('./services/webhookQueue');
+const { createConflictQueue } = require('./services/conflictQueue');
+const { openIdMapStore } = require('./services/idMapStore');
+const { openVersionStore } = require('./services/syncVersions');
+const { createWatermarkStore } = require('./services/syncWatermarks');
+const { resolveDataPath } = require('./utils/jsonFile');
+const { getLogger, logToFile } = require('./utils/logger');
 
-// Initialize HubSpot API clients for both Source and Mirror accounts
-const hubspotClientSource = new hubspot.Client({ 
-  accessToken: process.env.HUBSPOT_SOURCE_TOKEN 
-});
-const hubspotClientMirror = new hubspot.Client({ 
-  accessToken: process.env.HUBSPOT_MIRROR_TOKEN 
-});
-
-// Maintains mapping between Source and Mirror company IDs
-const companyIdMap = new Map();
+// Express server configuration
+const express = require('express');
+const { createWebhookHandlers, createWebhookRouter, webhookQueueHandlers } = require('./routes/webhookRoutes');
+const { createDeadLetterRouter } = require('./routes/deadLetterRoutes');
+const { createConflictRouter } = require('./routes/conflictRoutes');
+const { createJobRouter } = require('./routes/jobRoutes');
+const { createSyncScheduler } = require('./services/syncScheduler');
+const { captureRawBody } = require('./middleware/hubspotSignature');
+const { createAdminAuth } = require('./middleware/requireAdminToken');
+const { createCorrelationId } = require('./middleware/correlationId');
 
 /**
- * Synchronizes companies from Source to Mirror account
- * Performs upsert operations based on company name
- * @async
+ * Reads the application settings from the environment
+ * @returns {object} Settings accepted by createApp
  */
-async function syncCompanies() {
-  console.log('Initiating company synchronization from Source to Mirror');
-  let after = undefined;
-  let allSourceCompanies = [];
-
-  // Paginate through all companies in Source account
-  do {
-    const apiResponse = await hubspotClientSource.crm.companies.basicApi.getPage(100, after);
-    allSourceCompanies = allSourceCompanies.concat(apiResponse.results);
-    after = apiResponse.paging?.next?.after;
-  } while (after);
-
-  // Retrieve all companies from Mirror account for comparison
-  let allMirrorCompanies = [];
-  after = undefined;
-  do {
-    const apiResponse = await hubspotClientMirror.crm.companies.basicApi.getPage(100, after, ['name']);
-    allMirrorCompanies = allMirrorCompanies.concat(apiResponse.results);
-    after = apiResponse.paging?.next?.after;
-  } while (after);
-
-  // Process each company in Source account
-  for (const company of allSourceCompanies) {
-    const companyName = company.properties.name;
-    const sourceCompanyId = company.id;
+function configFromEnv() {
+  return {
+    port: Number(process.env.PORT) || 3000,
+    // Directory of the ID map, the queues, the job history and the other data files
+    dataDir: process.env.DATA_DIR || 'data',
+    adminToken: process.env.ADMIN_API_TOKEN,
+    // The Mirror account is provisioned before migrations only when it is configured
+    provisionMirror: Boolean(process.env.HUBSPOT_MIRROR_TOKEN),
+    episodeObjectType: process.env.HUBSPOT_EPISODE_OBJECT_TYPE,
+    // Scheduled incremental sync (SYNC_INTERVAL_MINUTES, default 15, 0 disables it)
+    syncIntervalMinutes: Number(process.env.SYNC_INTERVAL_MINUTES ?? 15),
+    sync: {
+      dryRun: process.env.SYNC_DRY_RUN === 'true',
+      planFile: process.env.SYNC_PLAN_FILE || undefined,
+      // Two-way sync; the conflict policies come from SYNC_CONFLICT_POLICY and SYNC_CONFLICT_POLICIES
+      twoWay: process.env.SYNC_TWO_WAY === 'true',
+    },
+    webhooks: {
+      clientSecret: process.env.HUBSPOT_CLIENT_SECRET,
+      skipSignatureVerification: process.env.HUBSPOT_SKIP_SIGNATURE_VERIFICATION === 'true',
+      baseUrl: process.env.WEBHOOK_BASE_URL,
+      maxAttempts: Number(process.env.WEBHOOK_QUEUE_MAX_ATTEMPTS) || 5,
+      concurrency: Number(process.env.WEBHOOK_QUEUE_CONCURRENCY) || 1,
+    },
+  };
+}
 
-    if (!companyName) {
-      console.warn(`Company ID ${sourceCompanyId} skipped - missing name property`);
-      continue;
-    }
+/**
+ * Location of an application data file: in config.dataDir, or in DATA_DIR when it is not set
+ * @param {object} config - Application settings
+ * @param {string} fileName - File name, e.g. 'jobs.json'
+ * @returns {string} Absolute file path
+ */
+function dataFile(config, fileName) {
+  return config.dataDir ? path.resolve(config.dataDir, fileName) : resolveDataPath(fileName);
+}
 
-    try {
-      // Check for existing company in Mirror account
-      const mirrorCompany = allMirrorCompanies.find(c => c.properties.name === companyName);
+/**
+ * Creates the Express application: webhooks, migration and sync jobs, and the operator endpoints
+ * Nothing runs until start() is called: no port is opened, no queue worker or schedule is started
+ * @param {object} [deps] - Application dependencies
+ * @param {object} [deps.sourceClient] - HubSpot client of the Source account (defaults to the shared client)
+ * @param {object} [deps.mirrorClient] - HubSpot client of the Mirror account (defaults to the shared client)
+ * @param {object} [deps.rickAndMorty] - Rick and Morty client (defaults to the client configured from the environment)
+ * @param {object} [deps.config] - Settings (see configFromEnv, the default); config.dataDir holds the data files
+ * @param {object} [deps.logger] - Logger of the application (defaults to the shared 'app' logger); the services
+ *   log through child loggers of it
+ * @param {object} [deps.idMap] - Source↔Mirror ID map shared by the sync and the webhooks (defaults to id-map.json in the data directory)
+ * @returns {Object} Application API: the Express app, the jobs, the webhook queue, the conflict queue and the scheduler, start and stop
+ */
+function createApp({
+  sourceClient = getHubspotClient('source'),
+  mirrorClient = getHubspotClient('mirror'),
+  rickAndMorty,
+  config = configFromEnv(),
+  logger = getLogger('app'),
+  idMap = openIdMapStore(dataFile(config, 'id-map.json')),
+} = {}) {
+  // Last-synced record versions, shared by the two-way sync and the webhooks
+  const versions = openVersionStore(dataFile(config, 'sync-versions.json'));
 
-      const companyProperties = {
-        name: companyName,
-        phone: company.properties.phone || '',
-        industry: company.properties.industry || ''
-      };
+  // Conflicts of the two-way sync, reviewed through the admin API
+  const syncLogger = logger.child({ module: 'sync' });
+  const conflicts = createConflictQueue({ conflictFile: dataFile(config, 'sync-conflicts.json'), logger: syncLogger });
+  const syncService = createSyncService({
+    sourceClient,
+    mirrorClient,
+    idMap,
+    watermarks: createWatermarkStore(dataFile(config, 'sync-watermarks.json')),
+    versions,
+    conflicts,
+    logger: syncLogger,
+    config: { ...config.sync, planFile: config.sync.planFile || dataFile(config, 'sync-plan.json') },
+  });
+  const migrationService = createMigrationService({
+    hubspotClient: sourceClient,
+    rickAndMorty,
+    logger: logger.child({ module: 'migration' }),
+    config: {
+      episodeObjectType: config.episodeObjectType,
+      checkpointFile: dataFile(config, 'migration-checkpoint.json'),
+    },
+  });
 
-      let upsertedCompany;
-      if (mirrorCompany) {
-        console.log(`Updating existing company: ${companyName}`);
-        upsertedCompany = await hubspotClientMirror.crm.companies.basicApi.update(
-          mirrorCompany.id, 
-          { properties: companyProperties }
-        );
-      } else {
-        console.log(`Creating new company: ${companyName}`);
-        upsertedCompany = await hubspotClientMirror.crm.companies.basicApi.create({
-          properties: companyProperties
-        });
+  /**
+   * Migration job: provisions the custom properties (unless skipProvision), then migrates the
+   * selected Rick and Morty characters into the Source account
+   * @param {object} options - Job options: restart, dryRun, skipProvision, selection
+   * @param {object} context - Job context
+   * @param {Function} context.reportProgress - Progress callback
+   * @returns {Promise<object>} Job outcome: counters, per-record errors and the dry-run plan summary
+   */
+  async function runMigrationJob({ skipProvision, ...options }, { reportProgress }) {
+    if (!skipProvision) {
+      const accounts = { Source: sourceClient };
+      if (config.provisionMirror) {
+        accounts.Mirror = mirrorClient;
       }
-      
-      // Map Source company ID to Mirror company ID
-      companyIdMap.set(sourceCompanyId, upsertedCompany.id);
-      console.log(`Successfully synchronized company: ${companyName}`);
-
-    } catch (error) {
-      console.error(`Company synchronization failed: ${companyName}`, {
-        error: error.message,
-        details: error.response?.data
+      reportProgress({ phase: 'provisioning' });
+      await requireProvisionedProperties(accounts, {
+        checkOnly: options.dryRun,
+        episodeObjectTypes: { Source: config.episodeObjectType },
       });
     }
+
+    const { errors, plan, ...counters } = await migrationService.migrate({
+      ...options,
+      onProgress: reportProgress,
+    });
+    const outcome = { counters, errors };
+    if (plan) {
+      const planFile = dataFile(config, 'migration-plan.json');
+      outputPlan(plan, { jsonFile: planFile });
+      outcome.plan = { file: planFile, ...plan.summary() };
+    }
+    return outcome;
   }
-  console.log('Company synchronization completed');
-}
 
-/**
- * Synchronizes contacts from Source to Mirror account
- * Uses character_id as primary key, falls back to email
- * @async
- */
-async function syncContacts() {
-  console.log('Initiating contact synchronization');
-  let after = undefined;
-  let allSourceContacts = [];
+  /**
+   * Sync job: runs a full or incremental Source→Mirror sync
+   * @param {object} options - Job options: incremental, dryRun
+   * @param {object} context - Job context
+   * @param {Function} context.reportProgress - Progress callback
+   * @returns {Promise<object>} Job outcome: per-type counters, per-record errors and the error that stopped the run
+   */
+  async function runSyncJob(options, { reportProgress }) {
+    const summary = await syncService.runSync({ ...options, onProgress: reportProgress });
+    const types = SYNC_OBJECT_TYPES.filter(type => summary[type]);
+    return {
+      mode: summary.mode,
+      dryRun: summary.dryRun,
+      counters: Object.fromEntries(types.map(type => [type, syncCounters(summary[type])])),
+      errors: types.flatMap(type => summary[type].errors),
+      error: summary.error,
+      plan: summary.plan,
+    };
+  }
 
-  // Paginate through all contacts in Source account
-  do {
-    const apiResponse = await hubspotClientSource.crm.contacts.basicApi.getPage(
-      100,
-      after,
-      ['character_id', 'email', 'firstname', 'lastname', 
-       'character_status', 'character_species', 
-       'character_gender', 'associatedcompanyid']
-    );
-    allSourceContacts = allSourceContacts.concat(apiResponse.results);
-    after = apiResponse.paging?.next?.after;
-  } while (after);
+  // Migration and sync jobs started from the admin API and the schedule, one of each type at a time
+  const jobs = createJobManager({
+    handlers: { migration: runMigrationJob, sync: runSyncJob },
+    jobsFile: dataFile(config, 'jobs.json'),
+    logger: logger.child({ module: 'jobs' }),
+  });
 
-  // Process each contact in Source account
-  for (const contact of allSourceContacts) {
-    const characterId = contact.properties.character_id;
-    const email = contact.properties.email;
+  // Scheduled incremental sync
+  const syncScheduler = createSyncScheduler({
+    jobs,
+    intervalMinutes: config.syncIntervalMinutes,
+    logger: logger.child({ module: 'scheduler' }),
+  });
 
-    if (!characterId) {
-      console.warn(`Contact skipped - missing character_id:`, {
-        contactId: contact.id,
-        email: contact.properties.email
-      });
-      continue;
-    }
+  // Persistent queue: webhooks are acknowledged once stored, then applied by background workers
+  const webhookLogger = logger.child({ module: 'webhook' });
+  const webhookHandlers = createWebhookHandlers({
+    sourceClient,
+    mirrorClient,
+    idMap,
+    versions,
+    logger: webhookLogger,
+    config: { twoWay: config.sync.twoWay },
+  });
+  const webhookQueue = createWebhookQueue({
+    queueFile: dataFile(config, 'webhook-queue.json'),
+    deadLetterFile: dataFile(config, 'webhook-dead-letter.json'),
+    handlers: webhookQueueHandlers(webhookHandlers),
+    logger: webhookLogger,
+    maxAttempts: config.webhooks.maxAttempts,
+    concurrency: config.webhooks.concurrency,
+  });
 
-    try {
-      // Search for existing contact in Mirror account
-      let mirrorContact = await findExistingContact(characterId, email);
+  const app = express();
+  // Keep the raw body so webhook signatures can be verified after parsing
+  app.use(express.json({ verify: captureRawBody }));
+  // Correlation ID per request (X-Correlation-Id), added to every log entry; after the body parser on purpose
+  app.use(createCorrelationId());
 
-      const contactProperties = {
-        email: email,
-        firstname: contact.properties.firstname,
-        lastname: contact.properties.lastname || '',
-        character_id: characterId,
-        character_status: contact.properties.character_status,
-        character_species: contact.properties.character_species,
-        character_gender: contact.properties.character_gender
-      };
+  // HubSpot webhooks: native event batches on /webhook, flat payloads on /webhook/contacts and /webhook/companies
+  app.use('/webhook', createWebhookRouter({
+    handlers: webhookHandlers,
+    queue: webhookQueue,
+    logger: webhookLogger,
+    config: config.webhooks,
+  }));
 
-      // Perform upsert operation
-      const upsertedContact = await upsertContact(
-        mirrorContact, 
-        contactProperties, 
-        characterId
-      );
+  // Operator endpoints for webhooks that exhausted their retries
+  app.use(
+    '/admin/dead-letters',
+    createAdminAuth({ token: config.adminToken, logger }),
+    createDeadLetterRouter({ queue: webhookQueue, logger })
+  );
 
-      // Handle company association if applicable
-      await handleCompanyAssociation(
-        upsertedContact.id, 
-        contact.properties.associatedcompanyid
-      );
+  // Operator endpoints to start migration and sync jobs, follow their progress and see the sync schedule
+  app.use(
+    '/jobs',
+    createAdminAuth({ token: config.adminToken, logger }),
+    createJobRouter({ jobs, scheduler: syncScheduler, logger })
+  );
 
-    } catch (error) {
-      console.error(`Contact synchronization failed:`, {
-        characterId,
-        error: error.message,
-        stack: error.stack,
-        apiError: error.response?.data
-      });
-    }
-  }
-  console.log('Contact synchronization completed');
-}
+  // Operator endpoints to review the two-way sync conflicts and resolve those left for review
+  app.use(
+    '/admin/conflicts',
+    createAdminAuth({ token: config.adminToken, logger }),
+    createConflictRouter({ conflicts, resolveConflict: syncService.resolveConflict, logger })
+  );
 
-/**
- * Finds existing contact in Mirror account
- * @param {string} characterId - Primary identifier
- * @param {string} email - Fallback identifier
- * @returns {Promise<Object|null>} Found contact or null
- */
-async function findExistingContact(characterId, email) {
-  // First try: Search by character_id
-  if (characterId) {
-    const searchResponse = await hubspotClientMirror.crm.contacts.searchApi.doSearch({
-      filterGroups: [{
-        filters: [{
-          propertyName: 'character_id',
-          operator: 'EQ',
-          value: characterId
-        }]
-      }],
-      properties: ['email', 'firstname', 'lastname', 'character_id'],
-      limit: 1
-    });
-    if (searchResponse.results.length > 0) {
-      console.log(`Found existing contact by character_id: ${characterId}`);
-      return searchResponse.results[0];
-    }
-  }
+  // HubSpot call metrics per account: calls, retries, 429 responses, throttling waits and daily usage
+  app.get(
+    '/admin/hubspot-metrics',
+    createAdminAuth({ token: config.adminToken, logger }),
+    (req, res) => res.status(200).send(Object.fromEntries(
+      Object.entries({ source: sourceClient, mirror: mirrorClient })
+        .filter(([, client]) => client.limiter)
+        .map(([account, client]) => [account, { ...client.limiter.metrics }])
+    ))
+  );
 
-  // Fallback: Search by email
-  if (email) {
-    const searchResponse = await hubspotClientMirror.crm.contacts.searchApi.doSearch({
-      filterGroups: [{
-        filters: [{
-          propertyName: 'email',
-          operator: 'EQ',
-          value: email
-        }]
-      }],
-      properties: ['email', 'firstname', 'lastname', 'character_id'],
-      limit: 1
-    });
-    if (searchResponse.results.length > 0) {
-      console.log(`Found existing contact by email: ${email}`);
-      return searchResponse.results[0];
-    }
-  }
-
-  return null;
-}
+  let server = null;
 
-/**
- * Performs contact upsert operation
- * @param {Object|null} existingContact - Existing contact or null
- * @param {Object} properties - Contact properties
- * @param {string} characterId - For logging
- * @returns {Promise<Object>} Upserted contact
- */
-async function upsertContact(existingContact, properties, characterId) {
-  if (existingContact) {
-    console.log(`Updating contact ${existingContact.id}`);
-    return await hubspotClientMirror.crm.contacts.basicApi.update(
-      existingContact.id, 
-      { properties }
-    );
-  } else {
-    console.log(`Creating new contact with character_id: ${characterId}`);
-    return await hubspotClientMirror.crm.contacts.basicApi.create({
-      properties
+  /**
+   * Opens the port, then starts the webhook queue workers and the sync schedule
+   * Synchronizations only run on schedule or when requested through the admin API
+   * @param {number} [port] - Port to listen on (defaults to config.port; 0 picks a free port)
+   * @returns {Promise<import('http').Server>} Listening HTTP server
+   */
+  async function start(port = config.port) {
+    server = await new Promise((resolve, reject) => {
+      const listening = app.listen(port, () => resolve(listening));
+      listening.once('error', reject);
     });
+    logger.info('Server operational', { port: server.address().port });
+    webhookQueue.start();
+    syncScheduler.start();
+    return server;
   }
-}
 
-/**
- * Handles company association for a contact
- * @param {string} contactId - Mirror contact ID
- * @param {string} sourceCompanyId - Source company ID
- * @returns {Promise<void>}
- */
-async function handleCompanyAssociation(contactId, sourceCompanyId) {
-  if (!sourceCompanyId) return;
-
-  const mirrorCompanyId = companyIdMap.get(sourceCompanyId);
-  if (!mirrorCompanyId) {
-    console.warn(`No Mirror company found for Source ID: ${sourceCompanyId}`);
-    return;
+  /**
+   * Stops the schedule and the queue workers (waiting for the items in progress), then closes the port
+   * @returns {Promise<void>}
+   */
+  async function stop() {
+    syncScheduler.stop();
+    await webhookQueue.stop();
+    if (!server) return;
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    server = null;
   }
 
-  try {
-    await hubspotClientMirror.crm.associations.v4.batchApi.create(
-      'contact', 
-      'company', 
-      [{
-        from: { id: contactId },
-        to: { id: mirrorCompanyId },
-        types: [{ 
-          associationCategory: 'HUBSPOT_DEFINED', 
-          associationTypeId: 1 
-        }]
-      }]
-    );
-    console.log(`Associated contact ${contactId} with company ${mirrorCompanyId}`);
-  } catch (error) {
-    console.error(`Association failed:`, {
-      contactId,
-      mirrorCompanyId,
-      error: error.message
-    });
-  }
+  return {
+    app,
+    jobs,
+    webhookQueue,
+    conflicts,
+    syncScheduler,
+    start,
+    stop,
+  };
 }
 
-/**
- * Executes full synchronization pipeline
- * @async
- */
-async function fullSync() {
-  try {
-    await syncCompanies();
-    await syncContacts();
-  } catch (error) {
-    console.error('Full synchronization failed:', {
-      error: error.message,
-      details: error.response?.data
-    });
-  }
+// Started with `node src/app.js` (npm start): listen on PORT
+if (require.main === module) {
+  logToFile();
+  createApp().start().catch((error) => {
+    getLogger('app').error('Server failed to start', { error: error.message });
+    process.exitCode = 1;
+  });
 }
 
-// Express server configuration
-const express = require('express');
-const app = express();
-app.use(express.json());
-
-// Start server and initiate synchronization
-app.listen(process.env.PORT || 3000, () => {
-  console.log(`Server operational on port ${process.env.PORT || 3000}`);
-  fullSync();
-});
-
-// Webhook endpoint for future incremental updates
-app.post('/webhook', (req, res) => {
-  console.log('Webhook received:', req.body);
-  res.status(200).send('Webhook acknowledged');
-});
+module.exports = {
+  configFromEnv,
+  createApp,
+};
@@ -0,0 +1,564 @@
+#!/usr/bin/env node
+/*
+ * Command-line interface
+ *
+ * Usage: node src/cli.js <command> [arguments] [flags]   (npm run cli -- <command> ...)
+ *
+ *   migrate                          migrate the selected Rick and Morty characters into Source
+ *     --restart                      ignore the saved checkpoint
+ *     --skip-provision               do not check or create the custom properties first
+ *     --offline                      read the Rick and Morty API from the response cache only
+ *     selection flags                --selection <file.json>, --strategy, --ids, --range, --status, ... (see src/migrate.js)
+ *   sync companies|contacts|all      synchronize Source to Mirror (incremental unless --full)
+ *     --full                         read every Source record and propagate deletions
+ *   verify-connection                check the HubSpot tokens and the Rick and Morty API (tokens are never printed)
+ *     --account source|mirror|rick-and-morty|all   (default: all)
+ *   replay-webhook <file>            apply a saved webhook to Mirror: a HubSpot event array, a dead-letter
+ *                                    item ({type, payload}) or a flat contact/company payload
+ *     --payload-type contact|company type of a flat payload (default: guessed from its fields)
+ *   verify                           reconciliation report: Rick and Morty API vs Source, Source vs Mirror
+ *     --account source|mirror|all    accounts to verify (default: all)
+ *     --offline                      read the Rick and Morty API from the response cache only
+ *     selection flags                the selection of the migration to verify (see src/migrate.js)
+ *   export companies|contacts|all    export HubSpot records
+ *     --account mirror|source        account to read (default: mirror)
+ *     --since <ISO date>             only records modified since that date
+ *     --properties a,b,c             properties to export (default: the synchronized ones)
+ *
+ * Common flags:
+ *   --dry-run                        migrate/sync: plan without writing; replay-webhook: show what would be applied;
+ *                                    export: print the plan (files and record counts) without writing them
+ *   --format table|json              console output (export: json or csv file format, default json)
+ *   --out <file>                     plan file (migrate, sync), report file (verify: JSON, with the CSV next to it)
+ *                                    or export file
+ *
+ * Exit codes: 0 on success, 1 on failure (including per-record errors), 2 on invalid usage.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+require('dotenv').config();
+const { getHubspotClient, getHubspotMetrics } = require('./clients/hubspotClient');
+const { migrateRickAndMortyToHubspot } = require('./services/hubspotMigrationService');
+const { SELECTION_CLI_OPTIONS, selectionFromCliOptions } = require('./services/characterSelection');
+const { requireProvisionedProperties } = require('./services/propertyProvisioningService');
+const { describeError, listAllRecords, searchModifiedSince } = require('./services/hubspotBatchService');
+const { createPlan, outputPlan } = require('./services/syncPlan');
+const { createReconciliationService, outputReconciliationReport } = require('./services/reconciliationService');
+const { configureResponseCache, getCharactersInfo } = require('./clients/rickAndMortyClient');
+const { resolveDataPath, writeJsonFile } = require('./utils/jsonFile');
+const { writeCsvFile } = require('./utils/csv');
+const { getLogger, logToFile, logToStderr, newCorrelationId, withLogContext } = require('./utils/logger');
+
+// Command output goes to stdout, log entries to stderr
+logToStderr();
+const logger = getLogger('cli');
+
+// Invalid command line; reported with exit code 2
+class UsageError extends Error {}
+
+const COMMON_OPTIONS = {
+  'dry-run': { type: 'boolean', default: false },
+  format: { type: 'string' },
+  out: { type: 'string' },
+  help: { type: 'boolean', default: false },
+};
+
+// Properties exported by default per object type
+const EXPORT_PROPERTIES = {
+  companies: ['name', 'location_id', 'phone', 'industry', 'source_record_id', 'hs_lastmodifieddate'],
+  contacts: [
+    'email', 'firstname', 'lastname', 'character_id', 'character_status',
+    'character_species', 'character_gender', 'source_record_id', 'lastmodifieddate',
+  ],
+};
+
+// Modification date filtered on by export --since
+const MODIFIED_DATE_PROPERTIES = {
+  companies: 'hs_lastmodifieddate',
+  contacts: 'lastmodifieddate',
+};
+
+/**
+ * Validates an enumerated flag
+ * @param {string} name - Flag name
+ * @param {string} value - Flag value
+ * @param {Array<string>} allowed - Accepted values
+ * @returns {string} The value
+ * @throws {UsageError} If the value is not accepted
+ */
+function oneOf(name, value, allowed) {
+  if (!allowed.includes(value)) {
+    throw new UsageError(`--${name} must be one of ${allowed.join(', ')} (got '${value}')`);
+  }
+  return value;
+}
+
+/**
+ * Resolves the object types named by a companies|contacts|all argument
+ * @param {string} target - Command argument
+ * @returns {Array<string>} Object types
+ * @throws {UsageError} If the argument is missing or unknown
+ */
+function objectTypesOf(target) {
+  if (target === 'all') return ['companies', 'contacts'];
+  if (['companies', 'contacts'].includes(target)) return [target];
+  throw new UsageError(`Expected companies, contacts or all (got '${target ?? ''}')`);
+}
+
+/**
+ * Renders rows as an aligned text table
+ * @param {Array<string>} header - Column titles
+ * @param {Array<Array<*>>} rows - Cell values
+ * @returns {string} Table text
+ */
+function formatTable(header, rows) {
+  const cells = rows.map(row => row.map(cell => String(cell ?? '')));
+  const widths = header.map((title, column) => Math.max(title.length, ...cells.map(row => row[column].length)));
+  return [header, ...cells]
+    .map(row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd())
+    .join('\n');
+}
+
+/**
+ * Prints per-record errors, at most 20 in table format
+ * @param {Array<object>} errors - Errors with type, key and error
+ * @param {string} format - 'table' or 'json'
+ */
+function printErrors(errors, format) {
+  if (errors.length === 0 || format === 'json') return;
+  console.log(`\n${errors.length} record error(s):`);
+  console.log(formatTable(['TYPE', 'KEY', 'ERROR'], errors.slice(0, 20).map(error => [error.type, error.key, error.error])));
+  if (errors.length > 20) console.log(`... ${errors.length - 20} more (use --format json)`);
+}
+
+/**
+ * migrate: provisions the custom properties, then migrates the selected characters into Source
+ * @param {object} values - Parsed flags
+ * @returns {Promise<number>} Exit code
+ */
+async function migrateCommand(values) {
+  const format = oneOf('format', values.format || values['plan-format'] || 'table', ['table', 'json']);
+  const source = getHubspotClient('source');
+  const selection = selectionFromCliOptions(values);
+  if (values.offline) {
+    configureResponseCache({ offline: true });
+  }
+
+  if (!values['skip-provision']) {
+    const accounts = { Source: source };
+    if (process.env.HUBSPOT_MIRROR_TOKEN) {
+      accounts.Mirror = getHubspotClient('mirror');
+    }
+    await requireProvisionedProperties(accounts, {
+      checkOnly: values['dry-run'],
+      episodeObjectTypes: { Source: process.env.HUBSPOT_EPISODE_OBJECT_TYPE },
+    });
+  }
+
+  const { plan, ...summary } = await migrateRickAndMortyToHubspot(source, {
+    restart: values.restart,
+    dryRun: values['dry-run'],
+    selection,
+  });
+  if (plan) {
+    outputPlan(plan, {
+      jsonFile: values.out || values['plan-out'] || resolveDataPath('migration-plan.json'),
+      format,
+    });
+  }
+  if (format === 'json') {
+    console.log(JSON.stringify(summary, null, 2));
+  } else {
+    console.log(`\nMigration${values['dry-run'] ? ' dry run' : ''} completed`);
+    console.log(formatTable(
+      ['CONTACTS', 'CREATED', 'UPDATED', 'FAILED', 'COMPANIES', 'EPISODES'],
+      [[
+        summary.contactsProcessed, summary.contactsCreated, summary.contactsUpdated,
+        summary.contactsFailed, summary.companiesProcessed, summary.episodesProcessed,
+      ]]
+    ));
+  }
+  printErrors(summary.errors, format);
+  return summary.errors.length > 0 ? 1 : 0;
+}
+
+/**
+ * sync companies|contacts|all: synchronizes Source to Mirror
+ * @param {object} values - Parsed flags
+ * @param {Array<string>} args - Command arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function syncCommand(values, args) {
+  const objectTypes = objectTypesOf(args[0]);
+  const format = oneOf('format', values.format || 'table', ['table', 'json']);
+  // Loaded on demand: the sync service opens the ID map and watermark files
+  const { runSync, syncCounters } = require('./services/hubspotSyncService');
+
+  const summary = await runSync({
+    incremental: !values.full,
+    objectTypes,
+    dryRun: values['dry-run'],
+    planFile: values.out || resolveDataPath('sync-plan.json'),
+    planFormat: format,
+  });
+
+  const types = objectTypes.filter(type => summary[type]);
+  const errors = types.flatMap(type => summary[type].errors);
+  if (format === 'json') {
+    console.log(JSON.stringify(summary, null, 2));
+  } else {
+    console.log(`\n${summary.mode} synchronization${summary.dryRun ? ' (dry run)' : ''}`);
+    console.log(formatTable(
+      ['OBJECT', 'CREATED', 'UPDATED', 'ARCHIVED', 'FAILED', 'SKIPPED', 'SOURCE UPDATED', 'CONFLICTS'],
+      types.map(type => [type, ...Object.values(syncCounters(summary[type]))])
+    ));
+    if (summary.error) console.log(`\nSynchronization failed: ${summary.error}`);
+  }
+  printErrors(errors, format);
+  return summary.error || errors.length > 0 ? 1 : 0;
+}
+
+/**
+ * verify-connection: checks that each account answers, without printing any token
+ * @param {object} values - Parsed flags
+ * @returns {Promise<number>} Exit code
+ */
+async function verifyConnectionCommand(values) {
+  const format = oneOf('format', values.format || 'table', ['table', 'json']);
+  const account = oneOf('account', values.account || 'all', ['all', 'source', 'mirror', 'rick-and-morty']);
+
+  const checks = {
+    source: () => checkHubspotAccount('source', 'HUBSPOT_SOURCE_TOKEN'),
+    mirror: () => checkHubspotAccount('mirror', 'HUBSPOT_MIRROR_TOKEN'),
+    'rick-and-morty': async () => {
+      const info = await getCharactersInfo();
+      return `${info.info.count} characters available`;
+    },
+  };
+
+  const results = [];
+  for (const name of account === 'all' ? Object.keys(checks) : [account]) {
+    try {
+      results.push({ account: name, ok: true, details: await checks[name]() });
+    } catch (error) {
+      results.push({ account: name, ok: false, details: describeError(error) });
+    }
+  }
+
+  if (format === 'json') {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    console.log(formatTable(['ACCOUNT', 'STATUS', 'DETAILS'], results.map(result => [
+      result.account, result.ok ? 'ok' : 'FAILED', result.details,
+    ])));
+  }
+  return results.every(result => result.ok) ? 0 : 1;
+}
+
+/**
+ * Reads one contact and one company of a HubSpot account
+ * @param {string} account - 'source' or 'mirror'
+ * @param {string} tokenVariable - Environment variable holding the token
+ * @returns {Promise<string>} Check details
+ * @throws {Error} If the token is missing or a read fails
+ */
+async function checkHubspotAccount(account, tokenVariable) {
+  if (!process.env[tokenVariable]) {
+    throw new Error(`${tokenVariable} is not set`);
+  }
+  const client = getHubspotClient(account);
+  await client.crm.contacts.basicApi.getPage(1);
+  await client.crm.companies.basicApi.getPage(1);
+  return `${tokenVariable} accepted, contacts and companies readable`;
+}
+
+/**
+ * Describes a saved webhook file as a handler call
+ * @param {*} payload - Parsed file content
+ * @param {string} [payloadType] - Type of a flat payload (--payload-type)
+ * @returns {{kind: string, type: (string|undefined), payload: *}} Replay description
+ * @throws {UsageError} If the type of a flat payload cannot be determined
+ */
+function describeWebhookFile(payload, payloadType) {
+  if (Array.isArray(payload)) {
+    return { kind: 'events', payload };
+  }
+  if (payload && payload.type && payload.payload) {
+    // Queue or dead-letter item
+    return { kind: 'item', type: payload.type, payload: payload.payload };
+  }
+  let type = payloadType;
+  if (!type) {
+    if (payload?.character_id) type = 'contact';
+    else if (payload?.name) type = 'company';
+  }
+  if (!type) {
+    throw new UsageError('Cannot tell whether the payload is a contact or a company, use --payload-type');
+  }
+  return { kind: 'item', type: oneOf('payload-type', type, ['contact', 'company']), payload };
+}
+
+/**
+ * replay-webhook <file>: applies a saved webhook to Mirror, bypassing the queue
+ * @param {object} values - Parsed flags
+ * @param {Array<string>} args - Command arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function replayWebhookCommand(values, args) {
+  if (!args[0]) throw new UsageError('replay-webhook needs the file holding the webhook payload');
+  const format = oneOf('format', values.format || 'table', ['table', 'json']);
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(args[0], 'utf8'));
+  } catch (error) {
+    throw new UsageError(`Cannot read ${args[0]}: ${error.message}`);
+  }
+  const replay = describeWebhookFile(content, values['payload-type']);
+
+  // Created on demand: the webhook handlers open the ID map
+  const { getWebhookHandlers, webhookQueueHandlers } = require('./routes/webhookRoutes');
+  const { collectEventTargets, processWebhookEvents } = getWebhookHandlers();
+  const handlers = webhookQueueHandlers(getWebhookHandlers());
+  if (replay.kind === 'item' && !handlers[replay.type]) {
+    throw new UsageError(`Unknown webhook item type '${replay.type}'`);
+  }
+
+  if (values['dry-run']) {
+    const planned = replay.kind === 'events'
+      ? collectEventTargets(replay.payload).targets.map(target => ({ handler: 'sourceRecord', ...target }))
+      : [{ handler: replay.type, payload: replay.payload }];
+    console.log(format === 'json'
+      ? JSON.stringify(planned, null, 2)
+      : `Dry run, would apply:\n${planned.map(entry => `  ${JSON.stringify(entry)}`).join('\n')}`);
+    return 0;
+  }
+
+  let summary;
+  if (replay.kind === 'events') {
+    summary = await processWebhookEvents(replay.payload);
+  } else {
+    try {
+      summary = { result: await handlers[replay.type](replay.payload), failed: 0 };
+    } catch (error) {
+      summary = { error: error.message, failed: 1 };
+    }
+  }
+  console.log(format === 'json' ? JSON.stringify(summary, null, 2) : `Webhook replayed: ${JSON.stringify(summary)}`);
+  return summary.failed > 0 ? 1 : 0;
+}
+
+/**
+ * verify: compares the migration selection with Source and Source with Mirror, and exports the report
+ * @param {object} values - Parsed flags
+ * @returns {Promise<number>} Exit code (1 when the report has findings)
+ */
+async function verifyCommand(values) {
+  const format = oneOf('format', values.format || 'table', ['table', 'json']);
+  const account = oneOf('account', values.account || 'all', ['all', 'source', 'mirror']);
+  const accounts = account === 'all' ? ['source', 'mirror'] : [account];
+  if (values.offline) {
+    configureResponseCache({ offline: true });
+  }
+
+  const service = createReconciliationService({
+    sourceClient: getHubspotClient('source'),
+    mirrorClient: accounts.includes('mirror') ? getHubspotClient('mirror') : undefined,
+  });
+  const report = await service.verify({ selection: selectionFromCliOptions(values), accounts });
+
+  const jsonFile = values.out || resolveDataPath('reconciliation-report.json');
+  outputReconciliationReport(report, {
+    jsonFile,
+    csvFile: `${jsonFile.slice(0, jsonFile.length - path.extname(jsonFile).length)}.csv`,
+    format,
+  });
+  return report.findings.length > 0 ? 1 : 0;
+}
+
+/**
+ * Adds the object type to a file name (data/export.csv -> data/export-contacts.csv)
+ * @param {string} file - File name
+ * @param {string} objectType - Object type
+ * @returns {string} File name
+ */
+function withObjectType(file, objectType) {
+  const extension = path.extname(file);
+  return `${file.slice(0, file.length - extension.length)}-${objectType}${extension}`;
+}
+
+/**
+ * export companies|contacts|all: writes HubSpot records to a JSON or CSV file
+ * @param {object} values - Parsed flags
+ * @param {Array<string>} args - Command arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function exportCommand(values, args) {
+  const objectTypes = objectTypesOf(args[0]);
+  const format = oneOf('format', values.format || 'json', ['json', 'csv']);
+  const account = oneOf('account', values.account || 'mirror', ['mirror', 'source']);
+  if (values.since && Number.isNaN(new Date(values.since).getTime())) {
+    throw new UsageError(`--since must be a date (got '${values.since}')`);
+  }
+  const client = getHubspotClient(account);
+
+  const exported = { account, exportedAt: new Date().toISOString(), since: values.since };
+  for (const objectType of objectTypes) {
+    const properties = values.properties
+      ? values.properties.split(',').map(name => name.trim()).filter(Boolean)
+      : EXPORT_PROPERTIES[objectType];
+    const records = values.since
+      ? await searchModifiedSince(client.crm[objectType], MODIFIED_DATE_PROPERTIES[objectType], values.since, properties)
+      : await listAllRecords(client.crm[objectType], properties);
+    exported[objectType] = records.map(record => ({
+      id: record.id,
+      ...Object.fromEntries(properties.map(name => [name, record.properties[name] ?? ''])),
+    }));
+    logger.info('Records read', { objectType, account, count: exported[objectType].length });
+  }
+
+  const out = values.out || resolveDataPath(`export-${account}.${format}`);
+  // A CSV file holds one object type
+  const fileOf = objectType => (format === 'csv' && objectTypes.length > 1 ? withObjectType(out, objectType) : out);
+
+  if (values['dry-run']) {
+    const plan = createPlan('export');
+    for (const objectType of objectTypes) {
+      plan.add({ action: 'export', objectType, key: account, reason: `${exported[objectType].length} record(s) to ${fileOf(objectType)}` });
+    }
+    outputPlan(plan);
+    return 0;
+  }
+
+  if (format === 'json') {
+    writeJsonFile(out, exported);
+    logger.info('Records exported', { file: out });
+  } else {
+    for (const objectType of objectTypes) {
+      const file = fileOf(objectType);
+      const columns = ['id', ...Object.keys(exported[objectType][0] || { id: '' }).filter(name => name !== 'id')];
+      writeCsvFile(file, exported[objectType], columns);
+      logger.info('Records exported', { objectType, file });
+    }
+  }
+  return 0;
+}
+
+const COMMANDS = {
+  migrate: {
+    run: migrateCommand,
+    options: {
+      restart: { type: 'boolean', default: false },
+      'skip-provision': { type: 'boolean', default: false },
+      offline: { type: 'boolean', default: false },
+      // Former flags of src/migrate.js, same as --out and --format
+      'plan-out': { type: 'string' },
+      'plan-format': { type: 'string' },
+      ...SELECTION_CLI_OPTIONS,
+    },
+  },
+  sync: {
+    run: syncCommand,
+    options: { full: { type: 'boolean', default: false } },
+  },
+  'verify-connection': {
+    run: verifyConnectionCommand,
+    options: { account: { type: 'string' } },
+  },
+  'replay-webhook': {
+    run: replayWebhookCommand,
+    options: { 'payload-type': { type: 'string' } },
+  },
+  verify: {
+    run: verifyCommand,
+    options: {
+      account: { type: 'string' },
+      offline: { type: 'boolean', default: false },
+      ...SELECTION_CLI_OPTIONS,
+    },
+  },
+  export: {
+    run: exportCommand,
+    options: {
+      account: { type: 'string' },
+      since: { type: 'string' },
+      properties: { type: 'string' },
+    },
+  },
+};
+
+/**
+ * Prints the usage text (the header comment of this file)
+ */
+function printUsage() {
+  const source = fs.readFileSync(__filename, 'utf8');
+  const header = source.slice(source.indexOf('/*') + 2, source.indexOf('*/'));
+  console.log(header.split('\n').map(line => line.replace(/^ \* ?/, '')).join('\n').trim());
+}
+
+/**
+ * Logs the HubSpot call metrics of the command
+ */
+function logHubspotMetrics() {
+  for (const [account, metrics] of Object.entries(getHubspotMetrics())) {
+    if (metrics.calls > 0) logger.info('HubSpot calls', { account, ...metrics });
+  }
+}
+
+/**
+ * Runs one command
+ * @param {Array<string>} argv - Command line without the node and script paths
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  // Every entry logged by the command carries the same runId
+  return withLogContext({ runId: newCorrelationId() }, () => runCommand(argv));
+}
+
+/**
+ * Parses the command line and runs the command
+ * @param {Array<string>} argv - Command line without the node and script paths
+ * @returns {Promise<number>} Exit code
+ */
+async function runCommand(argv) {
+  const [name, ...rest] = argv;
+  const command = COMMANDS[name];
+  if (!command || name === '--help') {
+    printUsage();
+    return name && name !== '--help' ? 2 : 0;
+  }
+
+  try {
+    const { values, positionals } = parseArgs({
+      args: rest,
+      options: { ...COMMON_OPTIONS, ...command.options },
+      allowPositionals: true,
+    });
+    if (values.help) {
+      printUsage();
+      return 0;
+    }
+    const code = await command.run(values, positionals);
+    logHubspotMetrics();
+    return code;
+  } catch (error) {
+    if (error instanceof UsageError || error.code?.startsWith?.('ERR_PARSE_ARGS')) {
+      console.error(`${name}: ${error.message}`);
+      return 2;
+    }
+    logger.error(`${name} failed`, { error: describeError(error) });
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  logToFile();
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  main,
+};
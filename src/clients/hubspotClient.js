@@ -0,0 +1,345 @@
+/*
+ * HubSpot Client Factory
+ *
+ * Every HubSpot call of the application goes through the clients created here, one
+ * per account (Source, Mirror). Calls on the SDK APIs (crm.contacts.basicApi.update,
+ * crm.companies.searchApi.doSearch, ...) are:
+ * - throttled by a token bucket per account, plus a stricter bucket for the Search API,
+ *   so bursts stay within HubSpot's per-second limits instead of being rejected;
+ * - counted against a daily budget per account, and refused once it is spent;
+ * - retried with exponential backoff and full jitter, waiting at least the Retry-After
+ *   delay HubSpot sends with a 429. Reads, searches, updates, upserts and archivals are
+ *   retried on 429, 5xx and network errors. Creates are retried on 429 only: after a 5xx
+ *   or a lost connection HubSpot may have applied them, and a retry would create the
+ *   records twice. A 429 caused by the daily limit is not retried.
+ * Calls, retries, throttling waits and rate-limit responses are counted per account
+ * (getHubspotMetrics). HUBSPOT_BASE_URL points the clients to another server than
+ * https://api.hubapi.com, e.g. the fake HubSpot of the tests.
+ */
+
+const hubspot = require('@hubspot/api-client');
+require('dotenv').config();
+const { getLogger } = require('../utils/logger');
+
+const logger = getLogger('hubspot-client');
+
+// HubSpot accounts and the environment variable holding their private app token
+const ACCOUNT_TOKENS = {
+  source: 'HUBSPOT_SOURCE_TOKEN',
+  mirror: 'HUBSPOT_MIRROR_TOKEN',
+};
+
+const MAX_BACKOFF_MS = 30000;
+
+/**
+ * Reads a positive number from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset or invalid
+ * @returns {number} Value
+ */
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Resolves the rate limit settings, from the environment by default
+ * @param {object} [overrides] - Explicit settings
+ * @returns {{requestsPerSecond: number, searchRequestsPerSecond: number, dailyLimit: number, maxRetries: number, baseDelayMs: number}}
+ */
+function resolveLimits(overrides = {}) {
+  return {
+    // HubSpot allows 100 calls per 10 seconds (190 on Professional and Enterprise)
+    requestsPerSecond: numberFromEnv('HUBSPOT_REQUESTS_PER_SECOND', 10),
+    // The Search API has its own limit of 5 requests per second
+    searchRequestsPerSecond: numberFromEnv('HUBSPOT_SEARCH_REQUESTS_PER_SECOND', 4),
+    dailyLimit: numberFromEnv('HUBSPOT_DAILY_LIMIT', 250000),
+    maxRetries: process.env.HUBSPOT_MAX_RETRIES === '0' ? 0 : numberFromEnv('HUBSPOT_MAX_RETRIES', 5),
+    baseDelayMs: 500,
+    ...overrides,
+  };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Creates a token bucket that hands out tokens in request order
+ * @param {number} ratePerSecond - Refill rate, also the bucket capacity (one second of burst)
+ * @returns {{take: function(): Promise<number>}} take() resolves with the time waited, in ms
+ */
+function createTokenBucket(ratePerSecond) {
+  let tokens = ratePerSecond;
+  let refilledAt = Date.now();
+  let queue = Promise.resolve();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(ratePerSecond, tokens + ((now - refilledAt) / 1000) * ratePerSecond);
+    refilledAt = now;
+  };
+
+  return {
+    take() {
+      const turn = queue.then(async () => {
+        refill();
+        let waited = 0;
+        if (tokens < 1) {
+          waited = Math.ceil(((1 - tokens) / ratePerSecond) * 1000);
+          await sleep(waited);
+          refill();
+        }
+        tokens -= 1;
+        return waited;
+      });
+      queue = turn;
+      return turn;
+    },
+  };
+}
+
+/**
+ * Tells how an SDK method is limited and retried
+ * Methods that are neither reads nor updates (create, createDefault, merge, ...) count as creates
+ * @param {string} method - SDK method name, e.g. doSearch, getById, update
+ * @returns {string} 'search', 'read', 'write' (updates, upserts and archivals) or 'create'
+ */
+function methodKind(method) {
+  if (method === 'doSearch') return 'search';
+  if (/^(get|read)/.test(method)) return 'read';
+  if (/^(update|upsert|archive)/.test(method)) return 'write';
+  return 'create';
+}
+
+/**
+ * Tells whether a failed call is worth retrying
+ * @param {Error} error - SDK error (code holds the HTTP status)
+ * @param {string} kind - Method kind returned by methodKind
+ * @returns {boolean} True for 429 (except the daily limit), and for 5xx and network errors unless the call creates
+ */
+function isRetryable(error, kind) {
+  const status = Number(error.code);
+  if (status === 429) {
+    return error.body?.policyName !== 'DAILY';
+  }
+  // A create may have been applied before it failed
+  if (kind === 'create') return false;
+  if (status >= 500 && status <= 599) return true;
+  // Network errors carry a system code (ECONNRESET, ETIMEDOUT, ...) instead of a status
+  return !status && typeof error.code === 'string' && error.code !== 'HUBSPOT_DAILY_LIMIT';
+}
+
+/**
+ * Reads the Retry-After header of a 429 response
+ * @param {Error} error - SDK error
+ * @returns {number} Delay in ms, 0 if absent
+ */
+function retryAfterMs(error) {
+  const value = error.headers?.['retry-after'];
+  if (!value) return 0;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+/**
+ * Computes the wait before a retry: exponential backoff with full jitter, never shorter than Retry-After
+ * @param {Error} error - SDK error
+ * @param {number} attempt - Retry number, from 1
+ * @param {number} baseDelayMs - Delay of the first retry
+ * @returns {number} Delay in ms
+ */
+function backoffDelay(error, attempt, baseDelayMs) {
+  const jittered = Math.random() * Math.min(MAX_BACKOFF_MS, baseDelayMs * 2 ** attempt);
+  return Math.max(retryAfterMs(error), jittered);
+}
+
+/**
+ * Creates the call limiter of an account: token buckets, daily budget, retries and metrics
+ * @param {string} account - Account name used in logs and metrics
+ * @param {object} limits - Settings returned by resolveLimits
+ * @returns {{run: function(string, string, Function): Promise<*>, metrics: object}} Limiter
+ */
+function createCallLimiter(account, limits) {
+  const bucket = createTokenBucket(limits.requestsPerSecond);
+  const searchBucket = createTokenBucket(limits.searchRequestsPerSecond);
+  const metrics = {
+    calls: 0,
+    succeeded: 0,
+    failed: 0,
+    retries: 0,
+    rateLimited: 0,
+    serverErrors: 0,
+    throttled: 0,
+    throttledMs: 0,
+    day: null,
+    dailyCalls: 0,
+    dailyLimit: limits.dailyLimit,
+  };
+
+  // Counts one request against the daily budget, which resets at midnight UTC
+  const spendDailyBudget = () => {
+    const today = new Date().toISOString().slice(0, 10);
+    if (metrics.day !== today) {
+      metrics.day = today;
+      metrics.dailyCalls = 0;
+    }
+    if (metrics.dailyCalls >= limits.dailyLimit) {
+      const error = new Error(`HubSpot daily limit of ${limits.dailyLimit} calls reached for the ${account} account`);
+      error.code = 'HUBSPOT_DAILY_LIMIT';
+      throw error;
+    }
+    metrics.dailyCalls += 1;
+  };
+
+  /**
+   * Runs one SDK call within the limits
+   * @param {string} path - API path of the method, e.g. crm.contacts.searchApi.doSearch (logged on retries)
+   * @param {string} kind - Method kind returned by methodKind
+   * @param {Function} call - Performs the request
+   * @returns {Promise<*>} Call result
+   */
+  async function run(path, kind, call) {
+    metrics.calls += 1;
+    for (let attempt = 0; ; attempt += 1) {
+      let waited = await bucket.take();
+      if (kind === 'search') {
+        waited += await searchBucket.take();
+      }
+      if (waited > 0) {
+        metrics.throttled += 1;
+        metrics.throttledMs += waited;
+      }
+
+      try {
+        spendDailyBudget();
+        const result = await call();
+        metrics.succeeded += 1;
+        return result;
+      } catch (error) {
+        const status = Number(error.code);
+        if (status === 429) metrics.rateLimited += 1;
+        if (status >= 500) metrics.serverErrors += 1;
+        if (attempt >= limits.maxRetries || !isRetryable(error, kind)) {
+          metrics.failed += 1;
+          throw error;
+        }
+
+        const delay = backoffDelay(error, attempt + 1, limits.baseDelayMs);
+        metrics.retries += 1;
+        logger.warn('HubSpot call failed, retry scheduled', {
+          account,
+          call: path,
+          status: status || error.code,
+          retry: `${attempt + 1}/${limits.maxRetries}`,
+          delayMs: Math.round(delay),
+        });
+        await sleep(delay);
+      }
+    }
+  }
+
+  return { run, metrics };
+}
+
+/**
+ * Wraps the SDK API objects so their methods run through the limiter
+ * Only the methods of the generated API classes (basicApi, batchApi, searchApi, coreApi, ...) are
+ * wrapped; the proxies are cached so an API object keeps its identity.
+ * @param {object} target - SDK object (client.crm or a nested discovery object)
+ * @param {string} path - Path of the object from the client
+ * @param {function(string, string, Function): Promise<*>} run - Limiter entry point
+ * @param {WeakMap} cache - Proxies already created
+ * @returns {object} Proxy
+ */
+function limitApi(target, path, run, cache) {
+  if (cache.has(target)) return cache.get(target);
+  const isApi = /Api$/.test(path.split('.').pop());
+
+  const proxy = new Proxy(target, {
+    get(object, property) {
+      // Getters run on the SDK object itself: with the proxy as `this`, the lazily created
+      // APIs they return would be wrapped twice and every call limited and retried twice
+      const value = Reflect.get(object, property, object);
+      if (typeof property !== 'string') return value;
+      if (typeof value === 'function') {
+        if (!isApi) return value.bind(object);
+        return (...args) => run(`${path}.${property}`, methodKind(property), () => value.apply(object, args));
+      }
+      if (value && typeof value === 'object' && !isApi) {
+        return limitApi(value, `${path}.${property}`, run, cache);
+      }
+      return value;
+    },
+  });
+  cache.set(target, proxy);
+  return proxy;
+}
+
+/**
+ * Creates a HubSpot client whose CRM calls are rate limited and retried
+ * @param {object} options - Client options
+ * @param {string} options.accessToken - Private app token
+ * @param {string} [options.account='hubspot'] - Account name used in logs and metrics
+ * @param {object} [options.limits] - Overrides of the settings returned by resolveLimits
+ * @param {object} [options.limiter] - Limiter to share with other clients of the same account
+ * @param {string} [options.basePath] - API server URL (HUBSPOT_BASE_URL, defaults to https://api.hubapi.com)
+ * @returns {object} Client exposing the SDK client API (client.crm...)
+ */
+function createHubspotClient({ accessToken, account = 'hubspot', limits, limiter, basePath = process.env.HUBSPOT_BASE_URL }) {
+  const client = new hubspot.Client(basePath ? { accessToken, basePath } : { accessToken });
+  const callLimiter = limiter || createCallLimiter(account, resolveLimits(limits));
+  const crm = limitApi(client.crm, 'crm', callLimiter.run, new WeakMap());
+
+  return new Proxy(client, {
+    get(object, property, receiver) {
+      if (property === 'crm') return crm;
+      if (property === 'limiter') return callLimiter;
+      return Reflect.get(object, property, receiver);
+    },
+  });
+}
+
+// Shared client and limiter per account, so all modules draw from the same limits
+const sharedClients = {};
+
+/**
+ * Returns the shared client of an account, built from its token in the environment
+ * @param {string} account - 'source' or 'mirror'
+ * @returns {object} Rate limited HubSpot client
+ * @throws {Error} If the account is unknown
+ */
+function getHubspotClient(account) {
+  if (!ACCOUNT_TOKENS[account]) {
+    throw new Error(`Unknown HubSpot account '${account}'`);
+  }
+  const accessToken = process.env[ACCOUNT_TOKENS[account]];
+  const shared = sharedClients[account];
+  if (shared && shared.accessToken === accessToken) return shared.client;
+
+  // A changed token gets a new client, but keeps the limits and counters of the account
+  const limiter = shared ? shared.client.limiter : createCallLimiter(account, resolveLimits());
+  const client = createHubspotClient({ accessToken, account, limiter });
+  sharedClients[account] = { accessToken, client };
+  return client;
+}
+
+/**
+ * Returns the call metrics of the shared clients
+ * @returns {Object<string, object>} Metrics per account created so far
+ */
+function getHubspotMetrics() {
+  return Object.fromEntries(
+    Object.entries(sharedClients).map(([account, { client }]) => [account, { ...client.limiter.metrics }])
+  );
+}
+
+module.exports = {
+  ACCOUNT_TOKENS,
+  resolveLimits,
+  createTokenBucket,
+  methodKind,
+  createHubspotClient,
+  getHubspotClient,
+  getHubspotMetrics,
+};
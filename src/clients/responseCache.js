@@ -0,0 +1,114 @@
+/*
+ * Response Cache
+ *
+ * Stores for HTTP responses keyed by request URL. A store is any object with
+ * get(key), set(key, entry) and delete(key); entries hold the response body and
+ * status, its validators (ETag, Last-Modified) and the time it was stored. The
+ * memory store is an LRU, the disk store keeps one JSON file per URL so a warmed
+ * cache survives restarts, and a tiered store reads through both.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+
+/**
+ * Creates an in-memory store that evicts the least recently used entry when full
+ * @param {object} [options] - Store options
+ * @param {number} [options.maxEntries=500] - Entries kept
+ * @returns {{get: Function, set: Function, delete: Function, clear: Function, size: Function}} Store
+ */
+function createMemoryStore({ maxEntries = 500 } = {}) {
+  const entries = new Map();
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (entry) {
+        // Map keeps insertion order: re-inserting marks the entry as most recently used
+        entries.delete(key);
+        entries.set(key, entry);
+      }
+      return entry;
+    },
+    set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    delete(key) {
+      entries.delete(key);
+    },
+    clear() {
+      entries.clear();
+    },
+    size: () => entries.size,
+  };
+}
+
+/**
+ * Creates a store keeping one JSON file per key in a directory
+ * An unreadable file is treated as a miss.
+ * @param {object} options - Store options
+ * @param {string} options.dir - Cache directory
+ * @returns {{get: Function, set: Function, delete: Function, clear: Function}} Store
+ */
+function createDiskStore({ dir }) {
+  const fileOf = key => path.join(dir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+  return {
+    get(key) {
+      try {
+        const entry = readJsonFile(fileOf(key), undefined);
+        return entry && entry.key === key ? entry : undefined;
+      } catch (error) {
+        return undefined;
+      }
+    },
+    set(key, entry) {
+      writeJsonFile(fileOf(key), { key, ...entry });
+    },
+    delete(key) {
+      fs.rmSync(fileOf(key), { force: true });
+    },
+    clear() {
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * Combines stores, fastest first: reads fall through and hits are copied to the faster stores
+ * @param {Array<object>} stores - Stores to combine
+ * @returns {{get: Function, set: Function, delete: Function, clear: Function}} Store
+ */
+function createTieredStore(stores) {
+  return {
+    get(key) {
+      for (let i = 0; i < stores.length; i++) {
+        const entry = stores[i].get(key);
+        if (entry) {
+          stores.slice(0, i).forEach(store => store.set(key, entry));
+          return entry;
+        }
+      }
+      return undefined;
+    },
+    set(key, entry) {
+      stores.forEach(store => store.set(key, entry));
+    },
+    delete(key) {
+      stores.forEach(store => store.delete(key));
+    },
+    clear() {
+      stores.forEach(store => store.clear());
+    },
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+  createDiskStore,
+  createTieredStore,
+};
@@ -1,12 +1,23 @@
 const axios = require('axios');
 const https = require('https');
+const { createMemoryStore, createDiskStore, createTieredStore } = require('./responseCache');
+const { resolveDataPath } = require('../utils/jsonFile');
+const { getLogger } = require('../utils/logger');
 
-// Base API endpoint for Rick and Morty API
-const BASE_URL = 'https://rickandmortyapi.com/api';
+// Default base API endpoint for Rick and Morty API (RICK_AND_MORTY_BASE_URL points to another server, e.g. in tests)
+const DEFAULT_BASE_URL = 'https://rickandmortyapi.com/api';
+
+// IDs per multi-ID request (/character/[1,2,3]), keeps URLs well below server limits
+const MAX_IDS_PER_REQUEST = 100;
+
+// Query parameters accepted by the filter endpoints
+const CHARACTER_FILTERS = ['name', 'status', 'species', 'type', 'gender'];
+const LOCATION_FILTERS = ['name', 'type', 'dimension'];
+const EPISODE_FILTERS = ['name', 'episode'];
 
 /**
  * HTTPS agent configuration for axios requests
- * Note: Disabling certificate validation (rejectUnauthorized: false) 
+ * Note: Disabling certificate validation (rejectUnauthorized: false)
  * should only be used in development environments.
  * Production environments should implement proper certificate validation.
  */
@@ -15,75 +26,424 @@ const agent = new https.Agent({
 });
 
 /**
- * Retrieves character data by ID from Rick and Morty API
- * @param {number} characterId - Unique identifier for the character
- * @returns {Promise<Object>} Character data object
- * @throws Will throw error if request fails or times out
+ * Builds the default response cache settings from the environment
+ * RICK_AND_MORTY_CACHE: 'disk' (memory LRU backed by files, default), 'memory' or 'off'
+ * @returns {{store: (object|null), ttlMs: number, offline: boolean}} Cache settings
  */
-async function getCharacterById(characterId) {
-  try {
-    const response = await axios.get(`${BASE_URL}/character/${characterId}`, {
-      httpsAgent: agent,
-      timeout: 10000 // 10 second timeout
-    });
-    return response.data;
-  } catch (error) {
-    console.error(`Character fetch failed for ID ${characterId}:`, {
-      error: error.message,
-      status: error.response?.status
-    });
-    throw new Error(`API request failed for character ${characterId}`);
+function defaultResponseCache() {
+  const mode = process.env.RICK_AND_MORTY_CACHE || 'disk';
+  const memory = createMemoryStore({ maxEntries: Number(process.env.RICK_AND_MORTY_CACHE_MAX_ENTRIES) || 500 });
+  const stores = {
+    off: null,
+    memory,
+    disk: createTieredStore([
+      memory,
+      createDiskStore({ dir: process.env.RICK_AND_MORTY_CACHE_DIR || resolveDataPath('rick-and-morty-cache') }),
+    ]),
+  };
+  if (!(mode in stores)) {
+    throw new Error(`RICK_AND_MORTY_CACHE must be disk, memory or off (got '${mode}')`);
   }
+  return {
+    store: stores[mode],
+    // The API data hardly ever changes; expired entries are revalidated with their ETag
+    ttlMs: (Number(process.env.RICK_AND_MORTY_CACHE_TTL_SECONDS) || 24 * 60 * 60) * 1000,
+    offline: process.env.RICK_AND_MORTY_OFFLINE === 'true',
+  };
+}
+
+/**
+ * Builds the cache key of a request: the URL with its query parameters in a stable order
+ * @param {string} url - Endpoint URL
+ * @param {object} [params] - Query parameters
+ * @returns {string} Cache key
+ */
+function cacheKey(url, params = {}) {
+  const query = new URLSearchParams(
+    Object.keys(params).sort()
+      .filter(name => params[name] !== undefined && params[name] !== null)
+      .map(name => [name, String(params[name])])
+  ).toString();
+  return query ? `${url}?${query}` : url;
+}
+
+/**
+ * Returns a cached response: the body, or an axios-like error for a cached 404
+ * @param {object} entry - Cache entry
+ * @returns {Object} Response body
+ * @throws {Error} If the cached response is a 404
+ */
+function fromCache(entry) {
+  if (entry.status === 404) {
+    const error = new Error('Request failed with status code 404 (cached)');
+    error.response = { status: 404 };
+    throw error;
+  }
+  return entry.data;
+}
+
+/**
+ * Extracts the numeric resource ID from an API URL
+ * @param {string} url - Resource URL (e.g. https://rickandmortyapi.com/api/location/3)
+ * @returns {number|null} Resource ID, or null for empty or malformed URLs
+ */
+function idFromUrl(url) {
+  const match = /\/(\d+)\/?$/.exec(url || '');
+  return match ? Number(match[1]) : null;
 }
 
 /**
- * Fetches location data from specified URL
- * @param {string} locationUrl - Complete API endpoint for location
- * @returns {Promise<Object>} Location data object
- * @throws Will throw error if request fails or times out
+ * Keeps only the query parameters supported by a filter endpoint
+ * @param {object} filters - Requested filters
+ * @param {Array<string>} allowed - Supported filter names
+ * @returns {object} Query parameters
+ * @throws {Error} If an unsupported filter is requested
  */
-async function getLocationByUrl(locationUrl) {
-  try {
-    const response = await axios.get(locationUrl, {
-      httpsAgent: agent,
-      timeout: 10000 // 10 second timeout
-    });
-    return response.data;
-  } catch (error) {
-    console.error(`Location fetch failed for URL ${locationUrl}:`, {
-      error: error.message,
-      status: error.response?.status
-    });
-    throw new Error(`API request failed for location ${locationUrl}`);
+function toFilterParams(filters, allowed) {
+  const params = {};
+  for (const [name, value] of Object.entries(filters || {})) {
+    if (!allowed.includes(name)) {
+      throw new Error(`Unsupported filter '${name}' (supported: ${allowed.join(', ')})`);
+    }
+    if (value !== undefined && value !== null && value !== '') params[name] = value;
   }
+  return params;
 }
 
 /**
- * Retrieves paginated character data from Rick and Morty API
- * @param {number|null} [page=null] - Specific page number or null for initial data
- * @returns {Promise<Object>} Object containing character data and pagination info
- * @throws Will throw error if request fails or times out
+ * Creates a Rick and Morty API client
+ * @param {object} [options] - Client options
+ * @param {string} [options.baseUrl] - API base URL (RICK_AND_MORTY_BASE_URL, defaults to https://rickandmortyapi.com/api)
+ * @param {object} [options.cache] - Response cache settings (see configureResponseCache); environment defaults when omitted
+ * @param {object} [options.logger] - Logger (defaults to the shared 'rick-and-morty' logger)
+ * @returns {Object} Client API: character, location and episode lookups and configureResponseCache
  */
-async function getCharactersInfo(page = null) {
-  const endpoint = page ? `${BASE_URL}/character?page=${page}` : `${BASE_URL}/character`;
-  
-  try {
-    const response = await axios.get(endpoint, {
-      httpsAgent: agent,
-      timeout: 10000 // 10 second timeout
-    });
-    return response.data;
-  } catch (error) {
-    console.error(`Character list fetch failed for page ${page || 'initial'}:`, {
-      error: error.message,
-      status: error.response?.status
-    });
-    throw new Error(`API request failed for characters page ${page || 'initial'}`);
+function createRickAndMortyClient({
+  baseUrl = process.env.RICK_AND_MORTY_BASE_URL || DEFAULT_BASE_URL,
+  cache,
+  logger = getLogger('rick-and-morty'),
+} = {}) {
+  const apiUrl = baseUrl.replace(/\/$/, '');
+  // Response cache settings, built from the environment on first use (see configureResponseCache)
+  let responseCache = null;
+
+  /**
+   * Replaces the response cache settings; omitted settings keep their environment defaults
+   * @param {object} [options] - Cache settings
+   * @param {object|null} [options.store] - Store with get/set/delete (see responseCache.js), null disables caching
+   * @param {number} [options.ttlSeconds] - Time during which a cached response is used without asking the API
+   * @param {boolean} [options.offline] - Answer from the cache only, even from expired entries
+   */
+  function configureResponseCache({ store, ttlSeconds, offline } = {}) {
+    const defaults = defaultResponseCache();
+    responseCache = {
+      store: store !== undefined ? store : defaults.store,
+      ttlMs: ttlSeconds !== undefined ? ttlSeconds * 1000 : defaults.ttlMs,
+      offline: offline !== undefined ? offline : defaults.offline,
+    };
+  }
+
+  /**
+   * Performs a GET request against the Rick and Morty API, through the response cache
+   * Fresh entries are answered locally. Expired entries are revalidated with If-None-Match and
+   * If-Modified-Since, and still served if the API cannot be reached. 404 answers are cached too,
+   * because the filter endpoints use them for empty results.
+   * @param {string} url - Complete endpoint URL
+   * @param {object} [params] - Query parameters
+   * @returns {Promise<Object>} Response body
+   * @throws Will throw axios error if request fails or times out, or an error if offline and not cached
+   */
+  async function getJson(url, params) {
+    if (!responseCache) configureResponseCache();
+    const { store, ttlMs, offline } = responseCache;
+    const key = cacheKey(url, params);
+    const cached = store && store.get(key);
+
+    if (cached && (offline || Date.now() - cached.storedAt < ttlMs)) {
+      return fromCache(cached);
+    }
+    if (offline) {
+      throw new Error(`${key} is not cached and the Rick and Morty client is offline`);
+    }
+
+    const headers = {};
+    if (cached?.etag) headers['If-None-Match'] = cached.etag;
+    if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    let response;
+    try {
+      response = await axios.get(url, {
+        params,
+        headers,
+        httpsAgent: agent,
+        timeout: 10000, // 10 second timeout
+        validateStatus: status => (status >= 200 && status < 300) || status === 304,
+      });
+    } catch (error) {
+      const status = error.response?.status;
+      if (store && status === 404) {
+        store.set(key, { status: 404, storedAt: Date.now() });
+      } else if (cached && (!status || status >= 500)) {
+        logger.warn('Rick and Morty API unavailable, using the expired cache', { url: key, error: status || error.message });
+        return fromCache(cached);
+      }
+      throw error;
+    }
+
+    if (!store) return response.data;
+    const entry = response.status === 304
+      ? { ...cached, storedAt: Date.now() }
+      : {
+        status: response.status,
+        data: response.data,
+        etag: response.headers?.etag,
+        lastModified: response.headers?.['last-modified'],
+        storedAt: Date.now(),
+      };
+    store.set(key, entry);
+    return fromCache(entry);
+  }
+
+  /**
+   * Fetches several resources of one type with the multi-ID endpoint (/resource/[1,2,3])
+   * @param {string} resource - 'character', 'location' or 'episode'
+   * @param {Array<number>} ids - Resource IDs
+   * @returns {Promise<Array<Object>>} Resources found (unknown IDs are left out)
+   * @throws Will throw error if a request fails or times out
+   */
+  async function getResourcesByIds(resource, ids) {
+    const uniqueIds = Array.from(new Set(ids.map(Number))).filter(Number.isInteger);
+    let resources = [];
+
+    for (let i = 0; i < uniqueIds.length; i += MAX_IDS_PER_REQUEST) {
+      const batch = uniqueIds.slice(i, i + MAX_IDS_PER_REQUEST);
+      try {
+        const data = await getJson(`${apiUrl}/${resource}/[${batch.join(',')}]`);
+        // A single ID returns the object itself instead of an array
+        resources = resources.concat(Array.isArray(data) ? data : [data]);
+      } catch (error) {
+        logger.error(`${resource} batch fetch failed`, {
+          ids: `${batch[0]}-${batch[batch.length - 1]}`,
+          error: error.message,
+          status: error.response?.status
+        });
+        throw new Error(`API request failed for ${resource} IDs ${batch.join(',')}`);
+      }
+    }
+    return resources;
+  }
+
+  /**
+   * Fetches one page of a filter endpoint
+   * An empty result set (the API answers 404) is returned as an empty page
+   * @param {string} resource - 'character', 'location' or 'episode'
+   * @param {object} params - Filter query parameters
+   * @param {number} page - Page number
+   * @returns {Promise<Object>} Object containing results and pagination info
+   * @throws Will throw error if request fails or times out
+   */
+  async function getFilteredPage(resource, params, page) {
+    try {
+      return await getJson(`${apiUrl}/${resource}`, { ...params, page });
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return { info: { count: 0, pages: 0, next: null, prev: null }, results: [] };
+      }
+      logger.error(`${resource} filter fetch failed`, {
+        page,
+        filters: params,
+        error: error.message,
+        status: error.response?.status
+      });
+      throw new Error(`API request failed for ${resource} filter page ${page}`);
+    }
+  }
+
+  /**
+   * Fetches every page of a filter endpoint
+   * @param {string} resource - 'character', 'location' or 'episode'
+   * @param {object} params - Filter query parameters
+   * @returns {Promise<Array<Object>>} All matching resources
+   */
+  async function getAllFiltered(resource, params) {
+    let results = [];
+    let page = 1;
+    let pages = 1;
+    do {
+      const response = await getFilteredPage(resource, params, page);
+      results = results.concat(response.results);
+      pages = response.info.pages;
+      page++;
+    } while (page <= pages);
+    return results;
   }
+
+  /**
+   * Retrieves character data by ID from Rick and Morty API
+   * @param {number} characterId - Unique identifier for the character
+   * @returns {Promise<Object>} Character data object
+   * @throws Will throw error if request fails or times out
+   */
+  async function getCharacterById(characterId) {
+    try {
+      return await getJson(`${apiUrl}/character/${characterId}`);
+    } catch (error) {
+      logger.error('Character fetch failed', {
+        characterId,
+        error: error.message,
+        status: error.response?.status
+      });
+      throw new Error(`API request failed for character ${characterId}`);
+    }
+  }
+
+  /**
+   * Retrieves several characters in as few requests as possible (/character/[1,2,3])
+   * @param {Array<number>} characterIds - Character IDs
+   * @returns {Promise<Array<Object>>} Character data objects
+   * @throws Will throw error if a request fails or times out
+   */
+  async function getCharactersByIds(characterIds) {
+    return getResourcesByIds('character', characterIds);
+  }
+
+  /**
+   * Retrieves every character matching the API filters (all pages)
+   * @param {object} [filters] - Any of name, status, species, type, gender
+   * @returns {Promise<Array<Object>>} Matching characters
+   * @throws Will throw error if a filter is unsupported or a request fails
+   */
+  async function getCharacters(filters = {}) {
+    return getAllFiltered('character', toFilterParams(filters, CHARACTER_FILTERS));
+  }
+
+  /**
+   * Fetches location data from specified URL
+   * @param {string} locationUrl - Complete API endpoint for location
+   * @returns {Promise<Object>} Location data object
+   * @throws Will throw error if request fails or times out
+   */
+  async function getLocationByUrl(locationUrl) {
+    try {
+      return await getJson(locationUrl);
+    } catch (error) {
+      logger.error('Location fetch failed', {
+        url: locationUrl,
+        error: error.message,
+        status: error.response?.status
+      });
+      throw new Error(`API request failed for location ${locationUrl}`);
+    }
+  }
+
+  /**
+   * Retrieves several locations in as few requests as possible (/location/[1,2,3])
+   * @param {Array<number>} locationIds - Location IDs
+   * @returns {Promise<Array<Object>>} Location data objects
+   * @throws Will throw error if a request fails or times out
+   */
+  async function getLocationsByIds(locationIds) {
+    return getResourcesByIds('location', locationIds);
+  }
+
+  /**
+   * Retrieves every location matching the API filters (all pages)
+   * @param {object} [filters] - Any of name, type, dimension
+   * @returns {Promise<Array<Object>>} Matching locations
+   * @throws Will throw error if a filter is unsupported or a request fails
+   */
+  async function getLocations(filters = {}) {
+    return getAllFiltered('location', toFilterParams(filters, LOCATION_FILTERS));
+  }
+
+  /**
+   * Retrieves several episodes in as few requests as possible (/episode/[1,2,3])
+   * @param {Array<number>} episodeIds - Episode IDs
+   * @returns {Promise<Array<Object>>} Episode data objects
+   * @throws Will throw error if a request fails or times out
+   */
+  async function getEpisodesByIds(episodeIds) {
+    return getResourcesByIds('episode', episodeIds);
+  }
+
+  /**
+   * Retrieves every episode matching the API filters (all pages)
+   * @param {object} [filters] - Any of name, episode (code such as 'S01' or 'S01E01')
+   * @returns {Promise<Array<Object>>} Matching episodes
+   * @throws Will throw error if a filter is unsupported or a request fails
+   */
+  async function getEpisodes(filters = {}) {
+    return getAllFiltered('episode', toFilterParams(filters, EPISODE_FILTERS));
+  }
+
+  /**
+   * Retrieves paginated character data from Rick and Morty API
+   * @param {number|null} [page=null] - Specific page number or null for initial data
+   * @returns {Promise<Object>} Object containing character data and pagination info
+   * @throws Will throw error if request fails or times out
+   */
+  async function getCharactersInfo(page = null) {
+    const endpoint = page ? `${apiUrl}/character?page=${page}` : `${apiUrl}/character`;
+
+    try {
+      return await getJson(endpoint);
+    } catch (error) {
+      logger.error('Character list fetch failed', {
+        page: page || 'initial',
+        error: error.message,
+        status: error.response?.status
+      });
+      throw new Error(`API request failed for characters page ${page || 'initial'}`);
+    }
+  }
+
+  if (cache) configureResponseCache(cache);
+
+  return {
+    configureResponseCache,
+    getCharacterById,
+    getCharactersByIds,
+    getCharacters,
+    getLocationByUrl,
+    getLocationsByIds,
+    getLocations,
+    getEpisodesByIds,
+    getEpisodes,
+    getCharactersInfo,
+  };
+}
+
+// Client of the process, created from the environment on first use
+let defaultClient = null;
+
+/**
+ * @returns {object} Rick and Morty client configured from the environment
+ */
+function getRickAndMortyClient() {
+  if (!defaultClient) defaultClient = createRickAndMortyClient();
+  return defaultClient;
 }
 
+/**
+ * Delegates a client method to the default client, so the module can be used directly
+ * @param {string} method - Client method name
+ * @returns {Function} Function calling the method of the default client
+ */
+const withDefaultClient = method => (...args) => getRickAndMortyClient()[method](...args);
+
 module.exports = {
-  getCharacterById,
-  getLocationByUrl,
-  getCharactersInfo
+  CHARACTER_FILTERS,
+  createRickAndMortyClient,
+  getRickAndMortyClient,
+  idFromUrl,
+  configureResponseCache: withDefaultClient('configureResponseCache'),
+  getCharacterById: withDefaultClient('getCharacterById'),
+  getCharactersByIds: withDefaultClient('getCharactersByIds'),
+  getCharacters: withDefaultClient('getCharacters'),
+  getLocationByUrl: withDefaultClient('getLocationByUrl'),
+  getLocationsByIds: withDefaultClient('getLocationsByIds'),
+  getLocations: withDefaultClient('getLocations'),
+  getEpisodesByIds: withDefaultClient('getEpisodesByIds'),
+  getEpisodes: withDefaultClient('getEpisodes'),
+  getCharactersInfo: withDefaultClient('getCharactersInfo'),
 };
@@ -0,0 +1,28 @@
+const { newCorrelationId, withLogContext } = require('../utils/logger');
+
+const CORRELATION_HEADER = 'X-Correlation-Id';
+// Accepted incoming IDs: short and free of characters that could forge log lines
+const VALID_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Creates an Express middleware giving every request a correlation ID
+ * The ID is taken from the X-Correlation-Id (or X-Request-Id) header when the caller sends a
+ * valid one, generated otherwise, echoed in the response header and added as requestId to
+ * every entry logged while the request is handled, including the work it starts.
+ * Mount it after the body parsers, whose callbacks would otherwise run outside the request context.
+ * @returns {Function} Express middleware
+ */
+function createCorrelationId() {
+  return function correlationId(req, res, next) {
+    const received = req.get(CORRELATION_HEADER) || req.get('X-Request-Id');
+    const id = received && VALID_ID.test(received) ? received : newCorrelationId();
+    req.correlationId = id;
+    res.set(CORRELATION_HEADER, id);
+    withLogContext({ requestId: id }, next);
+  };
+}
+
+module.exports = {
+  CORRELATION_HEADER,
+  createCorrelationId,
+};
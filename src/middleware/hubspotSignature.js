@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const { Signature } = require('@hubspot/api-client');
+
+// HubSpot rejects v3 signatures older than five minutes; we apply the same window
+const DEFAULT_MAX_AGE_MS = 5 * 60 * 1000;
+
+// Characters HubSpot decodes in the request URI before computing the v3 signature
+const DECODED_URI_CHARACTERS = {
+  '%3A': ':', '%2F': '/', '%3F': '?', '%40': '@', '%21': '!', '%24': '$',
+  '%27': "'", '%28': '(', '%29': ')', '%2A': '*', '%2C': ',', '%3B': ';',
+};
+
+/**
+ * express.json() `verify` hook that keeps the untouched request body
+ * The v3 signature is computed over the raw bytes, not the parsed JSON
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Buffer} buf - Raw request body
+ */
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf.toString('utf8');
+}
+
+/**
+ * Normalizes a request URI the same way HubSpot does before signing it
+ * @param {string} uri - Full request URI
+ * @returns {string} URI with the HubSpot-decoded characters restored
+ */
+function normalizeUri(uri) {
+  return uri.replace(/%(3A|2F|3F|40|21|24|27|28|29|2A|2C|3B)/gi, (match) =>
+    DECODED_URI_CHARACTERS[match.toUpperCase()]
+  );
+}
+
+/**
+ * Compares two signatures without leaking timing information
+ * @param {string} expected - Locally computed signature
+ * @param {string} received - Signature sent by HubSpot
+ * @returns {boolean} True if both signatures match
+ */
+function signaturesMatch(expected, received) {
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(received);
+  return expectedBuffer.length === receivedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+/**
+ * Creates an Express middleware validating HubSpot's X-HubSpot-Signature-v3 header
+ * Requests with a missing, stale, replayed or tampered signature get a 401
+ * @param {Object} options - Verifier configuration
+ * @param {string} options.clientSecret - HubSpot app client secret used as HMAC key
+ * @param {Object} options.logger - Winston logger for rejection entries
+ * @param {boolean} [options.skipVerification=false] - Local development bypass (ignored in production)
+ * @param {number} [options.maxAgeMs=300000] - Maximum accepted timestamp skew
+ * @param {string} [options.baseUrl] - Public base URL when running behind a proxy
+ * @returns {Function} Express middleware
+ */
+function createHubspotSignatureVerifier({
+  clientSecret,
+  logger,
+  skipVerification = false,
+  maxAgeMs = DEFAULT_MAX_AGE_MS,
+  baseUrl,
+}) {
+  // Signatures already accepted, kept until their timestamp leaves the window
+  const seenSignatures = new Map();
+
+  if (skipVerification && process.env.NODE_ENV === 'production') {
+    logger.error('Webhook signature bypass ignored in production');
+    skipVerification = false;
+  }
+
+  const pruneSeenSignatures = (now) => {
+    for (const [signature, expiresAt] of seenSignatures) {
+      if (expiresAt <= now) seenSignatures.delete(signature);
+    }
+  };
+
+  const reject = (req, res, reason) => {
+    logger.warn('Webhook signature rejected', {
+      reason,
+      method: req.method,
+      path: req.originalUrl,
+      ip: req.ip,
+    });
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  };
+
+  return function verifyHubspotSignature(req, res, next) {
+    if (skipVerification) {
+      logger.warn('Webhook signature verification skipped', { path: req.originalUrl });
+      return next();
+    }
+
+    if (!clientSecret) {
+      logger.error('HUBSPOT_CLIENT_SECRET is not configured, rejecting webhook');
+      return reject(req, res, 'missing_client_secret');
+    }
+
+    const signature = req.get('X-HubSpot-Signature-v3');
+    const timestampHeader = req.get('X-HubSpot-Request-Timestamp');
+    if (!signature || !timestampHeader) {
+      return reject(req, res, 'missing_signature_headers');
+    }
+
+    const timestamp = Number(timestampHeader);
+    const now = Date.now();
+    if (!Number.isFinite(timestamp) || Math.abs(now - timestamp) > maxAgeMs) {
+      return reject(req, res, 'stale_timestamp');
+    }
+
+    pruneSeenSignatures(now);
+    if (seenSignatures.has(signature)) {
+      return reject(req, res, 'replayed_signature');
+    }
+
+    const origin = baseUrl
+      ? baseUrl.replace(/\/$/, '')
+      : `${req.protocol}://${req.get('host')}`;
+    const expected = Signature.getSignature(req.method, 'v3', {
+      clientSecret,
+      url: normalizeUri(`${origin}${req.originalUrl}`),
+      requestBody: req.rawBody || '',
+      timestamp: timestampHeader,
+    });
+
+    if (!signaturesMatch(expected, signature)) {
+      return reject(req, res, 'signature_mismatch');
+    }
+
+    seenSignatures.set(signature, timestamp + maxAgeMs);
+    return next();
+  };
+}
+
+module.exports = {
+  captureRawBody,
+  createHubspotSignatureVerifier,
+};
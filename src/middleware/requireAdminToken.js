@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+
+/**
+ * Creates an Express middleware protecting operator endpoints with a bearer token
+ * Every request is rejected while no token is configured
+ * @param {Object} options - Middleware configuration
+ * @param {string} options.token - Expected token (ADMIN_API_TOKEN)
+ * @param {Object} options.logger - Winston logger
+ * @returns {Function} Express middleware
+ */
+function createAdminAuth({ token, logger }) {
+  const expected = token ? Buffer.from(token) : null;
+
+  return function requireAdminToken(req, res, next) {
+    if (!expected) {
+      logger.error('ADMIN_API_TOKEN is not configured, rejecting admin request', { path: req.originalUrl });
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const [scheme, value] = (req.get('Authorization') || '').split(' ');
+    const received = Buffer.from(value || '');
+    if (scheme !== 'Bearer' || received.length !== expected.length ||
+        !crypto.timingSafeEqual(received, expected)) {
+      logger.warn('Admin request rejected', { path: req.originalUrl, ip: req.ip });
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    return next();
+  };
+}
+
+module.exports = {
+  createAdminAuth,
+};
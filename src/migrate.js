@@ -0,0 +1,33 @@
+/*
+ * Migration entry point
+ *
+ * Usage: node src/migrate.js [--restart] [--skip-provision] [--offline] [--dry-run] [selection flags]
+ * Provisions the custom HubSpot properties of the Source and Mirror accounts, then
+ * migrates the selected Rick and Morty characters into the Source HubSpot account,
+ * resuming from the last checkpoint unless --restart is given. With --offline the
+ * Rick and Morty API is only read from the response cache.
+ *
+ * Dry run:
+ *   --dry-run                    plan the changes without writing anything
+ *   --plan-out <file.json>       plan export (default: data/migration-plan.json)
+ *   --plan-format table|json     console output of the plan (default: table)
+ *
+ * Selection flags (default: --strategy primes):
+ *   --selection <file.json>      selection specification (or MIGRATION_SELECTION_FILE)
+ *   --strategy primes|all        built-in strategy
+ *   --ids 1,2,3                  explicit IDs
+ *   --range 1-50                 ID range (repeatable)
+ *   --status, --species, --type, --gender, --origin, --location <value>  (repeatable)
+ *   --min-episodes <n>, --max-episodes <n>
+ *
+ * Same as `node src/cli.js migrate`, which also accepts --out and --format.
+ */
+
+const { main } = require('./cli');
+const { logToFile } = require('./utils/logger');
+
+logToFile();
+
+main(['migrate', ...process.argv.slice(2)]).then((code) => {
+  process.exitCode = code;
+});
@@ -0,0 +1,39 @@
+/*
+ * Property provisioning entry point
+ *
+ * Usage: node src/provision.js [--check]
+ * Reports the custom property differences of the Source and Mirror accounts,
+ * then creates what is missing unless --check is given.
+ */
+
+const { parseArgs } = require('util');
+require('dotenv').config();
+const { getHubspotClient } = require('./clients/hubspotClient');
+const { provisionProperties } = require('./services/propertyProvisioningService');
+const { getLogger, logToFile, newCorrelationId, withLogContext } = require('./utils/logger');
+
+logToFile();
+const logger = getLogger('provisioning');
+
+const { values } = parseArgs({
+  options: {
+    check: { type: 'boolean', default: false },
+  },
+});
+
+const accounts = {
+  Source: getHubspotClient('source'),
+  Mirror: getHubspotClient('mirror'),
+};
+
+withLogContext({ runId: newCorrelationId() }, () => provisionProperties(accounts, {
+  checkOnly: values.check,
+  episodeObjectTypes: { Source: process.env.HUBSPOT_EPISODE_OBJECT_TYPE },
+}))
+  .then(({ conflicts, failures }) => {
+    process.exitCode = conflicts > 0 || failures.length > 0 ? 1 : 0;
+  })
+  .catch((error) => {
+    logger.error('Property provisioning aborted', { error: error.body?.message || error.message });
+    process.exitCode = 1;
+  });
@@ -0,0 +1,51 @@
+/*
+ * Duplicate company report entry point
+ *
+ * Usage: node src/reportDuplicates.js [--account mirror|source] [--out <file.json>] [--format table|json]
+ * Lists the companies of the Mirror account (or the Source account) that share a
+ * name or a location_id. Exits with code 1 when duplicates are found.
+ *
+ *   --account mirror|source      account to inspect (default: mirror)
+ *   --out <file.json>            report export (default: data/company-duplicates.json)
+ *   --format table|json          console output of the report (default: table)
+ */
+
+const { parseArgs } = require('util');
+require('dotenv').config();
+const { getHubspotClient } = require('./clients/hubspotClient');
+const { findDuplicateCompanies, outputDuplicateReport } = require('./services/companyMatching');
+const { resolveDataPath } = require('./utils/jsonFile');
+const { getLogger, logToFile, logToStderr, newCorrelationId, withLogContext } = require('./utils/logger');
+
+// The report goes to stdout, log entries to stderr
+logToStderr();
+logToFile();
+const logger = getLogger('duplicates');
+
+const { values } = parseArgs({
+  options: {
+    account: { type: 'string', default: 'mirror' },
+    out: { type: 'string' },
+    format: { type: 'string', default: 'table' },
+  },
+});
+
+if (!['mirror', 'source'].includes(values.account)) {
+  logger.error(`Unknown account '${values.account}' (expected mirror or source)`);
+  process.exit(1);
+}
+
+const hubspotClient = getHubspotClient(values.account);
+
+withLogContext({ runId: newCorrelationId() }, () => findDuplicateCompanies(hubspotClient.crm.companies, ['source_record_id']))
+  .then((report) => {
+    outputDuplicateReport({ account: values.account, ...report }, {
+      jsonFile: values.out || resolveDataPath('company-duplicates.json'),
+      format: values.format,
+    });
+    process.exitCode = report.groups.length > 0 ? 1 : 0;
+  })
+  .catch((error) => {
+    logger.error('Duplicate report failed', { error: error.body?.message || error.message });
+    process.exitCode = 1;
+  });
@@ -0,0 +1,55 @@
+const express = require('express');
+
+/**
+ * Creates the operator router for the two-way sync conflict queue
+ * @param {Object} options - Router dependencies
+ * @param {Object} options.conflicts - Conflict queue created by createConflictQueue
+ * @param {Function} options.resolveConflict - Sync service resolveConflict(id, winner)
+ * @param {Object} options.logger - Winston logger
+ * @returns {express.Router} Router exposing list, inspect and resolve endpoints
+ */
+function createConflictRouter({ conflicts, resolveConflict, logger }) {
+  const router = express.Router();
+
+  // List conflicts, most recent first: ?status=open|resolved
+  router.get('/', (req, res) => {
+    const { status } = req.query;
+    if (status && !['open', 'resolved'].includes(status)) {
+      return res.status(400).send({ error: "status must be 'open' or 'resolved'" });
+    }
+    res.status(200).send({ stats: conflicts.stats(), items: conflicts.list(status) });
+  });
+
+  // Inspect a single conflict
+  router.get('/:id', (req, res) => {
+    const item = conflicts.get(req.params.id);
+    if (!item) return res.status(404).send({ error: 'Conflict not found' });
+    res.status(200).send(item);
+  });
+
+  // Resolve an open conflict: { "winner": "source" | "mirror" }
+  router.post('/:id/resolve', async (req, res) => {
+    const { winner } = req.body || {};
+    if (!['source', 'mirror'].includes(winner)) {
+      return res.status(400).send({ error: "winner must be 'source' or 'mirror'" });
+    }
+    const item = conflicts.get(req.params.id);
+    if (!item) return res.status(404).send({ error: 'Conflict not found' });
+    if (item.status !== 'open') return res.status(409).send({ error: 'Conflict already resolved' });
+
+    try {
+      const resolved = await resolveConflict(item.id, winner);
+      if (!resolved) return res.status(409).send({ error: 'Conflict already resolved' });
+      res.status(200).send(resolved);
+    } catch (error) {
+      logger.error('Conflict resolution failed', { id: item.id, winner, error: error.message });
+      res.status(500).send({ error: 'Conflict could not be resolved' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createConflictRouter,
+};
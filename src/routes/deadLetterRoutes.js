@@ -0,0 +1,50 @@
+const express = require('express');
+
+/**
+ * Creates the operator router for the webhook dead-letter store
+ * @param {Object} options - Router dependencies
+ * @param {Object} options.queue - Webhook queue created by createWebhookQueue
+ * @param {Object} options.logger - Winston logger
+ * @returns {express.Router} Router exposing list, inspect, replay and purge endpoints
+ */
+function createDeadLetterRouter({ queue, logger }) {
+  const router = express.Router();
+
+  // List dead-lettered items (payloads omitted)
+  router.get('/', (req, res) => {
+    res.status(200).send({ stats: queue.stats(), items: queue.listDeadLetters() });
+  });
+
+  // Inspect a single item with its payload and error history
+  router.get('/:id', (req, res) => {
+    const item = queue.getDeadLetter(req.params.id);
+    if (!item) return res.status(404).send({ error: 'Dead-letter item not found' });
+    res.status(200).send(item);
+  });
+
+  // Put an item back on the queue with a fresh attempt budget
+  router.post('/:id/replay', (req, res) => {
+    const item = queue.replayDeadLetter(req.params.id);
+    if (!item) return res.status(404).send({ error: 'Dead-letter item not found' });
+    logger.info('Dead-letter replay requested', { id: item.id });
+    res.status(202).send({ status: 'queued', id: item.id });
+  });
+
+  // Purge a single item
+  router.delete('/:id', (req, res) => {
+    const purged = queue.purgeDeadLetters(req.params.id);
+    if (purged === 0) return res.status(404).send({ error: 'Dead-letter item not found' });
+    res.status(200).send({ purged });
+  });
+
+  // Purge every dead-lettered item
+  router.delete('/', (req, res) => {
+    res.status(200).send({ purged: queue.purgeDeadLetters() });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createDeadLetterRouter,
+};
@@ -0,0 +1,109 @@
+const express = require('express');
+const { createCharacterSelection } = require('../services/characterSelection');
+
+const BOOLEAN_OPTIONS = {
+  migration: ['restart', 'dryRun', 'skipProvision'],
+  sync: ['dryRun'],
+};
+
+/**
+ * Returns the first option of a request body that is present but not a boolean
+ * @param {Object} body - Request body
+ * @param {Array<string>} names - Boolean option names
+ * @returns {string|undefined} Invalid option name
+ */
+function invalidBooleanOption(body, names) {
+  return names.find(name => body[name] !== undefined && typeof body[name] !== 'boolean');
+}
+
+/**
+ * Creates the operator router that starts and monitors migration and sync jobs
+ * @param {Object} options - Router dependencies
+ * @param {Object} options.jobs - Job manager created by createJobManager
+ * @param {Object} [options.scheduler] - Scheduler created by createSyncScheduler, reported by GET /schedule
+ * @param {Object} options.logger - Winston logger
+ * @returns {express.Router} Router exposing start, list, inspect and schedule endpoints
+ */
+function createJobRouter({ jobs, scheduler, logger }) {
+  const router = express.Router();
+
+  /**
+   * Starts a job and answers 202, or 409 if a job of the same type is running
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {string} type - Job type
+   * @param {Object} options - Job options
+   */
+  const startJob = (req, res, type, options) => {
+    const started = jobs.start(type, options);
+    if (!started) {
+      const running = jobs.running(type);
+      return res.status(409).send({ error: `A ${type} job is already running`, jobId: running?.id });
+    }
+    logger.info('Job requested', { type, jobId: started.job.id });
+    res.status(202).location(`${req.baseUrl}/${started.job.id}`)
+      .send({ status: 'started', jobId: started.job.id, type });
+  };
+
+  // Job history without per-record errors, most recent first (?type=migration|sync)
+  router.get('/', (req, res) => {
+    res.status(200).send({ jobs: jobs.list(req.query.type) });
+  });
+
+  // Start a migration: { "restart": false, "dryRun": false, "skipProvision": false, "selection": {...} }
+  router.post('/migration', (req, res) => {
+    const body = req.body || {};
+    const invalid = invalidBooleanOption(body, BOOLEAN_OPTIONS.migration);
+    if (invalid) {
+      return res.status(400).send({ error: `${invalid} must be a boolean` });
+    }
+    if (body.selection !== undefined) {
+      try {
+        createCharacterSelection(body.selection);
+      } catch (error) {
+        return res.status(400).send({ error: `Invalid selection: ${error.message}` });
+      }
+    }
+
+    startJob(req, res, 'migration', {
+      restart: body.restart === true,
+      dryRun: body.dryRun === true,
+      skipProvision: body.skipProvision === true,
+      selection: body.selection,
+    });
+  });
+
+  // Start a sync: { "mode": "full" | "incremental", "dryRun": false }
+  router.post('/sync', (req, res) => {
+    const body = req.body || {};
+    const { mode = 'incremental' } = body;
+    if (!['full', 'incremental'].includes(mode)) {
+      return res.status(400).send({ error: "mode must be 'full' or 'incremental'" });
+    }
+    const invalid = invalidBooleanOption(body, BOOLEAN_OPTIONS.sync);
+    if (invalid) {
+      return res.status(400).send({ error: `${invalid} must be a boolean` });
+    }
+
+    startJob(req, res, 'sync', { incremental: mode === 'incremental', dryRun: body.dryRun === true });
+  });
+
+  // Sync schedule, running sync job and the last finished one
+  router.get('/schedule', (req, res) => {
+    if (!scheduler) return res.status(404).send({ error: 'No sync schedule' });
+    res.status(200).send(scheduler.status());
+  });
+
+  // Status, progress, counters and per-record errors of one job
+  router.get('/:id', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) return res.status(404).send({ error: 'Job not found' });
+    res.status(200).send(job);
+  });
+
+  return router;
+}
+
+module.exports = {
+  createJobRouter,
+};
@@ -1,273 +1,682 @@
-const express = require('express');
-const router = express.Router();
-const hubspot = require('@hubspot/api-client');
-const winston = require('winston');
-const retry = require('async-retry');
-const { body, validationResult } = require('express-validator');
-
-require('dotenv').config();
-
-// Configure Winston logger for structured logging
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.File({ filename: 'webhook.log' }), // Log to file
-    new winston.transports.Console(), // Also log to console
-  ],
-});
-
-// Initialize HubSpot client for mirror account operations
-const hubspotMirrorClient = new hubspot.Client({
-  accessToken: process.env.HUBSPOT_MIRROR_TOKEN,
-});
-
-/**
- * Handles contact upsert operations in HubSpot mirror account
- * @param {Object} data - Contact data including required character_id and email
- * @returns {Promise<string>} - Result of operation ('created' or 'updated')
- * @throws {Error} - If required fields are missing or API operations fail
- */
-async function upsertContact(data) {
-  logger.info('Processing contact webhook payload', { payload: data });
-
-  // Validate required fields
-  const characterId = data.character_id;
-  const email = data.email;
-  if (!characterId || !email) {
-    logger.error('Missing required fields in contact data', { characterId, email });
-    throw new Error('Both character_id and email are required');
-  }
-
-  // Prepare HubSpot contact properties
-  const properties = {
-    firstname: data.firstname || '',
-    lastname: data.lastname || '',
-    email: email,
-    character_id: characterId,
-    character_status: data.character_status || '',
-    character_species: data.character_species || '',
-    character_gender: data.character_gender || '',
-  };
-
-  let contactId;
-  try {
-    const action = await retry(
-      async () => {
-        // Check for existing contact by character_id
-        logger.info('Searching for existing contact', { characterId });
-        const searchResponse = await hubspotMirrorClient.crm.contacts.searchApi.doSearch({
-          filterGroups: [{
-            filters: [{
-              propertyName: 'character_id',
-              operator: 'EQ',
-              value: characterId
-            }]
-          }],
-          limit: 1,
-        });
-
-        if (searchResponse.results.length > 0) {
-          // Update existing contact
-          const existing = searchResponse.results[0];
-          logger.info(`Updating contact ${existing.id}`);
-          await hubspotMirrorClient.crm.contacts.basicApi.update(existing.id, { properties });
-          contactId = existing.id;
-          return 'updated';
-        } else {
-          // Create new contact
-          logger.info('Creating new contact', { characterId, email });
-          const createResponse = await hubspotMirrorClient.crm.contacts.basicApi.create({ properties });
-          contactId = createResponse.id;
-          logger.info('Contact created successfully', { contactId });
-          return 'created';
-        }
-      },
-      {
-        retries: 3,
-        factor: 2,
-        minTimeout: 1000,
-        maxTimeout: 5000,
-        onRetry: (err, attempt) => logger.warn(`Retry attempt ${attempt}`, { error: err.message }),
-      }
-    );
-
-    // Handle company association if company_name is provided
-    if (data.company_name && contactId) {
-      await handleCompanyAssociation(contactId, data.company_name);
-    }
-
-    return action;
-  } catch (error) {
-    logger.error('Contact upsert operation failed', { 
-      characterId,
-      error: error.message,
-      stack: error.stack 
-    });
-    throw error;
-  }
-}
-
-/**
- * Handles company association for a contact
- * @param {string} contactId - HubSpot contact ID
- * @param {string} companyName - Company name to associate with
- */
-async function handleCompanyAssociation(contactId, companyName) {
-  try {
-    logger.info('Attempting company association', { contactId, companyName });
-    const companySearch = await hubspotMirrorClient.crm.companies.searchApi.doSearch({
-      filterGroups: [{
-        filters: [{
-          propertyName: 'name',
-          operator: 'EQ',
-          value: companyName
-        }]
-      }],
-      limit: 1,
-    });
-
-    if (companySearch.results.length > 0) {
-      const companyId = companySearch.results[0].id;
-      await hubspotMirrorClient.crm.associations.v4.basicApi.create(
-        'contact',
-        contactId,
-        'company',
-        companyId,
-        [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: 1 }]
-      );
-      logger.info('Association created successfully', { contactId, companyId });
-    } else {
-      logger.warn('Company not found for association', { companyName });
-    }
-  } catch (error) {
-    logger.error('Company association failed', {
-      contactId,
-      companyName,
-      error: error.message,
-      stack: error.stack
-    });
-  }
-}
-
-/**
- * Handles company upsert operations in HubSpot mirror account
- * @param {Object} data - Company data including required name
- * @returns {Promise<string>} - Result of operation ('created' or 'updated')
- * @throws {Error} - If required field is missing or API operations fail
- */
-async function upsertCompany(data) {
-  logger.info('Processing company webhook payload', { payload: data });
-
-  const name = data.name;
-  if (!name) {
-    logger.error('Missing required field in company data');
-    throw new Error('Company name is required');
-  }
-
-  try {
-    const action = await retry(
-      async () => {
-        // Check for existing company by name
-        logger.info('Searching for existing company', { name });
-        const searchResponse = await hubspotMirrorClient.crm.companies.searchApi.doSearch({
-          filterGroups: [{
-            filters: [{
-              propertyName: 'name',
-              operator: 'EQ',
-              value: name
-            }]
-          }],
-          limit: 1,
-        });
-
-        if (searchResponse.results.length > 0) {
-          // Update existing company
-          const existing = searchResponse.results[0];
-          logger.info(`Updating company ${existing.id}`);
-          await hubspotMirrorClient.crm.companies.basicApi.update(existing.id, { properties: { name } });
-          return 'updated';
-        } else {
-          // Create new company
-          logger.info('Creating new company', { name });
-          const createResponse = await hubspotMirrorClient.crm.companies.basicApi.create({ properties: { name } });
-          logger.info('Company created successfully', { companyId: createResponse.id });
-          return 'created';
-        }
-      },
-      {
-        retries: 3,
-        factor: 2,
-        minTimeout: 1000,
-        maxTimeout: 5000,
-        onRetry: (err, attempt) => logger.warn(`Retry attempt ${attempt}`, { error: err.message }),
-      }
-    );
-    return action;
-  } catch (error) {
-    logger.error('Company upsert operation failed', {
-      name,
-      error: error.message,
-      stack: error.stack
-    });
-    throw error;
-  }
-}
-
-// Contact webhook endpoint with validation
-router.post(
-  '/contacts',
-  [
-    body('character_id').exists().isString().withMessage('Valid character_id required'),
-    body('email').isEmail().withMessage('Valid email required'),
-  ],
-  async (req, res) => {
-    logger.info('Contact webhook request received');
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      logger.error('Validation errors', { errors: errors.array() });
-      return res.status(400).json({ errors: errors.array() });
-    }
-
-    try {
-      const result = await upsertContact(req.body);
-      logger.info('Contact webhook processed', { status: result });
-      res.status(200).send({ status: result });
-    } catch (err) {
-      logger.error('Contact webhook processing failed', { error: err.message });
-      res.status(400).send({ error: err.message });
-    }
-  }
-);
-
-// Company webhook endpoint with validation
-router.post(
-  '/companies',
-  [body('name').exists().isString().withMessage('Valid company name required')],
-  async (req, res) => {
-    logger.info('Company webhook request received');
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      logger.error('Validation errors', { errors: errors.array() });
-      return res.status(400).json({ errors: errors.array() });
-    }
-
-    try {
-      const result = await upsertCompany(req.body);
-      logger.info('Company webhook processed', { status: result });
-      res.status(200).send({ status: result });
-    } catch (err) {
-      logger.error('Company webhook processing failed', { error: err.message });
-      res.status(400).send({ error: err.message });
-    }
-  }
-);
-
-module.exports = {
-  router,
-  upsertContact,
-  upsertCompany,
-};
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { captureRawBody, createHubspotSignatureVerifier } = require('../middleware/hubspotSignature');
+const { getHubspotClient } = require('../clients/hubspotClient');
+const { getLogger } = require('../utils/logger');
+const { mapFields } = require('../utils/fieldMapper');
+const {
+  SOFT_DELETE_PROPERTY,
+  resolveDeletionOptions,
+  removeMirrorRecords,
+  pruneAssociations,
+} = require('../services/deletionPropagation');
+const { SOURCE_ID_PROPERTY, openIdMapStore, resolveMirrorRecords } = require('../services/idMapStore');
+const { TWO_WAY_PROPERTIES, twoWayValues, withoutMirrorEdits } = require('../services/conflictResolution');
+const { openVersionStore } = require('../services/syncVersions');
+
+require('dotenv').config();
+
+// Mirror object API and legacy matching properties (in order) per webhook object type
+const MIRROR_OBJECTS = {
+  contact: { objectApi: 'contacts', legacyProperties: ['character_id'] },
+  company: { objectApi: 'companies', legacyProperties: ['location_id', 'name'] },
+};
+
+// Source properties needed to rebuild the flat contact payload
+const SOURCE_CONTACT_PROPERTIES = [
+  'character_id', 'email', 'firstname', 'lastname',
+  'character_status', 'character_species', 'character_gender',
+];
+
+/**
+ * Creates the webhook handlers applying Source changes to the Mirror account
+ * @param {object} deps - Handler dependencies
+ * @param {object} deps.sourceClient - HubSpot client of the Source account, read for changed records
+ * @param {object} deps.mirrorClient - HubSpot client of the Mirror account, written by the handlers
+ * @param {object} [deps.idMap] - Source↔Mirror ID map (defaults to the map shared with the sync through data/id-map.json)
+ * @param {object} [deps.versions] - Last-synced record versions shared with the two-way sync (defaults to data/sync-versions.json)
+ * @param {object} [deps.logger] - Logger (defaults to the shared 'webhook' logger)
+ * @param {object} [deps.config] - Handler settings
+ * @param {object} [deps.config.deletion] - Deletion propagation settings overriding the environment (see resolveDeletionOptions)
+ * @param {boolean} [deps.config.twoWay=false] - Two-way sync: Mirror edits are left for the sync to reconcile instead of being overwritten
+ * @returns {Object} Handlers: upsertContact, upsertCompany, syncSourceRecord, processWebhookEvents, collectEventTargets
+ */
+function createWebhookHandlers({
+  sourceClient,
+  mirrorClient,
+  idMap = openIdMapStore(),
+  versions = openVersionStore(),
+  logger = getLogger('webhook'),
+  config = {},
+}) {
+  /**
+   * Finds the Mirror counterpart of a Source record
+   * With a Source ID the ID map and the source_record_id stamp are used, and an unstamped
+   * Mirror record is adopted once through the legacy keys. Flat payloads without a Source ID
+   * fall back to matching the legacy keys alone (character_id, or location_id then name).
+   * @param {string} objectType - 'contact' or 'company'
+   * @param {Object} lookup - Record reference
+   * @param {string} [lookup.sourceId] - Source record ID
+   * @param {Object} [lookup.legacyKeys] - Value of each legacy property (e.g. { location_id, name })
+   * @returns {Promise<Object|null>} Mirror record, or null if there is none
+   */
+  async function findMirrorRecord(objectType, { sourceId, legacyKeys = {} }) {
+    const { objectApi, legacyProperties } = MIRROR_OBJECTS[objectType];
+    const api = mirrorClient.crm[objectApi];
+    const properties = [...legacyProperties, SOFT_DELETE_PROPERTY];
+    if (config.twoWay) {
+      properties.push(...TWO_WAY_PROPERTIES[objectApi]);
+    }
+
+    if (sourceId) {
+      const resolved = await resolveMirrorRecords({
+        objectApi: api,
+        objectType: objectApi,
+        idMap,
+        sources: [{ sourceId: String(sourceId), legacyKeys }],
+        properties,
+        legacyProperties,
+      });
+      return resolved.get(String(sourceId)) || null;
+    }
+
+    for (const [index, legacyProperty] of legacyProperties.entries()) {
+      const value = legacyKeys[legacyProperty];
+      if (!value) continue;
+
+      const searchResponse = await api.searchApi.doSearch({
+        filterGroups: [{
+          filters: [{
+            propertyName: legacyProperty,
+            operator: 'EQ',
+            value: String(value)
+          }]
+        }],
+        properties,
+        limit: 10,
+      });
+      // A name match carrying another location_id is a different company
+      const record = searchResponse.results.find(match => !legacyProperties.slice(0, index).some(property =>
+        match.properties[property] && legacyKeys[property] && String(match.properties[property]) !== String(legacyKeys[property])
+      ));
+      if (record) return record;
+    }
+    return null;
+  }
+
+  /**
+   * Two-way mode: removes from a Source update of an existing Mirror record the properties
+   * edited in Mirror since the last sync (see withoutMirrorEdits); the sync reconciles them
+   * @param {string} objectType - 'companies' or 'contacts'
+   * @param {string} [sourceId] - Source record ID; records without one are updated as they come
+   * @param {Object} properties - Properties about to be written to Mirror
+   * @param {Object} existing - Mirror record
+   * @returns {Object} Properties to write
+   */
+  function keepMirrorEdits(objectType, sourceId, properties, existing) {
+    if (!config.twoWay || !sourceId) return properties;
+    const base = versions.get(objectType, sourceId)?.properties;
+    const safe = withoutMirrorEdits(properties, { objectType, mirror: existing.properties, base });
+    const kept = Object.keys(properties).filter(property => !(property in safe));
+    if (kept.length > 0) {
+      logger.info('Mirror edits kept for the next sync', { objectType, sourceId, properties: kept });
+    }
+    return safe;
+  }
+
+  /**
+   * Two-way mode: records the two-way properties written to Mirror as the last-synced version
+   * @param {string} objectType - 'companies' or 'contacts'
+   * @param {string} [sourceId] - Source record ID
+   * @param {Object} properties - Properties written to Mirror
+   */
+  function recordVersion(objectType, sourceId, properties) {
+    if (!config.twoWay || !sourceId) return;
+    const written = twoWayValues(objectType, properties);
+    versions.set(objectType, sourceId, Object.fromEntries(
+      Object.entries(written).filter(([property]) => property in properties)
+    ));
+  }
+
+  /**
+   * Handles contact upsert operations in HubSpot mirror account
+   * The Mirror contact is stamped with source_record_id and recorded in the ID map when the
+   * payload carries the Source contact ID; the company is taken from source_company_id
+   * (Source company ID) or, failing that, matched by company_name
+   * @param {Object} data - Contact data including required character_id and email
+   * @param {Object} [options] - Upsert options
+   * @param {boolean} [options.exclusiveCompany=false] - Remove Mirror company associations other than the given company
+   *   (set when the payload was read from Source, where a missing source_company_id means no company)
+   * @returns {Promise<string>} - Result of operation ('created' or 'updated')
+   * @throws {Error} - If required fields are missing or API operations fail
+   */
+  async function upsertContact(data, { exclusiveCompany = false } = {}) {
+    logger.info('Processing contact webhook payload', { payload: data });
+
+    // Validate required fields
+    const characterId = data.character_id;
+    const email = data.email;
+    if (!characterId || !email) {
+      logger.error('Missing required fields in contact data', { characterId, email });
+      throw new Error('Both character_id and email are required');
+    }
+
+    // Prepare HubSpot contact properties from the 'webhookContact' field mapping
+    const sourceId = data.source_record_id ? String(data.source_record_id) : undefined;
+    let properties = mapFields('webhookContact', data);
+    if (sourceId) {
+      properties[SOURCE_ID_PROPERTY] = sourceId;
+    }
+
+    let contactId;
+    try {
+      // Check for the existing Mirror contact (ID map and stamp, or character_id)
+      logger.info('Searching for existing contact', { sourceId, characterId });
+      const existing = await findMirrorRecord('contact', { sourceId, legacyKeys: { character_id: characterId } });
+
+      let action;
+      if (existing) {
+        // Update existing contact
+        logger.info(`Updating contact ${existing.id}`);
+        properties = keepMirrorEdits('contacts', sourceId, properties, existing);
+        await mirrorClient.crm.contacts.basicApi.update(existing.id, { properties });
+        contactId = existing.id;
+        action = 'updated';
+      } else {
+        // Create new contact
+        logger.info('Creating new contact', { characterId, email });
+        const createResponse = await mirrorClient.crm.contacts.basicApi.create({ properties });
+        contactId = createResponse.id;
+        logger.info('Contact created successfully', { contactId });
+        action = 'created';
+      }
+
+      if (sourceId) {
+        idMap.set('contacts', sourceId, contactId);
+        recordVersion('contacts', sourceId, properties);
+      }
+
+      // Handle company association if a company is provided
+      const company = { sourceCompanyId: data.source_company_id, companyName: data.company_name };
+      const hasCompany = Boolean(company.sourceCompanyId || company.companyName);
+      let companyId = null;
+      if (hasCompany && contactId) {
+        companyId = await handleCompanyAssociation(contactId, company);
+      }
+
+      // Associations removed in Source are removed in Mirror too
+      if (exclusiveCompany && action === 'updated' && (companyId || !hasCompany)) {
+        await pruneAssociations(
+          mirrorClient, 'contact', 'company', new Map([[contactId, companyId ? [companyId] : []]])
+        );
+      }
+
+      return action;
+    } catch (error) {
+      logger.error('Contact upsert operation failed', { 
+        characterId,
+        error: error.message,
+        stack: error.stack 
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Finds the Mirror counterpart of a Source company, synchronizing the company first if it
+   * was never mirrored (e.g. its creation webhook has not been processed yet)
+   * @param {string} sourceCompanyId - Source company ID
+   * @returns {Promise<string|null>} Mirror company ID, or null if the Source company cannot be mirrored
+   */
+  async function resolveMirrorCompanyId(sourceCompanyId) {
+    const existing = await findMirrorRecord('company', { sourceId: sourceCompanyId });
+    if (existing) return existing.id;
+
+    logger.info('Mirror company missing, synchronizing it first', { sourceCompanyId });
+    const data = await fetchSourceCompany(sourceCompanyId);
+    if (!data.name) {
+      logger.warn('Source company skipped - missing name', { sourceCompanyId });
+      return null;
+    }
+    await upsertCompany(data);
+    return idMap.get('companies', String(sourceCompanyId)) || null;
+  }
+
+  /**
+   * Handles company association for a contact
+   * @param {string} contactId - HubSpot contact ID
+   * @param {Object} company - Company to associate with
+   * @param {string} [company.sourceCompanyId] - Source company ID, resolved through the ID map
+   * @param {string} [company.companyName] - Company name, matched when no Source ID is given
+   * @returns {Promise<string|null>} Associated Mirror company ID, or null if none was associated
+   */
+  async function handleCompanyAssociation(contactId, { sourceCompanyId, companyName }) {
+    try {
+      logger.info('Attempting company association', { contactId, sourceCompanyId, companyName });
+      const companyId = sourceCompanyId
+        ? await resolveMirrorCompanyId(sourceCompanyId)
+        : (await findMirrorRecord('company', { legacyKeys: { name: companyName } }))?.id;
+
+      if (companyId) {
+        await mirrorClient.crm.associations.v4.basicApi.create(
+          'contact',
+          contactId,
+          'company',
+          companyId,
+          [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: 1 }]
+        );
+        logger.info('Association created successfully', { contactId, companyId });
+        return companyId;
+      }
+      logger.warn('Company not found for association', { sourceCompanyId, companyName });
+    } catch (error) {
+      logger.error('Company association failed', {
+        contactId,
+        sourceCompanyId,
+        companyName,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+    return null;
+  }
+
+  /**
+   * Handles company upsert operations in HubSpot mirror account
+   * The Mirror company is stamped with source_record_id and recorded in the ID map when the
+   * payload carries the Source company ID; otherwise it is matched by location_id, then by name
+   * @param {Object} data - Company data including required name
+   * @returns {Promise<string>} - Result of operation ('created' or 'updated')
+   * @throws {Error} - If required field is missing or API operations fail
+   */
+  async function upsertCompany(data) {
+    logger.info('Processing company webhook payload', { payload: data });
+
+    const name = data.name;
+    if (!name) {
+      logger.error('Missing required field in company data');
+      throw new Error('Company name is required');
+    }
+    const sourceId = data.source_record_id ? String(data.source_record_id) : undefined;
+    let properties = mapFields('webhookCompany', data);
+    if (sourceId) {
+      properties[SOURCE_ID_PROPERTY] = sourceId;
+    }
+
+    let companyId;
+    try {
+      // Check for the existing Mirror company (ID map and stamp, or location_id and name)
+      logger.info('Searching for existing company', { sourceId, name });
+      const existing = await findMirrorRecord('company', {
+        sourceId,
+        legacyKeys: { location_id: data.location_id, name },
+      });
+
+      let action;
+      if (existing) {
+        // Update existing company
+        logger.info(`Updating company ${existing.id}`);
+        properties = keepMirrorEdits('companies', sourceId, properties, existing);
+        await mirrorClient.crm.companies.basicApi.update(existing.id, { properties });
+        companyId = existing.id;
+        action = 'updated';
+      } else {
+        // Create new company
+        logger.info('Creating new company', { name });
+        const createResponse = await mirrorClient.crm.companies.basicApi.create({ properties });
+        companyId = createResponse.id;
+        logger.info('Company created successfully', { companyId });
+        action = 'created';
+      }
+      if (sourceId) {
+        idMap.set('companies', sourceId, companyId);
+        recordVersion('companies', sourceId, properties);
+      }
+      return action;
+    } catch (error) {
+      logger.error('Company upsert operation failed', {
+        name,
+        error: error.message,
+        stack: error.stack
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Reads a contact from the source account and shapes it like a contact webhook payload
+   * @param {string} contactId - Source contact ID
+   * @returns {Promise<Object>} Flat contact data accepted by upsertContact
+   */
+  async function fetchSourceContact(contactId) {
+    const contact = await sourceClient.crm.contacts.basicApi.getById(
+      contactId,
+      SOURCE_CONTACT_PROPERTIES,
+      undefined,
+      ['companies']
+    );
+
+    const data = { ...contact.properties, source_record_id: String(contactId) };
+    const companyId = contact.associations?.companies?.results?.[0]?.id;
+    if (companyId) {
+      data.source_company_id = String(companyId);
+    }
+    return data;
+  }
+
+  /**
+   * Reads a company from the source account and shapes it like a company webhook payload
+   * @param {string} companyId - Source company ID
+   * @returns {Promise<Object>} Flat company data accepted by upsertCompany
+   */
+  async function fetchSourceCompany(companyId) {
+    const company = await sourceClient.crm.companies.basicApi.getById(companyId, ['name', 'location_id']);
+    return {
+      name: company.properties.name,
+      location_id: company.properties.location_id || undefined,
+      source_record_id: String(companyId),
+    };
+  }
+
+  /**
+   * Removes the Mirror counterpart of a record deleted in Source
+   * The counterpart is found through the ID map and the source_record_id stamp; it is archived
+   * (and dropped from the ID map) or tagged according to the deletion mode
+   * @param {{objectType: string, objectId: string}} target - Deleted Source record reference
+   * @returns {Promise<string>} Result of operation ('archived', 'tagged' or 'skipped')
+   * @throws {Error} - If the Mirror lookup or removal fails
+   */
+  async function removeMirrorCounterpart({ objectType, objectId }) {
+    const { enabled, mode } = resolveDeletionOptions(config.deletion);
+    if (!enabled) {
+      logger.info('Deletion propagation disabled, Source deletion ignored', { objectType, objectId });
+      return 'skipped';
+    }
+
+    const mirrorRecord = await findMirrorRecord(objectType, { sourceId: objectId });
+    if (!mirrorRecord) {
+      logger.info(`No Mirror ${objectType} to remove`, { objectId });
+      return 'skipped';
+    }
+
+    const { objectApi } = MIRROR_OBJECTS[objectType];
+    const outcome = await removeMirrorRecords(
+      mirrorClient.crm[objectApi],
+      [{ key: String(objectId), id: mirrorRecord.id, properties: mirrorRecord.properties }],
+      { mode, objectType }
+    );
+    if (outcome.errors.length > 0) {
+      throw new Error(outcome.errors[0].error);
+    }
+    if (mode === 'archive') {
+      idMap.remove(objectApi, [String(objectId)]);
+    }
+    logger.info(`Mirror ${objectType} ${mode === 'archive' ? 'archived' : 'tagged as archived'}`, {
+      objectId,
+      mirrorId: mirrorRecord.id,
+    });
+    return mode === 'archive' ? 'archived' : 'tagged';
+  }
+
+  /**
+   * Resolves which source record a HubSpot subscription event refers to
+   * Association changes are applied by refreshing the contact side of the pair
+   * @param {Object} event - Single HubSpot webhook event
+   * @returns {{objectType: string, objectId: string, deleted: (boolean|undefined)}|null} Record to refresh, or null if unsupported
+   */
+  function resolveEventTarget(event) {
+    const [objectType, eventType] = (event.subscriptionType || '').split('.');
+
+    if (eventType === 'associationChange') {
+      if (event.associationType === 'CONTACT_TO_COMPANY') {
+        return { objectType: 'contact', objectId: String(event.fromObjectId) };
+      }
+      if (event.associationType === 'COMPANY_TO_CONTACT') {
+        return { objectType: 'contact', objectId: String(event.toObjectId) };
+      }
+      return null;
+    }
+
+    if (!['contact', 'company'].includes(objectType) || !event.objectId) {
+      return null;
+    }
+    if (eventType === 'deletion') {
+      return { objectType, objectId: String(event.objectId), deleted: true };
+    }
+    if (['creation', 'propertyChange', 'restore', 'merge'].includes(eventType)) {
+      return { objectType, objectId: String(event.objectId) };
+    }
+    return null;
+  }
+
+  /**
+   * Reduces a batch of native HubSpot webhook events to the distinct source records they touch
+   * Each changed record is fetched once from Source, however many events mention it
+   * @param {Array<Object>} events - Event array as delivered by HubSpot
+   * @returns {{targets: Array<{objectType: string, objectId: string}>, skipped: number}} Records to refresh
+   */
+  function collectEventTargets(events) {
+    const targets = new Map();
+    let skipped = 0;
+
+    for (const event of events) {
+      const target = resolveEventTarget(event);
+      if (!target) {
+        logger.info('Webhook event skipped', {
+          eventId: event.eventId,
+          subscriptionType: event.subscriptionType,
+        });
+        skipped++;
+        continue;
+      }
+      targets.set(`${target.objectType}:${target.objectId}`, target);
+    }
+
+    return { targets: Array.from(targets.values()), skipped };
+  }
+
+  /**
+   * Fetches one changed source record and applies it to the mirror account
+   * @param {{objectType: string, objectId: string, deleted: (boolean|undefined)}} target - Source record reference
+   * @returns {Promise<string>} Result of operation ('created', 'updated', 'archived', 'tagged' or 'skipped')
+   * @throws {Error} - If the source read or the mirror write fails
+   */
+  async function syncSourceRecord({ objectType, objectId, deleted }) {
+    if (deleted) {
+      return removeMirrorCounterpart({ objectType, objectId });
+    }
+
+    if (objectType === 'contact') {
+      const data = await fetchSourceContact(objectId);
+      if (!data.character_id || !data.email) {
+        logger.warn('Source contact skipped - missing character_id or email', { objectId });
+        return 'skipped';
+      }
+      return upsertContact(data, { exclusiveCompany: true });
+    }
+
+    const data = await fetchSourceCompany(objectId);
+    if (!data.name) {
+      logger.warn('Source company skipped - missing name', { objectId });
+      return 'skipped';
+    }
+    return upsertCompany(data);
+  }
+
+  /**
+   * Applies a batch of native HubSpot webhook events to the mirror account synchronously
+   * @param {Array<Object>} events - Event array as delivered by HubSpot
+   * @returns {Promise<{processed: number, skipped: number, failed: number}>} Batch summary
+   */
+  async function processWebhookEvents(events) {
+    const { targets, skipped } = collectEventTargets(events);
+    const summary = { processed: 0, skipped, failed: 0 };
+
+    for (const target of targets) {
+      try {
+        const result = await syncSourceRecord(target);
+        if (result === 'skipped') {
+          summary.skipped++;
+        } else {
+          summary.processed++;
+        }
+      } catch (error) {
+        logger.error('Webhook event processing failed', { ...target, error: error.message });
+        summary.failed++;
+      }
+    }
+
+    return summary;
+  }
+
+  return {
+    upsertContact,
+    upsertCompany,
+    syncSourceRecord,
+    processWebhookEvents,
+    collectEventTargets,
+  };
+}
+
+/**
+ * Queue handlers per item type, for createWebhookQueue
+ * @param {object} handlers - Handlers created by createWebhookHandlers
+ * @returns {Object<string, Function>} Handler per queued item type
+ */
+function webhookQueueHandlers(handlers) {
+  return {
+    contact: handlers.upsertContact,
+    company: handlers.upsertCompany,
+    sourceRecord: handlers.syncSourceRecord,
+  };
+}
+
+/**
+ * Creates the webhook router: signed HubSpot webhooks are validated, written to the queue and
+ * acknowledged with 202, then applied by the queue workers
+ * Native event batches are received on '/', flat payloads on '/contacts' and '/companies'
+ * @param {object} options - Router dependencies
+ * @param {object} options.handlers - Handlers created by createWebhookHandlers
+ * @param {object} options.queue - Webhook queue created by createWebhookQueue with webhookQueueHandlers
+ * @param {object} [options.logger] - Logger (defaults to the shared 'webhook' logger)
+ * @param {object} [options.config] - Signature verification settings
+ * @param {string} [options.config.clientSecret] - HubSpot app client secret
+ * @param {boolean} [options.config.skipSignatureVerification=false] - Accept unsigned requests (ignored in production)
+ * @param {string} [options.config.baseUrl] - Public URL configured in HubSpot, when behind a proxy
+ * @returns {express.Router} Webhook router
+ */
+function createWebhookRouter({ handlers, queue, logger = getLogger('webhook'), config = {} }) {
+  const router = express.Router();
+
+  // Parse JSON while keeping the raw body, then reject unsigned or tampered requests
+  router.use(express.json({ verify: captureRawBody }));
+  router.use(createHubspotSignatureVerifier({
+    clientSecret: config.clientSecret,
+    logger,
+    skipVerification: Boolean(config.skipSignatureVerification),
+    baseUrl: config.baseUrl,
+  }));
+
+  // Contact webhook endpoint with validation
+  router.post(
+    '/contacts',
+    [
+      body('character_id').exists().isString().withMessage('Valid character_id required'),
+      body('email').isEmail().withMessage('Valid email required'),
+      body('source_record_id').optional().isString().withMessage('source_record_id must be a string'),
+      body('source_company_id').optional().isString().withMessage('source_company_id must be a string'),
+    ],
+    (req, res) => {
+      logger.info('Contact webhook request received');
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.error('Validation errors', { errors: errors.array() });
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const item = queue.enqueue('contact', req.body);
+        res.status(202).send({ status: 'queued', id: item.id });
+      } catch (err) {
+        logger.error('Contact webhook could not be queued', { error: err.message });
+        res.status(500).send({ error: 'Webhook could not be queued' });
+      }
+    }
+  );
+
+  // Company webhook endpoint with validation
+  router.post(
+    '/companies',
+    [
+      body('name').exists().isString().withMessage('Valid company name required'),
+      body('location_id').optional().isString().withMessage('location_id must be a string'),
+      body('source_record_id').optional().isString().withMessage('source_record_id must be a string'),
+    ],
+    (req, res) => {
+      logger.info('Company webhook request received');
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.error('Validation errors', { errors: errors.array() });
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const item = queue.enqueue('company', req.body);
+        res.status(202).send({ status: 'queued', id: item.id });
+      } catch (err) {
+        logger.error('Company webhook could not be queued', { error: err.message });
+        res.status(500).send({ error: 'Webhook could not be queued' });
+      }
+    }
+  );
+
+  // Native HubSpot subscription endpoint receiving batched event arrays
+  router.post(
+    '/',
+    [body().isArray({ min: 1 }).withMessage('Array of webhook events required')],
+    (req, res) => {
+      logger.info('HubSpot event batch received', { count: Array.isArray(req.body) ? req.body.length : 0 });
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.error('Validation errors', { errors: errors.array() });
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const { targets, skipped } = handlers.collectEventTargets(req.body);
+        const ids = targets.map(target => queue.enqueue('sourceRecord', target).id);
+        res.status(202).send({ status: 'queued', queued: ids.length, skipped, ids });
+      } catch (err) {
+        // A non-2xx response makes HubSpot redeliver the batch
+        logger.error('HubSpot event batch could not be queued', { error: err.message });
+        res.status(500).send({ error: 'Webhook could not be queued' });
+      }
+    }
+  );
+
+  return router;
+}
+
+// Handlers of the process, using the shared HubSpot clients, created on first use
+let defaultHandlers = null;
+
+/**
+ * @returns {object} Webhook handlers of the shared HubSpot clients, configured from the environment
+ */
+function getWebhookHandlers() {
+  if (!defaultHandlers) {
+    defaultHandlers = createWebhookHandlers({
+      sourceClient: getHubspotClient('source'),
+      mirrorClient: getHubspotClient('mirror'),
+      config: { twoWay: process.env.SYNC_TWO_WAY === 'true' },
+    });
+  }
+  return defaultHandlers;
+}
+
+module.exports = {
+  createWebhookHandlers,
+  createWebhookRouter,
+  getWebhookHandlers,
+  webhookQueueHandlers,
+};
@@ -0,0 +1,74 @@
+/*
+ * Contact to Company Association Labels
+ *
+ * A contact is associated with the company of its origin location and with the
+ * company of its current location. The two links are told apart by USER_DEFINED
+ * association labels of the v4 associations API, so a company record shows who
+ * comes from there and who lives there now. The labels are looked up by their
+ * display label and created when the account does not have them yet.
+ */
+
+const { getLogger } = require('../utils/logger');
+
+const logger = getLogger('association-labels');
+
+// Labels of the contact → company associations, by the location they stand for
+const ASSOCIATION_LABELS = {
+  origin: { name: 'origin', label: 'Origin' },
+  currentLocation: { name: 'current_location', label: 'Current location' },
+};
+
+// HubSpot's own contact → company type that sets the primary company (associatedcompanyid)
+const PRIMARY_COMPANY_TYPE = { associationCategory: 'HUBSPOT_DEFINED', associationTypeId: 1 };
+
+/**
+ * Reads the type ID of every user-defined contact → company label
+ * @param {object} definitionsApi - SDK association definitions API (hubspotClient.crm.associations.v4.schema.definitionsApi)
+ * @returns {Promise<Map<string, number>>} Type ID per display label
+ */
+async function readLabelTypeIds(definitionsApi) {
+  const response = await definitionsApi.getAll('contacts', 'companies');
+  return new Map(response.results
+    .filter(type => type.category === 'USER_DEFINED' && type.label)
+    .map(type => [type.label, type.typeId]));
+}
+
+/**
+ * Finds the association types of the Origin and Current location labels, creating the missing labels
+ * @param {object} hubspotClient - Initialized HubSpot API client
+ * @param {object} [options] - Options
+ * @param {object} [options.plan] - Dry-run plan; missing labels are recorded instead of created
+ * @returns {Promise<{origin: (object|null), currentLocation: (object|null)}>} Association type per label
+ *   ({associationCategory, associationTypeId}), null for a label only planned in a dry run
+ */
+async function resolveAssociationLabels(hubspotClient, { plan } = {}) {
+  const { definitionsApi } = hubspotClient.crm.associations.v4.schema;
+  let typeIds = await readLabelTypeIds(definitionsApi);
+
+  const missing = Object.values(ASSOCIATION_LABELS).filter(definition => !typeIds.has(definition.label));
+  if (missing.length > 0) {
+    for (const definition of missing) {
+      if (plan) {
+        plan.add({ action: 'create', objectType: 'association label', key: definition.name, reason: `contact->company '${definition.label}'` });
+      } else {
+        await definitionsApi.create('contacts', 'companies', { label: definition.label, name: definition.name });
+        logger.info(`Created association label '${definition.label}'`, { fromObjectType: 'contacts', toObjectType: 'companies' });
+      }
+    }
+    // The create response lists both directions, so the contact → company type IDs are read back
+    if (!plan) typeIds = await readLabelTypeIds(definitionsApi);
+  }
+
+  return Object.fromEntries(Object.entries(ASSOCIATION_LABELS).map(([key, definition]) => [
+    key,
+    typeIds.has(definition.label)
+      ? { associationCategory: 'USER_DEFINED', associationTypeId: typeIds.get(definition.label) }
+      : null,
+  ]));
+}
+
+module.exports = {
+  ASSOCIATION_LABELS,
+  PRIMARY_COMPANY_TYPE,
+  resolveAssociationLabels,
+};
@@ -0,0 +1,263 @@
+/*
+ * Character Selection
+ *
+ * Decides which Rick and Morty characters a migration run covers. A selection
+ * combines ID sources (a named strategy, explicit IDs, ID ranges) with field
+ * predicates, e.g. "all alive Humans from Earth (C-137)":
+ *
+ *   { "where": { "status": "Alive", "species": "Human", "origin": "Earth (C-137)" } }
+ *
+ * ID sources are unioned; predicates must all match. Without any ID source every
+ * character is a candidate, and an empty selection falls back to the 'primes' strategy.
+ */
+
+const fs = require('fs');
+const { isPrime } = require('../utils/math');
+
+// Highest character ID covered by the original prime-number selection rule
+const MAX_CHARACTER_ID = 826;
+
+// Most IDs one range may span; the API holds far fewer characters
+const MAX_RANGE_SIZE = 10000;
+
+/**
+ * Built-in named strategies; `ids` returns the candidate IDs, or null for "every character"
+ */
+const STRATEGIES = {
+  primes: {
+    description: `ID 1 and prime IDs up to ${MAX_CHARACTER_ID}`,
+    ids: () => {
+      const ids = [1];
+      for (let i = 2; i <= MAX_CHARACTER_ID; i++) {
+        if (isPrime(i)) ids.push(i);
+      }
+      return ids;
+    },
+  },
+  all: {
+    description: 'every character',
+    ids: () => null,
+  },
+};
+
+// Character fields that can be matched by value (case-insensitive, any of the given values)
+const VALUE_PREDICATES = {
+  status: character => character.status,
+  species: character => character.species,
+  type: character => character.type,
+  gender: character => character.gender,
+  origin: character => character.origin?.name,
+  location: character => character.location?.name,
+};
+
+/**
+ * Reads a whole number given as a number or a numeric string
+ * @param {number|string} value - Value to read
+ * @returns {number} The number, NaN if the value is not a whole number
+ */
+function toInteger(value) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value.trim()) : value;
+  return Number.isInteger(number) ? number : NaN;
+}
+
+/**
+ * Parses a character ID
+ * @param {number|string} value - Character ID
+ * @returns {number} Character ID
+ * @throws {Error} If the value is not a positive whole number
+ */
+function parseCharacterId(value) {
+  const id = toInteger(value);
+  if (!(id >= 1)) {
+    throw new Error(`Invalid character ID: ${JSON.stringify(value)}`);
+  }
+  return id;
+}
+
+/**
+ * Parses an episode count bound (minEpisodes, maxEpisodes)
+ * @param {number|string} value - Number of episodes
+ * @param {string} name - Bound name used in the error message
+ * @returns {number} Number of episodes
+ * @throws {Error} If the value is not a whole number of zero or more
+ */
+function parseEpisodeCount(value, name) {
+  const count = toInteger(value);
+  if (!(count >= 0)) {
+    throw new Error(`Invalid ${name}: ${JSON.stringify(value)}`);
+  }
+  return count;
+}
+
+/**
+ * Parses an ID range given as [from, to] or "from-to"
+ * @param {Array<number>|string} range - Inclusive range
+ * @returns {Array<number>} Range bounds
+ * @throws {Error} If the range is malformed or spans more than MAX_RANGE_SIZE IDs
+ */
+function parseRange(range) {
+  const bounds = Array.isArray(range) ? range : String(range).split('-');
+  const [from, to] = bounds.map(toInteger);
+  if (bounds.length !== 2 || !(from >= 1) || !(to >= from)) {
+    throw new Error(`Invalid character ID range: ${JSON.stringify(range)}`);
+  }
+  if (to - from + 1 > MAX_RANGE_SIZE) {
+    throw new Error(`Character ID range ${JSON.stringify(range)} spans more than ${MAX_RANGE_SIZE} IDs`);
+  }
+  return [from, to];
+}
+
+/**
+ * Builds a character selection from its declarative specification
+ * @param {object} [spec] - Selection specification
+ * @param {string} [spec.strategy] - Built-in strategy name ('primes' or 'all')
+ * @param {Array<number>} [spec.ids] - Explicit character IDs
+ * @param {Array<Array<number>|string>} [spec.ranges] - Inclusive ID ranges
+ * @param {object} [spec.where] - Field predicates (status, species, type, gender, origin, location, minEpisodes, maxEpisodes)
+ * @returns {{spec: object, key: string, description: string, candidateIds: (Array<number>|null), apiFilters: object, matches: Function}}
+ * @throws {Error} If the specification is invalid
+ */
+function createCharacterSelection(spec = {}) {
+  const hasIdSource = Boolean(spec.strategy || spec.ids || spec.ranges);
+  const normalized = hasIdSource || spec.where ? spec : { strategy: 'primes' };
+  const where = normalized.where || {};
+  const descriptions = [];
+
+  // Union of every ID source, or null when all characters are candidates
+  let candidateIds = null;
+  const addIds = (ids) => {
+    candidateIds = candidateIds || new Set();
+    ids.forEach(id => candidateIds.add(Number(id)));
+  };
+
+  if (normalized.strategy) {
+    const strategy = STRATEGIES[normalized.strategy];
+    if (!strategy) {
+      throw new Error(`Unknown selection strategy '${normalized.strategy}' (available: ${Object.keys(STRATEGIES).join(', ')})`);
+    }
+    const ids = strategy.ids();
+    if (ids) addIds(ids);
+    descriptions.push(strategy.description);
+  }
+  if (normalized.ids) {
+    const ids = [].concat(normalized.ids).map(parseCharacterId);
+    addIds(ids);
+    descriptions.push(`IDs ${ids.join(', ')}`);
+  }
+  for (const range of normalized.ranges || []) {
+    const [from, to] = parseRange(range);
+    addIds(Array.from({ length: to - from + 1 }, (_, i) => from + i));
+    descriptions.push(`IDs ${from}-${to}`);
+  }
+  // 'all' unions with everything, so it cancels any ID restriction
+  if (normalized.strategy === 'all') {
+    candidateIds = null;
+  }
+
+  const unknownPredicates = Object.keys(where)
+    .filter(field => !VALUE_PREDICATES[field] && !['minEpisodes', 'maxEpisodes'].includes(field));
+  if (unknownPredicates.length > 0) {
+    throw new Error(`Unknown selection predicate(s): ${unknownPredicates.join(', ')}`);
+  }
+
+  const valueFilters = Object.keys(VALUE_PREDICATES)
+    .filter(field => where[field] !== undefined)
+    .map((field) => {
+      const values = [].concat(where[field]).map(String);
+      const accepted = values.map(value => value.toLowerCase());
+      descriptions.push(`${field} ${values.join(' or ')}`);
+      return character => accepted.includes(String(VALUE_PREDICATES[field](character) || '').toLowerCase());
+    });
+
+  const minEpisodes = where.minEpisodes === undefined ? undefined : parseEpisodeCount(where.minEpisodes, 'minEpisodes');
+  const maxEpisodes = where.maxEpisodes === undefined ? undefined : parseEpisodeCount(where.maxEpisodes, 'maxEpisodes');
+  if (minEpisodes !== undefined) descriptions.push(`at least ${minEpisodes} episodes`);
+  if (maxEpisodes !== undefined) descriptions.push(`at most ${maxEpisodes} episodes`);
+
+  const matches = (character) => {
+    if (candidateIds && !candidateIds.has(character.id)) return false;
+    const episodes = (character.episode || []).length;
+    if (minEpisodes !== undefined && episodes < minEpisodes) return false;
+    if (maxEpisodes !== undefined && episodes > maxEpisodes) return false;
+    return valueFilters.every(filter => filter(character));
+  };
+
+  // Predicates the API filter endpoint can apply server-side (single values only)
+  const apiFilters = {};
+  for (const field of ['status', 'species', 'type', 'gender']) {
+    const values = [].concat(where[field] ?? []);
+    if (values.length === 1) apiFilters[field] = values[0];
+  }
+
+  return {
+    spec: normalized,
+    // Stable identity of the selection, used to invalidate checkpoints of other selections
+    key: JSON.stringify(normalized),
+    description: descriptions.join('; ') || 'every character',
+    candidateIds: candidateIds ? Array.from(candidateIds).sort((a, b) => a - b) : null,
+    apiFilters,
+    matches,
+  };
+}
+
+/**
+ * Reads a selection specification from a JSON file
+ * @param {string} filePath - Path to the JSON file
+ * @returns {object} Selection specification
+ */
+function loadSelectionFile(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * util.parseArgs option definitions for selection flags
+ */
+const SELECTION_CLI_OPTIONS = {
+  selection: { type: 'string' },
+  strategy: { type: 'string' },
+  ids: { type: 'string' },
+  range: { type: 'string', multiple: true },
+  status: { type: 'string', multiple: true },
+  species: { type: 'string', multiple: true },
+  type: { type: 'string', multiple: true },
+  gender: { type: 'string', multiple: true },
+  origin: { type: 'string', multiple: true },
+  location: { type: 'string', multiple: true },
+  'min-episodes': { type: 'string' },
+  'max-episodes': { type: 'string' },
+};
+
+/**
+ * Builds a selection specification from parsed CLI flags
+ * Starts from --selection <file> (or MIGRATION_SELECTION_FILE); explicit flags override the file
+ * @param {object} values - Values returned by util.parseArgs with SELECTION_CLI_OPTIONS
+ * @returns {object} Selection specification
+ * @throws {Error} If --ids, --min-episodes or --max-episodes holds something other than whole numbers
+ */
+function selectionFromCliOptions(values) {
+  const selectionFile = values.selection || process.env.MIGRATION_SELECTION_FILE;
+  const spec = selectionFile ? loadSelectionFile(selectionFile) : {};
+  const where = { ...spec.where };
+
+  if (values.strategy) spec.strategy = values.strategy;
+  if (values.ids) spec.ids = values.ids.split(',').map(parseCharacterId);
+  if (values.range) spec.ranges = values.range;
+  for (const field of Object.keys(VALUE_PREDICATES)) {
+    if (values[field]) where[field] = values[field].length === 1 ? values[field][0] : values[field];
+  }
+  if (values['min-episodes'] !== undefined) where.minEpisodes = parseEpisodeCount(values['min-episodes'], '--min-episodes');
+  if (values['max-episodes'] !== undefined) where.maxEpisodes = parseEpisodeCount(values['max-episodes'], '--max-episodes');
+
+  if (Object.keys(where).length > 0) spec.where = where;
+  return spec;
+}
+
+module.exports = {
+  MAX_CHARACTER_ID,
+  MAX_RANGE_SIZE,
+  STRATEGIES,
+  SELECTION_CLI_OPTIONS,
+  createCharacterSelection,
+  loadSelectionFile,
+  selectionFromCliOptions,
+};
@@ -0,0 +1,127 @@
+/*
+ * Company Matching
+ *
+ * Companies are identified by location_id, the Rick and Morty location ID, because
+ * location names are neither unique nor stable. The company name is only a fallback
+ * for companies created before location_id was written, and such a company is never
+ * matched to a location whose ID differs from its own. The duplicate report lists
+ * the companies that share a name or a location ID.
+ */
+
+const { writeJsonFile } = require('../utils/jsonFile');
+const { getLogger } = require('../utils/logger');
+const { listAllRecords, searchAllByPropertyValues, searchByPropertyValues } = require('./hubspotBatchService');
+
+const logger = getLogger('company-matching');
+
+const LOCATION_ID_PROPERTY = 'location_id';
+
+/**
+ * Finds the existing companies of a batch of locations
+ * @param {object} objectApi - SDK companies API (hubspotClient.crm.companies)
+ * @param {Array<{key: string, locationId: (string|undefined), name: (string|undefined)}>} candidates - Locations to match
+ * @param {Array<string>} properties - Properties to return
+ * @returns {Promise<Map<string, object>>} Existing company per candidate key
+ */
+async function matchCompanies(objectApi, candidates, properties) {
+  const readProperties = Array.from(new Set([...properties, LOCATION_ID_PROPERTY, 'name']));
+  const matched = new Map();
+
+  const byLocation = await searchByPropertyValues(
+    objectApi, LOCATION_ID_PROPERTY, candidates.map(candidate => candidate.locationId), readProperties
+  );
+  for (const candidate of candidates) {
+    const company = candidate.locationId && byLocation.get(String(candidate.locationId));
+    if (company) matched.set(candidate.key, company);
+  }
+
+  // Name fallback, limited to companies that carry no location ID yet
+  const pending = candidates.filter(candidate => !matched.has(candidate.key) && candidate.name);
+  if (pending.length === 0) return matched;
+
+  const byName = await searchAllByPropertyValues(
+    objectApi, 'name', pending.map(candidate => candidate.name), readProperties
+  );
+  const claimed = new Set(Array.from(matched.values()).map(company => company.id));
+  for (const candidate of pending) {
+    const company = (byName.get(String(candidate.name)) || [])
+      .find(match => !match.properties[LOCATION_ID_PROPERTY] && !claimed.has(match.id));
+    if (company) {
+      matched.set(candidate.key, company);
+      claimed.add(company.id);
+    }
+  }
+  return matched;
+}
+
+/**
+ * Lists the companies that share a name (case-insensitive) or a location ID
+ * @param {object} objectApi - SDK companies API (hubspotClient.crm.companies)
+ * @param {Array<string>} [extraProperties] - Additional properties to include in the report
+ * @returns {Promise<{generatedAt: string, companies: number, groups: Array<{property: string, value: string, companies: Array<object>}>}>}
+ *   Duplicate groups, largest first
+ */
+async function findDuplicateCompanies(objectApi, extraProperties = []) {
+  const properties = Array.from(new Set(['name', LOCATION_ID_PROPERTY, ...extraProperties]));
+  const companies = await listAllRecords(objectApi, properties);
+
+  const groups = [];
+  const collect = (property, normalize) => {
+    const byValue = new Map();
+    for (const company of companies) {
+      const value = company.properties[property];
+      if (!value) continue;
+      const key = normalize(String(value));
+      if (!byValue.has(key)) byValue.set(key, { property, value: String(value), companies: [] });
+      byValue.get(key).companies.push({
+        id: company.id,
+        ...Object.fromEntries(properties.map(name => [name, company.properties[name] ?? ''])),
+      });
+    }
+    groups.push(...Array.from(byValue.values()).filter(group => group.companies.length > 1));
+  };
+  collect(LOCATION_ID_PROPERTY, value => value);
+  collect('name', value => value.trim().toLowerCase());
+
+  groups.sort((a, b) => b.companies.length - a.companies.length);
+  return { generatedAt: new Date().toISOString(), companies: companies.length, groups };
+}
+
+/**
+ * Renders a duplicate report as a human-readable table
+ * @param {object} report - Report returned by findDuplicateCompanies
+ * @returns {string} Table text
+ */
+function formatDuplicateReport(report) {
+  const lines = [`${report.groups.length} duplicate group(s) among ${report.companies} companies (${report.generatedAt})`];
+  for (const group of report.groups) {
+    lines.push(`${group.property} = '${group.value}' (${group.companies.length} companies)`);
+    for (const company of group.companies) {
+      lines.push(`  ${company.id.padEnd(12)}  name: '${company.name}'  ${LOCATION_ID_PROPERTY}: '${company[LOCATION_ID_PROPERTY]}'`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Exports a duplicate report as JSON and prints it in the requested format
+ * @param {object} report - Report returned by findDuplicateCompanies
+ * @param {object} [options] - Output options
+ * @param {string} [options.jsonFile] - File receiving the JSON export
+ * @param {string} [options.format='table'] - Console output: 'table' or 'json'
+ */
+function outputDuplicateReport(report, { jsonFile, format = 'table' } = {}) {
+  if (jsonFile) {
+    writeJsonFile(jsonFile, report);
+    logger.info('Duplicate report exported', { file: jsonFile });
+  }
+  process.stdout.write(`${format === 'json' ? JSON.stringify(report, null, 2) : formatDuplicateReport(report)}\n`);
+}
+
+module.exports = {
+  LOCATION_ID_PROPERTY,
+  matchCompanies,
+  findDuplicateCompanies,
+  formatDuplicateReport,
+  outputDuplicateReport,
+};
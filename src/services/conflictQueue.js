@@ -0,0 +1,122 @@
+/*
+ * Sync Conflict Queue
+ *
+ * Every property changed on both sides between two two-way syncs is recorded here
+ * for review: conflicts resolved by their policy are kept as history, conflicts
+ * under the 'manual' policy stay open until an operator picks the winning side.
+ * An open conflict detected again is updated in place rather than duplicated.
+ */
+
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+
+/**
+ * Creates a file-backed conflict queue
+ * @param {Object} options - Queue configuration
+ * @param {string} options.conflictFile - JSON file holding the conflicts
+ * @param {Object} options.logger - Winston logger
+ * @param {number} [options.maxResolved=500] - Resolved conflicts kept as history (open ones are always kept)
+ * @returns {Object} Queue API
+ */
+function createConflictQueue({ conflictFile, logger, maxResolved = 500 }) {
+  const items = readJsonFile(conflictFile, { items: [] }).items;
+
+  const persist = () => {
+    const resolved = items.filter(item => item.status === 'resolved');
+    if (resolved.length > maxResolved) {
+      const dropped = new Set(resolved.slice(0, resolved.length - maxResolved).map(item => item.id));
+      items.splice(0, items.length, ...items.filter(item => !dropped.has(item.id)));
+    }
+    writeJsonFile(conflictFile, { items });
+  };
+
+  /**
+   * Records detected conflicts with a single write
+   * @param {Array<Object>} conflicts - Conflicts: objectType, sourceId, mirrorId, property, sourceValue,
+   *   mirrorValue, baseValue, policy and winner (null when left for review)
+   * @returns {Array<Object>} Recorded items
+   */
+  function record(conflicts) {
+    if (conflicts.length === 0) return [];
+    const now = new Date().toISOString();
+    const recorded = conflicts.map((conflict) => {
+      const { winner, ...details } = conflict;
+      let item = items.find(existing => existing.status === 'open' &&
+        existing.objectType === conflict.objectType &&
+        existing.sourceId === conflict.sourceId &&
+        existing.property === conflict.property);
+
+      if (item) {
+        Object.assign(item, details, { lastDetectedAt: now, occurrences: item.occurrences + 1 });
+      } else {
+        item = { id: crypto.randomUUID(), ...details, detectedAt: now, lastDetectedAt: now, occurrences: 1, status: 'open' };
+        items.push(item);
+      }
+      if (winner) {
+        Object.assign(item, { status: 'resolved', resolvedAt: now, resolution: { winner, by: 'policy' } });
+      }
+      return item;
+    });
+    persist();
+
+    const open = recorded.filter(item => item.status === 'open').length;
+    logger.warn('Sync conflicts detected', { count: recorded.length, open });
+    return recorded;
+  }
+
+  /**
+   * Lists conflicts, most recent first
+   * @param {string} [status] - 'open' or 'resolved'; every conflict when omitted
+   * @returns {Array<Object>} Conflicts
+   */
+  function list(status) {
+    return items.filter(item => !status || item.status === status).slice().reverse();
+  }
+
+  /**
+   * @param {string} id - Conflict ID
+   * @returns {Object|undefined} Conflict
+   */
+  function get(id) {
+    return items.find(item => item.id === id);
+  }
+
+  /**
+   * Marks an open conflict as resolved by an operator
+   * @param {string} id - Conflict ID
+   * @param {Object} resolution - Resolution: winner ('source' or 'mirror') and the value kept
+   * @returns {Object|null} Resolved conflict, or null if it does not exist or is not open
+   */
+  function resolve(id, resolution) {
+    const item = get(id);
+    if (!item || item.status !== 'open') return null;
+    Object.assign(item, {
+      status: 'resolved',
+      resolvedAt: new Date().toISOString(),
+      resolution: { ...resolution, by: 'operator' },
+    });
+    persist();
+    logger.info('Sync conflict resolved', { id, property: item.property, winner: resolution.winner });
+    return item;
+  }
+
+  /**
+   * @returns {{open: number, resolved: number}} Conflict counts
+   */
+  function stats() {
+    const open = items.filter(item => item.status === 'open').length;
+    return { open, resolved: items.length - open };
+  }
+
+  return {
+    record,
+    list,
+    get,
+    resolve,
+    stats,
+  };
+}
+
+module.exports = {
+  createConflictQueue,
+};
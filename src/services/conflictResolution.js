@@ -0,0 +1,218 @@
+/*
+ * Two-way Sync Conflict Resolution
+ *
+ * In two-way mode each synced property is compared against its last-synced value
+ * (see syncVersions.js): a property changed on one side only is copied to the other
+ * side, a property changed on both sides to different values is a conflict, resolved
+ * by the policy configured for it. Identity properties (character_id, location_id)
+ * stay owned by Source and are not part of the comparison.
+ */
+
+const CONFLICT_POLICIES = ['source-wins', 'mirror-wins', 'newest-wins', 'manual'];
+
+// Properties edited on both sides in two-way mode, per object type
+const TWO_WAY_PROPERTIES = {
+  companies: ['name', 'phone', 'industry'],
+  contacts: [
+    'email', 'firstname', 'lastname',
+    'character_status', 'character_species', 'character_gender',
+  ],
+};
+
+/**
+ * Missing and empty values are treated as equal, values are compared as strings
+ * @param {*} value - Property value
+ * @returns {string} Comparable value
+ */
+const normalize = value => (value === undefined || value === null ? '' : String(value));
+
+/**
+ * Two-way properties of a record, as stored in its last-synced version
+ * @param {string} objectType - 'companies' or 'contacts'
+ * @param {object} properties - Record properties
+ * @returns {object} Two-way property values
+ */
+function twoWayValues(objectType, properties) {
+  return Object.fromEntries(TWO_WAY_PROPERTIES[objectType].map(property => [property, normalize(properties[property])]));
+}
+
+/**
+ * Whether a record changed a two-way property since its last-synced version
+ * @param {string} objectType - 'companies' or 'contacts'
+ * @param {object} properties - Record properties
+ * @param {object} [base] - Last-synced properties; without them the record counts as changed
+ * @returns {boolean} True when a two-way property differs from its last-synced value
+ */
+function hasTwoWayChanges(objectType, properties, base) {
+  return !base || TWO_WAY_PROPERTIES[objectType]
+    .some(property => normalize(properties[property]) !== normalize(base[property]));
+}
+
+/**
+ * Parses per-property policies: 'email=manual,companies.name=mirror-wins'
+ * @param {string} [value] - Comma-separated property=policy pairs
+ * @returns {Object<string, string>} Policy per property (optionally prefixed with the object type)
+ * @throws {Error} If a pair is malformed
+ */
+function parsePropertyPolicies(value) {
+  const policies = {};
+  for (const pair of (value || '').split(',').map(entry => entry.trim()).filter(Boolean)) {
+    const [property, policy] = pair.split('=').map(part => part.trim());
+    if (!property || !policy) {
+      throw new Error(`Invalid conflict policy '${pair}' (expected property=policy)`);
+    }
+    policies[property] = policy;
+  }
+  return policies;
+}
+
+/**
+ * Resolves the conflict policies, falling back to the environment
+ * @param {object} [overrides] - Explicit policies
+ * @param {string} [overrides.default] - Policy of properties without their own (SYNC_CONFLICT_POLICY, default 'source-wins')
+ * @param {Object<string, string>} [overrides.properties] - Policy per property, e.g. { email: 'manual', 'companies.name': 'mirror-wins' }
+ *   (SYNC_CONFLICT_POLICIES, e.g. 'email=manual,companies.name=mirror-wins')
+ * @returns {{default: string, properties: Object<string, string>}} Conflict policies
+ * @throws {Error} If a policy is unknown
+ */
+function resolveConflictPolicies(overrides = {}) {
+  const policies = {
+    default: overrides.default || process.env.SYNC_CONFLICT_POLICY || 'source-wins',
+    properties: overrides.properties || parsePropertyPolicies(process.env.SYNC_CONFLICT_POLICIES),
+  };
+
+  for (const policy of [policies.default, ...Object.values(policies.properties)]) {
+    if (!CONFLICT_POLICIES.includes(policy)) {
+      throw new Error(`Unknown conflict policy '${policy}' (expected ${CONFLICT_POLICIES.join(', ')})`);
+    }
+  }
+  return policies;
+}
+
+/**
+ * Policy of one property: '<objectType>.<property>', then '<property>', then the default
+ * @param {object} policies - Policies returned by resolveConflictPolicies
+ * @param {string} objectType - 'companies' or 'contacts'
+ * @param {string} property - Property name
+ * @returns {string} Conflict policy
+ */
+function policyFor(policies, objectType, property) {
+  return policies.properties[`${objectType}.${property}`] || policies.properties[property] || policies.default;
+}
+
+/**
+ * Winning side of a conflict under a policy
+ * newest-wins compares the modification dates of the records (Source wins ties)
+ * @param {string} policy - Conflict policy
+ * @param {object} dates - Record modification dates
+ * @param {string} [dates.sourceModifiedAt] - Source record modification date
+ * @param {string} [dates.mirrorModifiedAt] - Mirror record modification date
+ * @returns {string|null} 'source', 'mirror', or null when the conflict is left for review
+ */
+function conflictWinner(policy, { sourceModifiedAt, mirrorModifiedAt }) {
+  if (policy === 'source-wins') return 'source';
+  if (policy === 'mirror-wins') return 'mirror';
+  if (policy === 'newest-wins') {
+    return new Date(mirrorModifiedAt).getTime() > new Date(sourceModifiedAt).getTime() ? 'mirror' : 'source';
+  }
+  return null;
+}
+
+/**
+ * Compares both versions of a record against its last-synced version, property by property
+ * Without a last-synced version (first two-way run) every differing property is a conflict
+ * @param {object} params - Record versions
+ * @param {string} params.objectType - 'companies' or 'contacts'
+ * @param {object} params.source - Source properties
+ * @param {object} params.mirror - Mirror properties
+ * @param {object} [params.base] - Last-synced properties
+ * @param {string} [params.sourceModifiedAt] - Source record modification date (newest-wins)
+ * @param {string} [params.mirrorModifiedAt] - Mirror record modification date (newest-wins)
+ * @param {object} params.policies - Policies returned by resolveConflictPolicies
+ * @returns {{toMirror: object, toSource: object, synced: object, conflicts: Array<object>}} Properties to write
+ *   to each side, the new last-synced properties, and the conflicts with their policy and winner
+ */
+function reconcileProperties({ objectType, source, mirror, base, sourceModifiedAt, mirrorModifiedAt, policies }) {
+  const outcome = { toMirror: {}, toSource: {}, synced: {}, conflicts: [] };
+
+  for (const property of TWO_WAY_PROPERTIES[objectType]) {
+    const sourceValue = normalize(source[property]);
+    const mirrorValue = normalize(mirror[property]);
+    const baseValue = base ? normalize(base[property]) : undefined;
+
+    if (sourceValue === mirrorValue) {
+      outcome.synced[property] = sourceValue;
+      continue;
+    }
+    const sourceChanged = !base || sourceValue !== baseValue;
+    const mirrorChanged = !base || mirrorValue !== baseValue;
+
+    let winner;
+    if (!mirrorChanged) {
+      winner = 'source';
+    } else if (!sourceChanged) {
+      winner = 'mirror';
+    } else {
+      const policy = policyFor(policies, objectType, property);
+      winner = conflictWinner(policy, { sourceModifiedAt, mirrorModifiedAt });
+      outcome.conflicts.push({
+        property,
+        sourceValue,
+        mirrorValue,
+        baseValue: baseValue ?? null,
+        policy,
+        winner,
+      });
+    }
+
+    if (winner === 'source') {
+      outcome.toMirror[property] = sourceValue;
+      outcome.synced[property] = sourceValue;
+    } else if (winner === 'mirror') {
+      outcome.toSource[property] = mirrorValue;
+      outcome.synced[property] = mirrorValue;
+    } else if (baseValue !== undefined) {
+      // Left for review: the conflict is detected again until it is resolved
+      outcome.synced[property] = baseValue;
+    }
+  }
+  return outcome;
+}
+
+/**
+ * Drops the two-way properties a Source change must not overwrite in Mirror: properties
+ * Source did not change since the last sync, and properties Mirror changed too (a
+ * conflict, left to the next sync). Without a last-synced version every two-way
+ * property is dropped.
+ * @param {object} properties - Properties about to be written to Mirror
+ * @param {object} params - Record versions
+ * @param {string} params.objectType - 'companies' or 'contacts'
+ * @param {object} params.mirror - Current Mirror properties
+ * @param {object} [params.base] - Last-synced properties
+ * @returns {object} Properties safe to write
+ */
+function withoutMirrorEdits(properties, { objectType, mirror, base }) {
+  const safe = { ...properties };
+  for (const property of TWO_WAY_PROPERTIES[objectType]) {
+    if (!(property in safe)) continue;
+    const sourceChanged = base && normalize(safe[property]) !== normalize(base[property]);
+    const mirrorChanged = !base || normalize(mirror[property]) !== normalize(base[property]);
+    if (!sourceChanged || mirrorChanged) {
+      delete safe[property];
+    }
+  }
+  return safe;
+}
+
+module.exports = {
+  CONFLICT_POLICIES,
+  TWO_WAY_PROPERTIES,
+  twoWayValues,
+  hasTwoWayChanges,
+  parsePropertyPolicies,
+  resolveConflictPolicies,
+  policyFor,
+  conflictWinner,
+  reconcileProperties,
+  withoutMirrorEdits,
+};
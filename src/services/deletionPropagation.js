@@ -0,0 +1,173 @@
+/*
+ * Deletion and Archival Propagation
+ *
+ * Sync only creates and updates, so records and associations removed from Source
+ * are found by comparing both accounts: a Mirror record whose key no longer exists
+ * in Source is archived (mode 'archive', restorable from the HubSpot recycle bin)
+ * or tagged with source_archived (mode 'soft'). A safety threshold refuses to touch
+ * more than a configured share of the Mirror records of one type in a single run.
+ */
+
+const { batchUpsert, batchArchive, batchReadAssociations, batchArchiveAssociations } = require('./hubspotBatchService');
+const { getLogger } = require('../utils/logger');
+
+const logger = getLogger('deletion');
+
+const DELETION_MODES = ['archive', 'soft'];
+
+// Properties written on Mirror records in soft-delete mode (provisioned with the other custom properties)
+const SOFT_DELETE_PROPERTY = 'source_archived';
+const SOFT_DELETE_DATE_PROPERTY = 'source_archived_at';
+
+/**
+ * Resolves the deletion settings, falling back to the environment
+ * @param {object} [overrides] - Explicit settings
+ * @param {boolean} [overrides.enabled] - Propagate deletions at all (SYNC_PROPAGATE_DELETIONS, default true)
+ * @param {string} [overrides.mode] - 'archive' or 'soft' (SYNC_DELETE_MODE, default 'archive')
+ * @param {number} [overrides.maxDeleteRatio] - Largest share of Mirror records removed per run (SYNC_MAX_DELETE_RATIO, default 0.2)
+ * @returns {{enabled: boolean, mode: string, maxDeleteRatio: number}} Deletion settings
+ * @throws {Error} If the mode or the ratio is invalid
+ */
+function resolveDeletionOptions(overrides = {}) {
+  const envRatio = process.env.SYNC_MAX_DELETE_RATIO;
+  const options = {
+    enabled: process.env.SYNC_PROPAGATE_DELETIONS !== 'false',
+    mode: process.env.SYNC_DELETE_MODE || 'archive',
+    maxDeleteRatio: envRatio === undefined || envRatio === '' ? 0.2 : Number(envRatio),
+    ...overrides,
+  };
+
+  if (!DELETION_MODES.includes(options.mode)) {
+    throw new Error(`Unknown deletion mode '${options.mode}' (expected ${DELETION_MODES.join(' or ')})`);
+  }
+  if (!(options.maxDeleteRatio >= 0 && options.maxDeleteRatio <= 1)) {
+    throw new Error(`Invalid maximum deletion ratio '${options.maxDeleteRatio}' (expected 0 to 1)`);
+  }
+  return options;
+}
+
+/**
+ * @param {object} [record] - HubSpot record
+ * @returns {boolean} Whether the record was tagged by a soft delete
+ */
+function isSoftDeleted(record) {
+  return record?.properties?.[SOFT_DELETE_PROPERTY] === 'true';
+}
+
+/**
+ * Properties that clear the soft-delete tag of a record that exists in Source again
+ * @param {object} [record] - Current Mirror record
+ * @returns {object} Properties to merge into the upsert (empty if the record is not tagged)
+ */
+function clearSoftDeleteProperties(record) {
+  return isSoftDeleted(record) ? { [SOFT_DELETE_PROPERTY]: 'false', [SOFT_DELETE_DATE_PROPERTY]: '' } : {};
+}
+
+/**
+ * Archives or tags Mirror records, according to the deletion mode
+ * @param {object} objectApi - SDK object API of the Mirror account (e.g. hubspotClient.crm.contacts)
+ * @param {Array<{key: string, id: string, properties: (object|undefined)}>} records - Records to remove
+ * @param {object} options - Removal options
+ * @param {string} options.mode - 'archive' or 'soft'
+ * @param {string} options.objectType - Object type label used in logs and plans
+ * @param {object} [options.plan] - Dry-run plan; when given nothing is written
+ * @returns {Promise<{results: Array<object>, errors: Array<{key: string, error: string}>}>}
+ */
+async function removeMirrorRecords(objectApi, records, { mode, objectType, plan }) {
+  if (mode === 'archive') {
+    return batchArchive(objectApi, records, { plan, objectType });
+  }
+
+  const archivedAt = new Date().toISOString();
+  return batchUpsert(objectApi, records.map(record => ({
+    key: record.key,
+    existingId: record.id,
+    existing: record,
+    properties: { [SOFT_DELETE_PROPERTY]: 'true', [SOFT_DELETE_DATE_PROPERTY]: archivedAt },
+  })), SOFT_DELETE_PROPERTY, { plan, objectType });
+}
+
+/**
+ * Removes the Mirror records of one type whose key no longer exists in Source
+ * Mirror records without a key are not managed by the sync and are left alone
+ * @param {object} params - Propagation parameters
+ * @param {object} params.objectApi - SDK object API of the Mirror account
+ * @param {string} params.objectType - Object type label (e.g. 'company')
+ * @param {Array<{key: string, id: string, properties: object}>} params.mirrorRecords - Every Mirror record of this type
+ * @param {Set<string>} params.sourceKeys - Keys of every active Source record
+ * @param {object} [params.plan] - Dry-run plan; when given nothing is written
+ * @param {object} [params.options] - Deletion settings overriding the environment (see resolveDeletionOptions)
+ * @returns {Promise<{removed: number, errors: Array<{key: string, error: string}>}>} Removal outcome
+ * @throws {Error} If the share of records to remove exceeds the safety threshold
+ */
+async function propagateDeletions({ objectApi, objectType, mirrorRecords, sourceKeys, plan, options }) {
+  const { enabled, mode, maxDeleteRatio } = resolveDeletionOptions(options);
+  if (!enabled) {
+    return { removed: 0, errors: [] };
+  }
+
+  const managed = mirrorRecords.filter(record => record.key);
+  const orphans = managed.filter(record => !sourceKeys.has(record.key) && !isSoftDeleted(record));
+  if (orphans.length === 0) {
+    return { removed: 0, errors: [] };
+  }
+
+  const ratio = orphans.length / managed.length;
+  if (ratio > maxDeleteRatio) {
+    throw new Error(
+      `Refusing to remove ${orphans.length} of ${managed.length} Mirror ${objectType} records ` +
+      `(${Math.round(ratio * 100)}% exceeds the ${Math.round(maxDeleteRatio * 100)}% threshold)`
+    );
+  }
+
+  logger.info(`${mode === 'archive' ? 'Archiving' : 'Tagging'} Mirror records removed from Source`, { objectType, count: orphans.length });
+  const outcome = await removeMirrorRecords(objectApi, orphans, { mode, objectType, plan });
+  for (const error of outcome.errors) {
+    logger.error('Could not remove Mirror record', { objectType, key: error.key, error: error.error });
+  }
+  return { removed: outcome.results.length, errors: outcome.errors };
+}
+
+/**
+ * Removes the associations that no longer exist in Source
+ * @param {object} hubspotClient - Mirror HubSpot API client
+ * @param {string} fromObjectType - e.g. 'contact'
+ * @param {string} toObjectType - e.g. 'company'
+ * @param {Map<string, Array<string>>} expected - Mirror IDs each record should stay associated with, per Mirror record ID
+ * @param {object} [options] - Pruning options
+ * @param {object} [options.plan] - Dry-run plan; when given nothing is written
+ * @returns {Promise<{results: Array<object>, errors: Array<{key: string, error: string}>}>} Removed associations
+ */
+async function pruneAssociations(hubspotClient, fromObjectType, toObjectType, expected, { plan } = {}) {
+  const current = await batchReadAssociations(hubspotClient, fromObjectType, toObjectType, Array.from(expected.keys()));
+
+  const stale = [];
+  for (const [fromId, toIds] of current) {
+    const keep = new Set((expected.get(fromId) || []).map(String));
+    for (const toId of toIds) {
+      if (!keep.has(toId)) stale.push({ key: `${fromId}:${toId}`, fromId, toId });
+    }
+  }
+  if (stale.length === 0) {
+    return { results: [], errors: [] };
+  }
+
+  logger.info('Removing associations no longer present in Source', { fromObjectType, toObjectType, count: stale.length });
+  const outcome = await batchArchiveAssociations(hubspotClient, fromObjectType, toObjectType, stale, { plan });
+  for (const error of outcome.errors) {
+    logger.error('Could not remove association', { key: error.key, error: error.error });
+  }
+  return outcome;
+}
+
+module.exports = {
+  DELETION_MODES,
+  SOFT_DELETE_PROPERTY,
+  SOFT_DELETE_DATE_PROPERTY,
+  resolveDeletionOptions,
+  isSoftDeleted,
+  clearSoftDeleteProperties,
+  removeMirrorRecords,
+  propagateDeletions,
+  pruneAssociations,
+};
@@ -0,0 +1,709 @@
+/*
+ * HubSpot Batch Operations
+ *
+ * Helpers around HubSpot's batch read/create/update and associations v4 batch
+ * endpoints (100 records per call). A failed batch is retried record by record
+ * so one invalid record is reported on its own instead of failing its 99 neighbours.
+ * Given a dry-run plan, the write helpers record their operations instead.
+ */
+
+const { diffProperties } = require('./syncPlan');
+const { getLogger } = require('../utils/logger');
+
+const logger = getLogger('batch');
+
+const BATCH_SIZE = 100;
+
+// Deepest result the Search API pages to for one query
+const SEARCH_RESULT_LIMIT = 10000;
+
+/**
+ * Splits an array into chunks
+ * @param {Array} items - Items to split
+ * @param {number} [size=100] - Maximum chunk length
+ * @returns {Array<Array>} Chunks in original order
+ */
+function chunk(items, size = BATCH_SIZE) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Extracts the most useful message from a HubSpot SDK or network error
+ * @param {Error} error - Caught error
+ * @returns {string} Error message
+ */
+function describeError(error) {
+  return error.body?.message || error.response?.data?.message || error.message;
+}
+
+/**
+ * Reads records by a unique property, 100 values per call
+ * Values without a matching record are simply absent from the result
+ * @param {object} objectApi - SDK object API (e.g. hubspotClient.crm.contacts)
+ * @param {string} idProperty - Unique property to match on (e.g. 'character_id', 'email')
+ * @param {Array<string>} values - Property values to look up
+ * @param {Array<string>} properties - Properties to return
+ * @returns {Promise<Map<string, object>>} Records keyed by their idProperty value
+ */
+async function batchReadByProperty(objectApi, idProperty, values, properties) {
+  const found = new Map();
+  const uniqueValues = Array.from(new Set(values.filter(Boolean).map(String)));
+
+  for (const values of chunk(uniqueValues)) {
+    const response = await objectApi.batchApi.read({
+      idProperty,
+      inputs: values.map(id => ({ id })),
+      properties: Array.from(new Set([idProperty, ...properties])),
+      propertiesWithHistory: [],
+    });
+    for (const record of response.results) {
+      found.set(String(record.properties[idProperty]), record);
+    }
+  }
+  return found;
+}
+
+/**
+ * Lists every record of an object type, 100 per page
+ * @param {object} objectApi - SDK object API (e.g. hubspotClient.crm.companies)
+ * @param {Array<string>} properties - Properties to return
+ * @returns {Promise<Array<object>>} Records
+ */
+async function listAllRecords(objectApi, properties) {
+  let records = [];
+  let after = undefined;
+  do {
+    const response = await objectApi.basicApi.getPage(BATCH_SIZE, after, properties);
+    records = records.concat(response.results);
+    after = response.paging?.next?.after;
+  } while (after);
+  return records;
+}
+
+/**
+ * Reads records by HubSpot record ID, 100 IDs per call
+ * IDs without a record (archived or deleted) are simply absent from the result
+ * @param {object} objectApi - SDK object API (e.g. hubspotClient.crm.contacts)
+ * @param {Array<string>} ids - Record IDs
+ * @param {Array<string>} properties - Properties to return
+ * @returns {Promise<Map<string, object>>} Records keyed by ID
+ */
+async function batchReadByIds(objectApi, ids, properties) {
+  const found = new Map();
+  const uniqueIds = Array.from(new Set(ids.filter(Boolean).map(String)));
+
+  for (const batch of chunk(uniqueIds)) {
+    const response = await objectApi.batchApi.read({
+      inputs: batch.map(id => ({ id })),
+      properties,
+      propertiesWithHistory: [],
+    });
+    for (const record of response.results) {
+      found.set(String(record.id), record);
+    }
+  }
+  return found;
+}
+
+/**
+ * Finds every record whose property equals one of the given values using the Search API IN operator
+ * Used for non-unique properties (e.g. company name) that batch read cannot match on
+ * @param {object} objectApi - SDK object API (e.g. hubspotClient.crm.companies)
+ * @param {string} propertyName - Property to filter on
+ * @param {Array<string>} values - Property values to look up
+ * @param {Array<string>} properties - Properties to return
+ * @returns {Promise<Map<string, Array<object>>>} Matching records per value, in search order
+ */
+async function searchAllByPropertyValues(objectApi, propertyName, values, properties) {
+  const found = new Map();
+  const uniqueValues = Array.from(new Set(values.filter(Boolean).map(String)));
+
+  for (const values of chunk(uniqueValues)) {
+    let after;
+    do {
+      const response = await objectApi.searchApi.doSearch({
+        filterGroups: [{
+          filters: [{ propertyName, operator: 'IN', values }]
+        }],
+        properties: Array.from(new Set([propertyName, ...properties])),
+        limit: BATCH_SIZE,
+        after,
+      });
+      for (const record of response.results) {
+        const value = String(record.properties[propertyName]);
+        if (!found.has(value)) found.set(value, []);
+        found.get(value).push(record);
+      }
+      after = response.paging?.next?.after;
+    } while (after);
+  }
+  return found;
+}
+
+/**
+ * Finds records whose property equals one of the given values using the Search API IN operator
+ * @param {object} objectApi - SDK object API (e.g. hubspotClient.crm.companies)
+ * @param {string} propertyName - Property to filter on
+ * @param {Array<string>} values - Property values to look up
+ * @param {Array<string>} properties - Properties to return
+ * @returns {Promise<Map<string, object>>} First matching record per value
+ */
+async function searchByPropertyValues(objectApi, propertyName, values, properties) {
+  const found = await searchAllByPropertyValues(objectApi, propertyName, values, properties);
+  return new Map(Array.from(found, ([value, records]) => [value, records[0]]));
+}
+
+/**
+ * Lists the records modified since a date with the Search API, oldest first
+ * The Search API stops paging after 10,000 results, so longer result sets are read
+ * with successive queries starting at the last modification date seen
+ * @param {object} objectApi - SDK object API (e.g. hubspotClient.crm.contacts)
+ * @param {string} dateProperty - Modification date property (e.g. 'hs_lastmodifieddate')
+ * @param {string} since - Lower bound, inclusive (ISO 8601)
+ * @param {Array<string>} properties - Properties to return
+ * @returns {Promise<Array<object>>} Modified records
+ * @throws {Error} If more than 10,000 records share one modification date
+ */
+async function searchModifiedSince(objectApi, dateProperty, since, properties) {
+  const found = new Map();
+  let lowerBound = since;
+  let restart;
+
+  do {
+    restart = false;
+    let after;
+    let lastSeen = lowerBound;
+    do {
+      const response = await objectApi.searchApi.doSearch({
+        filterGroups: [{
+          filters: [{ propertyName: dateProperty, operator: 'GTE', value: String(new Date(lowerBound).getTime()) }]
+        }],
+        sorts: [dateProperty],
+        properties: Array.from(new Set([dateProperty, ...properties])),
+        limit: BATCH_SIZE,
+        after,
+      });
+      for (const record of response.results) {
+        found.set(record.id, record);
+        lastSeen = record.properties[dateProperty] || lastSeen;
+      }
+      after = response.paging?.next?.after;
+
+      if (after && Number(after) >= SEARCH_RESULT_LIMIT) {
+        if (new Date(lastSeen).getTime() === new Date(lowerBound).getTime()) {
+          throw new Error(`More than ${SEARCH_RESULT_LIMIT} records modified at ${lowerBound}, run a full sync instead`);
+        }
+        lowerBound = lastSeen;
+        after = undefined;
+        restart = true;
+      }
+    } while (after);
+  } while (restart);
+
+  return Array.from(found.values());
+}
+
+/**
+ * Tells whether HubSpot refused a request outright, so none of it was applied
+ * @param {Error} error - SDK error (code holds the HTTP status)
+ * @returns {boolean} True for 4xx responses
+ */
+function isRejection(error) {
+  const status = Number(error.code);
+  return status >= 400 && status <= 499;
+}
+
+/**
+ * Runs one batch call, falling back to one call per record when the batch is rejected
+ * or when some records are missing from a multi-status response
+ * A batch that failed otherwise (5xx, lost connection) or came back incomplete may have been
+ * applied: the records are first looked up with `recover`, and only those not found are sent again.
+ * @param {Array<object>} records - Records of this chunk
+ * @param {Function} runBatch - Receives records, resolves to the SDK batch response
+ * @param {Function} matchResult - Returns the record a response entry belongs to
+ * @param {object} outcome - Accumulator of {results, errors}
+ * @param {Function} toResult - Builds a result entry from (record, hubspotObject)
+ * @param {Function} [recover] - Receives records, resolves to a Map of the records already applied to
+ *   their HubSpot object (for calls that must not be repeated, such as creates)
+ */
+async function runWithFallback(records, runBatch, matchResult, outcome, toResult, recover) {
+  let pending = records;
+  let failure = null;
+
+  try {
+    const response = await runBatch(records);
+    const matched = new Set();
+    for (const hubspotObject of response.results) {
+      const record = matchResult(hubspotObject, records);
+      if (record && !matched.has(record)) {
+        matched.add(record);
+        outcome.results.push(toResult(record, hubspotObject));
+      }
+    }
+    pending = records.filter(record => !matched.has(record));
+  } catch (error) {
+    failure = error;
+  }
+
+  if (recover && pending.length > 0 && !(failure && isRejection(failure))) {
+    try {
+      const applied = await recover(pending);
+      for (const record of pending) {
+        if (applied.has(record)) outcome.results.push(toResult(record, applied.get(record)));
+      }
+      pending = pending.filter(record => !applied.has(record));
+    } catch (error) {
+      // Whether these records were applied is unknown, so none of them is sent again
+      logger.error('Could not check which records of a failed batch were applied', { records: pending.length, error: describeError(error) });
+      for (const record of pending) {
+        outcome.errors.push({ key: record.key, error: describeError(failure || error) });
+      }
+      return;
+    }
+  }
+
+  if (failure) {
+    if (records.length === 1) {
+      for (const record of pending) {
+        outcome.errors.push({ key: record.key, error: describeError(failure) });
+      }
+      return;
+    }
+    logger.warn('Batch failed, retrying records individually', { records: pending.length, error: describeError(failure) });
+  }
+
+  if (records.length === 1 || pending.length === 0) {
+    for (const record of pending) {
+      outcome.errors.push({ key: record.key, error: 'Record missing from batch response' });
+    }
+    return;
+  }
+
+  for (const record of pending) {
+    await runWithFallback([record], runBatch, () => record, outcome, toResult, recover);
+  }
+}
+
+/**
+ * Records planned creates and updates instead of writing them (dry-run)
+ * @param {Array<object>} records - Records that would be written
+ * @param {object} plan - Plan created by createPlan
+ * @param {string} objectType - Object type label used in the plan
+ * @returns {{results: Array<object>, errors: Array<object>}} Outcome with placeholder IDs for creates
+ */
+function planUpsert(records, plan, objectType) {
+  const results = records.map((record) => {
+    if (!record.existingId) {
+      const id = plan.plannedId(objectType, record.key);
+      plan.add({ action: 'create', objectType, key: record.key, id, changes: diffProperties({}, record.properties) });
+      return { key: record.key, id, created: true };
+    }
+
+    const changes = diffProperties(record.existing?.properties, record.properties);
+    if (changes.length === 0) {
+      plan.add({ action: 'skip', objectType, key: record.key, id: record.existingId, reason: 'unchanged' });
+    } else {
+      plan.add({ action: 'update', objectType, key: record.key, id: record.existingId, changes });
+    }
+    return { key: record.key, id: record.existingId, created: false };
+  });
+  return { results, errors: [] };
+}
+
+/**
+ * Records planned associations instead of creating them (dry-run)
+ * @param {Array<object>} pairs - Associations that would be created
+ * @param {object} plan - Plan created by createPlan
+ * @param {string} fromObjectType - e.g. 'contact'
+ * @param {string} toObjectType - e.g. 'company'
+ * @returns {{results: Array<object>, errors: Array<object>}} Outcome
+ */
+function planAssociations(pairs, plan, fromObjectType, toObjectType) {
+  for (const pair of pairs) {
+    plan.add({
+      action: 'associate',
+      objectType: `${fromObjectType}->${toObjectType}`,
+      key: pair.key,
+      id: `${pair.fromId}->${pair.toId}`,
+      reason: pair.label,
+    });
+  }
+  return { results: pairs.map(pair => ({ key: pair.key, fromId: pair.fromId, toId: pair.toId })), errors: [] };
+}
+
+/**
+ * Reads back records that a failed create may have written, by their key property
+ * The key must be a unique-value property: batch reads by such a property are consistent with the
+ * writes that precede them, unlike the Search API whose index lags behind.
+ * @param {object} objectApi - SDK object API (e.g. hubspotClient.crm.contacts)
+ * @param {Array<{properties: object}>} records - Records whose create failed
+ * @param {string} keyProperty - Unique-value property that identifies a record
+ * @returns {Promise<Map<object, object>>} HubSpot record per record found
+ */
+async function findCreatedRecords(objectApi, records, keyProperty) {
+  const existing = await batchReadByProperty(
+    objectApi, keyProperty, records.map(record => record.properties[keyProperty]), []
+  );
+  return new Map(records.filter(record => existing.has(String(record.properties[keyProperty])))
+    .map(record => [record, existing.get(String(record.properties[keyProperty]))]));
+}
+
+/**
+ * Refuses to look up records created under a key that is not a unique-value property
+ * Such records can only be found through the Search API, which may not list them yet: sending
+ * them again could duplicate them, so they are reported as failed and left to the next run.
+ * @param {string} keyProperty - Property that identifies a record
+ * @returns {Promise<never>} Always rejects
+ */
+async function unverifiableCreates(keyProperty) {
+  throw new Error(`${keyProperty} is not a unique-value property, so the creates are not sent again`);
+}
+
+/**
+ * Creates or updates records in batches of 100
+ * Records carrying an existingId are updated, the others created. Creates whose outcome is unknown
+ * (server error, lost connection, incomplete response) are read back by keyProperty before being
+ * sent again, so they are not created twice; when keyProperty is not unique they are reported as failed.
+ * @param {object} objectApi - SDK object API (e.g. hubspotClient.crm.contacts)
+ * @param {Array<{key: string, existingId: (string|null), existing: (object|undefined), properties: object}>} records - Records to write
+ * @param {string} keyProperty - Property that identifies a record in create responses
+ * @param {object} [options] - Upsert options
+ * @param {object} [options.plan] - Dry-run plan; when given nothing is written
+ * @param {string} [options.objectType] - Object type label used in the plan
+ * @param {boolean} [options.uniqueKey=true] - Whether keyProperty is a unique-value property
+ * @returns {Promise<{results: Array<{key: string, id: string, created: boolean}>, errors: Array<{key: string, error: string}>}>}
+ */
+async function batchUpsert(objectApi, records, keyProperty, { plan, objectType = 'record', uniqueKey = true } = {}) {
+  if (plan) {
+    return planUpsert(records, plan, objectType);
+  }
+
+  const outcome = { results: [], errors: [] };
+  const toCreate = records.filter(record => !record.existingId);
+  const toUpdate = records.filter(record => record.existingId);
+
+  for (const records of chunk(toCreate)) {
+    await runWithFallback(
+      records,
+      batch => objectApi.batchApi.create({
+        inputs: batch.map(record => ({ properties: record.properties, associations: [] })),
+      }),
+      (hubspotObject, batch) => batch.find(record =>
+        String(record.properties[keyProperty]).toLowerCase() ===
+        String(hubspotObject.properties[keyProperty]).toLowerCase()
+      ),
+      outcome,
+      (record, hubspotObject) => ({ key: record.key, id: hubspotObject.id, created: true }),
+      pending => (uniqueKey ? findCreatedRecords(objectApi, pending, keyProperty) : unverifiableCreates(keyProperty))
+    );
+  }
+
+  for (const records of chunk(toUpdate)) {
+    await runWithFallback(
+      records,
+      batch => objectApi.batchApi.update({
+        inputs: batch.map(record => ({ id: record.existingId, properties: record.properties })),
+      }),
+      (hubspotObject, batch) => batch.find(record => String(record.existingId) === String(hubspotObject.id)),
+      outcome,
+      (record, hubspotObject) => ({ key: record.key, id: hubspotObject.id, created: false })
+    );
+  }
+
+  return outcome;
+}
+
+/**
+ * Creates associations in batches of 100 through the associations v4 API
+ * @param {object} hubspotClient - Initialized HubSpot API client
+ * @param {string} fromObjectType - e.g. 'contact'
+ * @param {string} toObjectType - e.g. 'company'
+ * @param {Array<{key: string, fromId: string, toId: string}>} pairs - Records to link
+ * @param {Array<object>} [types] - Association types (defaults to the primary contact→company type)
+ * @param {object} [options] - Association options
+ * @param {object} [options.plan] - Dry-run plan; when given nothing is written
+ * @returns {Promise<{results: Array<{key: string}>, errors: Array<{key: string, error: string}>}>}
+ */
+async function batchAssociate(hubspotClient, fromObjectType, toObjectType, pairs, types, { plan } = {}) {
+  if (plan) {
+    return planAssociations(pairs, plan, fromObjectType, toObjectType);
+  }
+
+  const associationTypes = types || [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: 1 }];
+  const outcome = { results: [], errors: [] };
+
+  for (const batch of chunk(pairs)) {
+    await runWithFallback(
+      batch,
+      records => hubspotClient.crm.associations.v4.batchApi.create(fromObjectType, toObjectType, {
+        inputs: records.map(pair => ({
+          _from: { id: pair.fromId },
+          to: { id: pair.toId },
+          types: associationTypes,
+        })),
+      }),
+      (association, records) => records.find(pair =>
+        String(pair.fromId) === String(association.fromObjectId) &&
+        String(pair.toId) === String(association.toObjectId)
+      ),
+      outcome,
+      record => ({ key: record.key, fromId: record.fromId, toId: record.toId })
+    );
+  }
+
+  return outcome;
+}
+
+/**
+ * Creates default (unlabeled) associations in batches of 100 through the associations v4 API
+ * Works for any object pair, including custom objects, without knowing the association type ID
+ * @param {object} hubspotClient - Initialized HubSpot API client
+ * @param {string} fromObjectType - e.g. 'contact'
+ * @param {string} toObjectType - e.g. a custom object type such as 'p_episodes'
+ * @param {Array<{key: string, fromId: string, toId: string}>} pairs - Records to link
+ * @param {object} [options] - Association options
+ * @param {object} [options.plan] - Dry-run plan; when given nothing is written
+ * @returns {Promise<{results: Array<{key: string}>, errors: Array<{key: string, error: string}>}>}
+ */
+async function batchAssociateDefault(hubspotClient, fromObjectType, toObjectType, pairs, { plan } = {}) {
+  if (plan) {
+    return planAssociations(pairs, plan, fromObjectType, toObjectType);
+  }
+
+  const outcome = { results: [], errors: [] };
+
+  for (const batch of chunk(pairs)) {
+    await runWithFallback(
+      batch,
+      records => hubspotClient.crm.associations.v4.batchApi.createDefault(fromObjectType, toObjectType, {
+        inputs: records.map(pair => ({ _from: { id: pair.fromId }, to: { id: pair.toId } })),
+      }),
+      (association, records) => records.find(pair =>
+        String(pair.fromId) === String(association._from.id) &&
+        String(pair.toId) === String(association.to.id)
+      ),
+      outcome,
+      record => ({ key: record.key, fromId: record.fromId, toId: record.toId })
+    );
+  }
+
+  return outcome;
+}
+
+/**
+ * Runs a batch call that answers without a body, retrying record by record when it is rejected
+ * @param {Array<object>} records - Records of this chunk
+ * @param {Function} runBatch - Receives records, resolves once the batch is applied
+ * @param {object} outcome - Accumulator of {results, errors}
+ */
+async function runVoidWithFallback(records, runBatch, outcome) {
+  try {
+    await runBatch(records);
+    outcome.results.push(...records);
+  } catch (error) {
+    if (records.length === 1) {
+      outcome.errors.push({ key: records[0].key, error: describeError(error) });
+      return;
+    }
+    logger.warn('Batch rejected, retrying records individually', { records: records.length, error: describeError(error) });
+    for (const record of records) {
+      await runVoidWithFallback([record], runBatch, outcome);
+    }
+  }
+}
+
+/**
+ * Archives records in batches of 100 (they stay restorable from the HubSpot recycle bin)
+ * @param {object} objectApi - SDK object API (e.g. hubspotClient.crm.contacts)
+ * @param {Array<{key: string, id: string}>} records - Records to archive
+ * @param {object} [options] - Archive options
+ * @param {object} [options.plan] - Dry-run plan; when given nothing is written
+ * @param {string} [options.objectType] - Object type label used in the plan
+ * @returns {Promise<{results: Array<{key: string, id: string}>, errors: Array<{key: string, error: string}>}>}
+ */
+async function batchArchive(objectApi, records, { plan, objectType = 'record' } = {}) {
+  if (plan) {
+    for (const record of records) {
+      plan.add({ action: 'archive', objectType, key: record.key, id: record.id });
+    }
+    return { results: records, errors: [] };
+  }
+
+  const outcome = { results: [], errors: [] };
+  for (const batch of chunk(records)) {
+    await runVoidWithFallback(
+      batch,
+      items => objectApi.batchApi.archive({ inputs: items.map(record => ({ id: record.id })) }),
+      outcome
+    );
+  }
+  return outcome;
+}
+
+/**
+ * Reads the associations of many records in batches of 100 through the associations v4 API
+ * @param {object} hubspotClient - Initialized HubSpot API client
+ * @param {string} fromObjectType - e.g. 'contact'
+ * @param {string} toObjectType - e.g. 'company'
+ * @param {Array<string>} ids - IDs of the records to read from
+ * @returns {Promise<Map<string, Array<string>>>} Associated record IDs per record ID (records without associations are absent)
+ */
+async function batchReadAssociations(hubspotClient, fromObjectType, toObjectType, ids) {
+  const found = await batchReadAssociationTypes(hubspotClient, fromObjectType, toObjectType, ids);
+  return new Map(Array.from(found, ([id, associations]) => [id, associations.map(association => association.toId)]));
+}
+
+/**
+ * Reads the associations of many records with their types, in batches of 100 through the associations v4 API
+ * A record with more associations than fit in one result carries a paging cursor; its next pages are read
+ * with the following request of the batch.
+ * @param {object} hubspotClient - Initialized HubSpot API client
+ * @param {string} fromObjectType - e.g. 'contact'
+ * @param {string} toObjectType - e.g. 'company'
+ * @param {Array<string>} ids - IDs of the records to read from
+ * @returns {Promise<Map<string, Array<{toId: string, types: Array<{category: string, typeId: number, label: (string|null)}>}>>>}
+ *   Associations per record ID (records without associations are absent)
+ */
+async function batchReadAssociationTypes(hubspotClient, fromObjectType, toObjectType, ids) {
+  const found = new Map();
+  const uniqueIds = Array.from(new Set(ids.map(String)));
+
+  for (const batch of chunk(uniqueIds)) {
+    let inputs = batch.map(id => ({ id }));
+    while (inputs.length > 0) {
+      const response = await hubspotClient.crm.associations.v4.batchApi.getPage(fromObjectType, toObjectType, { inputs });
+      inputs = [];
+      for (const result of response.results) {
+        const id = String(result._from.id);
+        found.set(id, (found.get(id) || []).concat(result.to.map(associated => ({
+          toId: String(associated.toObjectId),
+          types: associated.associationTypes || [],
+        }))));
+        if (result.paging?.next?.after) inputs.push({ id, after: result.paging.next.after });
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Removes every association between record pairs in batches of 100 through the associations v4 API
+ * @param {object} hubspotClient - Initialized HubSpot API client
+ * @param {string} fromObjectType - e.g. 'contact'
+ * @param {string} toObjectType - e.g. 'company'
+ * @param {Array<{key: string, fromId: string, toId: string}>} pairs - Records to unlink
+ * @param {object} [options] - Association options
+ * @param {object} [options.plan] - Dry-run plan; when given nothing is written
+ * @returns {Promise<{results: Array<{key: string}>, errors: Array<{key: string, error: string}>}>}
+ */
+async function batchArchiveAssociations(hubspotClient, fromObjectType, toObjectType, pairs, { plan } = {}) {
+  if (plan) {
+    for (const pair of pairs) {
+      plan.add({
+        action: 'unassociate',
+        objectType: `${fromObjectType}->${toObjectType}`,
+        key: pair.key,
+        id: `${pair.fromId}->${pair.toId}`,
+      });
+    }
+    return { results: pairs, errors: [] };
+  }
+
+  const outcome = { results: [], errors: [] };
+  for (const batch of chunk(pairs)) {
+    await runVoidWithFallback(
+      batch,
+      records => hubspotClient.crm.associations.v4.batchApi.archive(fromObjectType, toObjectType, {
+        inputs: records.map(pair => ({ _from: { id: pair.fromId }, to: [{ id: pair.toId }] })),
+      }),
+      outcome
+    );
+  }
+  return outcome;
+}
+
+/**
+ * Removes association labels from record pairs in batches of 100 through the associations v4 API
+ * The pairs stay associated through their other types.
+ * @param {object} hubspotClient - Initialized HubSpot API client
+ * @param {string} fromObjectType - e.g. 'contact'
+ * @param {string} toObjectType - e.g. 'company'
+ * @param {Array<{key: string, fromId: string, toId: string, label: (string|undefined)}>} pairs - Records to remove the labels from
+ * @param {Array<object>} types - Association types to remove ({associationCategory, associationTypeId})
+ * @param {object} [options] - Association options
+ * @param {object} [options.plan] - Dry-run plan; when given nothing is written
+ * @returns {Promise<{results: Array<{key: string}>, errors: Array<{key: string, error: string}>}>}
+ */
+async function batchArchiveAssociationLabels(hubspotClient, fromObjectType, toObjectType, pairs, types, { plan } = {}) {
+  if (plan) {
+    for (const pair of pairs) {
+      plan.add({
+        action: 'unassociate',
+        objectType: `${fromObjectType}->${toObjectType}`,
+        key: pair.key,
+        id: `${pair.fromId}->${pair.toId}`,
+        reason: pair.label,
+      });
+    }
+    return { results: pairs, errors: [] };
+  }
+
+  const outcome = { results: [], errors: [] };
+  for (const batch of chunk(pairs)) {
+    await runVoidWithFallback(
+      batch,
+      records => hubspotClient.crm.associations.v4.batchApi.archiveLabels(fromObjectType, toObjectType, {
+        inputs: records.map(pair => ({ _from: { id: pair.fromId }, to: { id: pair.toId }, types })),
+      }),
+      outcome
+    );
+  }
+  return outcome;
+}
+
+/**
+ * Adapts the generic CRM objects API to the shape of the contacts/companies APIs
+ * so custom objects can go through the same batch helpers
+ * @param {object} hubspotClient - Initialized HubSpot API client
+ * @param {string} objectType - Custom object type (e.g. 'p_episodes' or '2-1234567')
+ * @returns {object} Object API exposing batchApi and searchApi
+ */
+function customObjectApi(hubspotClient, objectType) {
+  const { batchApi, searchApi } = hubspotClient.crm.objects;
+  return {
+    batchApi: {
+      read: (input, archived) => batchApi.read(objectType, input, archived),
+      create: input => batchApi.create(objectType, input),
+      update: input => batchApi.update(objectType, input),
+      archive: input => batchApi.archive(objectType, input),
+    },
+    searchApi: {
+      doSearch: request => searchApi.doSearch(objectType, request),
+    },
+  };
+}
+
+module.exports = {
+  BATCH_SIZE,
+  chunk,
+  describeError,
+  batchReadByProperty,
+  batchReadByIds,
+  listAllRecords,
+  searchAllByPropertyValues,
+  searchByPropertyValues,
+  searchModifiedSince,
+  batchUpsert,
+  batchAssociate,
+  batchAssociateDefault,
+  batchArchive,
+  batchReadAssociations,
+  batchReadAssociationTypes,
+  batchArchiveAssociations,
+  batchArchiveAssociationLabels,
+  customObjectApi,
+};
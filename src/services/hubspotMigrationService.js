@@ -1,58 +1,42 @@
-
 /*
  * HubSpot CRM Integration Module
  * 
  * This module handles the migration of Rick and Morty character data to HubSpot CRM,
  * including character-to-contact and location-to-company mappings with associations.
+ * Each contact is associated with the companies of its origin and of its current
+ * location, labelled 'Origin' and 'Current location'. The current location links follow the
+ * residents of each location, and a character who moved loses the link to their previous one.
  */
 
-const hubspot = require('@hubspot/api-client');
-const { isPrime } = require('../utils/math');
-const { getCharacterById, getLocationByUrl, getCharactersInfo } = require('../clients/rickAndMortyClient');
-
-/**
- * Validates email format according to standard patterns
- * @param {string} email - The email address to validate
- * @returns {boolean} True if valid email format, false otherwise
- */
-function isValidEmail(email) {
-  const re = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
-  return re.test(email);
-}
+const { idFromUrl, getRickAndMortyClient } = require('../clients/rickAndMortyClient');
+const { resolveDataPath, readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+const { getLogger } = require('../utils/logger');
+const { mapFields } = require('../utils/fieldMapper');
+const { createCharacterSelection } = require('./characterSelection');
+const { createPlan } = require('./syncPlan');
+const { LOCATION_ID_PROPERTY, matchCompanies } = require('./companyMatching');
+const { ASSOCIATION_LABELS, PRIMARY_COMPANY_TYPE, resolveAssociationLabels } = require('./associationLabels');
+const {
+  chunk,
+  describeError,
+  batchReadByProperty,
+  batchUpsert,
+  batchAssociate,
+  batchAssociateDefault,
+  batchReadAssociationTypes,
+  batchArchiveAssociations,
+  batchArchiveAssociationLabels,
+  customObjectApi,
+} = require('./hubspotBatchService');
 
 /**
  * Transforms Rick and Morty character data into HubSpot contact properties
+ * Property names, email scheme and defaults come from the 'characterToContact' field mapping
  * @param {object} character - Character data from Rick and Morty API
  * @returns {object} Formatted properties object for HubSpot contact
  */
 const characterToContactMapping = (character) => {
-  // Normalize character name for email generation
-  const cleanName = character.name
-    .toLowerCase()
-    .replace(/[^a-z0-9]/g, '');  
-
-  // Generate standardized email address
-  let email = `${cleanName}${character.id}@rickandmorty.com`;
-  
-  // Fallback email generation if primary fails validation
-  if (!isValidEmail(email)) {
-    email = `character${character.id}@rickandmorty.com`;
-  }
-
-  // Construct HubSpot contact properties
-  const properties = {
-    firstname: character.name.split(' ')[0],
-    lastname: character.name.split(' ').slice(1).join(' ') || '',
-    email: email,
-    phone: '',
-    lifecyclestage: 'lead',
-    character_id: character.id.toString(),
-    character_status: character.status,
-    character_species: character.species,
-    character_gender: character.gender,
-  };
-  
-  return { properties };
+  return { properties: mapFields('characterToContact', character) };
 };
 
 /**
@@ -61,254 +45,694 @@ const characterToContactMapping = (character) => {
  * @returns {object} Formatted properties object for HubSpot company
  */
 const locationToCompanyMapping = (location) => {
-  const properties = {
-    name: location.name,
-  };
-  return { properties };
+  return { properties: mapFields('locationToCompany', location) };
 };
 
 /**
- * Handles contact upsert operations in HubSpot
- * @param {object} hubspotClient - Initialized HubSpot API client
- * @param {object} characterData - Rick and Morty character data
- * @returns {Promise<{id: string|null, created: boolean}>} Result object with contact ID and creation status
+ * Transforms Rick and Morty episode data into HubSpot episode custom object properties
+ * @param {object} episode - Episode data from Rick and Morty API
+ * @returns {object} Formatted properties object for the HubSpot episode object
  */
-async function findOrCreateContact(hubspotClient, characterData) {
-    const characterId = characterData.id.toString();
-    const contactProperties = characterToContactMapping(characterData).properties;
+const episodeToCustomObjectMapping = (episode) => {
+  return { properties: mapFields('episodeToCustomObject', episode) };
+};
 
-    try {
-        // Search for existing contact by character_id
-        const searchResponse = await hubspotClient.crm.contacts.searchApi.doSearch({
-            filterGroups: [{
-                filters: [{
-                    propertyName: 'character_id',
-                    operator: 'EQ',
-                    value: characterId
-                }]
-            }],
-            properties: ['character_id', 'email', 'firstname', 'lastname'],
-            limit: 1
-        });
-
-        if (searchResponse.results && searchResponse.results.length > 0) {
-            // Update existing contact
-            const existingContact = searchResponse.results[0];
-            console.log(`Contact '${characterData.name}' exists, updating ID: ${existingContact.id}`);
-            const updateResponse = await hubspotClient.crm.contacts.basicApi.update(
-                existingContact.id,
-                { properties: contactProperties }
-            );
-            return { id: updateResponse.id, created: false };
-        } else {
-            // Create new contact
-            console.log(`Creating new contact for '${characterData.name}'`);
-            const createResponse = await hubspotClient.crm.contacts.basicApi.create(
-                { properties: contactProperties }
-            );
-            return { id: createResponse.id, created: true };
-        }
-    } catch (error) {
-        console.error(`Contact operation failed for '${characterData.name}'`, 
-                      error.response ? error.response.body : error.message);
-        return { id: null, created: false };
+/**
+ * Names of every property the mapped records would write, read back so dry-run plans can diff them
+ * @param {Map<string, object>} propertiesByKey - Mapped properties per record key
+ * @returns {Array<string>} Property names
+ */
+function mappedPropertyNames(propertiesByKey) {
+    const names = new Set();
+    for (const properties of propertiesByKey.values()) {
+        Object.keys(properties).forEach(name => names.add(name));
     }
+    return Array.from(names);
 }
 
 /**
- * Handles company upsert operations in HubSpot
- * @param {object} hubspotClient - Initialized HubSpot API client
- * @param {object} locationData - Rick and Morty location data
- * @returns {Promise<string|null>} HubSpot company ID if successful, null otherwise
+ * IDs of the characters a batch left incomplete: their contact, a location company, an episode
+ * or one of their associations failed. Company and episode errors are keyed by URL.
+ * @param {Array<object>} characters - Characters of the batch
+ * @param {Array<object>} errors - Errors of the batch
+ * @returns {Array<string>} Character IDs
  */
-async function findOrCreateCompany(hubspotClient, locationData) {
-    const companyProperties = locationToCompanyMapping(locationData).properties;
-    const companyName = locationData.name;
+function failedCharacterIds(characters, errors) {
+    const failedKeys = new Set(errors.map(error => error.key));
+    return characters.filter(character => {
+        const episodeUrls = character.episode || [];
+        return failedKeys.has(character.id.toString())
+            || [character.origin?.url, character.location?.url, ...episodeUrls].some(url => url && failedKeys.has(url))
+            || episodeUrls.some(url => failedKeys.has(`${character.id}:${idFromUrl(url)}`));
+    }).map(character => character.id.toString());
+}
 
+/**
+ * Creates the migration service
+ * @param {object} deps - Service dependencies
+ * @param {object} deps.hubspotClient - HubSpot client of the account the characters are migrated to
+ * @param {object} [deps.rickAndMorty] - Rick and Morty client (see createRickAndMortyClient; defaults to the client configured from the environment)
+ * @param {object} [deps.logger] - Logger (defaults to the shared 'migration' logger)
+ * @param {object} [deps.config] - Defaults of the migration options
+ * @param {string} [deps.config.episodeObjectType] - Custom object type for episodes; episodes are skipped when unset
+ * @param {string} [deps.config.checkpointFile] - Checkpoint location (defaults to data/migration-checkpoint.json)
+ * @returns {Object} Service API: migrate
+ */
+function createMigrationService({
+  hubspotClient,
+  rickAndMorty = getRickAndMortyClient(),
+  logger = getLogger('migration'),
+  config = {},
+}) {
+  /**
+   * Upserts a batch of characters as HubSpot contacts, matched on character_id
+   * @param {Array<object>} characters - Rick and Morty character data (at most a few hundred)
+   * @param {object} [plan] - Dry-run plan; when given nothing is written
+   * @returns {Promise<{results: Array<{key: string, id: string, created: boolean}>, errors: Array<{key: string, error: string}>}>}
+   *   Per-character outcome keyed by character ID
+   */
+  async function upsertContactsBatch(characters, plan) {
+    const characterIds = characters.map(character => character.id.toString());
+    const propertiesByCharacter = new Map(characters.map(character => [
+      character.id.toString(), characterToContactMapping(character).properties,
+    ]));
+
+    let existingContacts;
     try {
-        // Search for existing company by name
-        const searchResponse = await hubspotClient.crm.companies.searchApi.doSearch({
-            filterGroups: [{
-                filters: [{
-                    propertyName: 'name',
-                    operator: 'EQ',
-                    value: companyName
-                }]
-            }],
-            properties: ['name'],
-            limit: 1
-        });
-
-        if (searchResponse.results && searchResponse.results.length > 0) {
-            // Update existing company
-            const existingCompany = searchResponse.results[0];
-            console.log(`Company '${companyName}' exists, updating ID: ${existingCompany.id}`);
-            const updateResponse = await hubspotClient.crm.companies.basicApi.update(
-                existingCompany.id,
-                { properties: companyProperties }
-            );
-            return updateResponse.id;
-        } else {
-            // Create new company
-            console.log(`Creating new company '${companyName}'`);
-            const createResponse = await hubspotClient.crm.companies.basicApi.create(
-                { properties: companyProperties }
-            );
-            return createResponse.id;
-        }
+      existingContacts = await batchReadByProperty(
+        hubspotClient.crm.contacts, 'character_id', characterIds, mappedPropertyNames(propertiesByCharacter)
+      );
     } catch (error) {
-        console.error(`Company operation failed for '${companyName}'`, 
-                      error.response ? error.response.body : error.message);
-        return null;
+      logger.error('Contact batch lookup failed', { error: describeError(error) });
+      return { results: [], errors: characterIds.map(key => ({ key, error: describeError(error) })) };
     }
-}
 
-/**
- * Creates contact-company associations in HubSpot
- * @param {object} hubspotClient - Initialized HubSpot API client
- * @param {string} contactHubspotId - HubSpot contact ID
- * @param {string} companyHubspotId - HubSpot company ID
- * @param {string} characterName - Character name for logging
- * @param {number} characterId - Character ID for logging
- */
-async function createAssociation(hubspotClient, contactHubspotId, companyHubspotId, characterName, characterId) {
-    if (!contactHubspotId || !companyHubspotId) {
-        console.warn(`Skipping association for character '${characterName}' - missing IDs`);
-        return;
+    const records = characters.map(character => {
+      const key = character.id.toString();
+      const existing = existingContacts.get(key);
+      return {
+        key,
+        existingId: existing ? existing.id : null,
+        existing,
+        properties: propertiesByCharacter.get(key),
+      };
+    });
+
+    const outcome = await batchUpsert(hubspotClient.crm.contacts, records, 'character_id', { plan, objectType: 'contact' });
+    for (const error of outcome.errors) {
+      logger.error('Contact operation failed', { characterId: error.key, error: error.error });
     }
+    return outcome;
+  }
+
+  /**
+   * Upserts a batch of locations as HubSpot companies, matched on location_id
+   * (companies created before location_id was written are matched on their name)
+   * @param {Array<{url: string, location: object}>} locations - Location data with its API URL
+   * @param {object} [plan] - Dry-run plan; when given nothing is written
+   * @returns {Promise<{results: Array<{key: string, id: string, created: boolean}>, errors: Array<{key: string, error: string}>}>}
+   *   Per-location outcome keyed by location URL
+   */
+  async function upsertCompaniesBatch(locations, plan) {
+    const propertiesByUrl = new Map(locations.map(({ url, location }) => [
+      url, locationToCompanyMapping(location).properties,
+    ]));
 
+    let existingCompanies;
     try {
-        await hubspotClient.crm.associations.v4.basicApi.create(
-            'contact',
-            contactHubspotId,
-            'company',
-            companyHubspotId,
-            [{
-                associationCategory: 'HUBSPOT_DEFINED',
-                associationTypeId: 1
-            }]
-        );
-        console.log(`Associated contact ${contactHubspotId} with company ${companyHubspotId}`);
+      existingCompanies = await matchCompanies(
+        hubspotClient.crm.companies,
+        locations.map(({ url, location }) => ({ key: url, locationId: String(location.id), name: location.name })),
+        mappedPropertyNames(propertiesByUrl)
+      );
     } catch (error) {
-        console.error(`Association failed for character '${characterName}'`, 
-                      error.response ? error.response.body : error.message);
+      logger.error('Company batch lookup failed', { error: describeError(error) });
+      return { results: [], errors: locations.map(({ url }) => ({ key: url, error: describeError(error) })) };
     }
-}
 
-/**
- * Main migration function for Rick and Morty data to HubSpot
- * @param {object} hubspotClient - Initialized HubSpot API client
- */
-async function migrateRickAndMortyToHubspot(hubspotClient) {
-  console.log('Starting Rick and Morty data migration');
-
-  const charactersToMigrate = [];
-  const MAX_CHARACTER_ID = 826;
-
-  console.log('Identifying characters (ID 1 and primes up to 826)...');
-
-  try {
-      // Fetch all characters with pagination
-      const initialCharactersResponse = await getCharactersInfo();
-      const totalPages = initialCharactersResponse.info.pages;
-      let allCharacters = [];
-      
-      for (let i = 1; i <= totalPages; i++) {
-          const pageResponse = await getCharactersInfo(i);
-          if (pageResponse && pageResponse.results) {
-              allCharacters = allCharacters.concat(pageResponse.results);
-          }
+    const records = locations.map(({ url, location }) => {
+      const existing = existingCompanies.get(url);
+      return {
+        key: url,
+        existingId: existing ? existing.id : null,
+        existing,
+        properties: propertiesByUrl.get(url),
+      };
+    });
+
+    // location_id is not a unique-value property: creates of a failed batch are retried by the next run
+    const outcome = await batchUpsert(hubspotClient.crm.companies, records, LOCATION_ID_PROPERTY, {
+      plan, objectType: 'company', uniqueKey: false,
+    });
+    for (const error of outcome.errors) {
+      logger.error('Company operation failed', { location: error.key, error: error.error });
+    }
+    return outcome;
+  }
+
+  /**
+   * Upserts a batch of episodes as HubSpot custom objects, matched on episode_id
+   * @param {string} episodeObjectType - Custom object type of episodes
+   * @param {Array<object>} episodes - Episode data from Rick and Morty API
+   * @param {object} [plan] - Dry-run plan; when given nothing is written
+   * @returns {Promise<{results: Array<{key: string, id: string, created: boolean}>, errors: Array<{key: string, error: string}>}>}
+   *   Per-episode outcome keyed by episode URL
+   */
+  async function upsertEpisodesBatch(episodeObjectType, episodes, plan) {
+    const episodeApi = customObjectApi(hubspotClient, episodeObjectType);
+    const propertiesByUrl = new Map(episodes.map(episode => [
+      episode.url, episodeToCustomObjectMapping(episode).properties,
+    ]));
+
+    let existingEpisodes;
+    try {
+      existingEpisodes = await batchReadByProperty(
+        episodeApi, 'episode_id', episodes.map(episode => episode.id.toString()), mappedPropertyNames(propertiesByUrl)
+      );
+    } catch (error) {
+      logger.error('Episode batch lookup failed', { error: describeError(error) });
+      return { results: [], errors: episodes.map(episode => ({ key: episode.url, error: describeError(error) })) };
+    }
+
+    const records = episodes.map(episode => {
+      const existing = existingEpisodes.get(episode.id.toString());
+      return {
+        key: episode.url,
+        existingId: existing ? existing.id : null,
+        existing,
+        properties: propertiesByUrl.get(episode.url),
+      };
+    });
+
+    const outcome = await batchUpsert(episodeApi, records, 'episode_id', { plan, objectType: 'episode' });
+    for (const error of outcome.errors) {
+      logger.error('Episode operation failed', { episode: error.key, error: error.error });
+    }
+    return outcome;
+  }
+
+  /**
+   * Migrates the episodes of a batch of characters and associates each contact with its episodes
+   * @param {string} episodeObjectType - Custom object type of episodes
+   * @param {Array<object>} characters - Characters of the current batch
+   * @param {Map<string, string>} contactIdsByCharacter - HubSpot contact ID per character ID
+   * @param {Map<string, string>} episodeObjectMap - HubSpot episode ID per episode URL, updated in place
+   * @param {object} [plan] - Dry-run plan; when given nothing is written
+   * @returns {Promise<Array<object>>} Per-record errors
+   */
+  async function migrateEpisodes(episodeObjectType, characters, contactIdsByCharacter, episodeObjectMap, plan) {
+    const errors = [];
+
+    // Episodes not created in earlier batches
+    const newEpisodeUrls = Array.from(new Set(
+      characters.flatMap(character => character.episode || []).filter(url => !episodeObjectMap.has(url))
+    ));
+    if (newEpisodeUrls.length > 0) {
+      try {
+        const episodes = await rickAndMorty.getEpisodesByIds(newEpisodeUrls.map(idFromUrl));
+        const outcome = await upsertEpisodesBatch(episodeObjectType, episodes, plan);
+        for (const result of outcome.results) {
+          episodeObjectMap.set(result.key, result.id);
+        }
+        errors.push(...outcome.errors.map(error => ({ type: 'episode', ...error })));
+      } catch (error) {
+        logger.error('Failed to process episodes', { error: error.message });
+        errors.push(...newEpisodeUrls.map(url => ({ type: 'episode', key: url, error: error.message })));
       }
+    }
 
-      // Identify prime IDs and ID 1
-      const primeIds = new Set();
-      for (let i = 2; i <= MAX_CHARACTER_ID; i++) {
-          if (isPrime(i)) {
-              primeIds.add(i);
-          }
+    // One association per appearance
+    const pairs = [];
+    for (const character of characters) {
+      const contactHubspotId = contactIdsByCharacter.get(character.id.toString());
+      if (!contactHubspotId) continue;
+      for (const url of new Set(character.episode || [])) {
+        const episodeHubspotId = episodeObjectMap.get(url);
+        if (episodeHubspotId) {
+          pairs.push({ key: `${character.id}:${idFromUrl(url)}`, fromId: contactHubspotId, toId: episodeHubspotId });
+        }
       }
-      primeIds.add(1);
+    }
+    const outcome = await batchAssociateDefault(hubspotClient, 'contact', episodeObjectType, pairs, { plan });
+    logger.info('Associated contact appearances with episodes', { associated: outcome.results.length });
+    for (const error of outcome.errors) {
+      logger.error('Episode association failed', { appearance: error.key, error: error.error });
+    }
+    errors.push(...outcome.errors.map(error => ({ type: 'episodeAssociation', ...error })));
 
-      // Filter characters for migration
-      for (const character of allCharacters) {
-          if (primeIds.has(character.id) && character.id <= MAX_CHARACTER_ID) {
-              charactersToMigrate.push(character);
-          }
+    return errors;
+  }
+
+  /**
+   * Pairs the contacts of a batch with the companies of their origin locations
+   * @param {Array<object>} characters - Characters of the current batch
+   * @param {Map<string, string>} contactIdsByCharacter - HubSpot contact ID per character ID
+   * @param {Map<string, string>} companyLocationMap - HubSpot company ID per location URL
+   * @param {object} [plan] - Dry-run plan; skipped contacts are recorded in it
+   * @returns {Array<object>} Contact → company pairs
+   */
+  function originPairs(characters, contactIdsByCharacter, companyLocationMap, plan) {
+    const { label } = ASSOCIATION_LABELS.origin;
+    const pairs = [];
+    for (const character of characters) {
+      const locationUrl = character.origin?.url;
+      const contactHubspotId = contactIdsByCharacter.get(character.id.toString());
+      const companyHubspotId = companyLocationMap.get(locationUrl);
+      if (contactHubspotId && companyHubspotId) {
+        pairs.push({ key: character.id.toString(), fromId: contactHubspotId, toId: companyHubspotId, label });
+      } else if (locationUrl) {
+        logger.warn('Skipping association - missing IDs', { characterId: character.id, name: character.name, label });
+        plan?.add({ action: 'skip', objectType: 'contact->company', key: character.id.toString(), reason: `missing IDs (${label})` });
+      }
+    }
+    return pairs;
+  }
+
+  /**
+   * Pairs the companies of the current locations of a batch with their residents among the batch's contacts
+   * A location's residents are the characters currently living there.
+   * @param {Array<object>} characters - Characters of the current batch
+   * @param {Map<string, string>} contactIdsByCharacter - HubSpot contact ID per character ID
+   * @param {Map<string, string>} companyLocationMap - HubSpot company ID per location URL
+   * @param {Map<string, object>} locationsByUrl - Current locations of the batch, fetched from the Rick and Morty API
+   * @param {object} [plan] - Dry-run plan; skipped contacts are recorded in it
+   * @returns {Array<object>} Contact → company pairs
+   */
+  function residentPairs(characters, contactIdsByCharacter, companyLocationMap, locationsByUrl, plan) {
+    const { label } = ASSOCIATION_LABELS.currentLocation;
+    const pairs = [];
+    const locationUrls = new Set(characters.map(character => character.location?.url).filter(Boolean));
+    for (const locationUrl of locationUrls) {
+      const location = locationsByUrl.get(locationUrl);
+      const companyHubspotId = companyLocationMap.get(locationUrl);
+      if (!location || !companyHubspotId) continue;
+      for (const residentUrl of location.residents || []) {
+        const characterId = String(idFromUrl(residentUrl));
+        const contactHubspotId = contactIdsByCharacter.get(characterId);
+        if (contactHubspotId) {
+          pairs.push({ key: characterId, fromId: contactHubspotId, toId: companyHubspotId, label });
+        }
+      }
+    }
+
+    for (const character of characters) {
+      const paired = pairs.some(pair => pair.key === character.id.toString());
+      if (!paired && character.location?.url) {
+        logger.warn('Skipping association - missing IDs', { characterId: character.id, name: character.name, label });
+        plan?.add({ action: 'skip', objectType: 'contact->company', key: character.id.toString(), reason: `missing IDs (${label})` });
       }
-      console.log(`Found ${charactersToMigrate.length} characters to migrate`);
+    }
+    return pairs;
+  }
 
-  } catch (error) {
-      console.error('Failed to fetch characters:', error.message);
-      throw error;
+  /**
+   * Associates contacts with the companies of their origin or current location
+   * @param {string} link - 'origin' or 'currentLocation' (see ASSOCIATION_LABELS)
+   * @param {Array<object>} pairs - Contact → company pairs (see originPairs and residentPairs)
+   * @param {Array<object>} types - Association types to create
+   * @param {object} [plan] - Dry-run plan; when given nothing is written
+   * @returns {Promise<Array<object>>} Per-contact errors
+   */
+  async function associateLocationCompanies(link, pairs, types, plan) {
+    const { label } = ASSOCIATION_LABELS[link];
+    const outcome = await batchAssociate(hubspotClient, 'contact', 'company', pairs, types, { plan });
+    logger.info(`Associated contacts with their ${label.toLowerCase()} companies`, { associated: outcome.results.length });
+    for (const error of outcome.errors) {
+      logger.error('Association failed', { characterId: error.key, label, error: error.error });
+    }
+    const type = link === 'origin' ? 'association' : 'currentLocationAssociation';
+    return outcome.errors.map(error => ({ type, ...error }));
   }
 
-  // Tracking variables
-  const processedContactHubspotIds = new Set();
-  const processedCompanyHubspotIds = new Set();
-  const companyLocationMap = new Map();
-  
-  let contactsCreated = 0;
-  let contactsUpdated = 0;
-  let contactsFailed = 0;
-
-  // Process each character
-  for (const character of charactersToMigrate) {
-    console.log(`Processing character: ${character.name}`);
-
-    let contactHubspotId = null;
-    let companyHubspotId = null;
-
-    // Process contact
-    const contactResult = await findOrCreateContact(hubspotClient, character);
-    
-    if (contactResult && contactResult.id) {
-      processedContactHubspotIds.add(contactResult.id);
-      if (contactResult.created) {
-        contactsCreated++;
-      } else {
-        contactsUpdated++;
+  /**
+   * Removes the Current location label from the companies the contacts of a batch no longer live at
+   * An association left without another label (such as Origin) is removed entirely.
+   * Contacts whose current location could not be resolved are left as they are.
+   * @param {Array<object>} characters - Characters of the current batch
+   * @param {Map<string, string>} contactIdsByCharacter - HubSpot contact ID per character ID
+   * @param {Map<string, string>} companyLocationMap - HubSpot company ID per location URL
+   * @param {Map<string, object>} locationsByUrl - Current locations of the batch
+   * @param {Array<object>} pairs - Current location pairs of the batch (see residentPairs)
+   * @param {object} [type] - Association type of the Current location label (absent when only planned in a dry run)
+   * @param {object} [plan] - Dry-run plan; when given nothing is written
+   * @returns {Promise<Array<object>>} Per-contact errors
+   */
+  async function archiveOutdatedCurrentLocations(characters, contactIdsByCharacter, companyLocationMap, locationsByUrl, pairs, type, plan) {
+    if (!type) return [];
+    const { label } = ASSOCIATION_LABELS.currentLocation;
+    const currentCompanies = new Set(pairs.map(pair => `${pair.fromId}->${pair.toId}`));
+    const contacts = characters
+      .filter(character => {
+        const locationUrl = character.location?.url;
+        return !locationUrl || (locationsByUrl.has(locationUrl) && companyLocationMap.has(locationUrl));
+      })
+      .map(character => ({ key: character.id.toString(), contactId: contactIdsByCharacter.get(character.id.toString()) }))
+      // Contacts only planned in a dry run have no associations yet
+      .filter(({ contactId }) => contactId && !contactId.startsWith('planned:'));
+    if (contacts.length === 0) return [];
+
+    let associations;
+    try {
+      associations = await batchReadAssociationTypes(hubspotClient, 'contact', 'company', contacts.map(({ contactId }) => contactId));
+    } catch (error) {
+      logger.error('Failed to read current location associations', { error: describeError(error) });
+      return contacts.map(({ key }) => ({ type: 'currentLocationAssociation', key, error: describeError(error) }));
+    }
+
+    const isCurrentLocation = associationType => associationType.category === type.associationCategory
+      && Number(associationType.typeId) === type.associationTypeId;
+    const outdatedLabels = [];
+    const outdatedAssociations = [];
+    for (const { key, contactId } of contacts) {
+      for (const association of associations.get(contactId) || []) {
+        if (!association.types.some(isCurrentLocation) || currentCompanies.has(`${contactId}->${association.toId}`)) continue;
+        const pair = { key, fromId: contactId, toId: association.toId, label };
+        // The unlabeled type that comes with every association does not keep it
+        const otherLabels = association.types.some(associationType => associationType.label && !isCurrentLocation(associationType));
+        (otherLabels ? outdatedLabels : outdatedAssociations).push(pair);
       }
-      contactHubspotId = contactResult.id;
-    } else {
-      contactsFailed++;
     }
 
-    // Process company if location exists
-    const locationUrl = character.origin?.url;
+    const outcomes = [
+      await batchArchiveAssociationLabels(hubspotClient, 'contact', 'company', outdatedLabels, [type], { plan }),
+      await batchArchiveAssociations(hubspotClient, 'contact', 'company', outdatedAssociations, { plan }),
+    ];
+    const archived = outcomes.reduce((count, outcome) => count + outcome.results.length, 0);
+    if (archived > 0) {
+      logger.info('Removed outdated current location associations', { archived });
+    }
+    const errors = outcomes.flatMap(outcome => outcome.errors);
+    for (const error of errors) {
+      logger.error('Removing an outdated current location failed', { characterId: error.key, error: error.error });
+    }
+    return errors.map(error => ({ type: 'currentLocationAssociation', ...error }));
+  }
+
+  /**
+   * Loads the checkpoint of an interrupted migration run, or of a run that left failed characters
+   * A completed run, or a run over a different selection, starts a fresh run
+   * @param {string} checkpointFile - Checkpoint location
+   * @param {string} selectionKey - Key of the current character selection
+   * @returns {object|null} Checkpoint to resume from, or null
+   */
+  function loadCheckpoint(checkpointFile, selectionKey) {
+    const checkpoint = readJsonFile(checkpointFile, null);
+    if (!checkpoint || checkpoint.completed) {
+      return null;
+    }
+    if (checkpoint.selectionKey !== selectionKey) {
+      logger.info('Saved checkpoint belongs to a different character selection, starting fresh');
+      return null;
+    }
+    return checkpoint;
+  }
+
+  /**
+   * Main migration function for Rick and Morty data to HubSpot
+   * Progress is checkpointed after every batch of characters so an interrupted run resumes where it stopped.
+   * Characters left incomplete by an error are kept in the checkpoint and retried by the next run.
+   * A dry run reads everything it needs but records the writes in a plan instead (no checkpoint is saved).
+   * @param {object} [options] - Migration options, overriding the service configuration
+   * @param {object} [options.selection] - Character selection specification (defaults to the 'primes' strategy)
+   * @param {boolean} [options.restart=false] - Ignore any saved checkpoint and start from scratch
+   * @param {string} [options.episodeObjectType] - Custom object type for episodes; episodes are skipped when unset
+   * @param {string} [options.checkpointFile] - Checkpoint location
+   * @param {boolean} [options.dryRun=false] - Plan the changes without writing to HubSpot
+   * @param {Function} [options.onProgress] - Receives {phase, processed, total, counters} after each batch of characters
+   * @returns {Promise<object>} Final counters of the migration, plus the plan of a dry run
+   */
+  async function migrate(options = {}) {
+    const {
+      selection: selectionSpec,
+      restart = false,
+      checkpointFile = config.checkpointFile || resolveDataPath('migration-checkpoint.json'),
+      episodeObjectType = config.episodeObjectType,
+      dryRun = false,
+      onProgress = () => {},
+    } = options;
+    const selection = createCharacterSelection(selectionSpec);
+    const plan = dryRun ? createPlan('migration') : undefined;
+
+    logger.info(`Starting Rick and Morty data migration${dryRun ? ' (dry run, nothing will be written)' : ''}`);
 
-    if (locationUrl) {
-        if (companyLocationMap.has(locationUrl)) {
-            companyHubspotId = companyLocationMap.get(locationUrl);
+    const checkpoint = restart ? null : loadCheckpoint(checkpointFile, selection.key);
+    if (restart) {
+      logger.info('Restart requested, ignoring saved checkpoint');
+    } else if (checkpoint) {
+      logger.info('Resuming migration after the last completed character', {
+        characterId: checkpoint.lastCompletedCharacterId,
+        failedCharacters: Object.keys(checkpoint.failedCharacters || {}).length,
+      });
+    }
+
+    // Characters a saved run left incomplete, with the HubSpot ID of their contact when it was written (and counted)
+    const failedCharacters = new Map(checkpoint ? Object.entries(checkpoint.failedCharacters || {}) : []);
+    const retriedCharacterIds = new Set(failedCharacters.keys());
+
+    const charactersToMigrate = [];
+
+    logger.info('Identifying characters', { selection: selection.description });
+
+    try {
+        // Fetch only the characters the selection can match (and a resumed run still needs)
+        const resumeAfter = checkpoint ? checkpoint.lastCompletedCharacterId : 0;
+        let allCharacters;
+        if (selection.candidateIds) {
+            allCharacters = await rickAndMorty.getCharactersByIds(selection.candidateIds
+              .filter(id => id > resumeAfter || retriedCharacterIds.has(id.toString())));
         } else {
-            try {
-                const locationData = await getLocationByUrl(locationUrl);
-                if (locationData) {
-                    companyHubspotId = await findOrCreateCompany(hubspotClient, locationData);
-                    if (companyHubspotId) {
-                        companyLocationMap.set(locationUrl, companyHubspotId);
-                        processedCompanyHubspotIds.add(companyHubspotId);
-                    }
-                }
-            } catch (error) {
-                console.error(`Failed to process location: ${error.message}`);
+            allCharacters = await rickAndMorty.getCharacters(selection.apiFilters);
+        }
+
+        // Filter characters for migration
+        for (const character of allCharacters) {
+            if (selection.matches(character)) {
+                charactersToMigrate.push(character);
             }
         }
+        // Ascending ID order makes the last completed ID a valid resume point
+        charactersToMigrate.sort((a, b) => a.id - b.id);
+        logger.info('Found characters to migrate', { count: charactersToMigrate.length });
+
+    } catch (error) {
+        logger.error('Failed to fetch characters', { error: error.message });
+        throw error;
+    }
+
+    // Association types of the Origin and Current location labels (created when missing)
+    let associationTypes;
+    try {
+        const labels = await resolveAssociationLabels(hubspotClient, { plan });
+        associationTypes = {
+            origin: [PRIMARY_COMPANY_TYPE, labels.origin].filter(Boolean),
+            currentLocation: [labels.currentLocation].filter(Boolean),
+        };
+    } catch (error) {
+        logger.error('Failed to resolve association labels', { error: describeError(error) });
+        throw error;
     }
 
-    // Create association
-    await createAssociation(hubspotClient, contactHubspotId, companyHubspotId, character.name, character.id);
+    // Tracking variables, restored from the checkpoint when resuming
+    const processedContactHubspotIds = new Set(checkpoint ? checkpoint.processedContactHubspotIds : []);
+    const processedCompanyHubspotIds = new Set(checkpoint ? checkpoint.processedCompanyHubspotIds : []);
+    const companyLocationMap = new Map(checkpoint ? Object.entries(checkpoint.companyLocationMap) : []);
+    const episodeObjectMap = new Map(checkpoint ? Object.entries(checkpoint.episodeObjectMap || {}) : []);
+    const lastCompletedCharacterId = checkpoint ? checkpoint.lastCompletedCharacterId : 0;
+    let lastProcessedCharacterId = lastCompletedCharacterId;
+    const startedAt = checkpoint ? checkpoint.startedAt : new Date().toISOString();
+
+    let contactsCreated = checkpoint ? checkpoint.counters.contactsCreated : 0;
+    let contactsUpdated = checkpoint ? checkpoint.counters.contactsUpdated : 0;
+    // Every error of the saved run belongs to a failed character, which this run retries
+    let contactsFailed = 0;
+    const errors = [];
+
+    const saveCheckpoint = (characterId, completed = false) => {
+      if (dryRun) return;
+      writeJsonFile(checkpointFile, {
+        selectionKey: selection.key,
+        startedAt,
+        updatedAt: new Date().toISOString(),
+        completed,
+        lastCompletedCharacterId: characterId,
+        failedCharacters: Object.fromEntries(failedCharacters),
+        companyLocationMap: Object.fromEntries(companyLocationMap),
+        episodeObjectMap: Object.fromEntries(episodeObjectMap),
+        processedContactHubspotIds: Array.from(processedContactHubspotIds),
+        processedCompanyHubspotIds: Array.from(processedCompanyHubspotIds),
+        counters: { contactsCreated, contactsUpdated, contactsFailed },
+        errors,
+      });
+    };
+
+    // Process remaining characters in batches of 100 (one HubSpot batch call per step)
+    const remainingCharacters = charactersToMigrate.filter(character => (
+      character.id > lastCompletedCharacterId || retriedCharacterIds.has(character.id.toString())
+    ));
+    let processedCharacters = charactersToMigrate.length - remainingCharacters.length;
+    const reportProgress = (phase) => onProgress({
+      phase,
+      processed: processedCharacters,
+      total: charactersToMigrate.length,
+      counters: { contactsCreated, contactsUpdated, contactsFailed, companiesProcessed: processedCompanyHubspotIds.size },
+    });
+    reportProgress('characters');
+
+    for (const characters of chunk(remainingCharacters)) {
+      logger.info('Processing characters', {
+        from: characters[0].id,
+        to: characters[characters.length - 1].id,
+        count: characters.length,
+      });
+
+      const batchErrors = [];
+
+      // Process contacts
+      const contactOutcome = await upsertContactsBatch(characters, plan);
+      const contactIdsByCharacter = new Map();
+      for (const result of contactOutcome.results) {
+        processedContactHubspotIds.add(result.id);
+        contactIdsByCharacter.set(result.key, result.id);
+        // The contact of a retried character is counted by the run that wrote it
+        if (failedCharacters.get(result.key)) continue;
+        if (result.created) {
+          contactsCreated++;
+        } else {
+          contactsUpdated++;
+        }
+      }
+      contactsFailed += contactOutcome.errors.length;
+      batchErrors.push(...contactOutcome.errors.map(error => ({ type: 'contact', ...error })));
+
+      // Fetch the origin and current locations not seen in earlier batches, for their companies,
+      // and the current locations of the batch, for their residents
+      const newLocationUrls = Array.from(new Set(
+        characters.flatMap(character => [character.origin?.url, character.location?.url])
+          .filter(url => url && !companyLocationMap.has(url))
+      ));
+      const locationUrls = Array.from(new Set(
+        newLocationUrls.concat(characters.map(character => character.location?.url).filter(Boolean))
+      ));
+      const locationsByUrl = new Map();
+      if (locationUrls.length > 0) {
+        try {
+          const fetched = await rickAndMorty.getLocationsByIds(locationUrls.map(idFromUrl));
+          for (const location of fetched) {
+            if (locationUrls.includes(location.url)) locationsByUrl.set(location.url, location);
+          }
+        } catch (error) {
+          logger.error('Failed to process locations', { error: error.message });
+          batchErrors.push(...locationUrls.map(url => ({
+            type: newLocationUrls.includes(url) ? 'company' : 'currentLocationAssociation',
+            key: url,
+            error: error.message,
+          })));
+        }
+      }
+
+      // Process companies for the new locations
+      const locations = newLocationUrls
+        .filter(url => locationsByUrl.has(url))
+        .map(url => ({ url, location: locationsByUrl.get(url) }));
+      if (locations.length > 0) {
+        const companyOutcome = await upsertCompaniesBatch(locations, plan);
+        for (const result of companyOutcome.results) {
+          companyLocationMap.set(result.key, result.id);
+          processedCompanyHubspotIds.add(result.id);
+        }
+        batchErrors.push(...companyOutcome.errors.map(error => ({ type: 'company', ...error })));
+      }
+
+      // Create the labelled associations; the origin company is also the primary company
+      batchErrors.push(...await associateLocationCompanies(
+        'origin', originPairs(characters, contactIdsByCharacter, companyLocationMap, plan), associationTypes.origin, plan
+      ));
+      const currentLocationPairs = residentPairs(characters, contactIdsByCharacter, companyLocationMap, locationsByUrl, plan);
+      batchErrors.push(...await associateLocationCompanies(
+        'currentLocation', currentLocationPairs, associationTypes.currentLocation, plan
+      ));
+      // A character who moved keeps no Current location label on their previous location's company
+      batchErrors.push(...await archiveOutdatedCurrentLocations(
+        characters, contactIdsByCharacter, companyLocationMap, locationsByUrl, currentLocationPairs,
+        associationTypes.currentLocation[0], plan
+      ));
+
+      // Episodes and appearances
+      if (episodeObjectType) {
+        batchErrors.push(...await migrateEpisodes(
+          episodeObjectType, characters, contactIdsByCharacter, episodeObjectMap, plan
+        ));
+      }
+
+      // Failed characters stay in the checkpoint so the next run retries them
+      const failedIds = new Set(failedCharacterIds(characters, batchErrors));
+      for (const character of characters) {
+        const characterId = character.id.toString();
+        if (failedIds.has(characterId)) {
+          failedCharacters.set(characterId, failedCharacters.get(characterId) || contactIdsByCharacter.get(characterId) || null);
+        } else {
+          failedCharacters.delete(characterId);
+        }
+      }
+      errors.push(...batchErrors);
+
+      // A batch of retried characters can end below the resume point
+      lastProcessedCharacterId = Math.max(lastProcessedCharacterId, characters[characters.length - 1].id);
+      saveCheckpoint(lastProcessedCharacterId);
+      processedCharacters += characters.length;
+      reportProgress('characters');
+    }
+
+    saveCheckpoint(lastProcessedCharacterId, failedCharacters.size === 0);
+    reportProgress('completed');
+    if (failedCharacters.size > 0 && !dryRun) {
+      logger.warn('Some characters failed and will be retried by the next run', { characterIds: Array.from(failedCharacters.keys()) });
+    }
+
+    // Migration summary
+    logger.info(dryRun ? 'Migration dry run completed' : 'Migration completed', {
+      contactsProcessed: processedContactHubspotIds.size,
+      contactsCreated,
+      contactsUpdated,
+      contactsFailed,
+      charactersFailed: failedCharacters.size,
+      companiesProcessed: processedCompanyHubspotIds.size,
+      // Episodes are skipped when HUBSPOT_EPISODE_OBJECT_TYPE is not set
+      episodesProcessed: episodeObjectType ? episodeObjectMap.size : 'skipped',
+      recordErrors: errors.length,
+    });
+
+    return {
+      contactsProcessed: processedContactHubspotIds.size,
+      contactsCreated,
+      contactsUpdated,
+      contactsFailed,
+      companiesProcessed: processedCompanyHubspotIds.size,
+      episodesProcessed: episodeObjectMap.size,
+      errors,
+      plan,
+    };
   }
 
-  // Migration summary
-  console.log('\nMigration completed');
-  console.log(`Contacts processed: ${processedContactHubspotIds.size}`);
-  console.log(`  - Created: ${contactsCreated}`);
-  console.log(`  - Updated: ${contactsUpdated}`);
-  console.log(`  - Failed: ${contactsFailed}`);
-  console.log(`Companies processed: ${processedCompanyHubspotIds.size}`);
+  return { migrate };
+}
+
+/**
+ * Migrates the Rick and Morty characters with the environment configuration
+ * (HUBSPOT_EPISODE_OBJECT_TYPE); see createMigrationService for the options
+ * @param {object} hubspotClient - Initialized HubSpot API client
+ * @param {object} [options] - Migration options
+ * @returns {Promise<object>} Final counters of the migration, plus the plan of a dry run
+ */
+function migrateRickAndMortyToHubspot(hubspotClient, options) {
+  const service = createMigrationService({
+    hubspotClient,
+    config: { episodeObjectType: process.env.HUBSPOT_EPISODE_OBJECT_TYPE },
+  });
+  return service.migrate(options);
 }
 
 module.exports = {
+  createMigrationService,
   migrateRickAndMortyToHubspot,
 };
-*/
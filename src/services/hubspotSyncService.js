@@ -0,0 +1,799 @@
+/*
+ * Source→Mirror Synchronization
+ *
+ * Copies the companies and contacts of the Source HubSpot account to the Mirror
+ * account: full runs compare both accounts and propagate deletions, incremental
+ * runs only read the Source records modified since the last watermark.
+ *
+ * In two-way mode (SYNC_TWO_WAY) the editable properties also flow back from Mirror
+ * to Source: each record is compared against its last-synced version, and properties
+ * changed on both sides are resolved by the configured conflict policies (see
+ * conflictResolution.js) and recorded in the conflict queue. Identity properties,
+ * associations and deletions stay one-way, and Mirror-only records are not copied.
+ */
+
+require('dotenv').config();
+const { getHubspotClient } = require('../clients/hubspotClient');
+const {
+  searchModifiedSince,
+  batchReadByIds,
+  batchUpsert,
+  batchAssociate,
+} = require('./hubspotBatchService');
+const { createPlan, outputPlan } = require('./syncPlan');
+const {
+  SOFT_DELETE_PROPERTY,
+  clearSoftDeleteProperties,
+  propagateDeletions,
+  pruneAssociations,
+} = require('./deletionPropagation');
+const { createWatermarkStore, latestModifiedDate } = require('./syncWatermarks');
+const { SOURCE_ID_PROPERTY, openIdMapStore, resolveMirrorRecords } = require('./idMapStore');
+const {
+  TWO_WAY_PROPERTIES,
+  twoWayValues,
+  hasTwoWayChanges,
+  resolveConflictPolicies,
+  reconcileProperties,
+} = require('./conflictResolution');
+const { openVersionStore } = require('./syncVersions');
+const { createConflictQueue } = require('./conflictQueue');
+const { resolveDataPath } = require('../utils/jsonFile');
+const { getLogger } = require('../utils/logger');
+
+// Source contact properties copied to Mirror
+const SOURCE_CONTACT_PROPERTIES = [
+  'character_id', 'email', 'firstname', 'lastname',
+  'character_status', 'character_species',
+  'character_gender', 'associatedcompanyid'
+];
+
+// Source company properties copied to Mirror
+const SOURCE_COMPANY_PROPERTIES = ['name', 'phone', 'industry', 'location_id'];
+
+// Modification date used for incremental sync; contacts are searched on
+// lastmodifieddate, as hs_lastmodifieddate is not reliably searchable for them
+const MODIFIED_DATE_PROPERTIES = {
+  companies: 'hs_lastmodifieddate',
+  contacts: 'lastmodifieddate'
+};
+
+// Object types the sync handles; companies first so contacts can be associated with them
+const SYNC_OBJECT_TYPES = ['companies', 'contacts'];
+
+/**
+ * Counters of one object type, without its errors
+ * @param {object} stats - Stats returned by syncCompanies or syncContacts
+ * @returns {{created: number, updated: number, archived: number, failed: number, skipped: number, sourceUpdated: number, conflicts: number}} Counters
+ */
+function syncCounters({ created, updated, archived, failed, skipped, sourceUpdated, conflicts }) {
+  return { created, updated, archived, failed, skipped, sourceUpdated, conflicts };
+}
+
+/**
+ * Empty stats of one object type
+ * @returns {object} Stats: counters and errors
+ */
+function emptyStats() {
+  return { created: 0, updated: 0, archived: 0, failed: 0, skipped: 0, sourceUpdated: 0, conflicts: 0, errors: [] };
+}
+
+/**
+ * Creates the Source→Mirror sync service
+ * @param {object} deps - Service dependencies
+ * @param {object} deps.sourceClient - HubSpot client of the Source account
+ * @param {object} deps.mirrorClient - HubSpot client of the Mirror account
+ * @param {object} [deps.idMap] - Source↔Mirror ID map (defaults to the map shared through data/id-map.json)
+ * @param {object} [deps.watermarks] - Incremental sync watermarks (defaults to data/sync-watermarks.json)
+ * @param {object} [deps.versions] - Last-synced record versions of the two-way mode (defaults to data/sync-versions.json)
+ * @param {object} [deps.conflicts] - Conflict queue of the two-way mode (defaults to data/sync-conflicts.json)
+ * @param {object} [deps.logger] - Logger (defaults to the shared 'sync' logger)
+ * @param {object} [deps.config] - Sync settings
+ * @param {boolean} [deps.config.dryRun=false] - Plan the changes without writing to Mirror
+ * @param {string} [deps.config.planFile] - Dry-run plan export location (defaults to data/sync-plan.json)
+ * @param {object} [deps.config.deletion] - Deletion propagation settings overriding the environment (see resolveDeletionOptions)
+ * @param {boolean} [deps.config.twoWay=false] - Also copy Mirror edits back to Source, resolving conflicts by policy
+ * @param {object} [deps.config.conflictPolicies] - Conflict policies overriding the environment (see resolveConflictPolicies)
+ * @returns {Object} Service API: runSync, syncCompanies, syncContacts, resolveConflict
+ */
+function createSyncService({
+  sourceClient,
+  mirrorClient,
+  idMap = openIdMapStore(),
+  watermarks = createWatermarkStore(),
+  versions = openVersionStore(),
+  logger = getLogger('sync'),
+  conflicts = createConflictQueue({ conflictFile: resolveDataPath('sync-conflicts.json'), logger }),
+  config = {},
+}) {
+  /**
+   * Retrieves Source records: every record, or only those modified since a date
+   * @param {string} objectType - 'companies' or 'contacts'
+   * @param {Array<string>} properties - Properties to return
+   * @param {string} [since] - Incremental lower bound (ISO 8601); all records when omitted
+   * @returns {Promise<Array<Object>>} Source records, including their modification date
+   */
+  async function fetchSourceRecords(objectType, properties, since) {
+    const objectApi = sourceClient.crm[objectType];
+    const dateProperty = MODIFIED_DATE_PROPERTIES[objectType];
+    if (since) {
+      return searchModifiedSince(objectApi, dateProperty, since, properties);
+    }
+
+    let records = [];
+    let after = undefined;
+    do {
+      const apiResponse = await objectApi.basicApi.getPage(100, after, [...properties, dateProperty]);
+      records = records.concat(apiResponse.results);
+      after = apiResponse.paging?.next?.after;
+    } while (after);
+    return records;
+  }
+
+  /**
+   * Synchronizes companies from Source to Mirror account
+   * Each Source company is matched to its Mirror counterpart through the ID map and the
+   * source_record_id stamp. A full run then archives stamped Mirror companies whose Source
+   * company no longer exists; an incremental run only reads the Source companies modified
+   * since the given date.
+   * @async
+   * @param {object} [options] - Sync options
+   * @param {object} [options.plan] - Dry-run plan; when given the Mirror account is not written
+   * @param {Map<string, string>} [options.companyIds] - Source→Mirror company IDs of this run, filled in place
+   * @param {string} [options.since] - Incremental lower bound (ISO 8601); full sync when omitted
+   * @returns {Promise<{created: number, updated: number, archived: number, failed: number, skipped: number, sourceUpdated: number, conflicts: number, errors: Array<Object>, latestModified: (string|undefined)}>}
+   */
+  async function syncCompanies({ plan, companyIds = new Map(), since } = {}) {
+    logger.info(`Initiating ${since ? 'incremental ' : ''}company synchronization from Source to Mirror`, { since });
+    const stats = emptyStats();
+
+    const allSourceCompanies = await fetchSourceRecords('companies', SOURCE_COMPANY_PROPERTIES, since);
+    stats.latestModified = latestModifiedDate(allSourceCompanies, MODIFIED_DATE_PROPERTIES.companies);
+    if (config.twoWay && since) {
+      allSourceCompanies.push(...await fetchMirrorEditedRecords('companies', SOURCE_COMPANY_PROPERTIES, since, allSourceCompanies));
+    }
+
+    // Find the Mirror counterparts; unstamped Mirror companies created before the
+    // stamp existed are adopted once by location_id, or by name if they have none
+    const mirrorCompanies = await resolveMirrorRecords({
+      objectApi: mirrorClient.crm.companies,
+      objectType: 'companies',
+      idMap,
+      sources: allSourceCompanies.map(company => ({
+        sourceId: company.id,
+        legacyKeys: { location_id: company.properties.location_id, name: company.properties.name }
+      })),
+      properties: [...SOURCE_COMPANY_PROPERTIES, SOFT_DELETE_PROPERTY, MODIFIED_DATE_PROPERTIES.companies],
+      legacyProperties: ['location_id', 'name']
+    });
+
+    const records = allSourceCompanies.map((company) => {
+      const mirrorCompany = mirrorCompanies.get(company.id);
+      return {
+        key: company.id,
+        existingId: mirrorCompany ? mirrorCompany.id : null,
+        existing: mirrorCompany,
+        properties: {
+          name: company.properties.name || '',
+          phone: company.properties.phone || '',
+          industry: company.properties.industry || '',
+          location_id: company.properties.location_id || '',
+          [SOURCE_ID_PROPERTY]: company.id,
+          ...clearSoftDeleteProperties(mirrorCompany)
+        }
+      };
+    });
+
+    const reconciliation = config.twoWay
+      ? reconcileTwoWay('companies', records, allSourceCompanies, { plan, label: 'company' })
+      : null;
+
+    const outcome = await batchUpsert(mirrorClient.crm.companies, records, SOURCE_ID_PROPERTY, { plan, objectType: 'company' });
+
+    for (const result of outcome.results) {
+      companyIds.set(result.key, result.id);
+      if (result.created) {
+        stats.created++;
+      } else {
+        stats.updated++;
+      }
+    }
+    if (!plan) {
+      idMap.setMany('companies', outcome.results.map(result => [result.key, result.id]));
+    }
+    for (const error of outcome.errors) {
+      logger.error('Company synchronization failed', { sourceId: error.key, error: error.error });
+      stats.failed++;
+      stats.errors.push({ type: 'company', ...error });
+    }
+    if (reconciliation) {
+      await applyReconciliation('companies', reconciliation, outcome, stats, { plan, label: 'company' });
+    }
+
+    // Archive Mirror companies removed from Source (needs the complete Source list)
+    if (!since) {
+      await applyDeletions(stats, {
+        objectType: 'company',
+        objectApi: mirrorClient.crm.companies,
+        loadMirrorRecords: () => getAllMirrorRecords('companies'),
+        sourceKeys: new Set(allSourceCompanies.map(company => company.id)),
+        plan
+      });
+    }
+
+    logger.info('Company synchronization completed', {
+      created: stats.created,
+      updated: stats.updated,
+      archived: stats.archived,
+      failed: stats.failed,
+      skipped: stats.skipped,
+      sourceUpdated: stats.sourceUpdated,
+      conflicts: stats.conflicts
+    });
+    return stats;
+  }
+
+  /**
+   * Synchronizes contacts from Source to Mirror account
+   * Each Source contact is matched to its Mirror counterpart through the ID map and the
+   * source_record_id stamp (unstamped Mirror contacts are adopted once by character_id).
+   * Company associations removed in Source are removed in Mirror. A full run also archives
+   * stamped Mirror contacts whose Source contact no longer exists; an incremental run only
+   * reads the Source contacts modified since the given date.
+   * @async
+   * @param {object} [options] - Sync options
+   * @param {object} [options.plan] - Dry-run plan; when given the Mirror account is not written
+   * @param {Map<string, string>} [options.companyIds] - Source→Mirror company IDs of this run, completed in place
+   * @param {string} [options.since] - Incremental lower bound (ISO 8601); full sync when omitted
+   * @returns {Promise<{created: number, updated: number, archived: number, failed: number, skipped: number, sourceUpdated: number, conflicts: number, errors: Array<Object>, latestModified: (string|undefined)}>}
+   */
+  async function syncContacts({ plan, companyIds = new Map(), since } = {}) {
+    logger.info(`Initiating ${since ? 'incremental ' : ''}contact synchronization from Source to Mirror`, { since });
+    const stats = emptyStats();
+
+    const allSourceContacts = await fetchSourceRecords('contacts', SOURCE_CONTACT_PROPERTIES, since);
+    stats.latestModified = latestModifiedDate(allSourceContacts, MODIFIED_DATE_PROPERTIES.contacts);
+    if (config.twoWay && since) {
+      allSourceContacts.push(...await fetchMirrorEditedRecords('contacts', SOURCE_CONTACT_PROPERTIES, since, allSourceContacts));
+    }
+
+    const contactsToSync = allSourceContacts.filter((contact) => {
+      if (!contact.properties.character_id) {
+        logger.warn('Contact skipped - missing character_id', {
+          contactId: contact.id,
+          email: contact.properties.email
+        });
+        plan?.add({ action: 'skip', objectType: 'contact', key: contact.id, reason: 'missing character_id' });
+        stats.skipped++;
+        return false;
+      }
+      return true;
+    });
+
+    // Look up existing Mirror contacts in batches of 100
+    const mirrorContacts = await resolveMirrorRecords({
+      objectApi: mirrorClient.crm.contacts,
+      objectType: 'contacts',
+      idMap,
+      sources: contactsToSync.map(contact => ({
+        sourceId: contact.id,
+        legacyKeys: { character_id: contact.properties.character_id }
+      })),
+      properties: [
+        'email', 'firstname', 'lastname', 'character_id',
+        'character_status', 'character_species', 'character_gender',
+        SOFT_DELETE_PROPERTY, MODIFIED_DATE_PROPERTIES.contacts
+      ],
+      legacyProperties: ['character_id']
+    });
+    logger.info('Matched contacts in Mirror', { matched: mirrorContacts.size, total: contactsToSync.length });
+
+    const records = contactsToSync.map((contact) => {
+      const mirrorContact = mirrorContacts.get(contact.id);
+      return {
+        key: contact.id,
+        existingId: mirrorContact ? mirrorContact.id : null,
+        existing: mirrorContact,
+        properties: {
+          email: contact.properties.email,
+          firstname: contact.properties.firstname,
+          lastname: contact.properties.lastname || '',
+          character_id: contact.properties.character_id,
+          character_status: contact.properties.character_status,
+          character_species: contact.properties.character_species,
+          character_gender: contact.properties.character_gender,
+          [SOURCE_ID_PROPERTY]: contact.id,
+          ...clearSoftDeleteProperties(mirrorContact)
+        }
+      };
+    });
+
+    const reconciliation = config.twoWay
+      ? reconcileTwoWay('contacts', records, contactsToSync, { plan, label: 'contact' })
+      : null;
+
+    // Perform batched upsert operation
+    const outcome = await batchUpsert(mirrorClient.crm.contacts, records, SOURCE_ID_PROPERTY, { plan, objectType: 'contact' });
+    const mirrorIdsBySource = new Map();
+    for (const result of outcome.results) {
+      mirrorIdsBySource.set(result.key, result.id);
+      if (result.created) {
+        stats.created++;
+      } else {
+        stats.updated++;
+      }
+    }
+    if (!plan) {
+      idMap.setMany('contacts', outcome.results.map(result => [result.key, result.id]));
+    }
+    for (const error of outcome.errors) {
+      logger.error('Contact synchronization failed', { sourceId: error.key, error: error.error });
+      stats.failed++;
+      stats.errors.push({ type: 'contact', ...error });
+    }
+    if (reconciliation) {
+      await applyReconciliation('contacts', reconciliation, outcome, stats, { plan, label: 'contact' });
+    }
+
+    // Handle company associations for the synchronized contacts; companies not
+    // synchronized in this run (incremental sync, restart) come from the ID map
+    await resolveMirrorCompanyIds(contactsToSync, companyIds);
+    const associationErrors = await handleCompanyAssociations(contactsToSync, mirrorIdsBySource, { plan, companyIds });
+    stats.errors.push(...associationErrors);
+
+    // Remove company associations that no longer exist in Source (existing Mirror contacts only)
+    const existingMirrorIds = new Map(outcome.results
+      .filter(result => !result.created)
+      .map(result => [result.key, result.id]));
+    stats.errors.push(...await pruneCompanyAssociations(contactsToSync, existingMirrorIds, { plan, companyIds }));
+
+    // Archive Mirror contacts removed from Source (needs the complete Source list)
+    if (!since) {
+      await applyDeletions(stats, {
+        objectType: 'contact',
+        objectApi: mirrorClient.crm.contacts,
+        loadMirrorRecords: () => getAllMirrorRecords('contacts'),
+        sourceKeys: new Set(allSourceContacts.map(contact => contact.id)),
+        plan
+      });
+    }
+
+    logger.info('Contact synchronization completed', {
+      created: stats.created,
+      updated: stats.updated,
+      archived: stats.archived,
+      failed: stats.failed,
+      skipped: stats.skipped,
+      sourceUpdated: stats.sourceUpdated,
+      conflicts: stats.conflicts
+    });
+    return stats;
+  }
+
+  /**
+   * Completes the Source→Mirror company IDs with the companies referenced by the contacts
+   * but not synchronized in this run, using the ID map and the source_record_id stamp
+   * @param {Array<Object>} sourceContacts - Source contacts
+   * @param {Map<string, string>} companyIds - Source→Mirror company IDs, updated in place
+   */
+  async function resolveMirrorCompanyIds(sourceContacts, companyIds) {
+    const missing = Array.from(new Set(sourceContacts
+      .map(contact => contact.properties.associatedcompanyid)
+      .filter(id => id && !companyIds.has(id))));
+    if (missing.length === 0) return;
+
+    const mirrorCompanies = await resolveMirrorRecords({
+      objectApi: mirrorClient.crm.companies,
+      objectType: 'companies',
+      idMap,
+      sources: missing.map(sourceId => ({ sourceId })),
+      properties: []
+    });
+    for (const [sourceId, mirrorCompany] of mirrorCompanies) {
+      companyIds.set(sourceId, mirrorCompany.id);
+    }
+  }
+
+  /**
+   * Archives the Mirror records of one type that no longer exist in Source and adds the outcome to the stats
+   * An aborted propagation (e.g. safety threshold exceeded) is recorded as an error, not thrown
+   * @param {object} stats - Stats of the running sync, updated in place
+   * @param {object} params - Propagation parameters
+   * @param {string} params.objectType - 'company' or 'contact'
+   * @param {object} params.objectApi - SDK object API of the Mirror account
+   * @param {Function} params.loadMirrorRecords - Resolves to every Mirror record as {key, id, properties}
+   * @param {Set<string>} params.sourceKeys - Keys of every active Source record
+   * @param {object} [params.plan] - Dry-run plan; when given nothing is written
+   */
+  async function applyDeletions(stats, { objectType, objectApi, loadMirrorRecords, sourceKeys, plan }) {
+    try {
+      const deletion = await propagateDeletions({
+        objectApi,
+        objectType,
+        mirrorRecords: await loadMirrorRecords(),
+        sourceKeys,
+        plan,
+        options: config.deletion
+      });
+      stats.archived += deletion.removed;
+      stats.failed += deletion.errors.length;
+      stats.errors.push(...deletion.errors.map(error => ({ type: `${objectType}Deletion`, ...error })));
+    } catch (error) {
+      logger.error('Deletion propagation aborted', { objectType, error: error.message });
+      stats.errors.push({ type: `${objectType}Deletion`, key: objectType, error: error.message });
+    }
+  }
+
+  /**
+   * Retrieves every Mirror record of one type, keyed by the Source ID stamped on it
+   * Unstamped records are not managed by the sync and get no key
+   * @param {string} objectType - 'companies' or 'contacts'
+   * @returns {Promise<Array<{key: (string|undefined), id: string, properties: Object}>>} Mirror records
+   */
+  async function getAllMirrorRecords(objectType) {
+    let records = [];
+    let after = undefined;
+    do {
+      const apiResponse = await mirrorClient.crm[objectType].basicApi.getPage(
+        100,
+        after,
+        [SOURCE_ID_PROPERTY, SOFT_DELETE_PROPERTY]
+      );
+      records = records.concat(apiResponse.results);
+      after = apiResponse.paging?.next?.after;
+    } while (after);
+    return records.map(record => ({
+      key: record.properties[SOURCE_ID_PROPERTY] || undefined,
+      id: record.id,
+      properties: record.properties
+    }));
+  }
+
+  /**
+   * Removes Mirror contact→company associations that no longer exist in Source
+   * Contacts whose Source company has no known Mirror counterpart are left untouched
+   * @param {Array<Object>} sourceContacts - Source contacts
+   * @param {Map<string, string>} mirrorIdsBySource - Mirror contact ID per Source contact ID (existing contacts only)
+   * @param {object} options - Pruning options
+   * @param {Map<string, string>} options.companyIds - Source→Mirror company IDs
+   * @param {object} [options.plan] - Dry-run plan; when given nothing is written
+   * @returns {Promise<Array<Object>>} Per-association errors
+   */
+  async function pruneCompanyAssociations(sourceContacts, mirrorIdsBySource, { plan, companyIds }) {
+    const expected = new Map();
+    for (const contact of sourceContacts) {
+      const contactId = mirrorIdsBySource.get(contact.id);
+      const sourceCompanyId = contact.properties.associatedcompanyid;
+      if (!contactId) continue;
+      if (!sourceCompanyId) {
+        expected.set(contactId, []);
+      } else if (companyIds.has(sourceCompanyId)) {
+        expected.set(contactId, [companyIds.get(sourceCompanyId)]);
+      }
+    }
+
+    try {
+      const outcome = await pruneAssociations(mirrorClient, 'contact', 'company', expected, { plan });
+      return outcome.errors.map(error => ({ type: 'associationRemoval', ...error }));
+    } catch (error) {
+      logger.error('Association cleanup failed', { error: error.message });
+      return [{ type: 'associationRemoval', key: 'contacts', error: error.message }];
+    }
+  }
+
+  /**
+   * Handles company associations for synchronized contacts in batches of 100
+   * @param {Array<Object>} sourceContacts - Source contacts
+   * @param {Map<string, string>} mirrorIdsBySource - Mirror contact ID per Source contact ID
+   * @param {object} options - Association options
+   * @param {Map<string, string>} options.companyIds - Source→Mirror company IDs
+   * @param {object} [options.plan] - Dry-run plan; when given nothing is written
+   * @returns {Promise<Array<Object>>} Per-contact association errors
+   */
+  async function handleCompanyAssociations(sourceContacts, mirrorIdsBySource, { plan, companyIds }) {
+    const pairs = [];
+    for (const contact of sourceContacts) {
+      const contactId = mirrorIdsBySource.get(contact.id);
+      const sourceCompanyId = contact.properties.associatedcompanyid;
+      if (!contactId || !sourceCompanyId) continue;
+
+      const mirrorCompanyId = companyIds.get(sourceCompanyId);
+      if (!mirrorCompanyId) {
+        logger.warn('No Mirror company found', { sourceId: contact.id, sourceCompanyId });
+        plan?.add({ action: 'skip', objectType: 'contact->company', key: contact.id, reason: `no Mirror company for Source ID ${sourceCompanyId}` });
+        continue;
+      }
+      pairs.push({ key: contact.id, fromId: contactId, toId: mirrorCompanyId });
+    }
+
+    const outcome = await batchAssociate(mirrorClient, 'contact', 'company', pairs, undefined, { plan });
+    logger.info('Associated contacts with their companies', { associated: outcome.results.length });
+    for (const error of outcome.errors) {
+      logger.error('Association failed', { sourceId: error.key, error: error.error });
+    }
+    return outcome.errors.map(error => ({ type: 'association', ...error }));
+  }
+
+  /**
+   * Two-way incremental runs: reads the Source records whose Mirror counterpart was edited
+   * since the given date, so Mirror edits are synchronized even when Source did not change
+   * Mirror records matching their last-synced version (e.g. written by the previous run) are ignored
+   * @param {string} objectType - 'companies' or 'contacts'
+   * @param {Array<string>} properties - Source properties to return
+   * @param {string} since - Incremental lower bound (ISO 8601)
+   * @param {Array<Object>} fetched - Source records already read in this run
+   * @returns {Promise<Array<Object>>} Additional Source records, including their modification date
+   */
+  async function fetchMirrorEditedRecords(objectType, properties, since, fetched) {
+    const dateProperty = MODIFIED_DATE_PROPERTIES[objectType];
+    const mirrorRecords = await searchModifiedSince(
+      mirrorClient.crm[objectType],
+      dateProperty,
+      since,
+      [SOURCE_ID_PROPERTY, ...TWO_WAY_PROPERTIES[objectType]]
+    );
+
+    const fetchedIds = new Set(fetched.map(record => record.id));
+    const sourceIds = new Set(mirrorRecords
+      .filter(record => hasTwoWayChanges(
+        objectType,
+        record.properties,
+        versions.get(objectType, record.properties[SOURCE_ID_PROPERTY])?.properties
+      ))
+      .map(record => record.properties[SOURCE_ID_PROPERTY])
+      .filter(sourceId => sourceId && !fetchedIds.has(sourceId)));
+    if (sourceIds.size === 0) return [];
+
+    logger.info('Mirror records edited since the last run', { objectType, count: sourceIds.size });
+    const sourceRecords = await batchReadByIds(sourceClient.crm[objectType], Array.from(sourceIds), [...properties, dateProperty]);
+    return Array.from(sourceRecords.values());
+  }
+
+  /**
+   * Two-way mode: reconciles the Mirror upserts of existing records with the Mirror edits
+   * Each upsert is narrowed in place so Mirror keeps the two-way properties it won (or that
+   * are left for review); the properties Mirror won become Source updates. Conflicts are
+   * recorded in the conflict queue, or added to the plan of a dry run.
+   * @param {string} objectType - 'companies' or 'contacts'
+   * @param {Array<Object>} records - Mirror upserts ({key, existingId, existing, properties}), updated in place
+   * @param {Array<Object>} sourceRecords - Source records of the upserts
+   * @param {object} options - Reconciliation options
+   * @param {string} options.label - Object type label of the plan and the errors ('company' or 'contact')
+   * @param {object} [options.plan] - Dry-run plan; when given the conflict queue is not written
+   * @returns {{sourceUpdates: Array<Object>, synced: Map<string, Object>, conflicts: number}} Source updates,
+   *   new last-synced properties per Source ID and number of conflicts
+   */
+  function reconcileTwoWay(objectType, records, sourceRecords, { label, plan }) {
+    const policies = resolveConflictPolicies(config.conflictPolicies);
+    const dateProperty = MODIFIED_DATE_PROPERTIES[objectType];
+    const sourceById = new Map(sourceRecords.map(record => [record.id, record]));
+    const reconciliation = { sourceUpdates: [], synced: new Map(), conflicts: 0 };
+    const detected = [];
+
+    for (const record of records) {
+      if (!record.existing) {
+        reconciliation.synced.set(record.key, twoWayValues(objectType, record.properties));
+        continue;
+      }
+
+      const sourceRecord = sourceById.get(record.key);
+      const mirror = record.existing.properties;
+      const outcome = reconcileProperties({
+        objectType,
+        source: record.properties,
+        mirror,
+        base: versions.get(objectType, record.key)?.properties,
+        sourceModifiedAt: sourceRecord.properties[dateProperty],
+        mirrorModifiedAt: mirror[dateProperty],
+        policies,
+      });
+
+      for (const property of TWO_WAY_PROPERTIES[objectType]) {
+        if (!(property in outcome.toMirror)) {
+          record.properties[property] = mirror[property] ?? '';
+        }
+      }
+      if (Object.keys(outcome.toSource).length > 0) {
+        reconciliation.sourceUpdates.push({
+          key: record.key,
+          existingId: record.key,
+          existing: sourceRecord,
+          properties: outcome.toSource,
+        });
+      }
+      reconciliation.synced.set(record.key, outcome.synced);
+      detected.push(...outcome.conflicts.map(conflict => ({
+        objectType,
+        sourceId: record.key,
+        mirrorId: record.existingId,
+        ...conflict,
+      })));
+    }
+
+    reconciliation.conflicts = detected.length;
+    if (plan) {
+      for (const conflict of detected) {
+        plan.add({
+          action: 'conflict',
+          objectType: label,
+          key: conflict.sourceId,
+          id: conflict.mirrorId,
+          reason: `${conflict.property}: Source '${conflict.sourceValue}', Mirror '${conflict.mirrorValue}' ` +
+            `(${conflict.policy}: ${conflict.winner ? `${conflict.winner} wins` : 'left for review'})`,
+        });
+      }
+    } else {
+      conflicts.record(detected);
+    }
+    return reconciliation;
+  }
+
+  /**
+   * Two-way mode: writes the properties Mirror won back to Source, then stores the
+   * last-synced versions of the records written successfully on both sides
+   * @param {string} objectType - 'companies' or 'contacts'
+   * @param {object} reconciliation - Result of reconcileTwoWay
+   * @param {object} mirrorOutcome - Outcome of the Mirror upsert
+   * @param {object} stats - Stats of the running sync, updated in place
+   * @param {object} options - Write options
+   * @param {string} options.label - Object type label of the plan and the errors ('company' or 'contact')
+   * @param {object} [options.plan] - Dry-run plan; when given nothing is written
+   */
+  async function applyReconciliation(objectType, reconciliation, mirrorOutcome, stats, { label, plan }) {
+    stats.conflicts += reconciliation.conflicts;
+    const outcome = await batchUpsert(
+      sourceClient.crm[objectType],
+      reconciliation.sourceUpdates,
+      'hs_object_id',
+      { plan, objectType: `source ${label}` }
+    );
+    stats.sourceUpdated += outcome.results.length;
+    for (const error of outcome.errors) {
+      logger.error('Source write-back failed', { objectType, sourceId: error.key, error: error.error });
+      stats.failed++;
+      stats.errors.push({ type: `${label}WriteBack`, ...error });
+    }
+    if (plan) return;
+
+    const failed = new Set(outcome.errors.map(error => error.key));
+    versions.setMany(objectType, mirrorOutcome.results
+      .filter(result => !failed.has(result.key) && reconciliation.synced.has(result.key))
+      .map(result => [result.key, reconciliation.synced.get(result.key)]));
+  }
+
+  /**
+   * Resolves an open conflict with the value of the chosen side: the value is written to the
+   * other side and becomes the last-synced version of the property
+   * @param {string} id - Conflict ID
+   * @param {string} winner - 'source' or 'mirror'
+   * @returns {Promise<Object|null>} Resolved conflict, or null if it does not exist or is not open
+   */
+  async function resolveConflict(id, winner) {
+    const conflict = conflicts.get(id);
+    if (!conflict || conflict.status !== 'open') return null;
+
+    const value = winner === 'source' ? conflict.sourceValue : conflict.mirrorValue;
+    const [client, recordId] = winner === 'source'
+      ? [mirrorClient, conflict.mirrorId]
+      : [sourceClient, conflict.sourceId];
+    await client.crm[conflict.objectType].basicApi.update(recordId, { properties: { [conflict.property]: value } });
+    versions.set(conflict.objectType, conflict.sourceId, { [conflict.property]: value });
+    return conflicts.resolve(id, { winner, value });
+  }
+
+  /**
+   * Moves the watermark of one object type after a successful sync
+   * The watermark is kept when records failed, so they are fetched again next run
+   * @param {string} objectType - 'companies' or 'contacts'
+   * @param {object} stats - Stats returned by syncCompanies/syncContacts
+   */
+  function advanceWatermark(objectType, stats) {
+    if (!stats.latestModified) return;
+    if (stats.failed > 0) {
+      logger.warn('Watermark kept, failed records will be retried next run', { objectType, failed: stats.failed });
+      return;
+    }
+    const current = watermarks.get(objectType);
+    if (!current || new Date(stats.latestModified) > new Date(current)) {
+      watermarks.set(objectType, stats.latestModified);
+    }
+  }
+
+  /**
+   * Executes the synchronization pipeline
+   * A full run reads every Source record and propagates deletions; an incremental run only
+   * reads the records modified since the stored watermarks (object types without a watermark
+   * are synchronized fully). Both move the watermarks forward.
+   * A dry run plans the Mirror changes without writing and exports the plan
+   * @async
+   * @param {object} [options] - Sync options
+   * @param {boolean} [options.incremental=false] - Only synchronize records modified since the last run
+   * @param {Array<string>} [options.objectTypes=['companies', 'contacts']] - Object types to synchronize, in this order
+   * @param {boolean} [options.dryRun] - Plan the changes without writing to Mirror (defaults to config.dryRun)
+   * @param {string} [options.planFile] - Plan export location (defaults to config.planFile, then data/sync-plan.json)
+   * @param {string} [options.planFormat='table'] - Console output of the plan: 'table' or 'json'
+   * @param {Function} [options.onProgress] - Receives {phase, counters} after each object type
+   * @returns {Promise<object>} Run summary with per-type stats, or the error that stopped the run
+   */
+  async function runSync({
+    incremental = false,
+    objectTypes = SYNC_OBJECT_TYPES,
+    dryRun = Boolean(config.dryRun),
+    planFile = config.planFile || resolveDataPath('sync-plan.json'),
+    planFormat = 'table',
+    onProgress = () => {},
+  } = {}) {
+    const mode = incremental ? 'incremental' : 'full';
+    const summary = { mode, dryRun, startedAt: new Date().toISOString() };
+
+    try {
+      logger.info(`Starting ${mode} synchronization${dryRun ? ' (dry run, Mirror will not be written)' : ''}`, { objectTypes });
+      const plan = dryRun ? createPlan('sync') : undefined;
+      // Mirror company IDs of this run (including planned IDs in a dry run) for the contact associations
+      const companyIds = new Map();
+
+      const syncers = { companies: syncCompanies, contacts: syncContacts };
+      const counters = {};
+      for (const objectType of SYNC_OBJECT_TYPES.filter(type => objectTypes.includes(type))) {
+        onProgress({ phase: objectType, counters: { ...counters } });
+        summary[objectType] = await syncers[objectType]({
+          plan,
+          companyIds,
+          since: incremental ? watermarks.since(objectType) : undefined
+        });
+        if (!dryRun) advanceWatermark(objectType, summary[objectType]);
+        counters[objectType] = syncCounters(summary[objectType]);
+      }
+      onProgress({ phase: 'completed', counters });
+
+      if (plan) {
+        outputPlan(plan, { jsonFile: planFile, format: planFormat });
+        summary.plan = { file: planFile, ...plan.summary() };
+      }
+    } catch (error) {
+      logger.error(`${mode === 'full' ? 'Full' : 'Incremental'} synchronization failed`, {
+        error: error.message,
+        details: error.response?.data
+      });
+      summary.error = error.message;
+    }
+
+    summary.finishedAt = new Date().toISOString();
+    return summary;
+  }
+
+  return { runSync, syncCompanies, syncContacts, resolveConflict };
+}
+
+// Service of the process, configured from the environment on first use
+let defaultService = null;
+
+/**
+ * @returns {object} Sync service of the shared HubSpot clients, configured from the environment
+ *   (SYNC_DRY_RUN, SYNC_PLAN_FILE, SYNC_TWO_WAY, the conflict policies and the deletion settings)
+ */
+function getSyncService() {
+  if (!defaultService) {
+    defaultService = createSyncService({
+      sourceClient: getHubspotClient('source'),
+      mirrorClient: getHubspotClient('mirror'),
+      config: {
+        dryRun: process.env.SYNC_DRY_RUN === 'true',
+        planFile: process.env.SYNC_PLAN_FILE || undefined,
+        twoWay: process.env.SYNC_TWO_WAY === 'true',
+      },
+    });
+  }
+  return defaultService;
+}
+
+module.exports = {
+  SYNC_OBJECT_TYPES,
+  createSyncService,
+  getSyncService,
+  syncCounters,
+  runSync: options => getSyncService().runSync(options),
+  syncCompanies: options => getSyncService().syncCompanies(options),
+  syncContacts: options => getSyncService().syncContacts(options),
+  resolveConflict: (id, winner) => getSyncService().resolveConflict(id, winner),
+};
@@ -0,0 +1,181 @@
+/*
+ * Source↔Mirror ID Map
+ *
+ * Persists which Mirror record mirrors which Source record, per object type
+ * ('companies', 'contacts'), so every sync path and webhook handler finds the
+ * counterpart of a Source record without matching on names or emails. Mirror
+ * records also carry their Source ID in the source_record_id property: the map
+ * is the fast path, the stamp lets it be rebuilt if the file is lost.
+ */
+
+const { resolveDataPath, readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+const { batchReadByIds, batchReadByProperty, searchAllByPropertyValues } = require('./hubspotBatchService');
+
+// Mirror property holding the ID of the Source record (provisioned as a unique property)
+const SOURCE_ID_PROPERTY = 'source_record_id';
+
+/**
+ * Creates a file-backed ID map
+ * @param {string} mapFile - JSON file holding the map
+ * @returns {object} ID map API
+ */
+function createIdMapStore(mapFile) {
+  const data = readJsonFile(mapFile, {});
+  const persist = () => writeJsonFile(mapFile, data);
+
+  /**
+   * Records several Source→Mirror pairs of one type with a single write
+   * @param {string} objectType - 'companies' or 'contacts'
+   * @param {Array<[string, string]>} pairs - [sourceId, mirrorId] pairs
+   */
+  function setMany(objectType, pairs) {
+    const ids = data[objectType] = data[objectType] || {};
+    let changed = false;
+    for (const [sourceId, mirrorId] of pairs) {
+      if (ids[sourceId] !== String(mirrorId)) {
+        ids[sourceId] = String(mirrorId);
+        changed = true;
+      }
+    }
+    if (changed) persist();
+  }
+
+  return {
+    /**
+     * @param {string} objectType - 'companies' or 'contacts'
+     * @param {string} sourceId - Source record ID
+     * @returns {string|undefined} Mirror record ID
+     */
+    get(objectType, sourceId) {
+      return data[objectType]?.[sourceId];
+    },
+
+    /**
+     * @param {string} objectType - 'companies' or 'contacts'
+     * @param {string} sourceId - Source record ID
+     * @param {string} mirrorId - Mirror record ID
+     */
+    set(objectType, sourceId, mirrorId) {
+      setMany(objectType, [[sourceId, mirrorId]]);
+    },
+
+    setMany,
+
+    /**
+     * Forgets the Mirror counterpart of Source records (archived or deleted)
+     * @param {string} objectType - 'companies' or 'contacts'
+     * @param {Array<string>} sourceIds - Source record IDs
+     */
+    remove(objectType, sourceIds) {
+      const ids = data[objectType] || {};
+      const known = sourceIds.filter(sourceId => sourceId in ids);
+      known.forEach(sourceId => delete ids[sourceId]);
+      if (known.length > 0) persist();
+    },
+
+    /**
+     * @param {string} objectType - 'companies' or 'contacts'
+     * @returns {number} Number of mapped records
+     */
+    size(objectType) {
+      return Object.keys(data[objectType] || {}).length;
+    },
+  };
+}
+
+const openStores = new Map();
+
+/**
+ * Opens the ID map shared by every module of the process
+ * @param {string} [mapFile] - JSON file holding the map (defaults to data/id-map.json)
+ * @returns {object} ID map API
+ */
+function openIdMapStore(mapFile = resolveDataPath('id-map.json')) {
+  if (!openStores.has(mapFile)) {
+    openStores.set(mapFile, createIdMapStore(mapFile));
+  }
+  return openStores.get(mapFile);
+}
+
+/**
+ * Finds the Mirror counterpart of Source records
+ * Looks up the ID map first, then the source_record_id stamp. Mirror records created
+ * before the stamp existed are adopted through the legacy properties, tried in order
+ * (e.g. location_id, then name), but only when they carry no stamp yet and no earlier
+ * legacy property with a different value.
+ * Map entries pointing to Mirror records that no longer exist are removed.
+ * @param {object} params - Lookup parameters
+ * @param {object} params.objectApi - SDK object API of the Mirror account
+ * @param {string} params.objectType - 'companies' or 'contacts'
+ * @param {object} params.idMap - ID map created by openIdMapStore
+ * @param {Array<{sourceId: string, legacyKeys: (object|undefined)}>} params.sources - Source records to resolve,
+ *   with their value of each legacy property
+ * @param {Array<string>} params.properties - Mirror properties to return
+ * @param {Array<string>} [params.legacyProperties=[]] - Mirror properties matched against legacyKeys for unstamped records
+ * @returns {Promise<Map<string, object>>} Mirror record per Source ID
+ */
+async function resolveMirrorRecords({ objectApi, objectType, idMap, sources, properties, legacyProperties = [] }) {
+  const resolved = new Map();
+  const readProperties = Array.from(new Set([...properties, ...legacyProperties, SOURCE_ID_PROPERTY]));
+
+  // 1. ID map
+  const mapped = sources.filter(source => idMap.get(objectType, source.sourceId));
+  if (mapped.length > 0) {
+    const byId = await batchReadByIds(objectApi, mapped.map(source => idMap.get(objectType, source.sourceId)), readProperties);
+    const stale = [];
+    for (const source of mapped) {
+      const record = byId.get(idMap.get(objectType, source.sourceId));
+      if (record) {
+        resolved.set(source.sourceId, record);
+      } else {
+        stale.push(source.sourceId);
+      }
+    }
+    idMap.remove(objectType, stale);
+  }
+
+  // 2. Source ID stamped on the Mirror record
+  let pending = sources.filter(source => !resolved.has(source.sourceId));
+  if (pending.length > 0) {
+    const stamped = await batchReadByProperty(
+      objectApi, SOURCE_ID_PROPERTY, pending.map(source => source.sourceId), readProperties
+    );
+    for (const source of pending) {
+      const record = stamped.get(String(source.sourceId));
+      if (record) resolved.set(source.sourceId, record);
+    }
+  }
+
+  // 3. Adoption of unstamped legacy records
+  const claimed = new Set(Array.from(resolved.values()).map(record => record.id));
+  for (const [index, legacyProperty] of legacyProperties.entries()) {
+    pending = sources.filter(source => !resolved.has(source.sourceId) && source.legacyKeys?.[legacyProperty]);
+    if (pending.length === 0) continue;
+
+    const legacy = await searchAllByPropertyValues(
+      objectApi, legacyProperty, pending.map(source => source.legacyKeys[legacyProperty]), readProperties
+    );
+    const earlierProperties = legacyProperties.slice(0, index);
+    for (const source of pending) {
+      const record = (legacy.get(String(source.legacyKeys[legacyProperty])) || []).find(match =>
+        !match.properties[SOURCE_ID_PROPERTY] && !claimed.has(match.id) &&
+        !earlierProperties.some(property =>
+          match.properties[property] && source.legacyKeys[property] &&
+          String(match.properties[property]) !== String(source.legacyKeys[property])
+        )
+      );
+      if (!record) continue;
+      resolved.set(source.sourceId, record);
+      claimed.add(record.id);
+    }
+  }
+
+  return resolved;
+}
+
+module.exports = {
+  SOURCE_ID_PROPERTY,
+  createIdMapStore,
+  openIdMapStore,
+  resolveMirrorRecords,
+};
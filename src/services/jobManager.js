@@ -0,0 +1,140 @@
+/*
+ * Background Jobs
+ *
+ * Runs the long operations started from the admin API (migration, sync) in the
+ * background and tracks their status, progress, counters and per-record errors.
+ * Only one job of each type runs at a time. Jobs are kept in a local JSON file,
+ * most recent first, so their outcome can still be read after a restart; a job
+ * that was running when the process stopped is reported as 'interrupted'.
+ */
+
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+const { withLogContext } = require('../utils/logger');
+
+/**
+ * Creates the job manager
+ * A handler receives the job options and a context with reportProgress({phase, processed, total, counters}).
+ * It resolves to {counters, errors, error, ...details}: a returned `error` or a thrown error marks the job failed.
+ * @param {Object} options - Manager configuration
+ * @param {Object<string, Function>} options.handlers - Async handler per job type
+ * @param {string} options.jobsFile - JSON file holding the job history
+ * @param {Object} options.logger - Winston logger
+ * @param {number} [options.maxHistory=50] - Jobs kept in the history
+ * @returns {Object} Job manager API
+ */
+function createJobManager({ handlers, jobsFile, logger, maxHistory = 50 }) {
+  const jobs = readJsonFile(jobsFile, { jobs: [] }).jobs.map(job => (
+    job.status === 'running' ? { ...job, status: 'interrupted' } : job
+  ));
+
+  const persist = () => {
+    jobs.splice(maxHistory);
+    writeJsonFile(jobsFile, { jobs });
+  };
+
+  const running = type => jobs.find(job => job.type === type && job.status === 'running');
+
+  async function run(job) {
+    const reportProgress = ({ counters, ...progress }) => {
+      job.progress = { ...job.progress, ...progress, updatedAt: new Date().toISOString() };
+      if (counters) job.counters = counters;
+    };
+
+    try {
+      const { counters, errors = [], error, ...details } = await handlers[job.type](job.options, { reportProgress });
+      job.status = error ? 'failed' : 'succeeded';
+      job.counters = counters || job.counters;
+      job.errors = errors;
+      job.result = details;
+      if (error) job.error = error;
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+    }
+    job.finishedAt = new Date().toISOString();
+    persist();
+
+    const log = job.status === 'succeeded' ? 'info' : 'error';
+    logger[log](`Job ${job.status}`, { id: job.id, type: job.type, errors: job.errors.length, error: job.error });
+    return job;
+  }
+
+  return {
+    /**
+     * Starts a job unless one of the same type is already running
+     * @param {string} type - Job type (a key of handlers)
+     * @param {Object} [options] - Options passed to the handler
+     * @returns {{job: Object, completion: Promise<Object>}|null} Started job, or null if one is already running
+     * @throws {Error} If no handler is registered for the type
+     */
+    start(type, options = {}) {
+      if (!handlers[type]) {
+        throw new Error(`Unknown job type '${type}'`);
+      }
+      if (running(type)) return null;
+
+      const job = {
+        id: crypto.randomUUID(),
+        type,
+        status: 'running',
+        options,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        progress: {},
+        counters: {},
+        errors: [],
+      };
+      jobs.unshift(job);
+      persist();
+      logger.info('Job started', { id: job.id, type, options });
+      // Every entry logged by the job carries its ID as runId
+      const completion = withLogContext({ runId: job.id }, () => run(job)).catch((error) => {
+        // The outcome could not be saved (e.g. jobs file not writable): the job still ends, as failed
+        job.status = 'failed';
+        job.error = error.message;
+        job.finishedAt = job.finishedAt || new Date().toISOString();
+        logger.error('Job failed', { id: job.id, type, error: error.message });
+        return job;
+      });
+      return { job, completion };
+    },
+
+    /**
+     * @param {string} id - Job ID
+     * @returns {Object|undefined} Job
+     */
+    get(id) {
+      return jobs.find(job => job.id === id);
+    },
+
+    /**
+     * @param {string} type - Job type
+     * @returns {Object|undefined} Running job of that type
+     */
+    running,
+
+    /**
+     * @param {string} type - Job type
+     * @returns {Object|undefined} Most recent finished job of that type
+     */
+    latest(type) {
+      return jobs.find(job => job.type === type && job.status !== 'running');
+    },
+
+    /**
+     * Lists the jobs without their per-record errors, most recent first
+     * @param {string} [type] - Only jobs of this type
+     * @returns {Array<Object>} Job summaries
+     */
+    list(type) {
+      return jobs
+        .filter(job => !type || job.type === type)
+        .map(({ errors, ...job }) => ({ ...job, errorCount: errors.length }));
+    },
+  };
+}
+
+module.exports = {
+  createJobManager,
+};
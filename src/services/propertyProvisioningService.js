@@ -0,0 +1,295 @@
+/*
+ * HubSpot Property Provisioning
+ *
+ * Makes sure the custom properties written by the migration and the sync exist
+ * in a HubSpot account. The differences between the expected definitions and
+ * the Properties API are computed and reported first, then applied:
+ * missing groups and properties are created and missing enumeration options added.
+ * Type or unique-value mismatches cannot be fixed safely and are reported as conflicts.
+ */
+
+const { getLogger } = require('../utils/logger');
+
+const logger = getLogger('provisioning');
+
+// Property group holding every custom property of this integration
+const PROPERTY_GROUP = { name: 'rick_and_morty', label: 'Rick and Morty' };
+
+/**
+ * Builds enumeration options from plain values
+ * @param {Array<string>} values - Option values (also used as labels)
+ * @returns {Array<object>} HubSpot option inputs
+ */
+const enumOptions = values => values.map((value, index) => ({
+  label: value,
+  value,
+  displayOrder: index,
+  hidden: false,
+}));
+
+const text = (name, label, extra = {}) => ({ name, label, type: 'string', fieldType: 'text', ...extra });
+const number = (name, label) => ({ name, label, type: 'number', fieldType: 'number' });
+const date = (name, label) => ({ name, label, type: 'date', fieldType: 'date' });
+const dateTime = (name, label) => ({ name, label, type: 'datetime', fieldType: 'date' });
+const checkbox = (name, label) => ({
+  name, label, type: 'bool', fieldType: 'booleancheckbox',
+  options: [
+    { label: 'Yes', value: 'true', displayOrder: 0, hidden: false },
+    { label: 'No', value: 'false', displayOrder: 1, hidden: false },
+  ],
+});
+const select = (name, label, values) => ({
+  name, label, type: 'enumeration', fieldType: 'select', options: enumOptions(values),
+});
+
+// Properties the sync maintains on Mirror records: the Source record ID stamp
+// and the soft-delete tag of records removed from Source
+const mirrorSyncProperties = () => [
+  text('source_record_id', 'Source record ID', { hasUniqueValue: true }),
+  checkbox('source_archived', 'Archived in Source'),
+  dateTime('source_archived_at', 'Archived in Source at'),
+];
+
+/**
+ * Expected custom properties per object type
+ */
+const PROPERTY_DEFINITIONS = {
+  contacts: [
+    text('character_id', 'Character ID', { hasUniqueValue: true }),
+    select('character_status', 'Character status', ['Alive', 'Dead', 'unknown']),
+    text('character_species', 'Character species'),
+    select('character_gender', 'Character gender', ['Female', 'Male', 'Genderless', 'unknown']),
+    ...mirrorSyncProperties(),
+  ],
+  companies: [
+    text('location_id', 'Location ID'),
+    text('location_type', 'Location type'),
+    text('dimension', 'Dimension'),
+    number('resident_count', 'Resident count'),
+    ...mirrorSyncProperties(),
+  ],
+};
+
+/**
+ * Expected properties of the episode custom object
+ */
+const EPISODE_PROPERTY_DEFINITIONS = [
+  text('episode_id', 'Episode ID', { hasUniqueValue: true }),
+  text('episode_name', 'Episode name'),
+  text('episode_code', 'Episode code'),
+  date('air_date', 'Air date'),
+  text('season', 'Season'),
+];
+
+/**
+ * Compares expected definitions with the properties of one object type
+ * @param {object} hubspotClient - Initialized HubSpot API client
+ * @param {string} objectType - e.g. 'contacts', 'companies' or a custom object type
+ * @param {Array<object>} definitions - Expected property definitions
+ * @returns {Promise<object>} Planned changes for this object type
+ */
+async function diffObjectType(hubspotClient, objectType, definitions) {
+  const [groupsResponse, propertiesResponse] = await Promise.all([
+    hubspotClient.crm.properties.groupsApi.getAll(objectType),
+    hubspotClient.crm.properties.coreApi.getAll(objectType),
+  ]);
+  const existingGroups = new Set(groupsResponse.results.map(group => group.name));
+  const existingProperties = new Map(propertiesResponse.results.map(property => [property.name, property]));
+
+  const changes = {
+    objectType,
+    createGroup: !existingGroups.has(PROPERTY_GROUP.name),
+    create: [],
+    addOptions: [],
+    conflicts: [],
+  };
+
+  for (const definition of definitions) {
+    const existing = existingProperties.get(definition.name);
+    if (!existing) {
+      changes.create.push(definition);
+      continue;
+    }
+
+    const mismatches = [];
+    if (existing.type !== definition.type) {
+      mismatches.push(`type is '${existing.type}', expected '${definition.type}'`);
+    }
+    if (Boolean(existing.hasUniqueValue) !== Boolean(definition.hasUniqueValue)) {
+      mismatches.push(`hasUniqueValue is ${Boolean(existing.hasUniqueValue)}, expected ${Boolean(definition.hasUniqueValue)}`);
+    }
+    if (mismatches.length > 0) {
+      changes.conflicts.push({ name: definition.name, mismatches });
+      continue;
+    }
+
+    if (definition.type === 'enumeration') {
+      const existingValues = new Set((existing.options || []).map(option => option.value));
+      const missing = definition.options.filter(option => !existingValues.has(option.value));
+      if (missing.length > 0) {
+        changes.addOptions.push({ name: definition.name, options: existing.options || [], missing });
+      }
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Computes the property changes needed in one account
+ * @param {object} hubspotClient - Initialized HubSpot API client
+ * @param {object} [options] - Plan options
+ * @param {string} [options.episodeObjectType] - Also check the episode custom object properties
+ * @returns {Promise<Array<object>>} Planned changes per object type
+ */
+async function planPropertyChanges(hubspotClient, { episodeObjectType } = {}) {
+  const definitionsByType = { ...PROPERTY_DEFINITIONS };
+  if (episodeObjectType) {
+    definitionsByType[episodeObjectType] = EPISODE_PROPERTY_DEFINITIONS;
+  }
+
+  const plan = [];
+  for (const [objectType, definitions] of Object.entries(definitionsByType)) {
+    plan.push(await diffObjectType(hubspotClient, objectType, definitions));
+  }
+  return plan;
+}
+
+/**
+ * Logs the planned changes of one account
+ * @param {string} accountName - 'Source' or 'Mirror'
+ * @param {Array<object>} plan - Result of planPropertyChanges
+ */
+function reportPropertyChanges(accountName, plan) {
+  let pending = 0;
+  for (const changes of plan) {
+    if (changes.createGroup) {
+      logger.info(`Create property group '${PROPERTY_GROUP.name}'`, { account: accountName, objectType: changes.objectType });
+      pending++;
+    }
+    for (const definition of changes.create) {
+      const unique = definition.hasUniqueValue ? ', unique' : '';
+      logger.info(`Create property '${definition.name}' (${definition.type}/${definition.fieldType}${unique})`, {
+        account: accountName,
+        objectType: changes.objectType,
+      });
+      pending++;
+    }
+    for (const { name, missing } of changes.addOptions) {
+      logger.info(`Add options to '${name}'`, {
+        account: accountName,
+        objectType: changes.objectType,
+        options: missing.map(option => option.value),
+      });
+      pending++;
+    }
+    for (const { name, mismatches } of changes.conflicts) {
+      logger.warn(`Conflict on '${name}', fix manually`, { account: accountName, objectType: changes.objectType, mismatches });
+    }
+  }
+  if (pending === 0) {
+    logger.info('All custom properties are up to date', { account: accountName });
+  }
+}
+
+/**
+ * Applies planned changes to one account
+ * @param {object} hubspotClient - Initialized HubSpot API client
+ * @param {Array<object>} plan - Result of planPropertyChanges
+ * @returns {Promise<Array<{objectType: string, name: string, error: string}>>} Changes that failed
+ */
+async function applyPropertyChanges(hubspotClient, plan) {
+  const { coreApi, groupsApi } = hubspotClient.crm.properties;
+  const failures = [];
+
+  for (const changes of plan) {
+    const { objectType } = changes;
+    try {
+      if (changes.createGroup) {
+        await groupsApi.create(objectType, { ...PROPERTY_GROUP, displayOrder: -1 });
+      }
+    } catch (error) {
+      failures.push({ objectType, name: PROPERTY_GROUP.name, error: error.body?.message || error.message });
+      continue;
+    }
+
+    for (const definition of changes.create) {
+      try {
+        await coreApi.create(objectType, { ...definition, groupName: PROPERTY_GROUP.name, formField: false });
+      } catch (error) {
+        failures.push({ objectType, name: definition.name, error: error.body?.message || error.message });
+      }
+    }
+
+    for (const { name, options, missing } of changes.addOptions) {
+      try {
+        await coreApi.update(objectType, name, { options: options.concat(missing) });
+      } catch (error) {
+        failures.push({ objectType, name, error: error.body?.message || error.message });
+      }
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * Checks, reports and (unless checkOnly) applies the custom properties of several accounts
+ * @param {object<string, object>} accounts - HubSpot clients keyed by account name (e.g. { Source, Mirror })
+ * @param {object} [options] - Provisioning options
+ * @param {boolean} [options.checkOnly=false] - Report the differences without applying them
+ * @param {object<string, string>} [options.episodeObjectTypes] - Episode custom object type per account name
+ * @returns {Promise<{plans: object, conflicts: number, failures: Array<object>}>} Provisioning outcome
+ */
+async function provisionProperties(accounts, { checkOnly = false, episodeObjectTypes = {} } = {}) {
+  const plans = {};
+  let conflicts = 0;
+
+  // Report every difference before changing anything
+  for (const [accountName, hubspotClient] of Object.entries(accounts)) {
+    plans[accountName] = await planPropertyChanges(hubspotClient, {
+      episodeObjectType: episodeObjectTypes[accountName],
+    });
+    reportPropertyChanges(accountName, plans[accountName]);
+    conflicts += plans[accountName].reduce((total, changes) => total + changes.conflicts.length, 0);
+  }
+
+  const failures = [];
+  if (!checkOnly) {
+    for (const [accountName, hubspotClient] of Object.entries(accounts)) {
+      const accountFailures = await applyPropertyChanges(hubspotClient, plans[accountName]);
+      for (const failure of accountFailures) {
+        logger.error(`Could not provision '${failure.name}'`, { account: accountName, objectType: failure.objectType, error: failure.error });
+      }
+      failures.push(...accountFailures.map(failure => ({ account: accountName, ...failure })));
+    }
+    logger.info('Property provisioning completed', { failures: failures.length });
+  }
+
+  return { plans, conflicts, failures };
+}
+
+/**
+ * Provisions the custom properties and fails unless every account is ready
+ * (only reports the differences when checkOnly is set)
+ * @param {object<string, object>} accounts - HubSpot clients keyed by account name (e.g. { Source, Mirror })
+ * @param {object} [options] - Provisioning options (see provisionProperties)
+ * @returns {Promise<void>}
+ * @throws {Error} If a property conflicts or cannot be created
+ */
+async function requireProvisionedProperties(accounts, options) {
+  const { conflicts, failures } = await provisionProperties(accounts, options);
+  if (conflicts > 0 || failures.length > 0) {
+    throw new Error('Custom properties are not ready, fix the reported issues or skip provisioning');
+  }
+}
+
+module.exports = {
+  PROPERTY_GROUP,
+  PROPERTY_DEFINITIONS,
+  EPISODE_PROPERTY_DEFINITIONS,
+  planPropertyChanges,
+  applyPropertyChanges,
+  provisionProperties,
+  requireProvisionedProperties,
+};
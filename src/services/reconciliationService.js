@@ -0,0 +1,399 @@
+/*
+ * Reconciliation Report
+ *
+ * Verifies a migration end to end: the characters and their origin and current
+ * locations the migration selection expects from the Rick and Morty API are compared
+ * with the Source contacts and companies, and the Source records with their Mirror
+ * counterparts. Each problem is one finding: a missing record, a field mismatch,
+ * a contact left without one of its company associations (orphan) or a character_id
+ * shared by several contacts (duplicate). The report is exported as JSON and
+ * as CSV (one row per finding).
+ */
+
+const { idFromUrl, getRickAndMortyClient } = require('../clients/rickAndMortyClient');
+const { createCharacterSelection } = require('./characterSelection');
+const { listAllRecords, batchReadAssociations } = require('./hubspotBatchService');
+const { SOURCE_ID_PROPERTY } = require('./idMapStore');
+const { LOCATION_ID_PROPERTY } = require('./companyMatching');
+const { ASSOCIATION_LABELS } = require('./associationLabels');
+const { diffProperties } = require('./syncPlan');
+const { mapFields } = require('../utils/fieldMapper');
+const { writeJsonFile } = require('../utils/jsonFile');
+const { writeCsvFile } = require('../utils/csv');
+const { getLogger } = require('../utils/logger');
+
+// Properties compared between the Rick and Morty API (as mapped by the migration) and Source
+const API_COMPARED_PROPERTIES = {
+  contacts: ['email', 'firstname', 'lastname', 'character_status', 'character_species', 'character_gender'],
+  companies: ['name', 'location_type', 'dimension', 'resident_count'],
+};
+
+// Properties compared between Source and Mirror (the synchronized ones)
+const MIRROR_COMPARED_PROPERTIES = {
+  contacts: ['email', 'firstname', 'lastname', 'character_id', 'character_status', 'character_species', 'character_gender'],
+  companies: ['name', 'phone', 'industry', LOCATION_ID_PROPERTY],
+};
+
+// Location ID each labelled company association of an expected contact points to
+const LOCATION_LINKS = { origin: 'originLocationId', currentLocation: 'currentLocationId' };
+
+// Kinds of finding, in report order
+const CHECKS = ['missing', 'mismatch', 'orphan', 'duplicate'];
+
+// Columns of the CSV export, one row per finding
+const REPORT_COLUMNS = ['check', 'account', 'comparedTo', 'objectType', 'key', 'id', 'property', 'expected', 'actual'];
+
+/**
+ * Groups records by the value of a property; records without a value are left out
+ * @param {Array<object>} records - HubSpot records
+ * @param {string} property - Property to group on
+ * @returns {Map<string, Array<object>>} Records per property value
+ */
+function groupBy(records, property) {
+  const groups = new Map();
+  for (const record of records) {
+    const value = record.properties[property];
+    if (!value) continue;
+    if (!groups.has(String(value))) groups.set(String(value), []);
+    groups.get(String(value)).push(record);
+  }
+  return groups;
+}
+
+/**
+ * Keeps the listed properties of a record
+ * @param {object} properties - Record properties
+ * @param {Array<string>} names - Properties to keep
+ * @returns {object} Selected properties
+ */
+function pick(properties, names) {
+  return Object.fromEntries(names.map(name => [name, properties[name]]));
+}
+
+/**
+ * Creates the reconciliation service
+ * @param {object} deps - Service dependencies
+ * @param {object} deps.sourceClient - HubSpot client of the Source account
+ * @param {object} [deps.mirrorClient] - HubSpot client of the Mirror account (only needed to verify Mirror)
+ * @param {object} [deps.rickAndMorty] - Rick and Morty client (defaults to the client configured from the environment)
+ * @param {object} [deps.logger] - Logger (defaults to the shared 'reconciliation' logger)
+ * @returns {Object} Service API: verify
+ */
+function createReconciliationService({
+  sourceClient,
+  mirrorClient,
+  rickAndMorty = getRickAndMortyClient(),
+  logger = getLogger('reconciliation'),
+}) {
+  /**
+   * Reads the characters of the selection and their origin and current locations from the Rick and Morty API,
+   * mapped to the properties the migration writes
+   * @param {object} [selectionSpec] - Character selection specification (defaults to the 'primes' strategy)
+   * @returns {Promise<{selection: string, contacts: Map<string, object>, companies: Map<string, object>}>} Expected
+   *   contacts per character_id (properties, origin and current location_id) and companies per location_id
+   */
+  async function loadExpected(selectionSpec) {
+    const selection = createCharacterSelection(selectionSpec);
+    const candidates = selection.candidateIds
+      ? await rickAndMorty.getCharactersByIds(selection.candidateIds)
+      : await rickAndMorty.getCharacters(selection.apiFilters);
+    const characters = candidates.filter(character => selection.matches(character));
+
+    const locationId = location => (idFromUrl(location?.url) ? String(idFromUrl(location.url)) : null);
+    const locationIds = Array.from(new Set(
+      characters.flatMap(character => [locationId(character.origin), locationId(character.location)]).filter(Boolean)
+    ));
+    const locations = locationIds.length > 0 ? await rickAndMorty.getLocationsByIds(locationIds) : [];
+
+    return {
+      selection: selection.description,
+      contacts: new Map(characters.map(character => [String(character.id), {
+        properties: mapFields('characterToContact', character),
+        originLocationId: locationId(character.origin),
+        currentLocationId: locationId(character.location),
+      }])),
+      companies: new Map(locations.map(location => [String(location.id), mapFields('locationToCompany', location)])),
+    };
+  }
+
+  /**
+   * Reads the contacts and companies of an account, with the company associations of the migrated contacts
+   * @param {object} client - HubSpot client of the account
+   * @param {Array<string>} contactProperties - Contact properties to read
+   * @param {Array<string>} companyProperties - Company properties to read
+   * @returns {Promise<{contacts: Array<object>, companies: Array<object>, associations: Map<string, Array<string>>}>} Records
+   */
+  async function loadAccount(client, contactProperties, companyProperties) {
+    const contacts = await listAllRecords(client.crm.contacts, contactProperties);
+    const companies = await listAllRecords(client.crm.companies, companyProperties);
+    const associations = await batchReadAssociations(
+      client, 'contact', 'company',
+      contacts.filter(contact => contact.properties.character_id).map(contact => contact.id)
+    );
+    return { contacts, companies, associations };
+  }
+
+  /**
+   * Compares expected records with the records found in an account
+   * @param {object} params - Comparison
+   * @param {Map<string, object>} params.expected - Expected properties per key
+   * @param {Map<string, object>} params.found - Record per key in the checked account
+   * @param {Array<string>} params.properties - Properties compared
+   * @param {object} params.finding - Fields shared by the findings (account, comparedTo, objectType)
+   * @returns {Array<object>} Missing and mismatch findings
+   */
+  function compareRecords({ expected, found, properties, finding }) {
+    const findings = [];
+    for (const [key, expectedProperties] of expected) {
+      const record = found.get(key);
+      if (!record) {
+        findings.push({ check: 'missing', ...finding, key });
+        continue;
+      }
+      for (const change of diffProperties(record.properties, pick(expectedProperties, properties))) {
+        findings.push({
+          check: 'mismatch',
+          ...finding,
+          key,
+          id: record.id,
+          property: change.property,
+          expected: change.to,
+          actual: change.from,
+        });
+      }
+    }
+    return findings;
+  }
+
+  /**
+   * Lists the character_id values shared by several contacts of an account
+   * @param {string} account - 'source' or 'mirror'
+   * @param {Array<object>} contacts - Contacts of the account
+   * @returns {Array<object>} Duplicate findings
+   */
+  function findDuplicateCharacters(account, contacts) {
+    return Array.from(groupBy(contacts, 'character_id'))
+      .filter(([, records]) => records.length > 1)
+      .map(([characterId, records]) => ({
+        check: 'duplicate',
+        account,
+        objectType: 'contact',
+        key: characterId,
+        id: records.map(record => record.id).join(';'),
+        property: 'character_id',
+        actual: `${records.length} contacts`,
+      }));
+  }
+
+  /**
+   * Source checks: the expected characters and locations against the Source records
+   * @param {object} expected - Result of loadExpected
+   * @param {object} source - Result of loadAccount for Source
+   * @returns {Array<object>} Findings
+   */
+  function verifySource(expected, source) {
+    const finding = { account: 'source', comparedTo: 'rick-and-morty' };
+    const contactsByCharacter = new Map(Array.from(groupBy(source.contacts, 'character_id'), ([key, records]) => [key, records[0]]));
+    const companiesByLocation = new Map(Array.from(groupBy(source.companies, LOCATION_ID_PROPERTY), ([key, records]) => [key, records[0]]));
+
+    const findings = [
+      ...compareRecords({
+        expected: new Map(Array.from(expected.contacts, ([key, contact]) => [key, contact.properties])),
+        found: contactsByCharacter,
+        properties: API_COMPARED_PROPERTIES.contacts,
+        finding: { ...finding, objectType: 'contact' },
+      }),
+      ...compareRecords({
+        expected: expected.companies,
+        found: companiesByLocation,
+        properties: API_COMPARED_PROPERTIES.companies,
+        finding: { ...finding, objectType: 'company' },
+      }),
+    ];
+
+    // Characters must be associated with the companies of their origin and current location
+    for (const [characterId, expectedContact] of expected.contacts) {
+      const contact = contactsByCharacter.get(characterId);
+      if (!contact) continue;
+      const companyIds = source.associations.get(contact.id) || [];
+      for (const [link, locationKey] of Object.entries(LOCATION_LINKS)) {
+        const locationId = expectedContact[locationKey];
+        if (locationId && !companyIds.includes(companiesByLocation.get(locationId)?.id)) {
+          findings.push({
+            check: 'orphan',
+            ...finding,
+            objectType: 'contact',
+            key: characterId,
+            id: contact.id,
+            property: `company (${ASSOCIATION_LABELS[link].label})`,
+            expected: `${LOCATION_ID_PROPERTY} ${locationId}`,
+          });
+        }
+      }
+    }
+    return findings;
+  }
+
+  /**
+   * Mirror checks: the synchronized Source records against their Mirror counterparts
+   * Mirror records are matched on the Source ID stamp, unstamped ones on character_id or location_id
+   * @param {object} source - Result of loadAccount for Source
+   * @param {object} mirror - Result of loadAccount for Mirror
+   * @returns {Array<object>} Findings
+   */
+  function verifyMirror(source, mirror) {
+    const finding = { account: 'mirror', comparedTo: 'source' };
+    const counterparts = (mirrorRecords, sourceRecords, legacyProperty) => {
+      const stamped = groupBy(mirrorRecords, SOURCE_ID_PROPERTY);
+      const legacy = groupBy(mirrorRecords.filter(record => !record.properties[SOURCE_ID_PROPERTY]), legacyProperty);
+      const found = new Map();
+      for (const record of sourceRecords) {
+        const match = stamped.get(record.id) || legacy.get(String(record.properties[legacyProperty] || ''));
+        if (match) found.set(record.id, match[0]);
+      }
+      return found;
+    };
+
+    // The sync skips Source contacts without a character_id
+    const sourceContacts = source.contacts.filter(contact => contact.properties.character_id);
+    const mirrorContacts = counterparts(mirror.contacts, sourceContacts, 'character_id');
+    const mirrorCompanies = counterparts(mirror.companies, source.companies, LOCATION_ID_PROPERTY);
+
+    const findings = [
+      ...compareRecords({
+        expected: new Map(sourceContacts.map(contact => [contact.id, contact.properties])),
+        found: mirrorContacts,
+        properties: MIRROR_COMPARED_PROPERTIES.contacts,
+        finding: { ...finding, objectType: 'contact' },
+      }),
+      ...compareRecords({
+        expected: new Map(source.companies.map(company => [company.id, company.properties])),
+        found: mirrorCompanies,
+        properties: MIRROR_COMPARED_PROPERTIES.companies,
+        finding: { ...finding, objectType: 'company' },
+      }),
+    ];
+
+    // Contacts with a primary company in Source must be associated in Mirror too
+    // (the sync copies the primary company only, not the labelled associations)
+    for (const contact of sourceContacts) {
+      const mirrorContact = mirrorContacts.get(contact.id);
+      const sourceCompanyId = contact.properties.associatedcompanyid;
+      if (mirrorContact && sourceCompanyId && !mirror.associations.get(mirrorContact.id)?.length) {
+        findings.push({
+          check: 'orphan',
+          ...finding,
+          objectType: 'contact',
+          key: contact.id,
+          id: mirrorContact.id,
+          property: 'company',
+          expected: `Source company ${sourceCompanyId}`,
+        });
+      }
+    }
+    return findings;
+  }
+
+  /**
+   * Builds the reconciliation report
+   * @param {object} [options] - Verification options
+   * @param {object} [options.selection] - Character selection of the migration (defaults to the 'primes' strategy)
+   * @param {Array<string>} [options.accounts=['source', 'mirror']] - Accounts to verify: 'source' against the
+   *   Rick and Morty API, 'mirror' against Source
+   * @returns {Promise<object>} Report: generatedAt, selection, record counts, findings per check and the findings
+   */
+  async function verify({ selection, accounts = ['source', 'mirror'] } = {}) {
+    logger.info('Starting reconciliation', { accounts });
+    const report = { generatedAt: new Date().toISOString(), accounts, counts: {} };
+    const findings = [];
+
+    const source = await loadAccount(
+      sourceClient,
+      Array.from(new Set(['character_id', 'associatedcompanyid', ...API_COMPARED_PROPERTIES.contacts, ...MIRROR_COMPARED_PROPERTIES.contacts])),
+      Array.from(new Set([LOCATION_ID_PROPERTY, ...API_COMPARED_PROPERTIES.companies, ...MIRROR_COMPARED_PROPERTIES.companies]))
+    );
+    report.counts.source = { contacts: source.contacts.length, companies: source.companies.length };
+
+    if (accounts.includes('source')) {
+      const expected = await loadExpected(selection);
+      report.selection = expected.selection;
+      report.counts.expected = { contacts: expected.contacts.size, companies: expected.companies.size };
+      findings.push(...verifySource(expected, source), ...findDuplicateCharacters('source', source.contacts));
+    }
+
+    if (accounts.includes('mirror')) {
+      const mirror = await loadAccount(
+        mirrorClient,
+        [SOURCE_ID_PROPERTY, ...MIRROR_COMPARED_PROPERTIES.contacts],
+        [SOURCE_ID_PROPERTY, ...MIRROR_COMPARED_PROPERTIES.companies]
+      );
+      report.counts.mirror = { contacts: mirror.contacts.length, companies: mirror.companies.length };
+      findings.push(...verifyMirror(source, mirror), ...findDuplicateCharacters('mirror', mirror.contacts));
+    }
+
+    report.findings = findings
+      .map(finding => Object.fromEntries(REPORT_COLUMNS.map(column => [column, finding[column] ?? ''])))
+      .sort((a, b) => CHECKS.indexOf(a.check) - CHECKS.indexOf(b.check));
+    report.summary = Object.fromEntries(CHECKS.map(check => [
+      check, report.findings.filter(finding => finding.check === check).length,
+    ]));
+    logger.info('Reconciliation completed', report.summary);
+    return report;
+  }
+
+  return { verify };
+}
+
+/**
+ * Renders a reconciliation report as human-readable text
+ * @param {object} report - Report returned by verify
+ * @returns {string} Report text
+ */
+function formatReconciliationReport(report) {
+  const counts = Object.entries(report.counts)
+    .map(([account, count]) => `${account}: ${count.contacts} contacts, ${count.companies} companies`)
+    .join('; ');
+  const summary = CHECKS.map(check => `${report.summary[check]} ${check}`).join(', ');
+  const lines = [
+    `Reconciliation (${report.generatedAt})${report.selection ? `, selection: ${report.selection}` : ''}`,
+    counts,
+    `${report.findings.length} finding(s): ${summary}`,
+  ];
+  for (const finding of report.findings) {
+    let details = finding.property;
+    if (finding.expected || finding.actual) {
+      details += `: expected '${finding.expected}', found '${finding.actual}'`;
+    }
+    lines.push(`  ${finding.check.padEnd(9)}  ${finding.account.padEnd(6)}  ${finding.objectType.padEnd(7)}  ${finding.key.padEnd(10)}  ${details}`.trimEnd());
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Exports a reconciliation report as JSON and CSV and prints it in the requested format
+ * @param {object} report - Report returned by verify
+ * @param {object} [options] - Output options
+ * @param {string} [options.jsonFile] - File receiving the JSON export
+ * @param {string} [options.csvFile] - File receiving the findings as CSV
+ * @param {string} [options.format='table'] - Console output: 'table' or 'json'
+ */
+function outputReconciliationReport(report, { jsonFile, csvFile, format = 'table' } = {}) {
+  const logger = getLogger('reconciliation');
+  if (jsonFile) {
+    writeJsonFile(jsonFile, report);
+    logger.info('Reconciliation report exported', { file: jsonFile });
+  }
+  if (csvFile) {
+    writeCsvFile(csvFile, report.findings, REPORT_COLUMNS);
+    logger.info('Reconciliation findings exported', { file: csvFile });
+  }
+  process.stdout.write(`${format === 'json' ? JSON.stringify(report, null, 2) : formatReconciliationReport(report)}\n`);
+}
+
+module.exports = {
+  CHECKS,
+  REPORT_COLUMNS,
+  createReconciliationService,
+  formatReconciliationReport,
+  outputReconciliationReport,
+};
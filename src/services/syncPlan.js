@@ -0,0 +1,138 @@
+/*
+ * Dry-run Plans
+ *
+ * In dry-run mode the migration and the Source→Mirror sync run their complete
+ * read, matching and mapping path, but every write is recorded in a plan
+ * instead of being sent to HubSpot. A plan lists each would-be create, update
+ * (with a field-level diff against the current record), association, archival and skip,
+ * and can be exported as JSON or rendered as a table.
+ */
+
+const { writeJsonFile } = require('../utils/jsonFile');
+const { getLogger } = require('../utils/logger');
+
+const logger = getLogger('plan');
+
+/**
+ * Creates an empty plan
+ * @param {string} name - Plan name (e.g. 'migration', 'sync')
+ * @returns {{name: string, createdAt: string, entries: Array<object>, add: Function, plannedId: Function, summary: Function}}
+ */
+function createPlan(name) {
+  const entries = [];
+
+  return {
+    name,
+    createdAt: new Date().toISOString(),
+    entries,
+
+    /**
+     * Records one planned operation
+     * @param {object} entry - { action: 'create'|'update'|'associate'|'archive'|'unassociate'|'skip', objectType, key, id, changes, reason }
+     */
+    add(entry) {
+      entries.push(entry);
+    },
+
+    /**
+     * Placeholder ID for a record that would be created, so later steps can plan associations to it
+     * @param {string} objectType - e.g. 'contact'
+     * @param {string} key - Record key
+     * @returns {string} Placeholder ID
+     */
+    plannedId(objectType, key) {
+      return `planned:${objectType}:${key}`;
+    },
+
+    /**
+     * @returns {object<string, number>} Number of entries per action
+     */
+    summary() {
+      return entries.reduce((counts, entry) => {
+        counts[entry.action] = (counts[entry.action] || 0) + 1;
+        return counts;
+      }, { create: 0, update: 0, associate: 0, archive: 0, unassociate: 0, skip: 0 });
+    },
+  };
+}
+
+/**
+ * Lists the properties whose value would change
+ * Missing and empty values are treated as equal, values are compared as strings
+ * @param {object} current - Properties of the current HubSpot record
+ * @param {object} desired - Properties that would be written
+ * @returns {Array<{property: string, from: string, to: string}>} Field-level diff
+ */
+function diffProperties(current = {}, desired = {}) {
+  const normalize = value => (value === undefined || value === null ? '' : String(value));
+  return Object.entries(desired)
+    .filter(([property, value]) => normalize(current[property]) !== normalize(value))
+    .map(([property, value]) => ({ property, from: normalize(current[property]), to: normalize(value) }));
+}
+
+/**
+ * Serializable representation of a plan
+ * @param {object} plan - Plan created by createPlan
+ * @returns {object} JSON-ready plan
+ */
+function planToJson(plan) {
+  return {
+    name: plan.name,
+    createdAt: plan.createdAt,
+    summary: plan.summary(),
+    entries: plan.entries,
+  };
+}
+
+/**
+ * Renders a plan as a human-readable table
+ * @param {object} plan - Plan created by createPlan
+ * @returns {string} Table text
+ */
+function formatPlanTable(plan) {
+  const rows = plan.entries.map((entry) => {
+    let details = entry.reason || '';
+    if (entry.changes) {
+      details = entry.changes.map(change => `${change.property}: '${change.from}' -> '${change.to}'`).join('; ');
+    }
+    return [entry.action, entry.objectType, String(entry.key ?? ''), String(entry.id ?? ''), details];
+  });
+
+  const header = ['ACTION', 'OBJECT', 'KEY', 'ID', 'DETAILS'];
+  const widths = header.map((title, column) =>
+    Math.min(40, Math.max(title.length, ...rows.map(row => row[column].length)))
+  );
+  const line = cells => cells
+    .map((cell, column) => (column === cells.length - 1 ? cell : cell.slice(0, widths[column]).padEnd(widths[column])))
+    .join('  ');
+
+  const summary = Object.entries(plan.summary()).map(([action, count]) => `${count} ${action}`).join(', ');
+  return [
+    `Plan '${plan.name}' (${plan.createdAt}): ${summary}`,
+    line(header),
+    ...rows.map(line),
+  ].join('\n');
+}
+
+/**
+ * Exports a plan as JSON and prints it in the requested format
+ * @param {object} plan - Plan created by createPlan
+ * @param {object} [options] - Output options
+ * @param {string} [options.jsonFile] - File receiving the JSON export
+ * @param {string} [options.format='table'] - Console output: 'table' or 'json'
+ */
+function outputPlan(plan, { jsonFile, format = 'table' } = {}) {
+  if (jsonFile) {
+    writeJsonFile(jsonFile, planToJson(plan));
+    logger.info('Plan exported', { file: jsonFile });
+  }
+  process.stdout.write(`${format === 'json' ? JSON.stringify(planToJson(plan), null, 2) : formatPlanTable(plan)}\n`);
+}
+
+module.exports = {
+  createPlan,
+  diffProperties,
+  planToJson,
+  formatPlanTable,
+  outputPlan,
+};
@@ -0,0 +1,69 @@
+/*
+ * Sync Scheduler
+ *
+ * Starts an incremental Source→Mirror sync job on a fixed interval inside the
+ * Express process. Sync jobs never overlap: a scheduled run that falls due while
+ * another sync job is in progress is skipped.
+ */
+
+const { getLogger } = require('../utils/logger');
+
+/**
+ * Creates the scheduler
+ * @param {object} options - Scheduler configuration
+ * @param {object} options.jobs - Job manager created by createJobManager, with a 'sync' handler
+ * @param {number} [options.intervalMinutes=15] - Delay between scheduled incremental runs (0 disables the schedule)
+ * @param {object} [options.logger] - Logger (defaults to the shared 'scheduler' logger)
+ * @returns {{trigger: Function, start: Function, stop: Function, status: Function}} Scheduler API
+ */
+function createSyncScheduler({ jobs, intervalMinutes = 15, logger = getLogger('scheduler') }) {
+  let timer = null;
+
+  /**
+   * Starts a sync job unless one is already running
+   * @param {object} [options] - Sync job options ({incremental, dryRun})
+   * @returns {{job: object, completion: Promise<object>}|null} Started job, or null if a sync is already running
+   */
+  function trigger(options = {}) {
+    return jobs.start('sync', options);
+  }
+
+  /**
+   * Starts the interval schedule (incremental runs)
+   */
+  function start() {
+    if (timer || !(intervalMinutes > 0)) return;
+    timer = setInterval(() => {
+      if (!trigger({ incremental: true })) {
+        logger.info('Scheduled synchronization skipped, previous run still in progress');
+      }
+    }, intervalMinutes * 60 * 1000);
+    logger.info('Incremental synchronization scheduled', { intervalMinutes });
+  }
+
+  /**
+   * Stops the interval schedule (a running sync completes normally)
+   */
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  /**
+   * @returns {{scheduled: boolean, intervalMinutes: number, running: (object|null), lastRun: (object|null)}} Scheduler state
+   */
+  function status() {
+    return {
+      scheduled: Boolean(timer),
+      intervalMinutes,
+      running: jobs.running('sync') || null,
+      lastRun: jobs.latest('sync') || null,
+    };
+  }
+
+  return { trigger, start, stop, status };
+}
+
+module.exports = {
+  createSyncScheduler,
+};
@@ -0,0 +1,91 @@
+/*
+ * Last-synced Record Versions
+ *
+ * Two-way sync remembers, per Source record, the property values both accounts
+ * agreed on after the last sync. Comparing each side against this version tells
+ * which side changed a property since then, and whether both did (a conflict).
+ */
+
+const { resolveDataPath, readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+
+/**
+ * Creates a file-backed version store
+ * @param {string} versionFile - JSON file holding the versions
+ * @returns {object} Version store API
+ */
+function createVersionStore(versionFile) {
+  const data = readJsonFile(versionFile, {});
+  const persist = () => writeJsonFile(versionFile, data);
+
+  /**
+   * Records the last-synced properties of several records of one type with a single write
+   * Properties not given keep their previous version
+   * @param {string} objectType - 'companies' or 'contacts'
+   * @param {Array<[string, object]>} entries - [sourceId, properties] pairs
+   */
+  function setMany(objectType, entries) {
+    if (entries.length === 0) return;
+    const versions = data[objectType] = data[objectType] || {};
+    const syncedAt = new Date().toISOString();
+    for (const [sourceId, properties] of entries) {
+      versions[sourceId] = {
+        properties: { ...versions[sourceId]?.properties, ...properties },
+        syncedAt,
+      };
+    }
+    persist();
+  }
+
+  return {
+    /**
+     * @param {string} objectType - 'companies' or 'contacts'
+     * @param {string} sourceId - Source record ID
+     * @returns {{properties: object, syncedAt: string}|undefined} Last-synced version
+     */
+    get(objectType, sourceId) {
+      return data[objectType]?.[sourceId];
+    },
+
+    /**
+     * @param {string} objectType - 'companies' or 'contacts'
+     * @param {string} sourceId - Source record ID
+     * @param {object} properties - Last-synced properties
+     */
+    set(objectType, sourceId, properties) {
+      setMany(objectType, [[sourceId, properties]]);
+    },
+
+    setMany,
+
+    /**
+     * Forgets the versions of Source records (archived or deleted)
+     * @param {string} objectType - 'companies' or 'contacts'
+     * @param {Array<string>} sourceIds - Source record IDs
+     */
+    remove(objectType, sourceIds) {
+      const versions = data[objectType] || {};
+      const known = sourceIds.filter(sourceId => sourceId in versions);
+      known.forEach(sourceId => delete versions[sourceId]);
+      if (known.length > 0) persist();
+    },
+  };
+}
+
+const openStores = new Map();
+
+/**
+ * Opens the version store shared by every module of the process
+ * @param {string} [versionFile] - JSON file holding the versions (defaults to data/sync-versions.json)
+ * @returns {object} Version store API
+ */
+function openVersionStore(versionFile = resolveDataPath('sync-versions.json')) {
+  if (!openStores.has(versionFile)) {
+    openStores.set(versionFile, createVersionStore(versionFile));
+  }
+  return openStores.get(versionFile);
+}
+
+module.exports = {
+  createVersionStore,
+  openVersionStore,
+};
@@ -0,0 +1,81 @@
+/*
+ * Incremental Sync Watermarks
+ *
+ * Stores, per object type, the latest Source modification date that was synced
+ * successfully. The next incremental run only asks the Search API for records
+ * modified since that high-water mark.
+ */
+
+const { resolveDataPath, readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+
+// Records modified shortly before the watermark are fetched again: the Search API
+// index lags behind writes, and re-applying a record is harmless
+const WATERMARK_OVERLAP_MS = 5 * 60 * 1000;
+
+/**
+ * Creates a file-backed watermark store
+ * @param {string} [watermarkFile] - Watermark location (defaults to data/sync-watermarks.json)
+ * @returns {{get: Function, since: Function, set: Function, all: Function}} Watermark store
+ */
+function createWatermarkStore(watermarkFile = resolveDataPath('sync-watermarks.json')) {
+  const watermarks = readJsonFile(watermarkFile, {});
+
+  return {
+    /**
+     * @param {string} objectType - e.g. 'contacts'
+     * @returns {string|undefined} Latest synced modification date (ISO 8601)
+     */
+    get(objectType) {
+      return watermarks[objectType]?.value;
+    },
+
+    /**
+     * Lower bound of the next incremental query, including the overlap window
+     * @param {string} objectType - e.g. 'contacts'
+     * @returns {string|undefined} ISO 8601 date, or undefined if the type was never synced
+     */
+    since(objectType) {
+      const value = watermarks[objectType]?.value;
+      return value ? new Date(new Date(value).getTime() - WATERMARK_OVERLAP_MS).toISOString() : undefined;
+    },
+
+    /**
+     * Moves the watermark of one object type and persists it
+     * @param {string} objectType - e.g. 'contacts'
+     * @param {string} value - Latest synced modification date (ISO 8601)
+     */
+    set(objectType, value) {
+      watermarks[objectType] = { value, updatedAt: new Date().toISOString() };
+      writeJsonFile(watermarkFile, watermarks);
+    },
+
+    /**
+     * @returns {object} Every watermark keyed by object type
+     */
+    all() {
+      return { ...watermarks };
+    },
+  };
+}
+
+/**
+ * Latest modification date among records
+ * @param {Array<object>} records - HubSpot records
+ * @param {string} dateProperty - Modification date property
+ * @param {string} [previous] - Current watermark, kept when no record is newer
+ * @returns {string|undefined} ISO 8601 date
+ */
+function latestModifiedDate(records, dateProperty, previous) {
+  let latest = previous ? new Date(previous).getTime() : 0;
+  for (const record of records) {
+    const modified = new Date(record.properties[dateProperty]).getTime();
+    if (modified > latest) latest = modified;
+  }
+  return latest > 0 ? new Date(latest).toISOString() : undefined;
+}
+
+module.exports = {
+  WATERMARK_OVERLAP_MS,
+  createWatermarkStore,
+  latestModifiedDate,
+};
@@ -0,0 +1,250 @@
+/*
+ * Durable Webhook Queue
+ *
+ * Webhook payloads are persisted to a local JSON file before being acknowledged,
+ * then drained by background workers with exponential backoff. Items that keep
+ * failing are moved to a dead-letter file where operators can inspect, replay
+ * or purge them.
+ */
+
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+const { currentLogContext, withNewLogContext } = require('../utils/logger');
+
+/**
+ * Creates a file-backed job queue with retries and a dead-letter store
+ * @param {Object} options - Queue configuration
+ * @param {string} options.queueFile - JSON file holding pending items
+ * @param {string} options.deadLetterFile - JSON file holding dead-lettered items
+ * @param {Object<string, Function>} options.handlers - Async handler per item type, receives the payload
+ * @param {Object} options.logger - Winston logger
+ * @param {number} [options.maxAttempts=5] - Attempts before an item is dead-lettered
+ * @param {number} [options.baseDelayMs=1000] - Backoff delay after the first failure
+ * @param {number} [options.maxDelayMs=60000] - Upper bound for the backoff delay
+ * @param {number} [options.concurrency=1] - Items processed in parallel
+ * @param {number} [options.pollIntervalMs=1000] - Delay between queue scans
+ * @returns {Object} Queue API
+ */
+function createWebhookQueue({
+  queueFile,
+  deadLetterFile,
+  handlers,
+  logger,
+  maxAttempts = 5,
+  baseDelayMs = 1000,
+  maxDelayMs = 60000,
+  concurrency = 1,
+  pollIntervalMs = 1000,
+}) {
+  const pending = readJsonFile(queueFile, { items: [] }).items;
+  const deadLetters = readJsonFile(deadLetterFile, { items: [] }).items;
+  const inFlight = new Map();
+  let timer = null;
+  let running = false;
+
+  const persistQueue = () => writeJsonFile(queueFile, { items: pending });
+  const persistDeadLetters = () => writeJsonFile(deadLetterFile, { items: deadLetters });
+
+  const backoffDelay = (attempts) => {
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+    // Up to 20% jitter so retried items do not fire in lockstep
+    return Math.round(delay * (0.8 + Math.random() * 0.2));
+  };
+
+  const removePending = (id) => {
+    const index = pending.findIndex(item => item.id === id);
+    if (index !== -1) pending.splice(index, 1);
+  };
+
+  async function processItem(item) {
+    const handler = handlers[item.type];
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for queue item type '${item.type}'`);
+      }
+      await handler(item.payload);
+      removePending(item.id);
+      persistQueue();
+      logger.info('Queue item processed', { id: item.id, type: item.type, attempts: item.attempts + 1 });
+    } catch (error) {
+      item.attempts++;
+      item.lastError = error.message;
+      item.errors = (item.errors || []).concat({ at: new Date().toISOString(), error: error.message });
+
+      if (item.attempts >= maxAttempts) {
+        removePending(item.id);
+        deadLetters.push({ ...item, failedAt: new Date().toISOString() });
+        persistQueue();
+        persistDeadLetters();
+        logger.error('Queue item moved to dead-letter store', {
+          id: item.id,
+          type: item.type,
+          attempts: item.attempts,
+          error: error.message,
+        });
+      } else {
+        item.nextAttemptAt = Date.now() + backoffDelay(item.attempts);
+        persistQueue();
+        logger.warn('Queue item failed, retry scheduled', {
+          id: item.id,
+          type: item.type,
+          attempts: item.attempts,
+          nextAttemptAt: new Date(item.nextAttemptAt).toISOString(),
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  function tick() {
+    if (!running) return;
+    clearTimeout(timer);
+
+    const now = Date.now();
+    for (const item of pending) {
+      if (inFlight.size >= concurrency) break;
+      if (inFlight.has(item.id) || item.nextAttemptAt > now) continue;
+
+      // Log entries of the item carry the correlation IDs of the request that queued it
+      const work = withNewLogContext({ ...item.logContext, queueItemId: item.id }, () => processItem(item)).finally(() => {
+        inFlight.delete(item.id);
+        tick();
+      });
+      inFlight.set(item.id, work);
+    }
+
+    timer = setTimeout(tick, pollIntervalMs);
+    timer.unref();
+  }
+
+  /**
+   * Persists a new item and wakes the workers
+   * @param {string} type - Handler key
+   * @param {*} payload - Handler input
+   * @returns {Object} Queued item
+   */
+  function enqueue(type, payload) {
+    const item = {
+      id: crypto.randomUUID(),
+      type,
+      payload,
+      attempts: 0,
+      enqueuedAt: new Date().toISOString(),
+      nextAttemptAt: Date.now(),
+      logContext: currentLogContext(),
+    };
+    pending.push(item);
+    persistQueue();
+    logger.info('Queue item enqueued', { id: item.id, type });
+    setImmediate(tick);
+    return item;
+  }
+
+  /**
+   * Starts draining the queue; items left over from a previous run are picked up
+   */
+  function start() {
+    if (running) return;
+    running = true;
+    logger.info('Webhook queue workers started', { pending: pending.length, deadLetters: deadLetters.length });
+    tick();
+  }
+
+  /**
+   * Stops scheduling new work and waits for in-flight items
+   * @returns {Promise<void>}
+   */
+  async function stop() {
+    running = false;
+    clearTimeout(timer);
+    await Promise.all(inFlight.values());
+  }
+
+  /**
+   * Lists dead-lettered items without their payloads
+   * @returns {Array<Object>} Dead-letter summaries
+   */
+  function listDeadLetters() {
+    return deadLetters.map(({ id, type, attempts, enqueuedAt, failedAt, lastError }) => ({
+      id, type, attempts, enqueuedAt, failedAt, lastError,
+    }));
+  }
+
+  /**
+   * @param {string} id - Dead-letter item ID
+   * @returns {Object|null} Full dead-lettered item, including payload and error history
+   */
+  function getDeadLetter(id) {
+    return deadLetters.find(item => item.id === id) || null;
+  }
+
+  /**
+   * Moves a dead-lettered item back onto the queue with a fresh attempt budget
+   * @param {string} id - Dead-letter item ID
+   * @returns {Object|null} Requeued item, or null if not found
+   */
+  function replayDeadLetter(id) {
+    const index = deadLetters.findIndex(item => item.id === id);
+    if (index === -1) return null;
+
+    const [item] = deadLetters.splice(index, 1);
+    const requeued = {
+      id: item.id,
+      type: item.type,
+      payload: item.payload,
+      attempts: 0,
+      enqueuedAt: new Date().toISOString(),
+      nextAttemptAt: Date.now(),
+      errors: item.errors,
+      // Keeps the correlation IDs of the original webhook
+      logContext: item.logContext,
+    };
+    pending.push(requeued);
+    persistQueue();
+    persistDeadLetters();
+    logger.info('Dead-letter item replayed', { id, type: item.type });
+    setImmediate(tick);
+    return requeued;
+  }
+
+  /**
+   * Deletes one dead-lettered item, or all of them when no ID is given
+   * @param {string} [id] - Dead-letter item ID
+   * @returns {number} Number of purged items
+   */
+  function purgeDeadLetters(id) {
+    const before = deadLetters.length;
+    if (id) {
+      const index = deadLetters.findIndex(item => item.id === id);
+      if (index !== -1) deadLetters.splice(index, 1);
+    } else {
+      deadLetters.length = 0;
+    }
+    const purged = before - deadLetters.length;
+    if (purged > 0) persistDeadLetters();
+    logger.info('Dead-letter items purged', { id, purged });
+    return purged;
+  }
+
+  /**
+   * @returns {{pending: number, inFlight: number, deadLetters: number}} Queue sizes
+   */
+  function stats() {
+    return { pending: pending.length, inFlight: inFlight.size, deadLetters: deadLetters.length };
+  }
+
+  return {
+    enqueue,
+    start,
+    stop,
+    listDeadLetters,
+    getDeadLetter,
+    replayDeadLetter,
+    purgeDeadLetters,
+    stats,
+  };
+}
+
+module.exports = {
+  createWebhookQueue,
+};
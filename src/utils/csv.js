@@ -0,0 +1,47 @@
+/*
+ * CSV Export
+ *
+ * Renders report rows as RFC 4180 CSV (header line first, fields quoted when
+ * needed) and writes them next to the JSON exports of the reports.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Quotes a CSV field when it contains a separator, a quote or a line break (RFC 4180)
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Renders rows as CSV with a header line
+ * @param {Array<object>} rows - Rows keyed by column name
+ * @param {Array<string>} columns - Column names, in order
+ * @returns {string} CSV text
+ */
+function toCsv(rows, columns) {
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(csvField).join(','))
+    .join('\n') + '\n';
+}
+
+/**
+ * Writes rows to a CSV file, creating its directory if needed
+ * @param {string} filePath - Destination file
+ * @param {Array<object>} rows - Rows keyed by column name
+ * @param {Array<string>} columns - Column names, in order
+ */
+function writeCsvFile(filePath, rows, columns) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, toCsv(rows, columns));
+}
+
+module.exports = {
+  toCsv,
+  writeCsvFile,
+};
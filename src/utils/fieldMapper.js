@@ -0,0 +1,184 @@
+/*
+ * Declarative Field Mapping
+ *
+ * Turns a source record (Rick and Morty character, location, episode or webhook
+ * payload) into HubSpot properties according to a mapping definition. Each
+ * HubSpot property is described by one rule:
+ *
+ *   { "from": "name", "transforms": [{ "split": " ", "index": 0 }] }
+ *   { "template": "{{name | slug}}{{id}}@rickandmorty.com", "validate": "email",
+ *     "fallback": { "template": "character{{id}}@rickandmorty.com" } }
+ *   { "value": "lead" }
+ *   { "from": "status", "transforms": [{ "lookup": { "Alive": "alive" }, "default": "unknown" }] }
+ *
+ * The default definitions live in src/mappings/fieldMappings.json; FIELD_MAPPINGS_FILE
+ * points to a file whose mappings replace the defaults of the same name.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAPPINGS_FILE = path.join(__dirname, '..', 'mappings', 'fieldMappings.json');
+
+/**
+ * Named transforms usable in `transforms` arrays and in template pipes
+ */
+const NAMED_TRANSFORMS = {
+  string: value => (value === undefined || value === null ? value : String(value)),
+  lowercase: value => (value === undefined || value === null ? value : String(value).toLowerCase()),
+  uppercase: value => (value === undefined || value === null ? value : String(value).toUpperCase()),
+  trim: value => (value === undefined || value === null ? value : String(value).trim()),
+  // Lowercase alphanumerics only, e.g. "Rick Sanchez" -> "ricksanchez"
+  slug: value => String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, ''),
+  integer: (value) => {
+    const number = parseInt(value, 10);
+    return Number.isNaN(number) ? undefined : String(number);
+  },
+  count: value => String(Array.isArray(value) ? value.length : 0),
+  // "December 2, 2013" -> "2013-12-02", the format HubSpot expects for date properties
+  hubspotDate: (value) => {
+    const date = new Date(`${value} UTC`);
+    return Number.isNaN(date.getTime()) ? undefined : date.toISOString().slice(0, 10);
+  },
+};
+
+const VALIDATORS = {
+  email: value => /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/.test(value),
+};
+
+/**
+ * Reads a dotted path ("origin.name") from a record
+ * @param {object} record - Source record
+ * @param {string} fieldPath - Dotted path
+ * @returns {*} Value, or undefined if any segment is missing
+ */
+function getPath(record, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), record);
+}
+
+/**
+ * Renders a template such as "{{name | slug}}{{id}}@rickandmorty.com"
+ * @param {string} template - Template with {{path | transform}} placeholders
+ * @param {object} record - Source record
+ * @returns {string} Rendered string
+ */
+function renderTemplate(template, record) {
+  return template.replace(/\{\{([^}]+)\}\}/g, (match, expression) => {
+    const [fieldPath, ...pipes] = expression.split('|').map(part => part.trim());
+    const value = pipes.reduce((current, name) => applyTransform(current, name, record), getPath(record, fieldPath));
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+/**
+ * Applies one transform to a value
+ * @param {*} value - Current value
+ * @param {string|object} transform - Named transform or transform object (split, lookup, template, match)
+ * @param {object} record - Source record, available to template transforms
+ * @returns {*} Transformed value
+ * @throws {Error} If the transform is unknown
+ */
+function applyTransform(value, transform, record) {
+  if (typeof transform === 'string') {
+    const named = NAMED_TRANSFORMS[transform];
+    if (!named) throw new Error(`Unknown field mapping transform '${transform}'`);
+    return named(value);
+  }
+
+  if (transform.split !== undefined) {
+    const parts = String(value ?? '').split(transform.split);
+    if (transform.index !== undefined) return parts[transform.index];
+    const [start = 0, end] = transform.slice || [];
+    return parts.slice(start, end).join(transform.join ?? transform.split);
+  }
+  if (transform.lookup) {
+    return Object.prototype.hasOwnProperty.call(transform.lookup, value)
+      ? transform.lookup[value]
+      : transform.default ?? value;
+  }
+  if (transform.template) {
+    return renderTemplate(transform.template, { ...record, value });
+  }
+  if (transform.match) {
+    const match = new RegExp(transform.match, transform.flags).exec(String(value ?? ''));
+    return match ? match[transform.group ?? 0] : undefined;
+  }
+  throw new Error(`Unknown field mapping transform ${JSON.stringify(transform)}`);
+}
+
+/**
+ * Evaluates the rule of a single HubSpot property
+ * @param {object} rule - Property rule
+ * @param {object} record - Source record
+ * @returns {*} Property value, or undefined to leave the property out
+ * @throws {Error} If a transform or the validator is unknown
+ */
+function evaluateRule(rule, record) {
+  let value;
+  if (rule.value !== undefined) {
+    value = rule.value;
+  } else if (rule.template !== undefined) {
+    value = renderTemplate(rule.template, record);
+  } else if (rule.from !== undefined) {
+    value = getPath(record, rule.from);
+  }
+
+  for (const transform of rule.transforms || []) {
+    value = applyTransform(value, transform, record);
+  }
+
+  if (rule.validate) {
+    const validator = VALIDATORS[rule.validate];
+    if (!validator) throw new Error(`Unknown field mapping validator '${rule.validate}'`);
+    if (!validator(value)) {
+      return rule.fallback ? evaluateRule(rule.fallback, record) : undefined;
+    }
+  }
+  if ((value === undefined || value === null || value === '') && rule.default !== undefined) {
+    return rule.default;
+  }
+  return value;
+}
+
+/**
+ * Loads the mapping definitions, the override file replacing defaults of the same name
+ * @param {string} [overrideFile] - Optional JSON file with custom mappings
+ * @returns {object} Mapping definitions keyed by mapping name
+ */
+function loadFieldMappings(overrideFile = process.env.FIELD_MAPPINGS_FILE) {
+  const mappings = JSON.parse(fs.readFileSync(DEFAULT_MAPPINGS_FILE, 'utf8'));
+  if (overrideFile) {
+    Object.assign(mappings, JSON.parse(fs.readFileSync(overrideFile, 'utf8')));
+  }
+  return mappings;
+}
+
+let cachedMappings = null;
+
+/**
+ * Maps a source record to HubSpot properties with a named mapping
+ * @param {string} mappingName - e.g. 'characterToContact'
+ * @param {object} record - Source record
+ * @returns {object} HubSpot properties (undefined values left out)
+ * @throws {Error} If the mapping does not exist or contains an invalid rule
+ */
+function mapFields(mappingName, record) {
+  cachedMappings = cachedMappings || loadFieldMappings();
+  const mapping = cachedMappings[mappingName];
+  if (!mapping) {
+    throw new Error(`Unknown field mapping '${mappingName}'`);
+  }
+
+  const properties = {};
+  for (const [property, rule] of Object.entries(mapping)) {
+    const value = evaluateRule(rule, record);
+    if (value !== undefined) properties[property] = value;
+  }
+  return properties;
+}
+
+module.exports = {
+  NAMED_TRANSFORMS,
+  loadFieldMappings,
+  mapFields,
+};
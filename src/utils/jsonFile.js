@@ -0,0 +1,54 @@
+/*
+ * JSON Data Files
+ *
+ * Local state (checkpoints, queues, ID maps, watermarks, reports) is kept in JSON
+ * files under the data directory (DATA_DIR, defaults to ./data). Writes go to a
+ * temporary file that is then renamed, so a crash never leaves a half-written file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Resolves a file inside the local data directory (DATA_DIR, defaults to ./data)
+ * @param {string} fileName - File name relative to the data directory
+ * @returns {string} Absolute file path
+ */
+function resolveDataPath(fileName) {
+  return path.resolve(process.env.DATA_DIR || 'data', fileName);
+}
+
+/**
+ * Reads and parses a JSON file
+ * @param {string} filePath - File to read
+ * @param {*} fallback - Value returned when the file does not exist yet
+ * @returns {*} Parsed file content or the fallback
+ * @throws Will throw if the file exists but is not valid JSON
+ */
+function readJsonFile(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+/**
+ * Writes a JSON file atomically (temporary file + rename)
+ * A crash mid-write leaves the previous version intact instead of a truncated file
+ * @param {string} filePath - File to write
+ * @param {*} data - JSON-serializable content
+ */
+function writeJsonFile(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+module.exports = {
+  resolveDataPath,
+  readJsonFile,
+  writeJsonFile,
+};
@@ -0,0 +1,167 @@
+// src/utils/logger.js
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const winston = require('winston');
+
+// Correlation fields (requestId, runId, ...) of the request or run being processed
+const logContext = new AsyncLocalStorage();
+
+const REDACTED = '[REDACTED]';
+// Fields whose value is never logged
+const SECRET_FIELD = /token|secret|password|authorization|api[-_]?key|signature|cookie/i;
+// Secrets embedded in free text: bearer credentials and HubSpot private app tokens
+const SECRET_TEXT = [/(Bearer\s+)[\w.~+/=-]+/gi, /\bpat-[a-z]{2,3}\d?-[\w-]+/gi];
+
+/**
+ * Masks the secrets of a logged value
+ * @param {*} value - Logged value
+ * @param {number} [depth=0] - Nesting level, objects deeper than 5 levels are left as they are
+ * @returns {*} Value without secrets
+ */
+function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    return SECRET_TEXT.reduce((text, pattern) => text.replace(pattern, (match, prefix) => (
+      typeof prefix === 'string' ? `${prefix}${REDACTED}` : REDACTED
+    )), value);
+  }
+  if (!value || typeof value !== 'object' || depth > 5) return value;
+  if (value instanceof Error) return redact(value.message, depth);
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SECRET_FIELD.test(key) && item !== undefined && item !== null ? REDACTED : redact(item, depth + 1),
+  ]));
+}
+
+// Adds the correlation fields of the current request or run to every entry
+const correlationFormat = winston.format((info) => {
+  for (const [key, value] of Object.entries(logContext.getStore() || {})) {
+    if (info[key] === undefined) info[key] = value;
+  }
+  return info;
+});
+
+// Masks secret fields and secrets in the message
+const redactFormat = winston.format((info) => {
+  for (const key of Object.keys(info)) {
+    if (key === 'level') continue;
+    info[key] = SECRET_FIELD.test(key) ? REDACTED : redact(info[key]);
+  }
+  return info;
+});
+
+// Human-readable lines: time, level, correlation ID, message and the remaining fields
+const textFormat = winston.format.printf(({ timestamp, level, message, module, requestId, runId, ...fields }) => {
+  const correlation = [requestId, runId].filter(Boolean).join('/');
+  const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  return `${timestamp} ${level.padEnd(5)} ${module ? `[${module}] ` : ''}${correlation ? `(${correlation}) ` : ''}${message}${extra}`;
+});
+
+const baseFormat = [winston.format.timestamp(), correlationFormat(), redactFormat()];
+
+/**
+ * Creates the console transport
+ * @param {boolean} toStderr - Write every level to stderr instead of stdout
+ * @returns {winston.transport} Transport
+ */
+function consoleTransport(toStderr) {
+  return new winston.transports.Console({
+    format: process.env.LOG_FORMAT === 'text' ? textFormat : winston.format.json(),
+    stderrLevels: toStderr ? Object.keys(winston.config.npm.levels) : ['error'],
+  });
+}
+
+let consoleOutput = consoleTransport(false);
+let fileOutput = null;
+
+// Shared logger: LOG_LEVEL (default info, 'silent' logs nothing), LOG_FORMAT json (default) or text for the console
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL === 'silent' ? 'error' : process.env.LOG_LEVEL || 'info',
+  silent: process.env.LOG_LEVEL === 'silent',
+  format: winston.format.combine(...baseFormat),
+  transports: [consoleOutput],
+});
+
+/**
+ * Returns a logger tagging its entries with the module name
+ * @param {string} module - Module name, e.g. 'migration'
+ * @returns {winston.Logger} Child logger
+ */
+function getLogger(module) {
+  return logger.child({ module });
+}
+
+/**
+ * Runs a function with correlation fields added to every entry it logs, including
+ * the entries of the asynchronous work it starts
+ * @param {Object} fields - Correlation fields, e.g. { runId }
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+function withLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+/**
+ * Runs a function with only the given correlation fields, dropping those of the caller
+ * @param {Object} fields - Correlation fields
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+function withNewLogContext(fields, fn) {
+  return logContext.run({ ...fields }, fn);
+}
+
+/**
+ * @returns {Object} Correlation fields of the current request or run
+ */
+function currentLogContext() {
+  return { ...logContext.getStore() };
+}
+
+/**
+ * @returns {string} New correlation ID
+ */
+function newCorrelationId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Sends every log level to stderr, so the stdout of command-line tools only holds their output
+ */
+function logToStderr() {
+  logger.remove(consoleOutput);
+  consoleOutput = consoleTransport(true);
+  logger.add(consoleOutput);
+}
+
+/**
+ * Also writes the log entries to LOG_FILE (default webhook.log; LOG_FILE='' disables the file),
+ * rotated at LOG_MAX_SIZE_MB and keeping LOG_MAX_FILES files
+ * Only the entry points call it, so requiring a module never creates a log file
+ */
+function logToFile() {
+  if (fileOutput || process.env.LOG_FILE === '') return;
+  fileOutput = new winston.transports.File({
+    filename: process.env.LOG_FILE || 'webhook.log',
+    format: winston.format.json(),
+    maxsize: (Number(process.env.LOG_MAX_SIZE_MB) || 10) * 1024 * 1024,
+    maxFiles: Number(process.env.LOG_MAX_FILES) || 5,
+    tailable: true,
+  });
+  logger.add(fileOutput);
+}
+
+module.exports = {
+  logger,
+  getLogger,
+  withLogContext,
+  withNewLogContext,
+  currentLogContext,
+  newCorrelationId,
+  redact,
+  logToStderr,
+  logToFile,
+};
@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseArgs } = require('util');
+const {
+  MAX_RANGE_SIZE,
+  SELECTION_CLI_OPTIONS,
+  createCharacterSelection,
+  selectionFromCliOptions,
+} = require('../src/services/characterSelection');
+
+/**
+ * Builds a selection specification from command-line flags, as the CLI does
+ */
+const fromFlags = args => selectionFromCliOptions(parseArgs({ args, options: SELECTION_CLI_OPTIONS }).values);
+
+const character = (id, fields = {}) => ({ id, status: 'Alive', species: 'Human', episode: ['e1'], ...fields });
+
+describe('Character selection', () => {
+  it('defaults to ID 1 and the prime IDs', () => {
+    const selection = createCharacterSelection();
+
+    assert.deepEqual(selection.candidateIds.slice(0, 6), [1, 2, 3, 5, 7, 11]);
+    assert.equal(selection.matches(character(4)), false);
+    assert.equal(selection.matches(character(7)), true);
+  });
+
+  it('unions the ID sources and applies every predicate', () => {
+    const selection = createCharacterSelection({
+      ids: [40],
+      ranges: ['2-4', [10, 11]],
+      where: { status: ['alive', 'Unknown'], species: 'Human', minEpisodes: 2 },
+    });
+
+    assert.deepEqual(selection.candidateIds, [2, 3, 4, 10, 11, 40]);
+    assert.deepEqual(selection.apiFilters, { species: 'Human' });
+    assert.equal(selection.matches(character(3, { episode: ['e1', 'e2'] })), true);
+    // Too few episodes, another species, outside the ID sources
+    assert.equal(selection.matches(character(3)), false);
+    assert.equal(selection.matches(character(3, { species: 'Alien', episode: ['e1', 'e2'] })), false);
+    assert.equal(selection.matches(character(5, { episode: ['e1', 'e2'] })), false);
+  });
+
+  it('accepts a single ID given without an array', () => {
+    const selection = createCharacterSelection({ ids: 5 });
+
+    assert.deepEqual(selection.candidateIds, [5]);
+    assert.equal(selection.description, 'IDs 5');
+  });
+
+  it('builds the specification from command-line flags', () => {
+    const spec = fromFlags(['--ids', '1, 2', '--range', '5-6', '--status', 'Alive', '--min-episodes', '0']);
+
+    assert.deepEqual(spec, { ids: [1, 2], ranges: ['5-6'], where: { status: 'Alive', minEpisodes: 0 } });
+    assert.deepEqual(createCharacterSelection(spec).candidateIds, [1, 2, 5, 6]);
+  });
+
+  it('rejects IDs and episode counts that are not whole numbers', () => {
+    assert.throws(() => fromFlags(['--ids', 'a,2']), /Invalid character ID: "a"/);
+    assert.throws(() => fromFlags(['--ids', '1,,2']), /Invalid character ID: ""/);
+    assert.throws(() => fromFlags(['--min-episodes', 'many']), /Invalid --min-episodes: "many"/);
+    assert.throws(() => fromFlags(['--max-episodes', '2.5']), /Invalid --max-episodes: "2.5"/);
+    assert.throws(() => createCharacterSelection({ ids: [0] }), /Invalid character ID: 0/);
+    assert.throws(() => createCharacterSelection({ where: { maxEpisodes: -1 } }), /Invalid maxEpisodes: -1/);
+  });
+
+  it('rejects malformed and oversized ranges', () => {
+    assert.throws(() => createCharacterSelection({ ranges: ['9-3'] }), /Invalid character ID range/);
+    assert.throws(() => createCharacterSelection({ ranges: ['1-x'] }), /Invalid character ID range/);
+    assert.throws(() => createCharacterSelection({ ranges: ['1-100000000'] }), new RegExp(`more than ${MAX_RANGE_SIZE} IDs`));
+    assert.equal(createCharacterSelection({ ranges: [[1, MAX_RANGE_SIZE]] }).candidateIds.length, MAX_RANGE_SIZE);
+  });
+});
@@ -0,0 +1,148 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { TOKENS, startTestEnvironment } = require('./helpers/testEnvironment');
+
+describe('Command-line interface', () => {
+  let environment;
+  let hubspot;
+  let rickAndMorty;
+
+  /**
+   * Runs the CLI against the stand-ins, resolving to its exit code and output
+   */
+  const cliWithEnv = (env, ...args) => new Promise((resolve) => {
+    execFile(process.execPath, [path.join(__dirname, '../src/cli.js'), ...args], {
+      env: { ...process.env, ...env },
+      timeout: 60000,
+    }, (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+  });
+  const cli = (...args) => cliWithEnv({}, ...args);
+
+  const dataFile = name => path.join(environment.dataDir, name);
+
+  before(async () => {
+    environment = await startTestEnvironment();
+    hubspot = environment.hubspot;
+    rickAndMorty = environment.rickAndMorty;
+  });
+
+  beforeEach(() => {
+    hubspot.reset();
+    rickAndMorty.setAvailable(true);
+  });
+
+  after(() => environment.stop());
+
+  it('prints the usage and exits with 2 on invalid usage', async () => {
+    const help = await cli('--help');
+    assert.equal(help.code, 0);
+    assert.match(help.stdout, /Usage: node src\/cli\.js <command>/);
+
+    const unknown = await cli('teleport');
+    assert.equal(unknown.code, 2);
+
+    for (const args of [['sync', 'planets'], ['migrate', '--format', 'xml'], ['export', 'contacts', '--portal', 'x'], ['replay-webhook']]) {
+      const result = await cli(...args);
+      assert.equal(result.code, 2, `${args.join(' ')}: ${result.stderr}`);
+      assert.match(result.stderr, new RegExp(`^${args[0]}: `));
+    }
+  });
+
+  it('verify-connection checks every account without printing the tokens', async () => {
+    let result = await cli('verify-connection', '--format', 'json');
+
+    assert.equal(result.code, 0, result.stderr);
+    assert.deepEqual(JSON.parse(result.stdout).map(check => [check.account, check.ok]), [
+      ['source', true], ['mirror', true], ['rick-and-morty', true],
+    ]);
+    assert.ok(!result.stdout.includes(TOKENS.source) && !result.stderr.includes(TOKENS.source));
+
+    rickAndMorty.setAvailable(false);
+    result = await cli('verify-connection', '--account', 'rick-and-morty');
+
+    assert.equal(result.code, 1);
+    assert.match(result.stdout, /rick-and-morty\s+FAILED/);
+  });
+
+  it('migrate provisions the properties, migrates the selection and exits with 1 on record errors', async () => {
+    let result = await cli('migrate', '--ids', '1,2', '--restart');
+
+    assert.equal(result.code, 0, result.stderr);
+    assert.match(result.stdout, /Migration completed/);
+    assert.ok(hubspot.properties('source', 'contacts').some(property => property.name === 'character_id'));
+    assert.ok(hubspot.findRecord('source', 'contacts', 'character_id', 2));
+
+    // Rick is updated; the create of character 3 and its single-record retry are rejected
+    hubspot.failNext({ method: 'POST', path: '/crm/v3/objects/contacts/batch/create', status: 400, times: 2 });
+    result = await cli('migrate', '--ids', '1,3', '--restart', '--skip-provision', '--format', 'json');
+
+    assert.equal(result.code, 1);
+    assert.deepEqual(JSON.parse(result.stdout).errors.map(error => [error.type, error.key]), [['contact', '3']]);
+  });
+
+  it('sync copies the given object types to Mirror', async () => {
+    const rick = hubspot.createRecord('source', 'contacts', { character_id: '1', firstname: 'Rick', email: 'rick@rickandmorty.com' });
+    hubspot.createRecord('source', 'companies', { name: 'Citadel of Ricks', location_id: '3' });
+
+    let result = await cli('sync', 'contacts', '--full');
+
+    assert.equal(result.code, 0, result.stderr);
+    assert.match(result.stdout, /full synchronization/);
+    assert.equal(hubspot.findRecord('mirror', 'contacts', 'source_record_id', rick.id).properties.firstname, 'Rick');
+    assert.deepEqual(hubspot.listRecords('mirror', 'companies'), []);
+
+    result = await cli('sync', 'all', '--format', 'json');
+
+    assert.equal(result.code, 0, result.stderr);
+    assert.equal(JSON.parse(result.stdout).mode, 'incremental');
+    assert.ok(hubspot.findRecord('mirror', 'companies', 'location_id', '3'));
+  });
+
+  it('replay-webhook applies a saved payload to Mirror, or only lists it in a dry run', async () => {
+    const file = dataFile('webhook.json');
+    fs.writeFileSync(file, JSON.stringify({ type: 'company', payload: { name: 'Blips and Chitz', location_id: '42' } }));
+
+    let result = await cli('replay-webhook', file, '--dry-run');
+    assert.equal(result.code, 0, result.stderr);
+    assert.match(result.stdout, /Dry run, would apply:[\s\S]*Blips and Chitz/);
+    assert.equal(hubspot.findRecord('mirror', 'companies', 'name', 'Blips and Chitz'), undefined);
+
+    result = await cli('replay-webhook', file);
+    assert.equal(result.code, 0, result.stderr);
+    assert.ok(hubspot.findRecord('mirror', 'companies', 'name', 'Blips and Chitz'));
+
+    result = await cli('replay-webhook', dataFile('missing.json'));
+    assert.equal(result.code, 2);
+  });
+
+  it('export writes the records, or prints the plan in a dry run', async () => {
+    hubspot.createRecord('source', 'contacts', { character_id: '1', firstname: 'Rick', email: 'rick@rickandmorty.com' });
+    hubspot.createRecord('source', 'companies', { name: 'Citadel of Ricks', location_id: '3' });
+    const out = dataFile('export.csv');
+
+    let result = await cli('export', 'all', '--account', 'source', '--format', 'csv', '--out', out, '--dry-run');
+
+    assert.equal(result.code, 0, result.stderr);
+    assert.match(result.stdout, /^Plan 'export'/);
+    assert.match(result.stdout, /export\s+contacts\s+source\s+1 record\(s\) to \S*export-contacts\.csv/);
+    assert.ok(!fs.existsSync(dataFile('export-contacts.csv')));
+
+    result = await cli('export', 'all', '--account', 'source', '--format', 'csv', '--out', out);
+
+    assert.equal(result.code, 0, result.stderr);
+    assert.match(fs.readFileSync(dataFile('export-contacts.csv'), 'utf8'), /rick@rickandmorty\.com/);
+    assert.match(fs.readFileSync(dataFile('export-companies.csv'), 'utf8'), /Citadel of Ricks/);
+  });
+
+  it('exits with 1 when a command fails', async () => {
+    hubspot.failNext({ method: 'GET', path: '/crm/v3/objects/contacts', status: 500 });
+
+    const result = await cliWithEnv({ LOG_LEVEL: 'error' }, 'export', 'contacts');
+
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /export failed/);
+  });
+});
@@ -0,0 +1,123 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFile } = require('child_process');
+const { startTestEnvironment } = require('./helpers/testEnvironment');
+const { readJsonFile } = require('../src/utils/jsonFile');
+
+describe('Company matching', () => {
+  let environment;
+  let hubspot;
+  let source;
+  let companies;
+  let matchCompanies;
+  let findDuplicateCompanies;
+  let formatDuplicateReport;
+  let migrate;
+
+  const company = properties => hubspot.createRecord('source', 'companies', properties);
+  const matchedIds = matched => Object.fromEntries(Array.from(matched, ([key, found]) => [key, found.id]));
+
+  /**
+   * Runs the duplicate report entry point against the fake HubSpot
+   */
+  const reportDuplicates = args => new Promise((resolve) => {
+    execFile(process.execPath, [path.join(__dirname, '../src/reportDuplicates.js'), ...args], {
+      env: process.env,
+      timeout: 30000,
+    }, (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+  });
+
+  before(async () => {
+    environment = await startTestEnvironment();
+    hubspot = environment.hubspot;
+    source = require('../src/clients/hubspotClient').getHubspotClient('source');
+    companies = source.crm.companies;
+    ({ matchCompanies, findDuplicateCompanies, formatDuplicateReport } = require('../src/services/companyMatching'));
+    ({ migrateRickAndMortyToHubspot: migrate } = require('../src/services/hubspotMigrationService'));
+  });
+
+  beforeEach(() => hubspot.reset());
+
+  after(() => environment.stop());
+
+  it('matches on location_id first, whatever the company is called now', async () => {
+    const renamed = company({ name: 'Citadel (old name)', location_id: '3' });
+    // Same name as the location, but a company of another location
+    company({ name: 'Citadel of Ricks', location_id: '99' });
+
+    const matched = await matchCompanies(companies, [{ key: 'citadel', locationId: '3', name: 'Citadel of Ricks' }], []);
+
+    assert.deepEqual(matchedIds(matched), { citadel: renamed.id });
+  });
+
+  it('falls back to the name for companies without a location_id', async () => {
+    const legacy = company({ name: 'Anatomy Park' });
+
+    const matched = await matchCompanies(companies, [{ key: 'park', locationId: '5', name: 'Anatomy Park' }], ['domain']);
+
+    assert.deepEqual(matchedIds(matched), { park: legacy.id });
+    assert.ok('domain' in matched.get('park').properties);
+  });
+
+  it('does not merge two locations sharing a name into one company', async () => {
+    const legacy = company({ name: 'Earth (Replacement Dimension)' });
+    const candidates = [
+      { key: 'earth-20', locationId: '20', name: 'Earth (Replacement Dimension)' },
+      { key: 'earth-21', locationId: '21', name: 'Earth (Replacement Dimension)' },
+    ];
+
+    const matched = await matchCompanies(companies, candidates, []);
+
+    // The legacy company is claimed once; the other location gets a company of its own
+    assert.deepEqual(matchedIds(matched), { 'earth-20': legacy.id });
+  });
+
+  it('updates the company of a renamed location instead of creating a second one', async () => {
+    const citadel = company({ name: 'Citadel (before the fall)', location_id: '3' });
+
+    const summary = await migrate(source, {
+      selection: { ids: [2] },
+      checkpointFile: path.join(environment.dataDir, 'renamed-checkpoint.json'),
+    });
+
+    assert.deepEqual(summary.errors, []);
+    const located = hubspot.listRecords('source', 'companies').filter(found => found.properties.location_id === '3');
+    assert.deepEqual(located.map(found => [found.id, found.properties.name]), [[citadel.id, 'Citadel of Ricks']]);
+  });
+
+  it('reports the companies sharing a location_id or a name', async () => {
+    const first = company({ name: 'Citadel of Ricks', location_id: '3' });
+    const second = company({ name: 'Citadel', location_id: '3' });
+    const third = company({ name: ' citadel of ricks ' });
+    company({ name: 'Earth (C-137)', location_id: '1' });
+
+    const report = await findDuplicateCompanies(companies);
+
+    assert.equal(report.companies, 4);
+    assert.deepEqual(report.groups.map(group => [group.property, group.companies.map(found => found.id)]), [
+      ['location_id', [first.id, second.id]],
+      ['name', [first.id, third.id]],
+    ]);
+    const table = formatDuplicateReport(report);
+    assert.match(table, /^2 duplicate group\(s\) among 4 companies/);
+    assert.match(table, /location_id = '3' \(2 companies\)/);
+  });
+
+  it('exports the duplicate report and exits with 1 when duplicates are found, 0 otherwise', async () => {
+    const out = path.join(environment.dataDir, 'duplicates.json');
+
+    let result = await reportDuplicates(['--account', 'source', '--format', 'json', '--out', out]);
+    assert.equal(result.code, 0);
+    assert.deepEqual(JSON.parse(result.stdout).groups, []);
+
+    company({ name: 'Purge Planet', location_id: '7' });
+    company({ name: 'Purge Planet', location_id: '8' });
+    result = await reportDuplicates(['--account', 'source', '--out', out]);
+
+    assert.equal(result.code, 1);
+    assert.match(result.stdout, /name = 'Purge Planet' \(2 companies\)/);
+    assert.deepEqual(readJsonFile(out).groups.map(group => group.value), ['Purge Planet']);
+    assert.equal(readJsonFile(out).account, 'source');
+  });
+});
@@ -0,0 +1,128 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { startTestEnvironment } = require('./helpers/testEnvironment');
+
+describe('Deletion propagation', () => {
+  let environment;
+  let hubspot;
+  let sourceClient;
+  let mirrorClient;
+  let createSyncService;
+  let createWebhookHandlers;
+  let createIdMapStore;
+  let createWatermarkStore;
+  let run = 0;
+  let idMap;
+  let sourceIds;
+
+  /**
+   * Sync service with an ID map and watermarks of its own
+   */
+  const syncService = deletion => createSyncService({
+    sourceClient,
+    mirrorClient,
+    idMap,
+    watermarks: createWatermarkStore(path.join(environment.dataDir, `watermarks-${run}.json`)),
+    config: { deletion },
+  });
+  const webhookHandlers = deletion => createWebhookHandlers({ sourceClient, mirrorClient, idMap, config: { deletion } });
+
+  const mirrorContact = characterId => hubspot.findRecord('mirror', 'contacts', 'character_id', String(characterId));
+  const archivedMirrorContacts = () => hubspot.listRecords('mirror', 'contacts', { archived: true })
+    .map(contact => contact.properties.character_id);
+
+  before(async () => {
+    environment = await startTestEnvironment();
+    hubspot = environment.hubspot;
+    const { getHubspotClient } = require('../src/clients/hubspotClient');
+    sourceClient = getHubspotClient('source');
+    mirrorClient = getHubspotClient('mirror');
+    ({ createSyncService } = require('../src/services/hubspotSyncService'));
+    ({ createWebhookHandlers } = require('../src/routes/webhookRoutes'));
+    ({ createIdMapStore } = require('../src/services/idMapStore'));
+    ({ createWatermarkStore } = require('../src/services/syncWatermarks'));
+  });
+
+  // Five synchronized contacts, so removing one stays within the 20% safety threshold
+  beforeEach(async () => {
+    hubspot.reset();
+    run++;
+    idMap = createIdMapStore(path.join(environment.dataDir, `id-map-${run}.json`));
+    sourceIds = {};
+    for (const [characterId, firstname] of [[1, 'Rick'], [2, 'Morty'], [3, 'Summer'], [4, 'Beth'], [5, 'Jerry']]) {
+      sourceIds[characterId] = hubspot.createRecord('source', 'contacts', {
+        character_id: String(characterId),
+        email: `${firstname.toLowerCase()}${characterId}@rickandmorty.com`,
+        firstname,
+      }).id;
+    }
+    const summary = await syncService().runSync();
+    assert.equal(summary.contacts.created, 5);
+  });
+
+  after(() => environment.stop());
+
+  it('tags the Mirror counterpart of a deleted Source record in soft mode, once', async () => {
+    hubspot.archiveRecord('source', 'contacts', sourceIds[5]);
+    const service = syncService({ mode: 'soft' });
+
+    let summary = await service.runSync();
+
+    assert.equal(summary.contacts.archived, 1);
+    const jerry = mirrorContact(5);
+    assert.equal(jerry.properties.source_archived, 'true');
+    assert.ok(jerry.properties.source_archived_at);
+    assert.deepEqual(archivedMirrorContacts(), []);
+
+    // An already tagged record is not tagged again
+    summary = await service.runSync();
+    assert.equal(summary.contacts.archived, 0);
+  });
+
+  it('leaves Mirror alone when deletion propagation is disabled', async () => {
+    hubspot.archiveRecord('source', 'contacts', sourceIds[5]);
+
+    const summary = await syncService({ enabled: false }).runSync();
+
+    assert.equal(summary.contacts.archived, 0);
+    assert.equal(mirrorContact(5).properties.source_archived, undefined);
+    assert.deepEqual(archivedMirrorContacts(), []);
+  });
+
+  it('only propagates deletions on full runs', async () => {
+    hubspot.archiveRecord('source', 'contacts', sourceIds[5]);
+    const service = syncService();
+
+    const incremental = await service.runSync({ incremental: true });
+    assert.equal(incremental.contacts.archived, 0);
+    assert.deepEqual(archivedMirrorContacts(), []);
+
+    const full = await service.runSync();
+    assert.equal(full.contacts.archived, 1);
+    assert.deepEqual(archivedMirrorContacts(), ['5']);
+  });
+
+  it('archives the Mirror counterpart of a deletion webhook event and forgets its ID', async () => {
+    hubspot.archiveRecord('source', 'contacts', sourceIds[4]);
+
+    const summary = await webhookHandlers().processWebhookEvents([
+      { eventId: 1, subscriptionType: 'contact.deletion', objectId: Number(sourceIds[4]) },
+    ]);
+
+    assert.deepEqual(summary, { processed: 1, skipped: 0, failed: 0 });
+    assert.deepEqual(archivedMirrorContacts(), ['4']);
+    assert.equal(idMap.get('contacts', sourceIds[4]), undefined);
+  });
+
+  it('tags the Mirror counterpart of a deletion webhook event in soft mode', async () => {
+    hubspot.archiveRecord('source', 'contacts', sourceIds[4]);
+
+    await webhookHandlers({ mode: 'soft' }).processWebhookEvents([
+      { eventId: 1, subscriptionType: 'contact.deletion', objectId: Number(sourceIds[4]) },
+    ]);
+
+    assert.equal(mirrorContact(4).properties.source_archived, 'true');
+    assert.deepEqual(archivedMirrorContacts(), []);
+  });
+});
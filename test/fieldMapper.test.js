@@ -0,0 +1,107 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadFieldMappings, mapFields } = require('../src/utils/fieldMapper');
+
+/**
+ * Mappings of the override file: one replaces a default, the others exercise the rules
+ */
+const OVERRIDES = {
+  locationToCompany: {
+    name: { from: 'name', transforms: ['uppercase'] },
+  },
+  testTemplate: {
+    handle: { template: '{{name | trim | slug}}-{{origin.name | lowercase}}' },
+    season: { from: 'episode', transforms: [{ match: '^S(\\d+)E\\d+$', group: 1 }, 'integer'] },
+  },
+  testSplit: {
+    first: { from: 'name', transforms: [{ split: ' ', index: 0 }] },
+    middle: { from: 'name', transforms: [{ split: ' ', slice: [1, -1] }] },
+    dashed: { from: 'name', transforms: [{ split: ' ', slice: [1], join: '-' }] },
+  },
+  testLookup: {
+    status: { from: 'status', transforms: [{ lookup: { Alive: 'alive', Dead: 'dead' }, default: 'unknown' }] },
+    kept: { from: 'status', transforms: [{ lookup: { Alive: 'alive' } }] },
+    type: { from: 'type', default: 'none' },
+  },
+  testFallback: {
+    email: {
+      template: '{{name | slug}}@rickandmorty.com',
+      validate: 'email',
+      fallback: { template: 'character{{id}}@rickandmorty.com' },
+    },
+    website: { from: 'url', validate: 'email' },
+  },
+  testUnknownValidator: {
+    email: { from: 'email', validate: 'phone' },
+  },
+  testUnknownTransform: {
+    name: { from: 'name', transforms: ['reverse'] },
+  },
+};
+
+describe('Field mapping', () => {
+  let dir;
+
+  // mapFields loads (and caches) the mappings on first use, so the override is set before any call
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'field-mappings-'));
+    process.env.FIELD_MAPPINGS_FILE = path.join(dir, 'mappings.json');
+    fs.writeFileSync(process.env.FIELD_MAPPINGS_FILE, JSON.stringify(OVERRIDES));
+  });
+
+  after(() => {
+    delete process.env.FIELD_MAPPINGS_FILE;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('replaces the default mappings of the same name with the override file', () => {
+    const mappings = loadFieldMappings();
+
+    assert.deepEqual(Object.keys(mappings.locationToCompany), ['name']);
+    assert.ok(mappings.characterToContact.email);
+    assert.deepEqual(Object.keys(loadFieldMappings('').locationToCompany), [
+      'name', 'location_id', 'location_type', 'dimension', 'resident_count',
+    ]);
+    assert.deepEqual(mapFields('locationToCompany', { id: 3, name: 'Citadel of Ricks' }), { name: 'CITADEL OF RICKS' });
+    assert.equal(mapFields('characterToContact', { id: 1, name: 'Rick Sanchez' }).firstname, 'Rick');
+  });
+
+  it('pipes template values through the named transforms', () => {
+    const properties = mapFields('testTemplate', { name: ' Rick Sanchez ', origin: { name: 'Earth (C-137)' }, episode: 'S03E07' });
+
+    assert.deepEqual(properties, { handle: 'ricksanchez-earth (c-137)', season: '3' });
+    // A missing path renders as an empty string; an unmatched pattern leaves the property out
+    assert.deepEqual(mapFields('testTemplate', { name: 'Rick', episode: 'Pilot' }), { handle: 'rick-' });
+  });
+
+  it('splits a value and keeps one part or a slice of the parts', () => {
+    assert.deepEqual(mapFields('testSplit', { name: 'Rick Quantum Sanchez' }), {
+      first: 'Rick', middle: 'Quantum', dashed: 'Quantum-Sanchez',
+    });
+    assert.deepEqual(mapFields('testSplit', { name: 'Rick' }), { first: 'Rick', middle: '', dashed: '' });
+  });
+
+  it('uses the lookup default for unlisted values, or keeps the value without one', () => {
+    assert.deepEqual(mapFields('testLookup', { status: 'Dead', type: 'Planet' }), { status: 'dead', kept: 'Dead', type: 'Planet' });
+    assert.deepEqual(mapFields('testLookup', { status: 'unknown', type: '' }), { status: 'unknown', kept: 'unknown', type: 'none' });
+  });
+
+  it('falls back to another rule when the value is invalid, or leaves the property out', () => {
+    assert.deepEqual(mapFields('testFallback', { id: 1, name: 'Rick Sanchez', url: 'rick@rickandmorty.com' }), {
+      email: 'ricksanchez@rickandmorty.com', website: 'rick@rickandmorty.com',
+    });
+    // Nothing survives the slug, so the address is invalid
+    assert.deepEqual(mapFields('testFallback', { id: 7, name: '???', url: 'https://rickandmortyapi.com' }), {
+      email: 'character7@rickandmorty.com',
+    });
+  });
+
+  it('rejects unknown mappings, transforms and validators with a clear error', () => {
+    assert.throws(() => mapFields('characterToPlanet', {}), /Unknown field mapping 'characterToPlanet'/);
+    assert.throws(() => mapFields('testUnknownTransform', { name: 'Rick' }), /Unknown field mapping transform 'reverse'/);
+    assert.throws(() => mapFields('testUnknownValidator', { email: 'rick@rickandmorty.com' }), /Unknown field mapping validator 'phone'/);
+  });
+});
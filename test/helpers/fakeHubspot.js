@@ -0,0 +1,1034 @@
+/*
+ * Fake HubSpot CRM
+ *
+ * In-process stand-in for the parts of the HubSpot API the application calls, served
+ * over HTTP so the real SDK clients talk to it (HUBSPOT_BASE_URL):
+ * - CRM objects v3 (contacts, companies and custom objects): basic, batch and search APIs;
+ * - properties v3: property groups and property definitions (list, create, update);
+ * - associations v4: basic create, batch create, default associations, batch read (paged per
+ *   record) and archive, batch label archive,
+ *   and the definitions of user-defined association labels.
+ * Several accounts are served at once and told apart by their access token. Tests can
+ * script failures (failNext), optionally after the request has been applied, and hold back
+ * the search index (lagSearchIndex) as HubSpot's eventually consistent search does, and shrink
+ * the association pages of batch reads (pageAssociations). Record IDs are
+ * unique across accounts, so a Source ID used against Mirror finds nothing, as it would in
+ * HubSpot. Tests seed and inspect the records directly through the returned API.
+ */
+
+const express = require('express');
+
+// Object type names and IDs accepted in paths, per object type
+const OBJECT_TYPE_ALIASES = {
+  contact: 'contacts',
+  contacts: 'contacts',
+  '0-1': 'contacts',
+  company: 'companies',
+  companies: 'companies',
+  '0-2': 'companies',
+};
+const OBJECT_TYPE_IDS = { contacts: '0-1', companies: '0-2' };
+const SINGULAR_NAMES = { contacts: 'contact', companies: 'company' };
+// Associations returned per record by an associations v4 batch read
+const ASSOCIATIONS_PAGE_SIZE = 500;
+
+// Properties every record carries, and those returned when a request names none
+const MODIFIED_DATE_PROPERTIES = { contacts: 'lastmodifieddate' };
+const DEFAULT_PROPERTIES = {
+  contacts: ['firstname', 'lastname', 'email'],
+  companies: ['name', 'domain'],
+};
+
+// HUBSPOT_DEFINED association types: primary and unlabeled, with the type of the reverse direction
+const ASSOCIATION_TYPES = {
+  'contacts->companies': { primary: 1, unlabeled: 279 },
+  'companies->contacts': { primary: 2, unlabeled: 280 },
+};
+const REVERSE_TYPE_IDS = { 1: 2, 2: 1, 279: 280, 280: 279 };
+
+const SEARCH_OPERATORS = [
+  'EQ', 'NEQ', 'LT', 'LTE', 'GT', 'GTE', 'BETWEEN', 'IN', 'NOT_IN',
+  'HAS_PROPERTY', 'NOT_HAS_PROPERTY', 'CONTAINS_TOKEN', 'NOT_CONTAINS_TOKEN',
+];
+
+/**
+ * Error answered with HubSpot's error body
+ */
+class HubspotError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string} category - HubSpot error category (VALIDATION_ERROR, OBJECT_NOT_FOUND, ...)
+   * @param {string} message - Error message
+   */
+  constructor(status, category, message) {
+    super(message);
+    this.status = status;
+    this.category = category;
+  }
+}
+
+/**
+ * @param {string} objectType - Object type as given in a path
+ * @returns {string} Object type name (contacts, companies or the custom object type)
+ */
+function normalizeObjectType(objectType) {
+  return OBJECT_TYPE_ALIASES[String(objectType).toLowerCase()] || objectType;
+}
+
+/**
+ * @param {string} objectType - Object type name
+ * @returns {string} Name used in association type names, e.g. contact_to_company
+ */
+function singularName(objectType) {
+  const type = normalizeObjectType(objectType);
+  return SINGULAR_NAMES[type] || type;
+}
+
+/**
+ * @param {string} objectType - Object type name
+ * @returns {string} Modification date property of the type
+ */
+function modifiedDateProperty(objectType) {
+  return MODIFIED_DATE_PROPERTIES[objectType] || 'hs_lastmodifieddate';
+}
+
+/**
+ * Reads a list query parameter sent either repeated or comma-separated
+ * @param {string|Array<string>} value - Query parameter
+ * @returns {Array<string>|undefined} Values
+ */
+function listParam(value) {
+  if (value === undefined) return undefined;
+  return [].concat(value).flatMap(item => String(item).split(',')).filter(Boolean);
+}
+
+/**
+ * Converts a property value for ordering: numbers and dates compare as numbers
+ * @param {*} value - Property or filter value
+ * @returns {number|string} Comparable value
+ */
+function comparable(value) {
+  const text = String(value ?? '');
+  if (text !== '' && Number.isFinite(Number(text))) return Number(text);
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? text.toLowerCase() : date;
+}
+
+/**
+ * Tells whether a property value satisfies a search filter
+ * @param {string|undefined} actual - Property value of the record
+ * @param {object} filter - Search filter {propertyName, operator, value, values, highValue}
+ * @returns {boolean} True if the record matches
+ */
+function matchesFilter(actual, { operator = 'EQ', value, values = [], highValue }) {
+  const present = actual !== undefined && actual !== null && actual !== '';
+  const equals = expected => present && String(actual).toLowerCase() === String(expected).toLowerCase();
+  const compare = expected => comparable(actual) - comparable(expected);
+
+  switch (operator) {
+    case 'EQ': return equals(value);
+    case 'NEQ': return !equals(value);
+    case 'IN': return values.some(equals);
+    case 'NOT_IN': return !values.some(equals);
+    case 'HAS_PROPERTY': return present;
+    case 'NOT_HAS_PROPERTY': return !present;
+    case 'LT': return present && compare(value) < 0;
+    case 'LTE': return present && compare(value) <= 0;
+    case 'GT': return present && compare(value) > 0;
+    case 'GTE': return present && compare(value) >= 0;
+    case 'BETWEEN': return present && compare(value) >= 0 && compare(highValue) <= 0;
+    case 'CONTAINS_TOKEN': return present && String(actual).toLowerCase().includes(String(value).replace(/\*/g, '').toLowerCase());
+    case 'NOT_CONTAINS_TOKEN': return !present || !String(actual).toLowerCase().includes(String(value).replace(/\*/g, '').toLowerCase());
+    default: throw new HubspotError(400, 'VALIDATION_ERROR', `Unknown operator ${operator}`);
+  }
+}
+
+/**
+ * Creates the fake HubSpot server
+ * @param {object} [options] - Server options
+ * @param {Object<string, string>} [options.accounts] - Access token per account name
+ * @returns {Object} Fake API: start, stop, reset, seeding and inspection helpers, the request log and the base URL once started
+ */
+function createFakeHubspot({ accounts = { source: 'source-token', mirror: 'mirror-token' } } = {}) {
+  const accountsByToken = new Map(Object.entries(accounts).map(([name, token]) => [token, name]));
+  const requests = [];
+  const faults = [];
+  // IDs of the records created while the search index lags, not yet found by searches
+  const unindexed = new Set();
+  let searchLagging = false;
+  let associationsPageSize = ASSOCIATIONS_PAGE_SIZE;
+  let stores = {};
+  let nextId = 1000;
+  let nextTypeId = 100;
+  let server = null;
+  let url = null;
+
+  /**
+   * Empties every account
+   */
+  function reset() {
+    stores = Object.fromEntries(Object.keys(accounts).map(name => [name, {
+      objects: {}, associations: new Map(), labels: [], properties: {}, propertyGroups: {},
+    }]));
+    requests.length = 0;
+    faults.length = 0;
+    unindexed.clear();
+    searchLagging = false;
+    associationsPageSize = ASSOCIATIONS_PAGE_SIZE;
+  }
+  reset();
+
+  const storeOf = account => {
+    if (!stores[account]) throw new Error(`Unknown fake HubSpot account '${account}'`);
+    return stores[account];
+  };
+
+  const recordsOf = (account, objectType) => {
+    const store = storeOf(account);
+    const type = normalizeObjectType(objectType);
+    store.objects[type] = store.objects[type] || new Map();
+    return store.objects[type];
+  };
+
+  const findActive = (account, objectType, id) => {
+    const record = recordsOf(account, objectType).get(String(id));
+    return record && !record.archived ? record : undefined;
+  };
+
+  const notFound = (objectType, id) => new HubspotError(404, 'OBJECT_NOT_FOUND', `Object not found. objectId are usually numeric. ${objectType} ${id}`);
+
+  // Records
+
+  /**
+   * Fails when another active record of the account already uses a unique value
+   * Contacts are unique by email, as in HubSpot
+   */
+  function checkUnique(account, objectType, properties, id) {
+    if (objectType !== 'contacts' || !properties.email) return;
+    const email = String(properties.email).toLowerCase();
+    for (const record of recordsOf(account, objectType).values()) {
+      if (!record.archived && record.id !== id && String(record.properties.email || '').toLowerCase() === email) {
+        throw new HubspotError(409, 'CONFLICT', `Contact already exists. Existing ID: ${record.id}`);
+      }
+    }
+  }
+
+  function applyProperties(record, properties) {
+    for (const [name, value] of Object.entries(properties || {})) {
+      if (value === null || value === undefined || value === '') {
+        delete record.properties[name];
+      } else {
+        record.properties[name] = String(value);
+      }
+    }
+  }
+
+  function touch(record, objectType) {
+    const now = new Date();
+    record.updatedAt = now.toISOString();
+    record.properties[modifiedDateProperty(objectType)] = now.toISOString();
+  }
+
+  function createRecord(account, objectType, properties = {}) {
+    const type = normalizeObjectType(objectType);
+    checkUnique(account, type, properties);
+    const now = new Date().toISOString();
+    const record = {
+      id: String(nextId++),
+      properties: { createdate: now },
+      createdAt: now,
+      updatedAt: now,
+      archived: false,
+    };
+    applyProperties(record, properties);
+    record.properties.hs_object_id = record.id;
+    touch(record, type);
+    recordsOf(account, type).set(record.id, record);
+    if (searchLagging) unindexed.add(record.id);
+    return record;
+  }
+
+  function updateRecord(account, objectType, id, properties = {}) {
+    const type = normalizeObjectType(objectType);
+    const record = findActive(account, type, id);
+    if (!record) throw notFound(type, id);
+    checkUnique(account, type, properties, record.id);
+    applyProperties(record, properties);
+    touch(record, type);
+    return record;
+  }
+
+  function archiveRecord(account, objectType, id) {
+    const type = normalizeObjectType(objectType);
+    const record = findActive(account, type, id);
+    if (!record) return;
+    record.archived = true;
+    record.archivedAt = new Date().toISOString();
+    // Archiving removes the associations of the record
+    const store = storeOf(account);
+    for (const [key, edge] of store.associations) {
+      if ((edge.fromType === type && edge.fromId === record.id) || (edge.toType === type && edge.toId === record.id)) {
+        store.associations.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Reads a property, including the calculated ones
+   * associatedcompanyid is the company of the primary contact→company association
+   */
+  function propertyValue(account, objectType, record, name) {
+    if (objectType === 'contacts' && name === 'associatedcompanyid' && record.properties[name] === undefined) {
+      const primary = associationsOf(account, 'contacts', record.id, 'companies')
+        .find(({ associationTypes }) => associationTypes.some(type => type.typeId === ASSOCIATION_TYPES['contacts->companies'].primary));
+      return primary ? primary.toObjectId : undefined;
+    }
+    return record.properties[name];
+  }
+
+  /**
+   * Shapes a record like a HubSpot SimplePublicObject with the requested properties
+   * Requested properties without a value come back as null
+   */
+  function present(account, objectType, record, propertyNames, associationTypes) {
+    const type = normalizeObjectType(objectType);
+    const names = propertyNames && propertyNames.length > 0
+      ? propertyNames
+      : [...(DEFAULT_PROPERTIES[type] || []), 'createdate', modifiedDateProperty(type), 'hs_object_id'];
+    const properties = {};
+    for (const name of new Set([...names, 'createdate', modifiedDateProperty(type), 'hs_object_id'])) {
+      properties[name] = propertyValue(account, type, record, name) ?? null;
+    }
+
+    const result = {
+      id: record.id,
+      properties,
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt,
+      archived: record.archived,
+    };
+    if (record.archivedAt) result.archivedAt = record.archivedAt;
+    if (associationTypes && associationTypes.length > 0) {
+      result.associations = {};
+      for (const toType of associationTypes) {
+        const associated = associationsOf(account, type, record.id, toType);
+        if (associated.length > 0) {
+          result.associations[toType] = {
+            results: associated.map(({ toObjectId }) => ({
+              id: toObjectId,
+              type: `${singularName(type)}_to_${singularName(toType)}`,
+            })),
+          };
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Finds records by ID, or by the value of another property
+   */
+  function readRecords(account, objectType, ids, idProperty) {
+    const records = Array.from(recordsOf(account, objectType).values()).filter(record => !record.archived);
+    return ids.map(id => ({
+      id,
+      record: idProperty && idProperty !== 'hs_object_id'
+        ? records.find(record => record.properties[idProperty] !== undefined &&
+          String(record.properties[idProperty]).toLowerCase() === String(id).toLowerCase())
+        : findActive(account, objectType, id),
+    }));
+  }
+
+  function search(account, objectType, { filterGroups = [], sorts = [], query, limit = 10, after = 0 }) {
+    const type = normalizeObjectType(objectType);
+    for (const group of filterGroups) {
+      for (const filter of group.filters || []) {
+        if (!SEARCH_OPERATORS.includes(filter.operator || 'EQ')) {
+          throw new HubspotError(400, 'VALIDATION_ERROR', `Unknown operator ${filter.operator}`);
+        }
+      }
+    }
+
+    let matches = Array.from(recordsOf(account, type).values()).filter(record => !record.archived && !unindexed.has(record.id) &&
+      (filterGroups.length === 0 || filterGroups.some(group => (group.filters || []).every(filter =>
+        matchesFilter(propertyValue(account, type, record, filter.propertyName), filter)
+      ))) &&
+      (!query || Object.values(record.properties).some(value => String(value).toLowerCase().includes(String(query).toLowerCase())))
+    );
+
+    const order = sorts.map(sort => (typeof sort === 'string'
+      ? { propertyName: sort.replace(/^-/, ''), direction: sort.startsWith('-') ? 'DESCENDING' : 'ASCENDING' }
+      : sort));
+    matches = matches.sort((a, b) => {
+      for (const { propertyName, direction } of order) {
+        const left = comparable(propertyValue(account, type, a, propertyName));
+        const right = comparable(propertyValue(account, type, b, propertyName));
+        if (left !== right) {
+          return (left < right ? -1 : 1) * (direction === 'DESCENDING' ? -1 : 1);
+        }
+      }
+      return Number(a.id) - Number(b.id);
+    });
+
+    const offset = Number(after) || 0;
+    const size = Math.min(Number(limit) || 10, 200);
+    const page = matches.slice(offset, offset + size);
+    return {
+      total: matches.length,
+      records: page,
+      next: offset + size < matches.length ? String(offset + size) : undefined,
+    };
+  }
+
+  // Property definitions, per object type
+
+  const definitionsOf = (account, kind, objectType) => {
+    const store = storeOf(account);
+    const type = normalizeObjectType(objectType);
+    store[kind][type] = store[kind][type] || new Map();
+    return store[kind][type];
+  };
+
+  /**
+   * Creates a property group
+   * @param {string} account - Account name
+   * @param {string} objectType - Object type
+   * @param {{name: string, label: string, displayOrder: (number|undefined)}} group - Group definition
+   * @returns {object} Group
+   */
+  function definePropertyGroup(account, objectType, { name, label, displayOrder = -1 }) {
+    const groups = definitionsOf(account, 'propertyGroups', objectType);
+    if (!name || !label) throw new HubspotError(400, 'VALIDATION_ERROR', 'name and label are required');
+    if (groups.has(name)) throw new HubspotError(409, 'CONFLICT', `A property group named '${name}' already exists`);
+    const group = { name, label, displayOrder, archived: false };
+    groups.set(name, group);
+    return group;
+  }
+
+  /**
+   * Creates a property, in an existing group as HubSpot requires
+   * @param {string} account - Account name
+   * @param {string} objectType - Object type
+   * @param {object} definition - Property definition (name, label, type, fieldType, groupName, options, hasUniqueValue)
+   * @returns {object} Property
+   */
+  function defineProperty(account, objectType, definition) {
+    const properties = definitionsOf(account, 'properties', objectType);
+    const { name, label, type, fieldType, groupName } = definition;
+    if (!name || !label || !type || !fieldType || !groupName) {
+      throw new HubspotError(400, 'VALIDATION_ERROR', 'name, label, type, fieldType and groupName are required');
+    }
+    if (!definitionsOf(account, 'propertyGroups', objectType).has(groupName)) {
+      throw new HubspotError(400, 'VALIDATION_ERROR', `Property group '${groupName}' does not exist`);
+    }
+    if (properties.has(name)) throw new HubspotError(409, 'CONFLICT', `Property named '${name}' already exists`);
+    const now = new Date().toISOString();
+    const property = {
+      description: '',
+      options: [],
+      hasUniqueValue: false,
+      formField: false,
+      hidden: false,
+      calculated: false,
+      externalOptions: false,
+      ...structuredClone(definition),
+      createdAt: now,
+      updatedAt: now,
+      archived: false,
+    };
+    properties.set(name, property);
+    return property;
+  }
+
+  /**
+   * Changes a property; its type and unique-value setting cannot change, as in HubSpot
+   */
+  function updateProperty(account, objectType, name, changes) {
+    const property = definitionsOf(account, 'properties', objectType).get(name);
+    if (!property) throw new HubspotError(404, 'OBJECT_NOT_FOUND', `Property ${name} does not exist`);
+    if (changes.hasUniqueValue !== undefined && changes.hasUniqueValue !== property.hasUniqueValue) {
+      throw new HubspotError(400, 'VALIDATION_ERROR', 'hasUniqueValue cannot be changed');
+    }
+    Object.assign(property, structuredClone(changes), { updatedAt: new Date().toISOString() });
+    return property;
+  }
+
+  // Associations, stored in both directions
+
+  const edgeKey = (fromType, fromId, toType, toId) => `${fromType}:${fromId}->${toType}:${toId}`;
+
+  /**
+   * Association type of the reverse direction
+   */
+  function reverseType(store, fromType, spec) {
+    if (spec.category !== 'USER_DEFINED') return { ...spec, typeId: REVERSE_TYPE_IDS[spec.typeId] || spec.typeId };
+    const definition = store.labels.find(label => label.fromType === fromType && label.typeId === spec.typeId);
+    return definition ? { ...spec, typeId: definition.inverseTypeId, label: definition.inverseLabel } : spec;
+  }
+
+  /**
+   * Adds association types between two records, in both directions
+   */
+  function associate(account, fromObjectType, fromId, toObjectType, toId, types) {
+    const fromType = normalizeObjectType(fromObjectType);
+    const toType = normalizeObjectType(toObjectType);
+    if (!findActive(account, fromType, fromId)) throw notFound(fromType, fromId);
+    if (!findActive(account, toType, toId)) throw notFound(toType, toId);
+
+    const store = storeOf(account);
+    const pairTypes = ASSOCIATION_TYPES[`${fromType}->${toType}`];
+    const specs = (types && types.length > 0 ? types : [{
+      associationCategory: 'HUBSPOT_DEFINED',
+      associationTypeId: pairTypes ? pairTypes.unlabeled : 1,
+    }]).map(type => {
+      const category = type.associationCategory || type.category;
+      const typeId = Number(type.associationTypeId ?? type.typeId);
+      if (category !== 'USER_DEFINED') return { category, typeId, label: type.label ?? null };
+      const definition = store.labels.find(label => label.fromType === fromType && label.toType === toType && label.typeId === typeId);
+      if (!definition) {
+        throw new HubspotError(400, 'VALIDATION_ERROR', `Unknown association type ${typeId} from ${fromType} to ${toType}`);
+      }
+      return { category, typeId, label: definition.label };
+    });
+    const addTypes = (key, edge, added) => {
+      const current = store.associations.get(key) || { ...edge, types: [] };
+      for (const spec of added) {
+        if (!current.types.some(type => type.category === spec.category && type.typeId === spec.typeId)) {
+          current.types.push(spec);
+        }
+      }
+      store.associations.set(key, current);
+    };
+    addTypes(edgeKey(fromType, String(fromId), toType, String(toId)),
+      { fromType, fromId: String(fromId), toType, toId: String(toId) }, specs);
+    addTypes(edgeKey(toType, String(toId), fromType, String(fromId)),
+      { fromType: toType, fromId: String(toId), toType: fromType, toId: String(fromId) },
+      specs.map(spec => reverseType(store, fromType, spec)));
+    return specs;
+  }
+
+  /**
+   * Removes association types between two records, in both directions
+   * A pair left without any type is no longer associated.
+   */
+  function unassociateTypes(account, fromObjectType, fromId, toObjectType, toId, types) {
+    const fromType = normalizeObjectType(fromObjectType);
+    const toType = normalizeObjectType(toObjectType);
+    const store = storeOf(account);
+    const specs = (types || []).map(type => ({
+      category: type.associationCategory || type.category,
+      typeId: Number(type.associationTypeId ?? type.typeId),
+    }));
+
+    const removeTypes = (key, removed) => {
+      const current = store.associations.get(key);
+      if (!current) return;
+      current.types = current.types.filter(type => !removed.some(spec => spec.category === type.category && spec.typeId === type.typeId));
+      if (current.types.length === 0) store.associations.delete(key);
+    };
+    removeTypes(edgeKey(fromType, String(fromId), toType, String(toId)), specs);
+    removeTypes(edgeKey(toType, String(toId), fromType, String(fromId)), specs.map(spec => reverseType(store, fromType, spec)));
+  }
+
+  /**
+   * Defines a user-defined association label, in both directions
+   * @returns {Array<{category: string, typeId: number, label: string}>} Type of each direction, the given one first
+   */
+  function defineLabel(account, fromObjectType, toObjectType, { label, name, inverseLabel }) {
+    const fromType = normalizeObjectType(fromObjectType);
+    const toType = normalizeObjectType(toObjectType);
+    const store = storeOf(account);
+    if (!label || !name) throw new HubspotError(400, 'VALIDATION_ERROR', 'label and name are required');
+    if (store.labels.some(definition => definition.fromType === fromType && definition.toType === toType && definition.name === name)) {
+      throw new HubspotError(409, 'CONFLICT', `Association label '${name}' already exists`);
+    }
+
+    const typeId = nextTypeId++;
+    const inverseTypeId = nextTypeId++;
+    const reverseLabel = inverseLabel || label;
+    store.labels.push(
+      { fromType, toType, name, label, typeId, inverseLabel: reverseLabel, inverseTypeId },
+      { fromType: toType, toType: fromType, name, label: reverseLabel, typeId: inverseTypeId, inverseLabel: label, inverseTypeId: typeId }
+    );
+    return [
+      { category: 'USER_DEFINED', typeId, label },
+      { category: 'USER_DEFINED', typeId: inverseTypeId, label: reverseLabel },
+    ];
+  }
+
+  /**
+   * Lists the association types from one object type to another, HubSpot's own first
+   * @returns {Array<{category: string, typeId: number, label: (string|null)}>} Association types
+   */
+  function labelsOf(account, fromObjectType, toObjectType) {
+    const fromType = normalizeObjectType(fromObjectType);
+    const toType = normalizeObjectType(toObjectType);
+    const pairTypes = ASSOCIATION_TYPES[`${fromType}->${toType}`];
+    const defined = pairTypes ? [
+      { category: 'HUBSPOT_DEFINED', typeId: pairTypes.primary, label: 'Primary' },
+      { category: 'HUBSPOT_DEFINED', typeId: pairTypes.unlabeled, label: null },
+    ] : [];
+    return defined.concat(storeOf(account).labels
+      .filter(definition => definition.fromType === fromType && definition.toType === toType)
+      .map(({ typeId, label }) => ({ category: 'USER_DEFINED', typeId, label })));
+  }
+
+  /**
+   * Removes every association between two records
+   */
+  function unassociate(account, fromObjectType, fromId, toObjectType, toId) {
+    const fromType = normalizeObjectType(fromObjectType);
+    const toType = normalizeObjectType(toObjectType);
+    const store = storeOf(account);
+    store.associations.delete(edgeKey(fromType, String(fromId), toType, String(toId)));
+    store.associations.delete(edgeKey(toType, String(toId), fromType, String(fromId)));
+  }
+
+  /**
+   * Lists the records associated with a record
+   * @returns {Array<{toObjectId: string, associationTypes: Array<object>}>} Associations
+   */
+  function associationsOf(account, fromObjectType, fromId, toObjectType) {
+    const fromType = normalizeObjectType(fromObjectType);
+    const toType = normalizeObjectType(toObjectType);
+    return Array.from(storeOf(account).associations.values())
+      .filter(edge => edge.fromType === fromType && edge.fromId === String(fromId) && edge.toType === toType)
+      .map(edge => ({ toObjectId: edge.toId, associationTypes: edge.types.map(type => ({ ...type })) }));
+  }
+
+  const objectTypeId = type => OBJECT_TYPE_IDS[normalizeObjectType(type)] || type;
+
+  // HTTP API
+
+  const app = express();
+  app.use(express.json({ limit: '5mb' }));
+
+  // Access token → account
+  app.use((req, res, next) => {
+    const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    req.account = accountsByToken.get(token);
+    requests.push({ account: req.account, method: req.method, path: req.path, body: req.body });
+    if (!req.account) {
+      return next(new HubspotError(401, 'INVALID_AUTHENTICATION', 'Authentication credentials not found.'));
+    }
+    next();
+  });
+
+  // Scripted failures
+  app.use((req, res, next) => {
+    const index = faults.findIndex(fault => fault.method === req.method && fault.path.test(req.path) &&
+      (!fault.account || fault.account === req.account));
+    if (index === -1) return next();
+    const fault = faults[index];
+    if (--fault.times <= 0) faults.splice(index, 1);
+
+    const body = { status: 'error', category: fault.category, message: fault.message, ...fault.body };
+    res.set(fault.headers);
+    if (!fault.applied) return res.status(fault.status).json(body);
+    // The request goes through, but the client only sees the failure
+    const json = res.json.bind(res);
+    res.json = () => json.call(res.status(fault.status), body);
+    next();
+  });
+
+  const batchResponse = (res, status, results, errors = []) => {
+    const now = new Date().toISOString();
+    const body = { status: 'COMPLETE', results, startedAt: now, completedAt: now };
+    if (errors.length > 0) {
+      return res.status(207).json({ ...body, numErrors: errors.length, errors });
+    }
+    res.status(status).json(body);
+  };
+
+  const missingError = ids => ({
+    status: 'error',
+    category: 'OBJECT_NOT_FOUND',
+    message: 'Could not get some records, they may be deleted or not exist.',
+    context: { ids: ids.map(String) },
+  });
+
+  // CRM objects v3
+  app.get('/crm/v3/objects/:objectType', (req, res) => {
+    const type = normalizeObjectType(req.params.objectType);
+    const archived = req.query.archived === 'true';
+    const records = Array.from(recordsOf(req.account, type).values())
+      .filter(record => record.archived === archived)
+      .sort((a, b) => Number(a.id) - Number(b.id));
+    const offset = Number(req.query.after) || 0;
+    const limit = Math.min(Number(req.query.limit) || 10, 100);
+    const page = records.slice(offset, offset + limit);
+    const body = {
+      results: page.map(record => present(
+        req.account, type, record, listParam(req.query.properties), listParam(req.query.associations)
+      )),
+    };
+    if (offset + limit < records.length) {
+      body.paging = { next: { after: String(offset + limit) } };
+    }
+    res.json(body);
+  });
+
+  app.get('/crm/v3/objects/:objectType/:id', (req, res) => {
+    const type = normalizeObjectType(req.params.objectType);
+    const [{ record }] = readRecords(req.account, type, [req.params.id], req.query.idProperty);
+    if (!record) throw notFound(type, req.params.id);
+    res.json(present(req.account, type, record, listParam(req.query.properties), listParam(req.query.associations)));
+  });
+
+  app.post('/crm/v3/objects/:objectType', (req, res) => {
+    const type = normalizeObjectType(req.params.objectType);
+    const record = createRecord(req.account, type, req.body.properties);
+    for (const association of req.body.associations || []) {
+      associate(req.account, type, record.id, association.to.objectType || 'companies', association.to.id, association.types);
+    }
+    res.status(201).json(present(req.account, type, record, Object.keys(req.body.properties || {})));
+  });
+
+  app.patch('/crm/v3/objects/:objectType/:id', (req, res) => {
+    const type = normalizeObjectType(req.params.objectType);
+    const record = updateRecord(req.account, type, req.params.id, req.body.properties);
+    res.json(present(req.account, type, record, Object.keys(req.body.properties || {})));
+  });
+
+  app.delete('/crm/v3/objects/:objectType/:id', (req, res) => {
+    archiveRecord(req.account, req.params.objectType, req.params.id);
+    res.status(204).end();
+  });
+
+  app.post('/crm/v3/objects/:objectType/search', (req, res) => {
+    const type = normalizeObjectType(req.params.objectType);
+    const { total, records, next } = search(req.account, type, req.body);
+    const body = { total, results: records.map(record => present(req.account, type, record, req.body.properties)) };
+    if (next) body.paging = { next: { after: next } };
+    res.json(body);
+  });
+
+  app.post('/crm/v3/objects/:objectType/batch/read', (req, res) => {
+    const type = normalizeObjectType(req.params.objectType);
+    const found = readRecords(req.account, type, (req.body.inputs || []).map(input => input.id), req.body.idProperty);
+    const missing = found.filter(({ record }) => !record).map(({ id }) => id);
+    batchResponse(
+      res,
+      200,
+      found.filter(({ record }) => record).map(({ record }) => present(req.account, type, record, req.body.properties)),
+      missing.length > 0 ? [missingError(missing)] : []
+    );
+  });
+
+  // A batch create is all or nothing: one invalid record rejects the batch
+  app.post('/crm/v3/objects/:objectType/batch/create', (req, res) => {
+    const type = normalizeObjectType(req.params.objectType);
+    const inputs = req.body.inputs || [];
+    const emails = inputs.map(input => String(input.properties?.email || '').toLowerCase()).filter(Boolean);
+    if (type === 'contacts' && new Set(emails).size !== emails.length) {
+      throw new HubspotError(409, 'CONFLICT', 'Duplicate email in batch');
+    }
+    inputs.forEach(input => checkUnique(req.account, type, input.properties || {}));
+    const created = inputs.map(input => createRecord(req.account, type, input.properties));
+    batchResponse(res, 201, created.map((record, i) => present(req.account, type, record, Object.keys(inputs[i].properties || {}))));
+  });
+
+  app.post('/crm/v3/objects/:objectType/batch/update', (req, res) => {
+    const type = normalizeObjectType(req.params.objectType);
+    const inputs = req.body.inputs || [];
+    const missing = inputs.filter(input => !findActive(req.account, type, input.id)).map(input => input.id);
+    const updated = inputs
+      .filter(input => !missing.includes(input.id))
+      .map(input => present(req.account, type, updateRecord(req.account, type, input.id, input.properties), Object.keys(input.properties || {})));
+    batchResponse(res, 200, updated, missing.length > 0 ? [missingError(missing)] : []);
+  });
+
+  app.post('/crm/v3/objects/:objectType/batch/archive', (req, res) => {
+    for (const input of req.body.inputs || []) {
+      archiveRecord(req.account, req.params.objectType, input.id);
+    }
+    res.status(204).end();
+  });
+
+  // Properties v3
+  app.get('/crm/v3/properties/:objectType/groups', (req, res) => {
+    res.json({ results: Array.from(definitionsOf(req.account, 'propertyGroups', req.params.objectType).values()) });
+  });
+
+  app.post('/crm/v3/properties/:objectType/groups', (req, res) => {
+    res.status(201).json(definePropertyGroup(req.account, req.params.objectType, req.body));
+  });
+
+  app.get('/crm/v3/properties/:objectType', (req, res) => {
+    res.json({ results: Array.from(definitionsOf(req.account, 'properties', req.params.objectType).values()) });
+  });
+
+  app.post('/crm/v3/properties/:objectType', (req, res) => {
+    res.status(201).json(defineProperty(req.account, req.params.objectType, req.body));
+  });
+
+  app.patch('/crm/v3/properties/:objectType/:propertyName', (req, res) => {
+    res.json(updateProperty(req.account, req.params.objectType, req.params.propertyName, req.body));
+  });
+
+  // Associations v4
+  app.put('/crm/v4/objects/:fromType/:fromId/associations/default/:toType/:toId', (req, res) => {
+    const specs = associate(req.account, req.params.fromType, req.params.fromId, req.params.toType, req.params.toId);
+    batchResponse(res, 200, [{
+      from: { id: req.params.fromId },
+      to: { id: req.params.toId },
+      associationSpec: { associationCategory: specs[0].category, associationTypeId: specs[0].typeId },
+    }]);
+  });
+
+  app.put('/crm/v4/objects/:fromType/:fromId/associations/:toType/:toId', (req, res) => {
+    const { fromType, fromId, toType, toId } = req.params;
+    associate(req.account, fromType, fromId, toType, toId, Array.isArray(req.body) ? req.body : []);
+    res.status(201).json({
+      fromObjectTypeId: objectTypeId(fromType),
+      fromObjectId: Number(fromId),
+      toObjectTypeId: objectTypeId(toType),
+      toObjectId: Number(toId),
+      labels: [],
+    });
+  });
+
+  app.get('/crm/v4/objects/:fromType/:fromId/associations/:toType', (req, res) => {
+    const { fromType, fromId, toType } = req.params;
+    res.json({ results: associationsOf(req.account, fromType, fromId, toType).map(association => ({
+      toObjectId: Number(association.toObjectId),
+      associationTypes: association.associationTypes,
+    })) });
+  });
+
+  app.delete('/crm/v4/objects/:fromType/:fromId/associations/:toType/:toId', (req, res) => {
+    const { fromType, fromId, toType, toId } = req.params;
+    unassociate(req.account, fromType, fromId, toType, toId);
+    res.status(204).end();
+  });
+
+  /**
+   * Applies a batch of association inputs, collecting the inputs whose records do not exist
+   */
+  const associateMany = (req, res, status, apply, toResult) => {
+    const results = [];
+    const missing = [];
+    for (const input of req.body.inputs || []) {
+      try {
+        results.push(toResult(input, apply(input)));
+      } catch (error) {
+        if (!(error instanceof HubspotError) || error.status !== 404) throw error;
+        missing.push(input.from.id);
+      }
+    }
+    batchResponse(res, status, results, missing.length > 0 ? [missingError(missing)] : []);
+  };
+
+  app.post('/crm/v4/associations/:fromType/:toType/batch/create', (req, res) => {
+    const { fromType, toType } = req.params;
+    associateMany(
+      req, res, 201,
+      input => associate(req.account, fromType, input.from.id, toType, input.to.id, input.types),
+      (input, specs) => ({
+        fromObjectTypeId: objectTypeId(fromType),
+        fromObjectId: Number(input.from.id),
+        toObjectTypeId: objectTypeId(toType),
+        toObjectId: Number(input.to.id),
+        labels: specs.map(spec => spec.label).filter(Boolean),
+      })
+    );
+  });
+
+  app.post('/crm/v4/associations/:fromType/:toType/batch/associate/default', (req, res) => {
+    const { fromType, toType } = req.params;
+    associateMany(
+      req, res, 200,
+      input => associate(req.account, fromType, input.from.id, toType, input.to.id),
+      (input, specs) => ({
+        from: { id: String(input.from.id) },
+        to: { id: String(input.to.id) },
+        associationSpec: { associationCategory: specs[0].category, associationTypeId: specs[0].typeId },
+      })
+    );
+  });
+
+  app.get('/crm/v4/associations/:fromType/:toType/labels', (req, res) => {
+    res.json({ results: labelsOf(req.account, req.params.fromType, req.params.toType) });
+  });
+
+  app.post('/crm/v4/associations/:fromType/:toType/labels', (req, res) => {
+    res.status(200).json({ results: defineLabel(req.account, req.params.fromType, req.params.toType, req.body || {}) });
+  });
+
+  app.post('/crm/v4/associations/:fromType/:toType/batch/read', (req, res) => {
+    const { fromType, toType } = req.params;
+    const results = (req.body.inputs || [])
+      .map((input) => {
+        const associations = associationsOf(req.account, fromType, input.id, toType);
+        const offset = Number(input.after) || 0;
+        const result = {
+          from: { id: String(input.id) },
+          to: associations.slice(offset, offset + associationsPageSize)
+            .map(association => ({ toObjectId: Number(association.toObjectId), associationTypes: association.associationTypes })),
+        };
+        if (offset + associationsPageSize < associations.length) {
+          result.paging = { next: { after: String(offset + associationsPageSize) } };
+        }
+        return result;
+      })
+      .filter(result => result.to.length > 0);
+    batchResponse(res, 200, results);
+  });
+
+  app.post('/crm/v4/associations/:fromType/:toType/batch/archive', (req, res) => {
+    const { fromType, toType } = req.params;
+    for (const input of req.body.inputs || []) {
+      for (const to of input.to || []) {
+        unassociate(req.account, fromType, input.from.id, toType, to.id);
+      }
+    }
+    res.status(204).end();
+  });
+
+  app.post('/crm/v4/associations/:fromType/:toType/batch/labels/archive', (req, res) => {
+    const { fromType, toType } = req.params;
+    for (const input of req.body.inputs || []) {
+      unassociateTypes(req.account, fromType, input.from.id, toType, input.to.id, input.types);
+    }
+    res.status(204).end();
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ status: 'error', category: 'OBJECT_NOT_FOUND', message: `No fake endpoint for ${req.method} ${req.path}` });
+  });
+
+  app.use((error, req, res, next) => {
+    const status = error.status || 500;
+    res.status(status).json({
+      status: 'error',
+      category: error.category || 'INTERNAL_ERROR',
+      message: error.message,
+      correlationId: `fake-${requests.length}`,
+    });
+  });
+
+  /**
+   * Starts listening on a free local port
+   * @returns {Promise<string>} Base URL to use as HUBSPOT_BASE_URL
+   */
+  async function start() {
+    server = await new Promise((resolve) => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    url = `http://127.0.0.1:${server.address().port}`;
+    return url;
+  }
+
+  /**
+   * Stops the server
+   * @returns {Promise<void>}
+   */
+  async function stop() {
+    if (!server) return;
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    server = null;
+  }
+
+  /**
+   * Makes the next matching requests fail
+   * @param {object} fault - Failure to script
+   * @param {string} fault.method - HTTP method
+   * @param {string|RegExp} fault.path - Request path, or a pattern it must match
+   * @param {number} [fault.status=500] - HTTP status answered
+   * @param {number} [fault.times=1] - Number of requests that fail
+   * @param {boolean} [fault.applied=false] - Apply the request before answering the failure
+   * @param {string} [fault.account] - Only fail the requests of this account
+   * @param {object} [fault.headers] - Response headers, e.g. Retry-After
+   * @param {object} [fault.body] - Fields added to the error body, e.g. policyName
+   */
+  function failNext({ method, path, status = 500, times = 1, applied = false, account, headers = {}, body = {} }) {
+    faults.push({
+      method: method.toUpperCase(),
+      path: path instanceof RegExp ? path : new RegExp(`^${path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`),
+      status,
+      times,
+      applied,
+      account,
+      headers,
+      body,
+      category: status === 429 ? 'RATE_LIMITS' : 'INTERNAL_ERROR',
+      message: status === 429 ? 'You have reached your secondly limit.' : 'Internal error (scripted)',
+    });
+  }
+
+  /**
+   * Holds back the search index: records created meanwhile are left out of search results
+   * until the index catches up
+   * @param {boolean} [lagging=true] - False lets the index catch up
+   */
+  function lagSearchIndex(lagging = true) {
+    searchLagging = lagging;
+    if (!lagging) unindexed.clear();
+  }
+
+  /**
+   * Sets how many associations of a record a batch read returns before paging the rest
+   * @param {number} [size=500] - Page size, HubSpot's by default
+   */
+  function pageAssociations(size = ASSOCIATIONS_PAGE_SIZE) {
+    associationsPageSize = size;
+  }
+
+  /**
+   * Lists the records of an object type, oldest first
+   * @param {string} account - Account name
+   * @param {string} objectType - e.g. 'contacts', 'companies', 'p_episodes'
+   * @param {object} [options] - List options
+   * @param {boolean} [options.archived=false] - List the archived records instead
+   * @returns {Array<object>} Copies of the records
+   */
+  function listRecords(account, objectType, { archived = false } = {}) {
+    return Array.from(recordsOf(account, objectType).values())
+      .filter(record => record.archived === archived)
+      .map(record => structuredClone(record));
+  }
+
+  /**
+   * Finds the active record whose property has the given value
+   * @param {string} account - Account name
+   * @param {string} objectType - Object type
+   * @param {string} propertyName - Property to match
+   * @param {*} value - Expected value
+   * @returns {object|undefined} Copy of the record
+   */
+  function findRecord(account, objectType, propertyName, value) {
+    return listRecords(account, objectType).find(record => record.properties[propertyName] === String(value));
+  }
+
+  return {
+    start,
+    stop,
+    reset,
+    requests,
+    failNext,
+    lagSearchIndex,
+    pageAssociations,
+    get url() {
+      return url;
+    },
+    createRecord: (account, objectType, properties) => structuredClone(createRecord(account, objectType, properties)),
+    updateRecord: (account, objectType, id, properties) => structuredClone(updateRecord(account, objectType, id, properties)),
+    archiveRecord,
+    associate,
+    unassociate,
+    associations: associationsOf,
+    defineLabel,
+    labels: labelsOf,
+    definePropertyGroup: (account, objectType, group) => structuredClone(definePropertyGroup(account, objectType, group)),
+    defineProperty: (account, objectType, definition) => structuredClone(defineProperty(account, objectType, definition)),
+    properties: (account, objectType) => Array.from(definitionsOf(account, 'properties', objectType).values(), property => structuredClone(property)),
+    listRecords,
+    findRecord,
+  };
+}
+
+module.exports = {
+  ASSOCIATION_TYPES,
+  createFakeHubspot,
+};
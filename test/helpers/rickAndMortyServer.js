@@ -0,0 +1,189 @@
+/*
+ * Rick and Morty API Stand-in
+ *
+ * Local HTTP server answering like https://rickandmortyapi.com/api from the JSON
+ * fixtures in test/fixtures/rick-and-morty: single and multi-ID endpoints, filter
+ * endpoints with their 20-result pages, and the 404 the API answers for unknown IDs
+ * and empty result sets. Express adds the ETag, so cache revalidation works too.
+ * Tests can move a character to another location (moveCharacter).
+ */
+
+const express = require('express');
+const path = require('path');
+const { readJsonFile } = require('../../src/utils/jsonFile');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'rick-and-morty');
+const PAGE_SIZE = 20;
+
+// Fixture file and filters of each resource; 'contains' filters match part of the value
+const RESOURCES = {
+  character: {
+    file: 'characters.json',
+    filters: { name: 'contains', status: 'equals', species: 'contains', type: 'contains', gender: 'equals' },
+    notFound: 'Character not found',
+  },
+  location: {
+    file: 'locations.json',
+    filters: { name: 'contains', type: 'contains', dimension: 'contains' },
+    notFound: 'Location not found',
+  },
+  episode: {
+    file: 'episodes.json',
+    filters: { name: 'contains', episode: 'contains' },
+    notFound: 'Episode not found',
+  },
+};
+
+/**
+ * Tells whether a resource matches the filter query parameters
+ * @param {object} item - Character, location or episode
+ * @param {object} filters - Filter kind per parameter name
+ * @param {object} query - Request query parameters
+ * @returns {boolean} True if every given filter matches
+ */
+function matchesFilters(item, filters, query) {
+  return Object.entries(filters).every(([name, kind]) => {
+    if (query[name] === undefined || query[name] === '') return true;
+    const expected = String(query[name]).toLowerCase();
+    const actual = String(item[name] ?? '').toLowerCase();
+    return kind === 'contains' ? actual.includes(expected) : actual === expected;
+  });
+}
+
+/**
+ * Creates the Rick and Morty API stand-in
+ * @param {object} [options] - Server options
+ * @param {string} [options.fixturesDir] - Directory holding characters.json, locations.json and episodes.json
+ * @returns {Object} Server API: start, stop, setAvailable, moveCharacter, the request log and the base URL once started
+ */
+function createRickAndMortyServer({ fixturesDir = FIXTURES_DIR } = {}) {
+  const data = Object.fromEntries(Object.entries(RESOURCES).map(([resource, { file }]) => [
+    resource, readJsonFile(path.join(fixturesDir, file), []),
+  ]));
+  const requests = [];
+  let available = true;
+  let server = null;
+  let url = null;
+
+  const app = express();
+  app.use((req, res, next) => {
+    // The status is filled in once answered, so revalidations show up as 304
+    const entry = { method: req.method, path: req.path, query: req.query, ifNoneMatch: req.get('If-None-Match'), status: null };
+    requests.push(entry);
+    res.on('finish', () => {
+      entry.status = res.statusCode;
+    });
+    if (!available) {
+      return res.status(503).json({ error: 'Service unavailable' });
+    }
+    next();
+  });
+
+  // Filter endpoints: /api/character?name=rick&page=2
+  app.get('/api/:resource', (req, res, next) => {
+    const resource = RESOURCES[req.params.resource];
+    if (!resource) return next();
+
+    const matches = data[req.params.resource].filter(item => matchesFilters(item, resource.filters, req.query));
+    const pages = Math.ceil(matches.length / PAGE_SIZE);
+    const page = Number(req.query.page || 1);
+    if (matches.length === 0 || !Number.isInteger(page) || page < 1 || page > pages) {
+      return res.status(404).json({ error: 'There is nothing here' });
+    }
+
+    const pageUrl = (number) => {
+      const params = new URLSearchParams({ ...req.query, page: String(number) });
+      return `${req.protocol}://${req.get('host')}${req.path}?${params}`;
+    };
+    res.json({
+      info: {
+        count: matches.length,
+        pages,
+        next: page < pages ? pageUrl(page + 1) : null,
+        prev: page > 1 ? pageUrl(page - 1) : null,
+      },
+      results: matches.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE),
+    });
+  });
+
+  // Single and multi-ID endpoints: /api/character/1, /api/character/[1,2,3] or /api/character/1,2,3
+  app.get('/api/:resource/:ids', (req, res, next) => {
+    const resource = RESOURCES[req.params.resource];
+    if (!resource) return next();
+
+    const ids = req.params.ids.replace(/^\[|\]$/g, '').split(',').map(Number);
+    const found = data[req.params.resource].filter(item => ids.includes(item.id));
+    if (ids.length > 1) {
+      return res.json(found);
+    }
+    // One ID answers with the object itself, in the multi-ID form too
+    if (found.length === 0) {
+      return res.status(404).json({ error: resource.notFound });
+    }
+    res.json(found[0]);
+  });
+
+  app.use((req, res) => res.status(404).json({ error: 'There is nothing here' }));
+
+  /**
+   * Starts listening on a free local port
+   * @returns {Promise<string>} API base URL, e.g. http://127.0.0.1:1234/api
+   */
+  async function start() {
+    server = await new Promise((resolve) => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    url = `http://127.0.0.1:${server.address().port}/api`;
+    return url;
+  }
+
+  /**
+   * Stops the server
+   * @returns {Promise<void>}
+   */
+  async function stop() {
+    if (!server) return;
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    server = null;
+  }
+
+  /**
+   * Simulates an outage: while unavailable every request gets a 503
+   * @param {boolean} value - Availability
+   */
+  function setAvailable(value) {
+    available = value;
+  }
+
+  /**
+   * Moves a character to another current location, updating the residents of both locations
+   * @param {number} characterId - Character to move
+   * @param {number} locationId - New current location
+   */
+  function moveCharacter(characterId, locationId) {
+    const character = data.character.find(item => item.id === characterId);
+    const location = data.location.find(item => item.id === locationId);
+    for (const item of data.location) {
+      item.residents = item.residents.filter(url => url !== character.url);
+    }
+    location.residents.push(character.url);
+    character.location = { name: location.name, url: location.url };
+  }
+
+  return {
+    start,
+    stop,
+    setAvailable,
+    moveCharacter,
+    requests,
+    get url() {
+      return url;
+    },
+  };
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  createRickAndMortyServer,
+};
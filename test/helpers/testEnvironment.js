@@ -0,0 +1,103 @@
+/*
+ * Test Environment
+ *
+ * Starts the fake HubSpot and the Rick and Morty stand-in and points the application
+ * to them through the environment, with a throwaway data directory. Call it before
+ * using the default clients and services: they read the environment when first used.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeHubspot } = require('./fakeHubspot');
+const { createRickAndMortyServer } = require('./rickAndMortyServer');
+
+const TOKENS = { source: 'test-source-token', mirror: 'test-mirror-token' };
+const CLIENT_SECRET = 'test-client-secret';
+const ADMIN_TOKEN = 'test-admin-token';
+
+/**
+ * Starts the stand-in servers and configures the environment of the process
+ * Settings a developer may have in .env are overridden so they cannot change the outcome
+ * @returns {Promise<{hubspot: object, rickAndMorty: object, dataDir: string, env: object, stop: Function}>} Environment
+ */
+async function startTestEnvironment() {
+  const hubspot = createFakeHubspot({ accounts: TOKENS });
+  const rickAndMorty = createRickAndMortyServer();
+  await hubspot.start();
+  await rickAndMorty.start();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rick-and-morty-hubspot-'));
+
+  const env = {
+    HUBSPOT_BASE_URL: hubspot.url,
+    HUBSPOT_SOURCE_TOKEN: TOKENS.source,
+    HUBSPOT_MIRROR_TOKEN: TOKENS.mirror,
+    HUBSPOT_CLIENT_SECRET: CLIENT_SECRET,
+    HUBSPOT_SKIP_SIGNATURE_VERIFICATION: 'false',
+    HUBSPOT_EPISODE_OBJECT_TYPE: '',
+    // No throttling and no retries: the fake answers at once and errors are deterministic
+    HUBSPOT_REQUESTS_PER_SECOND: '10000',
+    HUBSPOT_SEARCH_REQUESTS_PER_SECOND: '10000',
+    HUBSPOT_MAX_RETRIES: '0',
+    RICK_AND_MORTY_BASE_URL: rickAndMorty.url,
+    RICK_AND_MORTY_CACHE: 'memory',
+    RICK_AND_MORTY_OFFLINE: 'false',
+    ADMIN_API_TOKEN: ADMIN_TOKEN,
+    DATA_DIR: dataDir,
+    WEBHOOK_BASE_URL: '',
+    WEBHOOK_QUEUE_MAX_ATTEMPTS: '1',
+    SYNC_INTERVAL_MINUTES: '0',
+    SYNC_DRY_RUN: 'false',
+    SYNC_PLAN_FILE: '',
+    SYNC_PROPAGATE_DELETIONS: 'true',
+    SYNC_DELETE_MODE: 'archive',
+    SYNC_MAX_DELETE_RATIO: '',
+    LOG_LEVEL: process.env.TEST_LOG_LEVEL || 'silent',
+    LOG_FILE: '',
+  };
+  Object.assign(process.env, env);
+
+  return {
+    hubspot,
+    rickAndMorty,
+    dataDir,
+    env,
+
+    /**
+     * Stops the servers and removes the data directory
+     * @returns {Promise<void>}
+     */
+    async stop() {
+      await hubspot.stop();
+      await rickAndMorty.stop();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * Waits until a condition holds, e.g. until a queued webhook has been applied
+ * @param {Function} condition - Returns a truthy value once satisfied
+ * @param {object} [options] - Wait options
+ * @param {number} [options.timeoutMs=10000] - Time before giving up
+ * @param {string} [options.message] - Error message on timeout
+ * @returns {Promise<*>} Value returned by the condition
+ * @throws {Error} If the condition does not hold in time
+ */
+async function waitFor(condition, { timeoutMs = 10000, message = 'Condition not met in time' } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await condition();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error(message);
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+module.exports = {
+  TOKENS,
+  CLIENT_SECRET,
+  ADMIN_TOKEN,
+  startTestEnvironment,
+  waitFor,
+};
@@ -0,0 +1,135 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestEnvironment } = require('./helpers/testEnvironment');
+
+describe('HubSpot batch service', () => {
+  let environment;
+  let hubspot;
+  let contacts;
+  let companies;
+  let source;
+  let batchUpsert;
+  let batchReadAssociationTypes;
+
+  const PRIMARY_COMPANY = [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: 1 }];
+
+  const contactRecords = characterIds => characterIds.map(characterId => ({
+    key: String(characterId),
+    existingId: null,
+    properties: { firstname: `Character ${characterId}`, character_id: String(characterId) },
+  }));
+  const companyRecords = locationIds => locationIds.map(locationId => ({
+    key: `location ${locationId}`,
+    existingId: null,
+    properties: { name: `Location ${locationId}`, location_id: String(locationId) },
+  }));
+  const characterIds = () => hubspot.listRecords('source', 'contacts').map(contact => contact.properties.character_id).sort();
+  const locationIds = () => hubspot.listRecords('source', 'companies').map(company => company.properties.location_id).sort();
+  const associationReads = () => hubspot.requests.filter(request => request.path === '/crm/v4/associations/contact/company/batch/read');
+
+  before(async () => {
+    environment = await startTestEnvironment();
+    hubspot = environment.hubspot;
+    source = require('../src/clients/hubspotClient').getHubspotClient('source');
+    contacts = source.crm.contacts;
+    companies = source.crm.companies;
+    ({ batchUpsert, batchReadAssociationTypes } = require('../src/services/hubspotBatchService'));
+  });
+
+  after(() => environment.stop());
+
+  beforeEach(() => hubspot.reset());
+
+  it('does not create records twice when an applied batch create fails', async () => {
+    hubspot.failNext({ method: 'POST', path: '/crm/v3/objects/contacts/batch/create', status: 500, applied: true });
+
+    const outcome = await batchUpsert(contacts, contactRecords([1, 2]), 'character_id');
+
+    assert.deepEqual(outcome.errors, []);
+    assert.deepEqual(outcome.results.map(result => [result.key, result.created]), [['1', true], ['2', true]]);
+    assert.deepEqual(characterIds(), ['1', '2']);
+    assert.deepEqual(new Set(outcome.results.map(result => result.id)), new Set(hubspot.listRecords('source', 'contacts').map(contact => contact.id)));
+  });
+
+  it('reads the records of an applied batch back while the search index lags behind', async () => {
+    hubspot.lagSearchIndex();
+    hubspot.failNext({ method: 'POST', path: '/crm/v3/objects/contacts/batch/create', status: 500, applied: true });
+
+    const outcome = await batchUpsert(contacts, contactRecords([1, 2]), 'character_id');
+
+    assert.deepEqual(outcome.errors, []);
+    assert.deepEqual(characterIds(), ['1', '2']);
+    const lookups = hubspot.requests.filter(request => request.method === 'POST' && /\/contacts\/(search|batch\/read)$/.test(request.path));
+    assert.deepEqual(lookups.map(request => request.path), ['/crm/v3/objects/contacts/batch/read']);
+  });
+
+  it('creates only the records a failed batch did not write', async () => {
+    // Character 3 already exists, as if an earlier attempt of this batch had written it
+    hubspot.createRecord('source', 'contacts', { firstname: 'Character 3', character_id: '3' });
+    hubspot.failNext({ method: 'POST', path: '/crm/v3/objects/contacts/batch/create', status: 503 });
+
+    const outcome = await batchUpsert(contacts, contactRecords([3, 4]), 'character_id');
+
+    assert.deepEqual(outcome.errors, []);
+    assert.deepEqual(characterIds(), ['3', '4']);
+  });
+
+  it('reports the records of a failed create as errors when their state cannot be checked', async () => {
+    hubspot.failNext({ method: 'POST', path: '/crm/v3/objects/contacts/batch/create', status: 500, applied: true });
+    hubspot.failNext({ method: 'POST', path: '/crm/v3/objects/contacts/batch/read', status: 500 });
+
+    const outcome = await batchUpsert(contacts, contactRecords([5, 6]), 'character_id');
+
+    assert.deepEqual(outcome.results, []);
+    assert.deepEqual(outcome.errors.map(error => error.key), ['5', '6']);
+    assert.deepEqual(characterIds(), ['5', '6']);
+  });
+
+  it('reports the failed creates of a key that is not unique instead of sending them again', async () => {
+    hubspot.lagSearchIndex();
+    hubspot.failNext({ method: 'POST', path: '/crm/v3/objects/companies/batch/create', status: 500, applied: true });
+
+    const outcome = await batchUpsert(companies, companyRecords([1, 2]), 'location_id', { uniqueKey: false });
+
+    assert.deepEqual(outcome.results, []);
+    assert.deepEqual(outcome.errors.map(error => error.key), ['location 1', 'location 2']);
+    assert.deepEqual(locationIds(), ['1', '2']);
+    assert.equal(hubspot.requests.filter(request => request.path === '/crm/v3/objects/companies/batch/create').length, 1);
+  });
+
+  it('still isolates the invalid record of a rejected batch', async () => {
+    hubspot.failNext({ method: 'POST', path: '/crm/v3/objects/companies/batch/create', status: 400 });
+    hubspot.failNext({ method: 'POST', path: '/crm/v3/objects/companies/batch/create', status: 400 });
+
+    const outcome = await batchUpsert(companies, companyRecords([7, 8]), 'location_id', { uniqueKey: false });
+
+    // The batch and the first single-record retry are rejected, the second record goes through
+    assert.deepEqual(outcome.errors.map(error => error.key), ['location 7']);
+    assert.deepEqual(outcome.results.map(result => result.key), ['location 8']);
+    assert.deepEqual(locationIds(), ['8']);
+  });
+
+  it('follows the paging of the records with more associations than one result holds', async () => {
+    const rick = hubspot.createRecord('source', 'contacts', { character_id: '1' });
+    const morty = hubspot.createRecord('source', 'contacts', { character_id: '2' });
+    const summer = hubspot.createRecord('source', 'contacts', { character_id: '3' });
+    const locations = [1, 2, 3, 4, 5].map(locationId => hubspot.createRecord('source', 'companies', { location_id: String(locationId) }));
+    locations.forEach(location => hubspot.associate('source', 'contacts', rick.id, 'companies', location.id, PRIMARY_COMPANY));
+    locations.slice(0, 3).forEach(location => hubspot.associate('source', 'contacts', morty.id, 'companies', location.id, PRIMARY_COMPANY));
+    hubspot.pageAssociations(2);
+
+    const found = await batchReadAssociationTypes(source, 'contact', 'company', [rick.id, morty.id, summer.id]);
+
+    const toIds = id => found.get(id).map(association => association.toId);
+    assert.deepEqual(toIds(rick.id), locations.map(location => location.id));
+    assert.deepEqual(toIds(morty.id), locations.slice(0, 3).map(location => location.id));
+    assert.equal(found.has(summer.id), false);
+    assert.deepEqual(found.get(rick.id)[4].types.map(type => type.typeId), [1]);
+    // The next pages of both records are read together
+    assert.deepEqual(associationReads().map(request => request.body.inputs), [
+      [{ id: rick.id }, { id: morty.id }, { id: summer.id }],
+      [{ id: rick.id, after: '2' }, { id: morty.id, after: '2' }],
+      [{ id: rick.id, after: '4' }],
+    ]);
+  });
+});
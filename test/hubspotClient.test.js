@@ -0,0 +1,97 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { TOKENS, startTestEnvironment } = require('./helpers/testEnvironment');
+
+describe('HubSpot client limits and retries', () => {
+  let environment;
+  let hubspot;
+  let createHubspotClient;
+
+  /**
+   * Client of the Source account with fast retries
+   */
+  const sourceClient = limits => createHubspotClient({
+    accessToken: TOKENS.source,
+    account: 'source',
+    basePath: hubspot.url,
+    limits: { requestsPerSecond: 10000, searchRequestsPerSecond: 10000, maxRetries: 3, baseDelayMs: 1, ...limits },
+  });
+  const contactInput = email => ({ properties: { email, firstname: 'Rick' } });
+
+  before(async () => {
+    environment = await startTestEnvironment();
+    hubspot = environment.hubspot;
+    ({ createHubspotClient } = require('../src/clients/hubspotClient'));
+  });
+
+  after(() => environment.stop());
+
+  beforeEach(() => hubspot.reset());
+
+  it('retries reads and updates on server errors', async () => {
+    const client = sourceClient();
+    const contact = hubspot.createRecord('source', 'contacts', { email: 'rick@rickandmorty.com' });
+    hubspot.failNext({ method: 'GET', path: `/crm/v3/objects/contacts/${contact.id}`, status: 502, times: 2 });
+    hubspot.failNext({ method: 'PATCH', path: `/crm/v3/objects/contacts/${contact.id}`, status: 500 });
+
+    const read = await client.crm.contacts.basicApi.getById(contact.id, ['email']);
+    await client.crm.contacts.basicApi.update(contact.id, { properties: { firstname: 'Rick' } });
+
+    assert.equal(read.properties.email, 'rick@rickandmorty.com');
+    assert.equal(hubspot.findRecord('source', 'contacts', 'email', 'rick@rickandmorty.com').properties.firstname, 'Rick');
+    assert.deepEqual([client.limiter.metrics.retries, client.limiter.metrics.serverErrors], [3, 3]);
+  });
+
+  it('does not retry a create that failed with a server error', async () => {
+    const client = sourceClient();
+    // HubSpot created the contact, but the response is lost
+    hubspot.failNext({ method: 'POST', path: '/crm/v3/objects/contacts', status: 500, applied: true });
+
+    await assert.rejects(client.crm.contacts.basicApi.create(contactInput('morty@rickandmorty.com')), error => error.code === 500);
+
+    assert.equal(hubspot.listRecords('source', 'contacts').length, 1);
+    assert.deepEqual([client.limiter.metrics.retries, client.limiter.metrics.failed], [0, 1]);
+  });
+
+  it('retries a rate-limited create after the Retry-After delay', async () => {
+    const client = sourceClient();
+    hubspot.failNext({ method: 'POST', path: '/crm/v3/objects/contacts', status: 429, headers: { 'Retry-After': '1' } });
+
+    const startedAt = Date.now();
+    await client.crm.contacts.basicApi.create(contactInput('summer@rickandmorty.com'));
+
+    assert.ok(Date.now() - startedAt >= 950, 'waits for Retry-After');
+    assert.equal(hubspot.listRecords('source', 'contacts').length, 1);
+    assert.deepEqual([client.limiter.metrics.retries, client.limiter.metrics.rateLimited], [1, 1]);
+  });
+
+  it('stops at the daily limit', async () => {
+    const client = sourceClient({ dailyLimit: 2 });
+    hubspot.failNext({ method: 'GET', path: '/crm/v3/objects/contacts', status: 429, body: { policyName: 'DAILY' } });
+
+    // HubSpot's daily limit is not retried
+    await assert.rejects(client.crm.contacts.basicApi.getPage(10), error => error.code === 429);
+    await client.crm.contacts.basicApi.getPage(10);
+    // The local budget refuses the third call without sending it
+    const sent = hubspot.requests.length;
+    await assert.rejects(client.crm.contacts.basicApi.getPage(10), error => error.code === 'HUBSPOT_DAILY_LIMIT');
+    assert.equal(hubspot.requests.length, sent);
+    assert.equal(client.limiter.metrics.retries, 0);
+  });
+
+  it('throttles bursts to the configured rate, with a stricter rate for searches', async () => {
+    const client = sourceClient({ requestsPerSecond: 20, searchRequestsPerSecond: 5 });
+    const search = { filterGroups: [], properties: ['email'], limit: 10 };
+
+    let startedAt = Date.now();
+    await Promise.all(Array.from({ length: 25 }, () => client.crm.contacts.basicApi.getPage(10)));
+    // 20 calls of burst, then 5 more at 20 per second
+    assert.ok(Date.now() - startedAt >= 200, 'the calls beyond the burst wait for tokens');
+
+    startedAt = Date.now();
+    await Promise.all(Array.from({ length: 7 }, () => client.crm.contacts.searchApi.doSearch(search)));
+    // 5 searches of burst, then 2 more at 5 per second
+    assert.ok(Date.now() - startedAt >= 350, 'searches wait for the search bucket');
+    assert.ok(client.limiter.metrics.throttled > 0);
+  });
+});
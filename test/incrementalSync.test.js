@@ -0,0 +1,148 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { startTestEnvironment, waitFor } = require('./helpers/testEnvironment');
+
+describe('Incremental sync watermarks', () => {
+  let environment;
+  let hubspot;
+  let createSyncService;
+  let createWatermarkStore;
+  let latestModifiedDate;
+  let WATERMARK_OVERLAP_MS;
+  let sourceClient;
+  let mirrorClient;
+  let run = 0;
+  let watermarkFile;
+  let service;
+
+  const contactSearches = () => hubspot.requests.filter(request => request.account === 'source' &&
+    request.path === '/crm/v3/objects/contacts/search');
+  const searchedSince = request => new Date(Number(request.body.filterGroups[0].filters[0].value)).toISOString();
+
+  before(async () => {
+    environment = await startTestEnvironment();
+    hubspot = environment.hubspot;
+    const { getHubspotClient } = require('../src/clients/hubspotClient');
+    sourceClient = getHubspotClient('source');
+    mirrorClient = getHubspotClient('mirror');
+    ({ createSyncService } = require('../src/services/hubspotSyncService'));
+    ({ createWatermarkStore, latestModifiedDate, WATERMARK_OVERLAP_MS } = require('../src/services/syncWatermarks'));
+  });
+
+  // A synchronized Source contact, and a service with watermarks of its own
+  beforeEach(async () => {
+    hubspot.reset();
+    run++;
+    watermarkFile = path.join(environment.dataDir, `watermarks-${run}.json`);
+    const { createIdMapStore } = require('../src/services/idMapStore');
+    service = createSyncService({
+      sourceClient,
+      mirrorClient,
+      idMap: createIdMapStore(path.join(environment.dataDir, `id-map-${run}.json`)),
+      watermarks: createWatermarkStore(watermarkFile),
+    });
+    hubspot.createRecord('source', 'contacts', { character_id: '1', firstname: 'Rick', email: 'rick@rickandmorty.com' });
+    const summary = await service.runSync({ objectTypes: ['contacts'] });
+    assert.equal(summary.contacts.created, 1);
+  });
+
+  after(() => environment.stop());
+
+  it('queries from five minutes before the watermark', async () => {
+    const watermark = createWatermarkStore(watermarkFile).get('contacts');
+    assert.ok(watermark);
+    hubspot.requests.length = 0;
+
+    await service.runSync({ incremental: true, objectTypes: ['contacts'] });
+
+    const [search] = contactSearches();
+    assert.equal(searchedSince(search), new Date(new Date(watermark).getTime() - WATERMARK_OVERLAP_MS).toISOString());
+    assert.equal(WATERMARK_OVERLAP_MS, 5 * 60 * 1000);
+  });
+
+  it('keeps the watermark while records fail, and moves it once they are synchronized', async () => {
+    const previous = createWatermarkStore(watermarkFile).get('contacts');
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const morty = hubspot.createRecord('source', 'contacts', { character_id: '2', firstname: 'Morty', email: 'morty@rickandmorty.com' });
+    hubspot.failNext({ method: 'POST', path: '/crm/v3/objects/contacts/batch/create', status: 400, account: 'mirror' });
+
+    let summary = await service.runSync({ incremental: true, objectTypes: ['contacts'] });
+
+    assert.equal(summary.contacts.failed, 1);
+    assert.equal(createWatermarkStore(watermarkFile).get('contacts'), previous);
+
+    summary = await service.runSync({ incremental: true, objectTypes: ['contacts'] });
+
+    assert.deepEqual([summary.contacts.created, summary.contacts.failed], [1, 0]);
+    assert.equal(createWatermarkStore(watermarkFile).get('contacts'), morty.properties.lastmodifieddate);
+  });
+
+  it('keeps the latest date when no record is newer than the watermark', () => {
+    const records = [{ properties: { lastmodifieddate: '2026-01-01T00:00:00.000Z' } }];
+
+    assert.equal(latestModifiedDate(records, 'lastmodifieddate', '2026-02-01T00:00:00.000Z'), '2026-02-01T00:00:00.000Z');
+    assert.equal(latestModifiedDate(records, 'lastmodifieddate'), '2026-01-01T00:00:00.000Z');
+    assert.equal(latestModifiedDate([], 'lastmodifieddate'), undefined);
+    assert.equal(createWatermarkStore(path.join(environment.dataDir, 'none.json')).since('contacts'), undefined);
+  });
+});
+
+describe('Sync scheduler', () => {
+  let environment;
+  let createJobManager;
+  let createSyncScheduler;
+  let logger;
+  let scheduler;
+  let files = 0;
+
+  before(async () => {
+    environment = await startTestEnvironment();
+    ({ createJobManager } = require('../src/services/jobManager'));
+    ({ createSyncScheduler } = require('../src/services/syncScheduler'));
+    logger = require('../src/utils/logger').getLogger('scheduler');
+  });
+
+  afterEach(() => scheduler?.stop());
+
+  after(() => environment.stop());
+
+  it('skips the scheduled runs that fall due while a sync is running', async () => {
+    const releases = [];
+    const calls = [];
+    const sync = (options) => {
+      calls.push(options);
+      return new Promise(resolve => releases.push(resolve));
+    };
+    files++;
+    const jobs = createJobManager({ handlers: { sync }, jobsFile: path.join(environment.dataDir, `jobs-${files}.json`), logger });
+    // A run falls due every 30 ms
+    scheduler = createSyncScheduler({ jobs, intervalMinutes: 0.0005, logger });
+
+    scheduler.start();
+    await waitFor(() => calls.length === 1, { message: 'Scheduled sync not started' });
+    await new Promise(resolve => setTimeout(resolve, 150));
+
+    assert.equal(calls.length, 1);
+    assert.deepEqual(calls[0], { incremental: true });
+    assert.equal(scheduler.trigger({ incremental: false }), null);
+    assert.equal(scheduler.status().running.id, jobs.list('sync')[0].id);
+
+    releases.shift()({ counters: {} });
+    await waitFor(() => calls.length === 2, { message: 'Next scheduled sync not started' });
+    assert.equal(scheduler.status().lastRun.status, 'succeeded');
+
+    scheduler.stop();
+    releases.forEach(release => release({ counters: {} }));
+  });
+
+  it('does not schedule anything when the interval is 0', () => {
+    files++;
+    const jobs = createJobManager({ handlers: { sync: async () => ({}) }, jobsFile: path.join(environment.dataDir, `jobs-${files}.json`), logger });
+    scheduler = createSyncScheduler({ jobs, intervalMinutes: 0, logger });
+
+    scheduler.start();
+
+    assert.equal(scheduler.status().scheduled, false);
+  });
+});
@@ -0,0 +1,198 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { ADMIN_TOKEN, startTestEnvironment, waitFor } = require('./helpers/testEnvironment');
+
+/**
+ * Sends a JSON request to an operator endpoint with the admin token
+ */
+async function request(baseUrl, method, route, body) {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${ADMIN_TOKEN}` },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: response.status, location: response.headers.get('location'), body: await response.json() };
+}
+
+describe('Job routes', () => {
+  let environment;
+  let hubspot;
+  let app;
+  let baseUrl;
+
+  const finishedJob = id => waitFor(async () => {
+    const { body } = await request(baseUrl, 'GET', `/jobs/${id}`);
+    return body.status !== 'running' && body;
+  }, { message: `Job ${id} did not finish` });
+
+  before(async () => {
+    environment = await startTestEnvironment();
+    hubspot = environment.hubspot;
+    const { createApp } = require('../src/app');
+    app = createApp();
+    const server = await app.start(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await app?.stop();
+    await environment.stop();
+  });
+
+  it('rejects requests without the admin token', async () => {
+    const response = await fetch(`${baseUrl}/jobs`);
+
+    assert.equal(response.status, 401);
+  });
+
+  it('starts a migration job and reports its outcome', async () => {
+    const started = await request(baseUrl, 'POST', '/jobs/migration', { skipProvision: true, selection: { ids: [1] } });
+
+    assert.equal(started.status, 202);
+    assert.equal(started.location, `/jobs/${started.body.jobId}`);
+    const job = await finishedJob(started.body.jobId);
+    assert.equal(job.status, 'succeeded');
+    assert.deepEqual(job.errors, []);
+    assert.ok(hubspot.findRecord('source', 'contacts', 'character_id', 1));
+  });
+
+  it('starts a full sync job and reports its outcome', async () => {
+    const started = await request(baseUrl, 'POST', '/jobs/sync', { mode: 'full' });
+
+    assert.equal(started.status, 202);
+    const job = await finishedJob(started.body.jobId);
+    assert.equal(job.status, 'succeeded');
+    assert.equal(job.options.incremental, false);
+    assert.ok(hubspot.findRecord('mirror', 'contacts', 'character_id', 1));
+
+    const { body } = await request(baseUrl, 'GET', '/jobs?type=sync');
+    assert.deepEqual(body.jobs.map(({ id, errorCount }) => ({ id, errorCount })), [{ id: job.id, errorCount: 0 }]);
+  });
+
+  it('validates the job options', async () => {
+    assert.equal((await request(baseUrl, 'POST', '/jobs/sync', { mode: 'partial' })).status, 400);
+    assert.equal((await request(baseUrl, 'POST', '/jobs/migration', { dryRun: 'yes' })).status, 400);
+    assert.equal((await request(baseUrl, 'POST', '/jobs/migration', { selection: { ids: 'Rick' } })).status, 400);
+  });
+
+  it('answers 404 for an unknown job', async () => {
+    const response = await request(baseUrl, 'GET', '/jobs/00000000-0000-0000-0000-000000000000');
+
+    assert.equal(response.status, 404);
+  });
+});
+
+describe('Job manager', () => {
+  let environment;
+  let createJobManager;
+  let createJobRouter;
+  let logger;
+  let server;
+  let baseUrl;
+  let files = 0;
+
+  /**
+   * Handler whose runs stay in progress until released
+   */
+  const pendingHandler = () => {
+    const releases = [];
+    const handler = () => new Promise(resolve => releases.push(resolve));
+    handler.release = outcome => releases.forEach(release => release(outcome));
+    return handler;
+  };
+
+  /**
+   * Serves the job routes of a manager
+   */
+  const serve = async (jobs) => {
+    const router = express();
+    router.use(express.json());
+    router.use('/jobs', createJobRouter({ jobs, logger }));
+    server = await new Promise(resolve => {
+      const listening = router.listen(0, () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  };
+
+  const jobsFile = () => path.join(environment.dataDir, `jobs-${files}.json`);
+
+  before(async () => {
+    environment = await startTestEnvironment();
+    ({ createJobManager } = require('../src/services/jobManager'));
+    ({ createJobRouter } = require('../src/routes/jobRoutes'));
+    logger = require('../src/utils/logger').getLogger('jobs');
+  });
+
+  afterEach(async () => {
+    files++;
+    if (server) await new Promise(resolve => server.close(resolve));
+    server = null;
+  });
+
+  after(() => environment.stop());
+
+  it('answers 409 while a job of the same type is running', async () => {
+    const sync = pendingHandler();
+    const jobs = createJobManager({ handlers: { sync, migration: async () => ({ counters: {} }) }, jobsFile: jobsFile(), logger });
+    await serve(jobs);
+
+    const started = await request(baseUrl, 'POST', '/jobs/sync', {});
+    const refused = await request(baseUrl, 'POST', '/jobs/sync', { mode: 'full' });
+    // A job of another type is not blocked
+    const migration = await request(baseUrl, 'POST', '/jobs/migration', {});
+
+    assert.equal(started.status, 202);
+    assert.equal(refused.status, 409);
+    assert.equal(refused.body.jobId, started.body.jobId);
+    assert.equal(migration.status, 202);
+
+    sync.release({ counters: { contacts: { created: 1 } } });
+    const job = await waitFor(async () => {
+      const { body } = await request(baseUrl, 'GET', `/jobs/${started.body.jobId}`);
+      return body.status === 'succeeded' && body;
+    }, { message: 'Sync job did not finish' });
+    assert.deepEqual(job.counters, { contacts: { created: 1 } });
+    assert.equal((await request(baseUrl, 'POST', '/jobs/sync', {})).status, 202);
+    sync.release({});
+  });
+
+  it('reports the jobs running when the process stopped as interrupted', async () => {
+    const sync = pendingHandler();
+    const previous = createJobManager({ handlers: { sync }, jobsFile: jobsFile(), logger });
+    const { job } = previous.start('sync', { incremental: true });
+
+    // A new process reads the job history
+    await serve(createJobManager({ handlers: { sync }, jobsFile: jobsFile(), logger }));
+    const { status, body } = await request(baseUrl, 'GET', `/jobs/${job.id}`);
+
+    assert.equal(status, 200);
+    assert.equal(body.status, 'interrupted');
+    assert.equal((await request(baseUrl, 'POST', '/jobs/sync', {})).status, 202);
+    sync.release({});
+  });
+
+  it('marks a job failed when its outcome cannot be saved', async () => {
+    const file = jobsFile();
+    const jobs = createJobManager({
+      handlers: {
+        // The jobs file becomes a directory, so saving the outcome fails
+        sync: async () => {
+          fs.rmSync(file);
+          fs.mkdirSync(file);
+          return { counters: {} };
+        },
+      },
+      jobsFile: file,
+      logger,
+    });
+
+    const job = await jobs.start('sync').completion;
+
+    assert.equal(job.status, 'failed');
+    assert.match(job.error, /EISDIR|directory/);
+    assert.equal(jobs.running('sync'), undefined);
+  });
+});
@@ -0,0 +1,116 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('stream');
+const express = require('express');
+const winston = require('winston');
+const { startTestEnvironment } = require('./helpers/testEnvironment');
+
+describe('Logger', () => {
+  let environment;
+  let logger;
+  let getLogger;
+  let withLogContext;
+  let createCorrelationId;
+  let capture;
+  let saved;
+  const entries = [];
+
+  before(async () => {
+    environment = await startTestEnvironment();
+    ({ logger, getLogger, withLogContext } = require('../src/utils/logger'));
+    ({ createCorrelationId } = require('../src/middleware/correlationId'));
+
+    // Entries are collected as the JSON lines a transport receives; the other transports stay quiet
+    saved = { silent: logger.silent, level: logger.level, transports: logger.transports.map(t => [t, t.silent]) };
+    logger.transports.forEach((transport) => { transport.silent = true; });
+    capture = new winston.transports.Stream({
+      format: winston.format.json(),
+      stream: new Writable({
+        write(chunk, encoding, callback) {
+          entries.push(JSON.parse(chunk));
+          callback();
+        },
+      }),
+    });
+    logger.add(capture);
+    logger.silent = false;
+    logger.level = 'debug';
+  });
+
+  beforeEach(() => {
+    entries.length = 0;
+  });
+
+  after(async () => {
+    logger.remove(capture);
+    saved.transports.forEach(([transport, silent]) => { transport.silent = silent; });
+    logger.silent = saved.silent;
+    logger.level = saved.level;
+    await environment.stop();
+  });
+
+  it('redacts tokens and Authorization headers', () => {
+    const log = getLogger('test');
+
+    log.info('Calling HubSpot with Bearer pat-na1-11111111-2222', {
+      headers: { Authorization: 'Bearer abc.def', 'Content-Type': 'application/json' },
+      accessToken: 'pat-eu1-33333333',
+      config: { clientSecret: 'shh', portalId: 42 },
+      error: new Error('Request failed for token pat-na1-44444444-5555'),
+    });
+
+    const [entry] = entries;
+    assert.equal(entry.message, 'Calling HubSpot with Bearer [REDACTED]');
+    assert.deepEqual(entry.headers, { Authorization: '[REDACTED]', 'Content-Type': 'application/json' });
+    assert.equal(entry.accessToken, '[REDACTED]');
+    assert.deepEqual(entry.config, { clientSecret: '[REDACTED]', portalId: 42 });
+    assert.equal(entry.error, 'Request failed for token [REDACTED]');
+    assert.equal(entry.module, 'test');
+  });
+
+  it('adds the runId of withLogContext to the entries logged inside it, including later ones', async () => {
+    const log = getLogger('jobs');
+
+    await withLogContext({ runId: 'run-1' }, async () => {
+      log.info('Job started');
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await withLogContext({ phase: 'contacts' }, async () => log.info('Batch written'));
+    });
+    log.info('Outside');
+
+    assert.deepEqual(entries.map(({ message, runId, phase }) => ({ message, runId, phase })), [
+      { message: 'Job started', runId: 'run-1', phase: undefined },
+      { message: 'Batch written', runId: 'run-1', phase: 'contacts' },
+      { message: 'Outside', runId: undefined, phase: undefined },
+    ]);
+  });
+
+  it('adds the correlation ID of a request to the entries logged while handling it', async () => {
+    const log = getLogger('http');
+    const app = express();
+    app.use(express.json());
+    app.use(createCorrelationId());
+    app.post('/work', async (req, res) => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      log.info('Request handled');
+      res.status(200).send({ ok: true });
+    });
+    const server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+
+    try {
+      const url = `http://127.0.0.1:${server.address().port}/work`;
+      const sent = await fetch(url, { method: 'POST', headers: { 'X-Correlation-Id': 'abc-123' } });
+      // An ID that could forge log lines is replaced by a generated one
+      const forged = await fetch(url, { method: 'POST', headers: { 'X-Correlation-Id': 'a\tb' } });
+
+      assert.equal(sent.headers.get('x-correlation-id'), 'abc-123');
+      const generated = forged.headers.get('x-correlation-id');
+      assert.notEqual(generated, 'a\tb');
+      assert.deepEqual(entries.map(entry => entry.requestId), ['abc-123', generated]);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,250 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { TOKENS, startTestEnvironment } = require('./helpers/testEnvironment');
+const { ASSOCIATION_TYPES } = require('./helpers/fakeHubspot');
+const { readJsonFile } = require('../src/utils/jsonFile');
+
+const EPISODE_OBJECT_TYPE = 'p_episodes';
+
+describe('Rick and Morty migration', () => {
+  let environment;
+  let hubspot;
+  let migrate;
+  let source;
+
+  before(async () => {
+    environment = await startTestEnvironment();
+    hubspot = environment.hubspot;
+    ({ migrateRickAndMortyToHubspot: migrate } = require('../src/services/hubspotMigrationService'));
+    source = require('../src/clients/hubspotClient').getHubspotClient('source');
+  });
+
+  after(() => environment.stop());
+
+  it('creates the selected characters as contacts associated with their location companies and episodes', async () => {
+    const summary = await migrate(source, { restart: true, episodeObjectType: EPISODE_OBJECT_TYPE });
+
+    // Default selection: ID 1 and prime IDs; the fixtures hold characters 1 to 8
+    assert.deepEqual(summary.errors, []);
+    assert.equal(summary.contactsCreated, 5);
+    assert.equal(summary.contactsUpdated, 0);
+    assert.equal(summary.contactsFailed, 0);
+
+    const contacts = hubspot.listRecords('source', 'contacts');
+    assert.deepEqual(contacts.map(contact => contact.properties.character_id).sort(), ['1', '2', '3', '5', '7']);
+    const rick = hubspot.findRecord('source', 'contacts', 'character_id', 1);
+    assert.equal(rick.properties.firstname, 'Rick');
+    assert.equal(rick.properties.lastname, 'Sanchez');
+    assert.equal(rick.properties.email, 'ricksanchez1@rickandmorty.com');
+    assert.equal(rick.properties.character_status, 'Alive');
+
+    // Origins Earth (C-137) and Earth (Replacement Dimension) (Morty's is unknown), current locations
+    // the Citadel of Ricks, Earth (Replacement Dimension) and the Testicle Monster Dimension
+    const companies = hubspot.listRecords('source', 'companies');
+    assert.deepEqual(companies.map(company => company.properties.location_id).sort(), ['1', '20', '21', '3']);
+    const replacementEarth = hubspot.findRecord('source', 'companies', 'location_id', 20);
+    assert.equal(replacementEarth.properties.name, 'Earth (Replacement Dimension)');
+    assert.equal(replacementEarth.properties.dimension, 'Replacement Dimension');
+
+    const jerry = hubspot.findRecord('source', 'contacts', 'character_id', 5);
+    assert.deepEqual(hubspot.associations('source', 'contacts', jerry.id, 'companies').map(a => a.toObjectId), [replacementEarth.id]);
+    const citadel = hubspot.findRecord('source', 'companies', 'location_id', 3);
+    const morty = hubspot.findRecord('source', 'contacts', 'character_id', 2);
+    assert.deepEqual(hubspot.associations('source', 'contacts', morty.id, 'companies').map(a => a.toObjectId), [citadel.id]);
+
+    const episodes = hubspot.listRecords('source', EPISODE_OBJECT_TYPE);
+    assert.equal(episodes.length, 7);
+    const pilot = hubspot.findRecord('source', EPISODE_OBJECT_TYPE, 'episode_id', 1);
+    assert.equal(pilot.properties.episode_code, 'S01E01');
+    assert.equal(pilot.properties.season, '1');
+    assert.equal(hubspot.associations('source', 'contacts', rick.id, EPISODE_OBJECT_TYPE).length, 7);
+  });
+
+  it('updates the existing records on a second run instead of duplicating them', async () => {
+    const summary = await migrate(source, { restart: true, episodeObjectType: EPISODE_OBJECT_TYPE });
+
+    assert.deepEqual(summary.errors, []);
+    assert.equal(summary.contactsCreated, 0);
+    assert.equal(summary.contactsUpdated, 5);
+    assert.equal(hubspot.listRecords('source', 'contacts').length, 5);
+    assert.equal(hubspot.listRecords('source', 'companies').length, 4);
+    assert.equal(hubspot.listRecords('source', EPISODE_OBJECT_TYPE).length, 7);
+    // The association labels are created once
+    assert.equal(hubspot.labels('source', 'contacts', 'companies').filter(type => type.category === 'USER_DEFINED').length, 2);
+  });
+
+  it('labels the origin and current location associations on both sides', async () => {
+    const labelsOf = associations => Object.fromEntries(associations.map(association => [
+      association.toObjectId,
+      association.associationTypes.map(type => type.label).filter(Boolean).sort(),
+    ]));
+    const company = locationId => hubspot.findRecord('source', 'companies', 'location_id', locationId).id;
+    const contact = characterId => hubspot.findRecord('source', 'contacts', 'character_id', characterId).id;
+
+    // Rick comes from Earth (C-137), which stays his primary company, and lives in the Citadel
+    const rick = hubspot.associations('source', 'contacts', contact(1), 'companies');
+    assert.deepEqual(labelsOf(rick), { [company(1)]: ['Origin'], [company(3)]: ['Current location'] });
+    const primary = rick.filter(({ associationTypes }) => associationTypes
+      .some(type => type.typeId === ASSOCIATION_TYPES['contacts->companies'].primary));
+    assert.deepEqual(primary.map(association => association.toObjectId), [company(1)]);
+    // Summer comes from and lives on Earth (Replacement Dimension): one association with both labels
+    assert.deepEqual(labelsOf(hubspot.associations('source', 'contacts', contact(3), 'companies')), {
+      [company(20)]: ['Current location', 'Origin'],
+    });
+
+    // The companies list who comes from there and who lives there now
+    assert.deepEqual(labelsOf(hubspot.associations('source', 'companies', company(3), 'contacts')), {
+      [contact(1)]: ['Current location'],
+      [contact(2)]: ['Current location'],
+    });
+    assert.deepEqual(labelsOf(hubspot.associations('source', 'companies', company(20), 'contacts')), {
+      [contact(3)]: ['Current location', 'Origin'],
+      [contact(5)]: ['Current location', 'Origin'],
+      [contact(7)]: ['Origin'],
+    });
+  });
+
+  it('moves the current location association when a character moves', async () => {
+    hubspot.reset();
+    const { createRickAndMortyClient } = require('../src/clients/rickAndMortyClient');
+    const { createMigrationService } = require('../src/services/hubspotMigrationService');
+    const service = createMigrationService({
+      hubspotClient: source,
+      rickAndMorty: createRickAndMortyClient({ baseUrl: environment.rickAndMorty.url, cache: { store: null } }),
+      config: { checkpointFile: path.join(environment.dataDir, 'moving-checkpoint.json') },
+    });
+    const run = async () => {
+      const summary = await service.migrate({ restart: true, selection: { ids: [1, 2] } });
+      assert.deepEqual(summary.errors, []);
+    };
+    const labelsOf = (objectType, id, toObjectType) => Object.fromEntries(hubspot.associations('source', objectType, id, toObjectType)
+      .map(association => [association.toObjectId, association.associationTypes.map(type => type.label).filter(Boolean).sort()]));
+    const company = locationId => hubspot.findRecord('source', 'companies', 'location_id', locationId).id;
+    const contact = characterId => hubspot.findRecord('source', 'contacts', 'character_id', characterId).id;
+
+    try {
+      await run();
+      assert.deepEqual(labelsOf('contacts', contact(1), 'companies'), { [company(1)]: ['Origin'], [company(3)]: ['Current location'] });
+
+      // Rick moves back to Earth (C-137): its company keeps the origin and gains the current location
+      environment.rickAndMorty.moveCharacter(1, 1);
+      await run();
+      assert.deepEqual(labelsOf('contacts', contact(1), 'companies'), { [company(1)]: ['Current location', 'Origin'] });
+      assert.deepEqual(labelsOf('companies', company(3), 'contacts'), { [contact(2)]: ['Current location'] });
+
+      // Then to Earth (Replacement Dimension): only the current location label leaves Earth (C-137)
+      environment.rickAndMorty.moveCharacter(1, 20);
+      await run();
+      assert.deepEqual(labelsOf('contacts', contact(1), 'companies'), { [company(1)]: ['Origin'], [company(20)]: ['Current location'] });
+      assert.deepEqual(labelsOf('companies', company(20), 'contacts'), { [contact(1)]: ['Current location'] });
+    } finally {
+      environment.rickAndMorty.moveCharacter(1, 3);
+    }
+  });
+
+  it('plans a dry run without writing to HubSpot', async () => {
+    hubspot.reset();
+    const summary = await migrate(source, {
+      restart: true,
+      dryRun: true,
+      selection: { ids: [6, 7] },
+    });
+
+    assert.equal(summary.contactsCreated, 2);
+    // Two contacts, the two association labels, the three companies of their origins
+    // (Abadango, Earth (Replacement Dimension)) and current locations (Abadango, Testicle Monster Dimension),
+    // and an origin and a current location association per contact
+    assert.equal(summary.plan.summary().create, 7);
+    assert.equal(summary.plan.summary().associate, 4);
+    assert.deepEqual(
+      summary.plan.entries.filter(entry => entry.objectType === 'association label').map(entry => entry.key),
+      ['origin', 'current_location']
+    );
+    assert.deepEqual(hubspot.labels('source', 'contacts', 'companies').map(type => type.category), ['HUBSPOT_DEFINED', 'HUBSPOT_DEFINED']);
+    assert.deepEqual(hubspot.listRecords('source', 'contacts'), []);
+    assert.deepEqual(hubspot.listRecords('source', 'companies'), []);
+  });
+
+  it('keeps the characters of a failed contact in the checkpoint and retries them on the next run', async () => {
+    hubspot.reset();
+    const checkpointFile = path.join(environment.dataDir, 'failed-contact-checkpoint.json');
+    // The batch and Rick's single-record retry are rejected, Morty's contact goes through
+    hubspot.failNext({ method: 'POST', path: '/crm/v3/objects/contacts/batch/create', status: 400, times: 2 });
+
+    let summary = await migrate(source, { selection: { ids: [1, 2] }, checkpointFile });
+
+    assert.deepEqual(summary.errors.map(error => [error.type, error.key]), [['contact', '1']]);
+    const checkpoint = readJsonFile(checkpointFile);
+    assert.equal(checkpoint.completed, false);
+    assert.deepEqual(checkpoint.failedCharacters, { 1: null });
+
+    summary = await migrate(source, { selection: { ids: [1, 2] }, checkpointFile });
+
+    assert.deepEqual(summary.errors, []);
+    assert.deepEqual([summary.contactsCreated, summary.contactsUpdated, summary.contactsFailed], [2, 0, 0]);
+    assert.equal(readJsonFile(checkpointFile).completed, true);
+    const rick = hubspot.findRecord('source', 'contacts', 'character_id', 1);
+    assert.equal(hubspot.associations('source', 'contacts', rick.id, 'companies').length, 2);
+  });
+
+  it('retries the characters whose location companies failed without counting their contacts twice', async () => {
+    hubspot.reset();
+    const checkpointFile = path.join(environment.dataDir, 'failed-company-checkpoint.json');
+    hubspot.failNext({ method: 'POST', path: '/crm/v3/objects/companies/search', status: 500 });
+
+    let summary = await migrate(source, { selection: { ids: [5] }, checkpointFile });
+
+    assert.deepEqual(summary.errors.map(error => [error.type, error.key]), [['company', 'https://rickandmortyapi.com/api/location/20']]);
+    assert.equal(summary.contactsCreated, 1);
+    const jerry = hubspot.findRecord('source', 'contacts', 'character_id', 5);
+    assert.deepEqual(readJsonFile(checkpointFile).failedCharacters, { 5: jerry.id });
+
+    summary = await migrate(source, { selection: { ids: [5] }, checkpointFile });
+
+    assert.deepEqual(summary.errors, []);
+    assert.deepEqual([summary.contactsCreated, summary.contactsUpdated], [1, 0]);
+    const company = hubspot.findRecord('source', 'companies', 'location_id', 20);
+    assert.deepEqual(hubspot.associations('source', 'contacts', jerry.id, 'companies').map(a => a.toObjectId), [company.id]);
+  });
+
+  it('does not duplicate the companies of an applied batch while the search index lags behind', async () => {
+    hubspot.reset();
+    const checkpointFile = path.join(environment.dataDir, 'lagging-search-checkpoint.json');
+    hubspot.lagSearchIndex();
+    hubspot.failNext({ method: 'POST', path: '/crm/v3/objects/companies/batch/create', status: 500, applied: true });
+
+    let summary = await migrate(source, { selection: { ids: [5] }, checkpointFile });
+
+    assert.deepEqual(summary.errors.map(error => [error.type, error.key]), [['company', 'https://rickandmortyapi.com/api/location/20']]);
+    assert.equal(readJsonFile(checkpointFile).completed, false);
+
+    hubspot.lagSearchIndex(false);
+    summary = await migrate(source, { selection: { ids: [5] }, checkpointFile });
+
+    assert.deepEqual(summary.errors, []);
+    const companies = hubspot.listRecords('source', 'companies').filter(company => company.properties.location_id === '20');
+    assert.equal(companies.length, 1);
+    const jerry = hubspot.findRecord('source', 'contacts', 'character_id', 5);
+    assert.deepEqual(hubspot.associations('source', 'contacts', jerry.id, 'companies').map(a => a.toObjectId), [companies[0].id]);
+  });
+
+  it('runs with injected clients and settings instead of the environment', async () => {
+    hubspot.reset();
+    const { createHubspotClient } = require('../src/clients/hubspotClient');
+    const { createRickAndMortyClient } = require('../src/clients/rickAndMortyClient');
+    const { createMigrationService } = require('../src/services/hubspotMigrationService');
+    const service = createMigrationService({
+      hubspotClient: createHubspotClient({ accessToken: TOKENS.mirror, account: 'mirror', basePath: hubspot.url }),
+      rickAndMorty: createRickAndMortyClient({ baseUrl: environment.rickAndMorty.url, cache: { store: null } }),
+      config: { episodeObjectType: EPISODE_OBJECT_TYPE, checkpointFile: path.join(environment.dataDir, 'injected-checkpoint.json') },
+    });
+
+    const summary = await service.migrate({ selection: { ids: [1] } });
+
+    assert.equal(summary.contactsCreated, 1);
+    assert.equal(hubspot.findRecord('mirror', 'contacts', 'character_id', 1).properties.firstname, 'Rick');
+    assert.equal(hubspot.listRecords('mirror', EPISODE_OBJECT_TYPE).length, 7);
+    assert.deepEqual(hubspot.listRecords('source', 'contacts'), []);
+  });
+});
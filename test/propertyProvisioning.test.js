@@ -0,0 +1,123 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestEnvironment } = require('./helpers/testEnvironment');
+
+describe('Property provisioning', () => {
+  let environment;
+  let hubspot;
+  let source;
+  let provisioning;
+
+  const propertyNames = objectType => hubspot.properties('source', objectType).map(property => property.name).sort();
+  const property = (objectType, name) => hubspot.properties('source', objectType).find(definition => definition.name === name);
+  const expectedNames = objectType => provisioning.PROPERTY_DEFINITIONS[objectType].map(definition => definition.name).sort();
+
+  /**
+   * Seeds the integration's property group and one property, as an earlier setup would have
+   */
+  const seedProperty = (objectType, definition) => {
+    if (!hubspot.properties('source', objectType).length) {
+      hubspot.definePropertyGroup('source', objectType, provisioning.PROPERTY_GROUP);
+    }
+    hubspot.defineProperty('source', objectType, { groupName: provisioning.PROPERTY_GROUP.name, ...definition });
+  };
+
+  before(async () => {
+    environment = await startTestEnvironment();
+    hubspot = environment.hubspot;
+    source = require('../src/clients/hubspotClient').getHubspotClient('source');
+    provisioning = require('../src/services/propertyProvisioningService');
+  });
+
+  beforeEach(() => hubspot.reset());
+
+  after(() => environment.stop());
+
+  it('creates the missing group and properties, after reporting them', async () => {
+    const checked = await provisioning.provisionProperties({ Source: source }, { checkOnly: true });
+
+    const [contacts] = checked.plans.Source;
+    assert.equal(contacts.objectType, 'contacts');
+    assert.equal(contacts.createGroup, true);
+    assert.deepEqual(contacts.create.map(definition => definition.name).sort(), expectedNames('contacts'));
+    assert.deepEqual(propertyNames('contacts'), []);
+
+    const applied = await provisioning.provisionProperties({ Source: source });
+
+    assert.deepEqual(applied.failures, []);
+    assert.deepEqual(propertyNames('contacts'), expectedNames('contacts'));
+    assert.deepEqual(propertyNames('companies'), expectedNames('companies'));
+    assert.equal(property('contacts', 'character_id').hasUniqueValue, true);
+    assert.equal(property('contacts', 'character_id').groupName, provisioning.PROPERTY_GROUP.name);
+
+    // Nothing is left to change
+    const plan = await provisioning.planPropertyChanges(source);
+    assert.deepEqual(plan.map(({ createGroup, create, addOptions, conflicts }) => [createGroup, create, addOptions, conflicts]), [
+      [false, [], [], []],
+      [false, [], [], []],
+    ]);
+  });
+
+  it('adds the missing enumeration options and keeps the existing ones', async () => {
+    seedProperty('contacts', {
+      name: 'character_status',
+      label: 'Character status',
+      type: 'enumeration',
+      fieldType: 'select',
+      options: [
+        { label: 'Alive', value: 'Alive', displayOrder: 0, hidden: false },
+        { label: 'Presumed dead', value: 'Presumed dead', displayOrder: 1, hidden: false },
+      ],
+    });
+
+    const [contacts] = await provisioning.planPropertyChanges(source);
+
+    assert.equal(contacts.createGroup, false);
+    assert.deepEqual(contacts.addOptions.map(({ name, missing }) => [name, missing.map(option => option.value)]), [
+      ['character_status', ['Dead', 'unknown']],
+    ]);
+
+    const failures = await provisioning.applyPropertyChanges(source, [contacts]);
+
+    assert.deepEqual(failures, []);
+    assert.deepEqual(property('contacts', 'character_status').options.map(option => option.value), [
+      'Alive', 'Presumed dead', 'Dead', 'unknown',
+    ]);
+  });
+
+  it('reports type and unique-value conflicts without changing them, and blocks the migration', async () => {
+    seedProperty('contacts', { name: 'character_id', label: 'Character ID', type: 'string', fieldType: 'text' });
+    seedProperty('companies', { name: 'resident_count', label: 'Resident count', type: 'string', fieldType: 'text' });
+
+    await assert.rejects(
+      provisioning.requireProvisionedProperties({ Source: source }),
+      /Custom properties are not ready/
+    );
+
+    const [contacts, companies] = await provisioning.planPropertyChanges(source);
+    assert.deepEqual(contacts.conflicts, [{ name: 'character_id', mismatches: ['hasUniqueValue is false, expected true'] }]);
+    assert.deepEqual(companies.conflicts, [{ name: 'resident_count', mismatches: ["type is 'string', expected 'number'"] }]);
+    assert.equal(property('contacts', 'character_id').hasUniqueValue, false);
+    assert.equal(property('companies', 'resident_count').type, 'string');
+    // The properties without conflicts were still created
+    assert.deepEqual(contacts.create, []);
+    assert.deepEqual(companies.create, []);
+  });
+
+  it('reports the changes HubSpot refuses as failures', async () => {
+    hubspot.failNext({ method: 'POST', path: '/crm/v3/properties/contacts/groups', status: 400 });
+
+    const { failures } = await provisioning.provisionProperties({ Source: source });
+
+    assert.deepEqual(failures.map(({ account, objectType, name }) => [account, objectType, name]), [
+      ['Source', 'contacts', provisioning.PROPERTY_GROUP.name],
+    ]);
+    // The properties of a type whose group could not be created are not attempted
+    assert.deepEqual(propertyNames('contacts'), []);
+    assert.deepEqual(propertyNames('companies'), expectedNames('companies'));
+
+    // The next run completes the setup
+    await provisioning.requireProvisionedProperties({ Source: source });
+    assert.deepEqual(propertyNames('contacts'), expectedNames('contacts'));
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { startTestEnvironment } = require('./helpers/testEnvironment');
+
+const CLI = path.join(__dirname, '..', 'src', 'cli.js');
+
+/**
+ * Runs the CLI with the test environment, resolving to its exit code and output
+ */
+const runCli = (args, env) => new Promise((resolve) => {
+  execFile(process.execPath, [CLI, ...args], { env: { ...process.env, ...env } }, (error, stdout, stderr) => {
+    resolve({ code: error ? error.code : 0, stdout, stderr });
+  });
+});
+
+describe('Reconciliation report', () => {
+  let environment;
+  let hubspot;
+  let verify;
+
+  const sourceContact = characterId => hubspot.findRecord('source', 'contacts', 'character_id', characterId);
+  const mirrorOf = sourceId => hubspot.findRecord('mirror', 'contacts', 'source_record_id', sourceId);
+
+  before(async () => {
+    environment = await startTestEnvironment();
+    hubspot = environment.hubspot;
+    const { getHubspotClient } = require('../src/clients/hubspotClient');
+    const { migrateRickAndMortyToHubspot } = require('../src/services/hubspotMigrationService');
+    const { runSync } = require('../src/services/hubspotSyncService');
+    const { createReconciliationService } = require('../src/services/reconciliationService');
+
+    const migration = await migrateRickAndMortyToHubspot(getHubspotClient('source'), { restart: true });
+    assert.deepEqual(migration.errors, []);
+    const sync = await runSync();
+    assert.equal(sync.error, undefined);
+
+    ({ verify } = createReconciliationService({
+      sourceClient: getHubspotClient('source'),
+      mirrorClient: getHubspotClient('mirror'),
+    }));
+  });
+
+  after(() => environment.stop());
+
+  it('finds nothing to report after a complete migration and sync', async () => {
+    const report = await verify();
+
+    assert.deepEqual(report.findings, []);
+    assert.deepEqual(report.summary, { missing: 0, mismatch: 0, orphan: 0, duplicate: 0 });
+    assert.deepEqual(report.counts, {
+      expected: { contacts: 5, companies: 4 },
+      source: { contacts: 5, companies: 4 },
+      mirror: { contacts: 5, companies: 4 },
+    });
+  });
+
+  it('reports missing records, mismatches, orphaned contacts and duplicate character IDs', async () => {
+    const citadel = hubspot.findRecord('source', 'companies', 'location_id', 3);
+    const abradolf = sourceContact(7);
+    hubspot.archiveRecord('source', 'contacts', abradolf.id);
+    const summer = sourceContact(3);
+    hubspot.updateRecord('source', 'contacts', summer.id, { firstname: 'Sumer' });
+    const rick = sourceContact(1);
+    const mirrorRick = mirrorOf(rick.id);
+    for (const { toObjectId } of hubspot.associations('mirror', 'contacts', mirrorRick.id, 'companies')) {
+      hubspot.unassociate('mirror', 'contacts', mirrorRick.id, 'companies', toObjectId);
+    }
+    const morty = sourceContact(2);
+    hubspot.unassociate('source', 'contacts', morty.id, 'companies', citadel.id);
+    const jerryCopy = hubspot.createRecord('source', 'contacts', {
+      character_id: '5', email: 'jerry.copy@rickandmorty.com', firstname: 'Jerry',
+    });
+
+    const report = await verify();
+
+    assert.deepEqual(report.summary, { missing: 2, mismatch: 2, orphan: 2, duplicate: 1 });
+    const rows = report.findings.map(finding => [
+      finding.check, finding.account, finding.objectType, finding.key, finding.property, finding.expected, finding.actual,
+    ]);
+    assert.deepEqual(rows, [
+      ['missing', 'source', 'contact', '7', '', '', ''],
+      ['missing', 'mirror', 'contact', jerryCopy.id, '', '', ''],
+      ['mismatch', 'source', 'contact', '3', 'firstname', 'Summer', 'Sumer'],
+      ['mismatch', 'mirror', 'contact', summer.id, 'firstname', 'Sumer', 'Summer'],
+      ['orphan', 'source', 'contact', '2', 'company (Current location)', 'location_id 3', ''],
+      ['orphan', 'mirror', 'contact', rick.id, 'company', `Source company ${hubspot.associations('source', 'contacts', rick.id, 'companies')[0].toObjectId}`, ''],
+      ['duplicate', 'source', 'contact', '5', 'character_id', '', '2 contacts'],
+    ]);
+  });
+
+  it('exports the report as JSON and CSV from the verify command', async () => {
+    const out = path.join(environment.dataDir, 'reports', 'verify.json');
+    const result = await runCli(['verify', '--account', 'source', '--out', out, '--format', 'json'], environment.env);
+
+    // Findings make the command fail
+    assert.equal(result.code, 1);
+    assert.deepEqual(JSON.parse(result.stdout).summary, { missing: 1, mismatch: 1, orphan: 1, duplicate: 1 });
+    assert.deepEqual(JSON.parse(fs.readFileSync(out, 'utf8')).accounts, ['source']);
+
+    const csv = fs.readFileSync(path.join(environment.dataDir, 'reports', 'verify.csv'), 'utf8').trim().split('\n');
+    assert.equal(csv[0], 'check,account,comparedTo,objectType,key,id,property,expected,actual');
+    assert.equal(csv.length, 5);
+    assert.match(csv[2], /^mismatch,source,rick-and-morty,contact,3,\d+,firstname,Summer,Sumer$/);
+  });
+});
@@ -0,0 +1,184 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startTestEnvironment } = require('./helpers/testEnvironment');
+const { createRickAndMortyServer } = require('./helpers/rickAndMortyServer');
+
+describe('Rick and Morty client', () => {
+  let environment;
+  let rickAndMorty;
+  let api;
+
+  const requestsTo = resource => rickAndMorty.requests.filter(request => request.path.startsWith(`/api/${resource}`));
+
+  // A stand-in with 45 generated characters (three filter pages), 30 of them alive
+  before(async () => {
+    environment = await startTestEnvironment();
+    const fixturesDir = path.join(environment.dataDir, 'many-characters');
+    fs.mkdirSync(fixturesDir);
+    const characters = Array.from({ length: 45 }, (_, index) => ({
+      id: index + 1,
+      name: `Rick ${index + 1}`,
+      status: index % 3 === 2 ? 'Dead' : 'Alive',
+      species: 'Human',
+      type: '',
+      gender: 'Male',
+      episode: [],
+    }));
+    fs.writeFileSync(path.join(fixturesDir, 'characters.json'), JSON.stringify(characters));
+    rickAndMorty = createRickAndMortyServer({ fixturesDir });
+    await rickAndMorty.start();
+    const { createRickAndMortyClient } = require('../src/clients/rickAndMortyClient');
+    api = createRickAndMortyClient({ baseUrl: rickAndMorty.url, cache: { store: null } });
+  });
+
+  afterEach(() => {
+    rickAndMorty.requests.length = 0;
+  });
+
+  after(async () => {
+    await rickAndMorty.stop();
+    await environment.stop();
+  });
+
+  it('fetches several characters with one multi-ID request, skipping unknown IDs', async () => {
+    const characters = await api.getCharactersByIds([3, 1, 3, 99]);
+
+    assert.deepEqual(characters.map(character => character.id), [1, 3]);
+    assert.deepEqual(requestsTo('character').map(request => request.path), ['/api/character/[3,1,99]']);
+  });
+
+  it('wraps the single object the API answers for one ID', async () => {
+    const characters = await api.getCharactersByIds([7]);
+
+    assert.deepEqual(characters.map(character => character.name), ['Rick 7']);
+    assert.deepEqual(requestsTo('character').map(request => request.path), ['/api/character/[7]']);
+    assert.deepEqual(await api.getCharactersByIds([]), []);
+  });
+
+  it('splits the IDs into requests of at most 100', async () => {
+    const ids = Array.from({ length: 150 }, (_, index) => index + 1);
+
+    const characters = await api.getCharactersByIds(ids);
+
+    assert.equal(characters.length, 45);
+    assert.deepEqual(requestsTo('character').map(request => request.path.split(',').length), [100, 50]);
+  });
+
+  it('follows the filter pages until the last one', async () => {
+    const alive = await api.getCharacters({ status: 'alive', name: 'rick' });
+
+    assert.equal(alive.length, 30);
+    assert.ok(alive.every(character => character.status === 'Alive'));
+    assert.deepEqual(requestsTo('character').map(request => request.query.page), ['1', '2']);
+
+    const everyone = await api.getCharacters();
+
+    assert.equal(new Set(everyone.map(character => character.id)).size, 45);
+    assert.deepEqual(requestsTo('character').slice(2).map(request => request.query.page), ['1', '2', '3']);
+  });
+
+  it('returns no result for an empty filter result, and rejects unsupported filters', async () => {
+    assert.deepEqual(await api.getCharacters({ name: 'Birdperson' }), []);
+    await assert.rejects(api.getCharacters({ dimension: 'C-137' }), /Unsupported filter 'dimension'/);
+  });
+});
+
+describe('Rick and Morty response cache', () => {
+  let environment;
+  let rickAndMorty;
+  let createRickAndMortyClient;
+  let createMemoryStore;
+
+  /**
+   * Client of the stand-in API with the given cache settings
+   */
+  const client = cache => createRickAndMortyClient({ baseUrl: rickAndMorty.url, cache });
+  const requestsTo = resource => rickAndMorty.requests.filter(request => request.path.startsWith(`/api/${resource}`));
+
+  before(async () => {
+    environment = await startTestEnvironment();
+    rickAndMorty = environment.rickAndMorty;
+    ({ createRickAndMortyClient } = require('../src/clients/rickAndMortyClient'));
+    ({ createMemoryStore } = require('../src/clients/responseCache'));
+  });
+
+  afterEach(() => {
+    rickAndMorty.setAvailable(true);
+    rickAndMorty.requests.length = 0;
+  });
+
+  after(() => environment.stop());
+
+  it('answers from the cache while an entry is within its TTL', async () => {
+    const api = client({ store: createMemoryStore(), ttlSeconds: 60 });
+
+    const first = await api.getCharactersByIds([1, 2]);
+    const second = await api.getCharactersByIds([1, 2]);
+
+    assert.deepEqual(second, first);
+    assert.equal(requestsTo('character').length, 1);
+  });
+
+  it('revalidates expired entries with their ETag', async () => {
+    const api = client({ store: createMemoryStore(), ttlSeconds: 0 });
+
+    const [rick] = await api.getCharactersByIds([1]);
+    const [revalidated] = await api.getCharactersByIds([1]);
+
+    assert.deepEqual(revalidated, rick);
+    const [fetched, revalidation] = requestsTo('character');
+    assert.equal(fetched.status, 200);
+    assert.ok(revalidation.ifNoneMatch, 'sends the ETag of the cached response');
+    assert.equal(revalidation.status, 304);
+  });
+
+  it('replaces an expired entry whose resource changed', async () => {
+    const api = client({ store: createMemoryStore(), ttlSeconds: 0 });
+    await api.getLocationsByIds([3]);
+
+    rickAndMorty.moveCharacter(8, 20);
+    try {
+      const [citadel] = await api.getLocationsByIds([3]);
+
+      assert.equal(requestsTo('location')[1].status, 200);
+      assert.ok(!citadel.residents.includes('https://rickandmortyapi.com/api/character/8'));
+    } finally {
+      rickAndMorty.moveCharacter(8, 3);
+    }
+  });
+
+  it('serves an expired entry while the API is unavailable', async () => {
+    const api = client({ store: createMemoryStore(), ttlSeconds: 0 });
+    const [rick] = await api.getCharactersByIds([1]);
+
+    rickAndMorty.setAvailable(false);
+
+    assert.deepEqual(await api.getCharactersByIds([1]), [rick]);
+    assert.equal(requestsTo('character')[1].status, 503);
+    // Without a cached response the outage is an error
+    await assert.rejects(api.getCharactersByIds([2]), /API request failed for character IDs 2/);
+  });
+
+  it('caches the 404 of an empty filter result', async () => {
+    const api = client({ store: createMemoryStore(), ttlSeconds: 60 });
+
+    assert.deepEqual(await api.getCharacters({ name: 'Birdperson' }), []);
+    assert.deepEqual(await api.getCharacters({ name: 'Birdperson' }), []);
+
+    assert.deepEqual(requestsTo('character').map(request => request.status), [404]);
+  });
+
+  it('answers from the cache only in offline mode, even from expired entries', async () => {
+    const store = createMemoryStore();
+    const [rick] = await client({ store, ttlSeconds: 0 }).getCharactersByIds([1]);
+    rickAndMorty.requests.length = 0;
+
+    const offline = client({ store, ttlSeconds: 0, offline: true });
+
+    assert.deepEqual(await offline.getCharactersByIds([1]), [rick]);
+    await assert.rejects(offline.getCharactersByIds([2]), /API request failed for character IDs 2/);
+    assert.deepEqual(rickAndMorty.requests, []);
+  });
+});
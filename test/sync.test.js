@@ -0,0 +1,121 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestEnvironment } = require('./helpers/testEnvironment');
+
+const PRIMARY_COMPANY = [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: 1 }];
+
+describe('Source to Mirror full sync', () => {
+  let environment;
+  let hubspot;
+  let runSync;
+  const sourceIds = { companies: {}, contacts: {} };
+
+  /**
+   * Creates a Source contact, associated with a Source company when one is given
+   */
+  const seedContact = (characterId, name, companyKey) => {
+    const [firstname, lastname] = name.split(' ');
+    const contact = hubspot.createRecord('source', 'contacts', {
+      character_id: String(characterId),
+      email: `${firstname.toLowerCase()}${characterId}@rickandmorty.com`,
+      firstname,
+      lastname,
+      character_status: 'Alive',
+    });
+    if (companyKey) {
+      hubspot.associate('source', 'contacts', contact.id, 'companies', sourceIds.companies[companyKey], PRIMARY_COMPANY);
+    }
+    sourceIds.contacts[characterId] = contact.id;
+    return contact;
+  };
+
+  const mirrorOf = (objectType, sourceId) => hubspot.findRecord('mirror', objectType, 'source_record_id', sourceId);
+
+  const mirrorCompanyIdsOf = (characterId) => {
+    const contact = mirrorOf('contacts', sourceIds.contacts[characterId]);
+    return hubspot.associations('mirror', 'contacts', contact.id, 'companies').map(association => association.toObjectId);
+  };
+
+  before(async () => {
+    environment = await startTestEnvironment();
+    hubspot = environment.hubspot;
+    ({ runSync } = require('../src/services/hubspotSyncService'));
+
+    sourceIds.companies.c137 = hubspot.createRecord('source', 'companies', { name: 'Earth (C-137)', location_id: '1' }).id;
+    sourceIds.companies.replacement = hubspot.createRecord('source', 'companies', {
+      name: 'Earth (Replacement Dimension)', location_id: '20', industry: 'Planet',
+    }).id;
+    seedContact(1, 'Rick Sanchez', 'c137');
+    seedContact(2, 'Morty Smith');
+    seedContact(3, 'Summer Smith', 'replacement');
+    seedContact(4, 'Beth Smith', 'replacement');
+    seedContact(5, 'Jerry Smith', 'replacement');
+    // Not a migrated character: skipped by the sync
+    hubspot.createRecord('source', 'contacts', { email: 'mr.goldenfold@example.com', firstname: 'Mr.' });
+
+    // Mirror company created by hand before the sync existed: adopted through its location_id
+    hubspot.createRecord('mirror', 'companies', { name: 'Earth (Replacement Dimension)', location_id: '20' });
+  });
+
+  after(() => environment.stop());
+
+  it('copies the Source companies and contacts to Mirror with their associations', async () => {
+    const summary = await runSync();
+
+    assert.equal(summary.error, undefined);
+    assert.deepEqual(
+      [summary.companies.created, summary.companies.updated, summary.companies.failed],
+      [1, 1, 0]
+    );
+    assert.deepEqual(
+      [summary.contacts.created, summary.contacts.skipped, summary.contacts.failed],
+      [5, 1, 0]
+    );
+
+    // The adopted company is stamped instead of duplicated
+    const mirrorCompanies = hubspot.listRecords('mirror', 'companies');
+    assert.equal(mirrorCompanies.length, 2);
+    const replacement = mirrorOf('companies', sourceIds.companies.replacement);
+    assert.equal(replacement.properties.industry, 'Planet');
+
+    const rick = mirrorOf('contacts', sourceIds.contacts[1]);
+    assert.equal(rick.properties.email, 'rick1@rickandmorty.com');
+    assert.equal(rick.properties.character_id, '1');
+    assert.deepEqual(mirrorCompanyIdsOf(1), [mirrorOf('companies', sourceIds.companies.c137).id]);
+    assert.deepEqual(mirrorCompanyIdsOf(3), [replacement.id]);
+    assert.deepEqual(mirrorCompanyIdsOf(2), []);
+  });
+
+  it('updates the same Mirror records on the next run', async () => {
+    hubspot.updateRecord('source', 'contacts', sourceIds.contacts[2], { character_status: 'Dead' });
+
+    const summary = await runSync();
+
+    assert.equal(summary.error, undefined);
+    assert.equal(summary.companies.created, 0);
+    assert.equal(summary.contacts.created, 0);
+    assert.equal(summary.contacts.updated, 5);
+    assert.equal(hubspot.listRecords('mirror', 'contacts').length, 5);
+    assert.equal(mirrorOf('contacts', sourceIds.contacts[2]).properties.character_status, 'Dead');
+  });
+
+  it('propagates Source deletions and association changes', async () => {
+    const jerry = mirrorOf('contacts', sourceIds.contacts[5]);
+    hubspot.archiveRecord('source', 'contacts', sourceIds.contacts[5]);
+    // Rick moves from Earth (C-137) to Earth (Replacement Dimension)
+    const rick = sourceIds.contacts[1];
+    hubspot.archiveRecord('source', 'companies', sourceIds.companies.c137);
+    hubspot.associate('source', 'contacts', rick, 'companies', sourceIds.companies.replacement, PRIMARY_COMPANY);
+
+    const summary = await runSync();
+
+    assert.equal(summary.error, undefined);
+    assert.equal(summary.contacts.archived, 1);
+    assert.deepEqual(hubspot.listRecords('mirror', 'contacts', { archived: true }).map(contact => contact.id), [jerry.id]);
+    assert.deepEqual(mirrorCompanyIdsOf(1), [mirrorOf('companies', sourceIds.companies.replacement).id]);
+    // One company out of two exceeds the 20% safety threshold: reported, nothing archived
+    assert.equal(summary.companies.archived, 0);
+    assert.match(summary.companies.errors[0].error, /Refusing to remove 1 of 2 Mirror company records/);
+    assert.equal(hubspot.listRecords('mirror', 'companies').length, 2);
+  });
+});
@@ -0,0 +1,143 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { startTestEnvironment } = require('./helpers/testEnvironment');
+const { readJsonFile } = require('../src/utils/jsonFile');
+
+const PRIMARY_COMPANY = [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: 1 }];
+
+describe('Dry-run plans', () => {
+  let environment;
+  let createPlan;
+  let diffProperties;
+  let formatPlanTable;
+  let planToJson;
+
+  before(async () => {
+    environment = await startTestEnvironment();
+    ({ createPlan, diffProperties, formatPlanTable, planToJson } = require('../src/services/syncPlan'));
+  });
+
+  after(() => environment.stop());
+
+  it('diffs only the properties whose value would change', () => {
+    const changes = diffProperties(
+      { firstname: 'Rick', lastname: 'Sanchez', character_status: 'Alive', resident_count: '3', industry: null },
+      { firstname: 'Rick', lastname: 'Sanchez C-137', character_status: 'Dead', resident_count: 3, industry: '', email: 'rick@rickandmorty.com' }
+    );
+
+    // Numbers compare as strings; missing, null and empty values are equal
+    assert.deepEqual(changes, [
+      { property: 'lastname', from: 'Sanchez', to: 'Sanchez C-137' },
+      { property: 'character_status', from: 'Alive', to: 'Dead' },
+      { property: 'email', from: '', to: 'rick@rickandmorty.com' },
+    ]);
+    assert.deepEqual(diffProperties(undefined, { name: 'Citadel of Ricks' }), [{ property: 'name', from: '', to: 'Citadel of Ricks' }]);
+  });
+
+  it('renders a plan as a table with its summary, diffs and reasons', () => {
+    const plan = createPlan('sync');
+    plan.add({ action: 'create', objectType: 'company', key: '3', id: plan.plannedId('company', '3'), changes: diffProperties({}, { name: 'Citadel of Ricks' }) });
+    plan.add({ action: 'update', objectType: 'contact', key: '1', id: '1001', changes: diffProperties({ character_status: 'Alive' }, { character_status: 'Dead' }) });
+    plan.add({ action: 'skip', objectType: 'contact', key: 'x'.repeat(60), id: '1002', reason: 'unchanged' });
+
+    const [title, header, ...rows] = formatPlanTable(plan).split('\n');
+
+    assert.match(title, /^Plan 'sync' \(.+\): 1 create, 1 update, 0 associate, 0 archive, 0 unassociate, 1 skip$/);
+    assert.match(header, /^ACTION\s+OBJECT\s+KEY\s+ID\s+DETAILS$/);
+    assert.match(rows[0], /^create\s+company\s+3\s+planned:company:3\s+name: '' -> 'Citadel of Ricks'$/);
+    assert.match(rows[1], /^update\s+contact\s+1\s+1001\s+character_status: 'Alive' -> 'Dead'$/);
+    // Long cells are cut to 40 characters, the details column never is
+    assert.match(rows[2], new RegExp(`^skip\\s+contact\\s+${'x'.repeat(40)}\\s+1002\\s+unchanged$`));
+    assert.deepEqual(planToJson(plan).summary, plan.summary());
+  });
+});
+
+describe('Dry runs against HubSpot', () => {
+  let environment;
+  let hubspot;
+  let source;
+  let createSyncService;
+  let migrate;
+  let runs = 0;
+
+  /**
+   * Requests that would have changed an account: everything but reads, searches and batch reads
+   */
+  const writesTo = account => hubspot.requests.filter(request => request.account === account &&
+    request.method !== 'GET' && !/\/(search|batch\/read)$/.test(request.path));
+
+  before(async () => {
+    environment = await startTestEnvironment();
+    hubspot = environment.hubspot;
+    const { getHubspotClient } = require('../src/clients/hubspotClient');
+    source = getHubspotClient('source');
+    const mirror = getHubspotClient('mirror');
+    const { createIdMapStore } = require('../src/services/idMapStore');
+    const { createWatermarkStore } = require('../src/services/syncWatermarks');
+    ({ migrateRickAndMortyToHubspot: migrate } = require('../src/services/hubspotMigrationService'));
+    createSyncService = () => {
+      runs++;
+      return require('../src/services/hubspotSyncService').createSyncService({
+        sourceClient: source,
+        mirrorClient: mirror,
+        idMap: createIdMapStore(path.join(environment.dataDir, `id-map-${runs}.json`)),
+        watermarks: createWatermarkStore(path.join(environment.dataDir, `watermarks-${runs}.json`)),
+        config: {
+          planFile: path.join(environment.dataDir, `sync-plan-${runs}.json`),
+          deletion: { maxDeleteRatio: 1 },
+        },
+      });
+    };
+  });
+
+  beforeEach(() => hubspot.reset());
+
+  after(() => environment.stop());
+
+  it('plans a sync without writing to Mirror', async () => {
+    const citadel = hubspot.createRecord('source', 'companies', { name: 'Citadel of Ricks', location_id: '3' });
+    const rick = hubspot.createRecord('source', 'contacts', { character_id: '1', firstname: 'Rick', character_status: 'Dead', email: 'rick@rickandmorty.com' });
+    hubspot.associate('source', 'contacts', rick.id, 'companies', citadel.id, PRIMARY_COMPANY);
+    // Mirror already holds Rick, with an outdated status, and a record Source no longer has
+    hubspot.createRecord('mirror', 'contacts', { character_id: '1', firstname: 'Rick', character_status: 'Alive', email: 'rick@rickandmorty.com', source_record_id: rick.id });
+    hubspot.createRecord('mirror', 'contacts', { character_id: '9', firstname: 'Gone', source_record_id: '999999' });
+    hubspot.requests.length = 0;
+
+    const service = createSyncService();
+    const summary = await service.runSync({ dryRun: true });
+
+    assert.equal(summary.error, undefined);
+    assert.deepEqual(writesTo('mirror'), []);
+    assert.deepEqual(writesTo('source'), []);
+    assert.deepEqual(hubspot.listRecords('mirror', 'companies'), []);
+
+    const plan = readJsonFile(summary.plan.file);
+    const entry = (action, objectType) => plan.entries.find(found => found.action === action && found.objectType === objectType);
+    assert.equal(entry('create', 'company').id, 'planned:company:' + citadel.id);
+    assert.deepEqual(entry('update', 'contact').changes, [{ property: 'character_status', from: 'Alive', to: 'Dead' }]);
+    assert.equal(entry('associate', 'contact->company').id, `${hubspot.findRecord('mirror', 'contacts', 'character_id', 1).id}->planned:company:${citadel.id}`);
+    assert.equal(entry('archive', 'contact').key, '999999');
+
+    // Nothing was recorded as synchronized: a real run still does the whole work
+    const real = await service.runSync();
+    assert.deepEqual([real.companies.created, real.contacts.updated, real.contacts.archived], [1, 1, 1]);
+  });
+
+  it('plans a migration without writing to Source', async () => {
+    const summary = await migrate(source, {
+      dryRun: true,
+      selection: { ids: [1, 2] },
+      checkpointFile: path.join(environment.dataDir, 'dry-run-checkpoint.json'),
+    });
+
+    assert.deepEqual(summary.errors, []);
+    assert.deepEqual(writesTo('source'), []);
+    const created = objectType => summary.plan.entries
+      .filter(entry => entry.action === 'create' && entry.objectType === objectType)
+      .map(entry => entry.key);
+    assert.deepEqual(created('contact'), ['1', '2']);
+    assert.ok(created('company').includes('https://rickandmortyapi.com/api/location/3'));
+    assert.deepEqual(readJsonFile(path.join(environment.dataDir, 'dry-run-checkpoint.json'), null), null);
+  });
+});
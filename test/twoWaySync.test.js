@@ -0,0 +1,122 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestEnvironment } = require('./helpers/testEnvironment');
+
+describe('Two-way sync', () => {
+  let environment;
+  let hubspot;
+  let service;
+  let conflicts;
+  const sourceIds = {};
+
+  const mirrorOf = (objectType, sourceId) => hubspot.findRecord('mirror', objectType, 'source_record_id', sourceId);
+  const sourceRecord = (objectType, sourceId) => hubspot.listRecords('source', objectType).find(record => record.id === sourceId);
+
+  before(async () => {
+    environment = await startTestEnvironment();
+    hubspot = environment.hubspot;
+    const { getHubspotClient } = require('../src/clients/hubspotClient');
+    const { createSyncService } = require('../src/services/hubspotSyncService');
+    const { createConflictQueue } = require('../src/services/conflictQueue');
+    const { resolveDataPath } = require('../src/utils/jsonFile');
+    const { getLogger } = require('../src/utils/logger');
+
+    conflicts = createConflictQueue({ conflictFile: resolveDataPath('sync-conflicts.json'), logger: getLogger('sync') });
+    service = createSyncService({
+      sourceClient: getHubspotClient('source'),
+      mirrorClient: getHubspotClient('mirror'),
+      conflicts,
+      config: {
+        twoWay: true,
+        conflictPolicies: {
+          default: 'source-wins',
+          properties: { 'companies.phone': 'mirror-wins', email: 'manual' },
+        },
+      },
+    });
+
+    sourceIds.company = hubspot.createRecord('source', 'companies', {
+      name: 'Citadel of Ricks', location_id: '3', phone: '555-0100',
+    }).id;
+    sourceIds.contact = hubspot.createRecord('source', 'contacts', {
+      character_id: '8',
+      email: 'adjudicatorrick8@rickandmorty.com',
+      firstname: 'Adjudicator',
+      lastname: 'Rick',
+      character_status: 'Alive',
+    }).id;
+
+    const summary = await service.runSync();
+    assert.equal(summary.error, undefined);
+  });
+
+  after(() => environment.stop());
+
+  it('copies Mirror edits back to Source on incremental runs', async () => {
+    const mirrorContact = mirrorOf('contacts', sourceIds.contact);
+    hubspot.updateRecord('mirror', 'contacts', mirrorContact.id, { character_status: 'Dead' });
+
+    const summary = await service.runSync({ incremental: true });
+
+    assert.equal(summary.error, undefined);
+    assert.deepEqual([summary.contacts.sourceUpdated, summary.contacts.conflicts], [1, 0]);
+    assert.equal(sourceRecord('contacts', sourceIds.contact).properties.character_status, 'Dead');
+    assert.equal(mirrorOf('contacts', sourceIds.contact).properties.character_status, 'Dead');
+  });
+
+  it('resolves properties changed on both sides by their policy', async () => {
+    const mirrorContact = mirrorOf('contacts', sourceIds.contact);
+    const mirrorCompany = mirrorOf('companies', sourceIds.company);
+    hubspot.updateRecord('source', 'contacts', sourceIds.contact, { lastname: 'Sanchez' });
+    hubspot.updateRecord('mirror', 'contacts', mirrorContact.id, { lastname: 'Prime' });
+    hubspot.updateRecord('source', 'companies', sourceIds.company, { phone: '555-0101' });
+    hubspot.updateRecord('mirror', 'companies', mirrorCompany.id, { phone: '555-0199' });
+
+    const summary = await service.runSync({ incremental: true });
+
+    assert.equal(summary.error, undefined);
+    assert.deepEqual([summary.companies.conflicts, summary.contacts.conflicts], [1, 1]);
+    // source-wins (default) for the contact name, mirror-wins for the company phone
+    assert.equal(mirrorOf('contacts', sourceIds.contact).properties.lastname, 'Sanchez');
+    assert.equal(sourceRecord('companies', sourceIds.company).properties.phone, '555-0199');
+    assert.equal(mirrorOf('companies', sourceIds.company).properties.phone, '555-0199');
+
+    const resolved = conflicts.list('resolved');
+    assert.deepEqual(
+      resolved.map(item => [item.property, item.policy, item.resolution.winner, item.resolution.by]).sort(),
+      [['lastname', 'source-wins', 'source', 'policy'], ['phone', 'mirror-wins', 'mirror', 'policy']]
+    );
+    assert.equal(conflicts.stats().open, 0);
+  });
+
+  it('queues manual conflicts for review and applies the chosen side', async () => {
+    const mirrorContact = mirrorOf('contacts', sourceIds.contact);
+    hubspot.updateRecord('source', 'contacts', sourceIds.contact, { email: 'rick.source@rickandmorty.com' });
+    hubspot.updateRecord('mirror', 'contacts', mirrorContact.id, { email: 'rick.sales@rickandmorty.com' });
+
+    let summary = await service.runSync({ incremental: true });
+    assert.equal(summary.contacts.conflicts, 1);
+    // Both sides keep their value until the conflict is resolved
+    assert.equal(sourceRecord('contacts', sourceIds.contact).properties.email, 'rick.source@rickandmorty.com');
+    assert.equal(mirrorOf('contacts', sourceIds.contact).properties.email, 'rick.sales@rickandmorty.com');
+
+    // Detected again by the next run without being duplicated
+    summary = await service.runSync();
+    assert.equal(summary.contacts.conflicts, 1);
+    const [conflict] = conflicts.list('open');
+    assert.equal(conflicts.list('open').length, 1);
+    assert.deepEqual(
+      [conflict.property, conflict.sourceValue, conflict.mirrorValue, conflict.baseValue, conflict.occurrences],
+      ['email', 'rick.source@rickandmorty.com', 'rick.sales@rickandmorty.com', 'adjudicatorrick8@rickandmorty.com', 2]
+    );
+
+    const resolved = await service.resolveConflict(conflict.id, 'mirror');
+    assert.deepEqual(resolved.resolution, { winner: 'mirror', value: 'rick.sales@rickandmorty.com', by: 'operator' });
+    assert.equal(sourceRecord('contacts', sourceIds.contact).properties.email, 'rick.sales@rickandmorty.com');
+    assert.equal(await service.resolveConflict(conflict.id, 'source'), null);
+
+    summary = await service.runSync();
+    assert.deepEqual([summary.contacts.conflicts, summary.contacts.sourceUpdated], [0, 0]);
+    assert.equal(conflicts.stats().open, 0);
+  });
+});
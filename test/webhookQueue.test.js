@@ -0,0 +1,118 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { startTestEnvironment, waitFor } = require('./helpers/testEnvironment');
+
+describe('Webhook queue', () => {
+  let environment;
+  let createWebhookQueue;
+  let readJsonFile;
+  let logger;
+  let queue;
+  let files = 0;
+
+  /**
+   * Queue with fast retries over files of its own
+   */
+  const createQueue = (handlers, options = {}) => {
+    files++;
+    queue = createWebhookQueue({
+      queueFile: path.join(environment.dataDir, `queue-${files}.json`),
+      deadLetterFile: path.join(environment.dataDir, `dead-letter-${files}.json`),
+      handlers,
+      logger,
+      maxAttempts: 3,
+      baseDelayMs: 50,
+      pollIntervalMs: 10,
+      ...options,
+    });
+    return queue;
+  };
+
+  /**
+   * Handler failing its first calls, recording when it was called
+   */
+  const flakyHandler = failures => {
+    const calls = [];
+    const handler = async payload => {
+      calls.push({ payload, at: Date.now() });
+      if (calls.length <= failures) throw new Error(`HubSpot unavailable (call ${calls.length})`);
+    };
+    handler.calls = calls;
+    return handler;
+  };
+
+  before(async () => {
+    environment = await startTestEnvironment();
+    ({ createWebhookQueue } = require('../src/services/webhookQueue'));
+    ({ readJsonFile } = require('../src/utils/jsonFile'));
+    logger = require('../src/utils/logger').getLogger('webhook');
+  });
+
+  afterEach(() => queue?.stop());
+
+  after(() => environment.stop());
+
+  it('retries a failed item with an increasing delay until it succeeds', async () => {
+    const handler = flakyHandler(2);
+    createQueue({ company: handler }).start();
+
+    queue.enqueue('company', { name: 'Citadel of Ricks' });
+    await waitFor(() => queue.stats().pending === 0, { message: 'Item not processed' });
+
+    assert.equal(handler.calls.length, 3);
+    assert.deepEqual(queue.stats(), { pending: 0, inFlight: 0, deadLetters: 0 });
+    // 50 ms then 100 ms of backoff, less up to 20% jitter
+    const delays = handler.calls.slice(1).map((call, index) => call.at - handler.calls[index].at);
+    assert.ok(delays[0] >= 40, `first retry after ${delays[0]} ms`);
+    assert.ok(delays[1] >= 80, `second retry after ${delays[1]} ms`);
+  });
+
+  it('moves an item to the dead-letter store after its last attempt, and replays it', async () => {
+    const handler = flakyHandler(3);
+    createQueue({ contact: handler }).start();
+
+    const item = queue.enqueue('contact', { character_id: '1' });
+    await waitFor(() => queue.stats().deadLetters === 1, { message: 'Item not dead-lettered' });
+
+    assert.equal(handler.calls.length, 3);
+    assert.deepEqual(queue.listDeadLetters().map(({ id, attempts, lastError }) => ({ id, attempts, lastError })), [
+      { id: item.id, attempts: 3, lastError: 'HubSpot unavailable (call 3)' },
+    ]);
+    const deadLetter = queue.getDeadLetter(item.id);
+    assert.deepEqual(deadLetter.payload, { character_id: '1' });
+    assert.equal(deadLetter.errors.length, 3);
+    assert.equal(readJsonFile(path.join(environment.dataDir, `dead-letter-${files}.json`)).items[0].id, item.id);
+
+    // A replay starts over with a fresh attempt budget; the handler succeeds by now
+    queue.replayDeadLetter(item.id);
+    await waitFor(() => queue.stats().pending === 0, { message: 'Replayed item not processed' });
+
+    assert.equal(handler.calls.length, 4);
+    assert.deepEqual(queue.stats(), { pending: 0, inFlight: 0, deadLetters: 0 });
+  });
+
+  it('dead-letters items without a handler, and purges them', async () => {
+    createQueue({}, { maxAttempts: 1 }).start();
+
+    const item = queue.enqueue('deal', { id: 42 });
+    await waitFor(() => queue.stats().deadLetters === 1, { message: 'Item not dead-lettered' });
+
+    assert.equal(queue.getDeadLetter(item.id).lastError, "No handler registered for queue item type 'deal'");
+    assert.equal(queue.purgeDeadLetters(), 1);
+    assert.equal(queue.stats().deadLetters, 0);
+  });
+
+  it('picks up the items left pending by a previous process', async () => {
+    const queueFile = path.join(environment.dataDir, 'restart-queue.json');
+    // Never started, as if the process had stopped before the workers ran
+    createQueue({}, { queueFile }).enqueue('company', { name: 'Earth (C-137)' });
+
+    const handler = flakyHandler(0);
+    createQueue({ company: handler }, { queueFile }).start();
+    await waitFor(() => handler.calls.length === 1, { message: 'Pending item not picked up' });
+
+    assert.deepEqual(handler.calls[0].payload, { name: 'Earth (C-137)' });
+    await waitFor(() => queue.stats().pending === 0, { message: 'Pending item not removed' });
+  });
+});
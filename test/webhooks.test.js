@@ -0,0 +1,172 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Signature } = require('@hubspot/api-client');
+const { CLIENT_SECRET, startTestEnvironment, waitFor } = require('./helpers/testEnvironment');
+
+describe('Webhook routes', () => {
+  let environment;
+  let hubspot;
+  let app;
+  let baseUrl;
+
+  /**
+   * Headers of a request signed like HubSpot does (v3)
+   */
+  const signatureHeaders = (route, requestBody, timestamp = Date.now()) => ({
+    'X-HubSpot-Request-Timestamp': String(timestamp),
+    'X-HubSpot-Signature-v3': Signature.getSignature('POST', 'v3', {
+      clientSecret: CLIENT_SECRET,
+      url: `${baseUrl}${route}`,
+      requestBody,
+      timestamp: String(timestamp),
+    }),
+  });
+
+  /**
+   * Posts a raw webhook body to the application
+   */
+  const send = async (route, requestBody, headers = {}) => {
+    const response = await fetch(`${baseUrl}${route}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: requestBody,
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  /**
+   * Posts a webhook to the application, signed like HubSpot does (v3) unless told otherwise
+   */
+  const postWebhook = (route, payload, { signed = true } = {}) => {
+    const requestBody = JSON.stringify(payload);
+    return send(route, requestBody, signed ? signatureHeaders(route, requestBody) : {});
+  };
+
+  const mirrorRecord = (objectType, property, value) => waitFor(
+    () => hubspot.findRecord('mirror', objectType, property, value),
+    { message: `Mirror ${objectType} with ${property} ${value} not found` }
+  );
+
+  const mirrorCompanyIdsOf = contact => hubspot
+    .associations('mirror', 'contacts', contact.id, 'companies')
+    .map(association => association.toObjectId);
+
+  before(async () => {
+    environment = await startTestEnvironment();
+    hubspot = environment.hubspot;
+    const { createApp } = require('../src/app');
+    app = createApp();
+    const server = await app.start(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await app?.stop();
+    await environment.stop();
+  });
+
+  it('rejects unsigned requests', async () => {
+    const response = await postWebhook('/webhook/companies', { name: 'Citadel of Ricks' }, { signed: false });
+
+    assert.equal(response.status, 401);
+    assert.equal(hubspot.findRecord('mirror', 'companies', 'name', 'Citadel of Ricks'), undefined);
+  });
+
+  it('rejects requests whose body does not match the signature', async () => {
+    const signed = JSON.stringify({ name: 'Citadel of Ricks' });
+    const tampered = JSON.stringify({ name: 'Gazorpazorp' });
+
+    const response = await send('/webhook/companies', tampered, signatureHeaders('/webhook/companies', signed));
+
+    assert.equal(response.status, 401);
+    assert.equal(hubspot.findRecord('mirror', 'companies', 'name', 'Gazorpazorp'), undefined);
+  });
+
+  it('rejects signatures older than the five-minute window', async () => {
+    const requestBody = JSON.stringify({ name: 'Citadel of Ricks' });
+    const sixMinutesAgo = Date.now() - 6 * 60 * 1000;
+
+    const response = await send('/webhook/companies', requestBody, signatureHeaders('/webhook/companies', requestBody, sixMinutesAgo));
+
+    assert.equal(response.status, 401);
+    assert.equal(hubspot.findRecord('mirror', 'companies', 'name', 'Citadel of Ricks'), undefined);
+  });
+
+  it('rejects a replayed request', async () => {
+    const requestBody = JSON.stringify({ character_id: '1', email: 'not-an-email' });
+    const headers = signatureHeaders('/webhook/contacts', requestBody);
+
+    // The first delivery passes the signature check (and fails validation), the replay does not
+    assert.equal((await send('/webhook/contacts', requestBody, headers)).status, 400);
+    assert.equal((await send('/webhook/contacts', requestBody, headers)).status, 401);
+  });
+
+  it('rejects invalid payloads', async () => {
+    const response = await postWebhook('/webhook/contacts', { character_id: '1', email: 'not-an-email' });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.errors.map(error => error.param), ['email']);
+  });
+
+  it('queues company webhooks and creates the Mirror company', async () => {
+    const response = await postWebhook('/webhook/companies', {
+      name: 'Earth (C-137)',
+      location_id: '1',
+      industry: 'Planet',
+    });
+
+    assert.equal(response.status, 202);
+    assert.equal(response.body.status, 'queued');
+    const company = await mirrorRecord('companies', 'location_id', '1');
+    assert.equal(company.properties.name, 'Earth (C-137)');
+  });
+
+  it('queues contact webhooks and associates the contact with its company by name', async () => {
+    const response = await postWebhook('/webhook/contacts', {
+      character_id: '1',
+      email: 'ricksanchez1@rickandmorty.com',
+      firstname: 'Rick',
+      lastname: 'Sanchez',
+      company_name: 'Earth (C-137)',
+    });
+
+    assert.equal(response.status, 202);
+    const contact = await mirrorRecord('contacts', 'character_id', '1');
+    assert.equal(contact.properties.email, 'ricksanchez1@rickandmorty.com');
+    const company = hubspot.findRecord('mirror', 'companies', 'location_id', '1');
+    await waitFor(() => mirrorCompanyIdsOf(contact).includes(company.id), {
+      message: 'Contact not associated with its company',
+    });
+  });
+
+  it('applies native HubSpot events by reading the changed records from Source', async () => {
+    const sourceCompany = hubspot.createRecord('source', 'companies', { name: 'Citadel of Ricks', location_id: '3' });
+    const sourceContact = hubspot.createRecord('source', 'contacts', {
+      character_id: '8',
+      email: 'adjudicatorrick8@rickandmorty.com',
+      firstname: 'Adjudicator',
+      lastname: 'Rick',
+    });
+    hubspot.associate('source', 'contacts', sourceContact.id, 'companies', sourceCompany.id, [
+      { associationCategory: 'HUBSPOT_DEFINED', associationTypeId: 1 },
+    ]);
+
+    const response = await postWebhook('/webhook', [
+      { eventId: 1, subscriptionType: 'contact.creation', objectId: Number(sourceContact.id) },
+      { eventId: 2, subscriptionType: 'contact.propertyChange', objectId: Number(sourceContact.id) },
+      { eventId: 3, subscriptionType: 'deal.creation', objectId: 42 },
+    ]);
+
+    assert.equal(response.status, 202);
+    assert.equal(response.body.queued, 1);
+    assert.equal(response.body.skipped, 1);
+    // The contact's company is mirrored first, then both are stamped with their Source IDs
+    const contact = await mirrorRecord('contacts', 'source_record_id', sourceContact.id);
+    assert.equal(contact.properties.character_id, '8');
+    const company = await mirrorRecord('companies', 'source_record_id', sourceCompany.id);
+    assert.equal(company.properties.name, 'Citadel of Ricks');
+    await waitFor(() => mirrorCompanyIdsOf(contact).includes(company.id), {
+      message: 'Contact not associated with its Source company',
+    });
+  });
+});